@@ -0,0 +1,403 @@
+#!/usr/bin/env node
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const readline = require('readline');
+const { Writable } = require('stream');
+const { spawnSync } = require('child_process');
+const { parseArgs } = require('util');
+const axios = require('axios');
+const { defaultFilename, languageFromFilename, languageFromContent } = require('../server/utils/languages');
+
+// Command-line client for the SnipSafe REST API. The server URL and token are
+// kept in a config file written by `snipsafe login`.
+
+const CONFIG_PATH = process.env.SNIPSAFE_CONFIG || path.join(os.homedir(), '.snipsafe.json');
+const DEFAULT_SERVER = 'http://localhost:5000';
+const OBJECT_ID = /^[a-f0-9]{24}$/i;
+
+const USAGE = `Usage: snipsafe <command> [options]
+
+Commands:
+  login [--server URL] [--email EMAIL]   Sign in with your email and password
+  login --token ssp_...                  Sign in with a personal API token
+  logout                                 Forget the stored token
+  create [FILE...]                       Create a snippet from files, or from stdin
+        [--title T] [--description D] [--visibility private|organization|public]
+        [--tags a,b] [--language L] [--filename NAME]
+  get <ID|SHARE_ID> [--file NAME]        Print the files of a snippet
+  list [my|org|shared] [--page N] [--limit N]
+  search <QUERY...> [--page N] [--limit N]
+  share <ID> --user NAME|EMAIL [--user ...] [--perm view|edit]
+  edit <ID> [--file NAME]                Edit a file of a snippet in $EDITOR
+  delete <ID> [--yes]                    Delete a snippet
+
+Options:
+  --json     Print the API response as JSON
+  --server   Server URL for this command (default: the one you logged in to)
+  -h, --help Show this help
+
+The config file is ${CONFIG_PATH} (set SNIPSAFE_CONFIG to change it).
+SNIPSAFE_TOKEN and SNIPSAFE_SERVER override the stored token and server.`;
+
+const OPTIONS = {
+  json: { type: 'boolean' },
+  help: { type: 'boolean', short: 'h' },
+  server: { type: 'string' },
+  token: { type: 'string' },
+  email: { type: 'string' },
+  title: { type: 'string' },
+  description: { type: 'string' },
+  visibility: { type: 'string' },
+  tags: { type: 'string' },
+  language: { type: 'string' },
+  filename: { type: 'string' },
+  file: { type: 'string' },
+  user: { type: 'string', multiple: true },
+  perm: { type: 'string' },
+  page: { type: 'string' },
+  limit: { type: 'string' },
+  yes: { type: 'boolean', short: 'y' }
+};
+
+// Errors shown to the user as they are, without a stack trace
+class CliError extends Error {}
+
+const readConfig = () => {
+  try {
+    return JSON.parse(fs.readFileSync(CONFIG_PATH, 'utf8'));
+  } catch (error) {
+    if (error.code === 'ENOENT') return {};
+    throw new CliError(`Cannot read ${CONFIG_PATH}: ${error.message}`);
+  }
+};
+
+// The file holds a token, so only the owner may read it
+const writeConfig = (config) => {
+  fs.writeFileSync(CONFIG_PATH, `${JSON.stringify(config, null, 2)}\n`, { mode: 0o600 });
+  fs.chmodSync(CONFIG_PATH, 0o600);
+};
+
+const serverUrl = (options, config) =>
+  (options.server || process.env.SNIPSAFE_SERVER || config.server || DEFAULT_SERVER).replace(/\/+$/, '');
+
+const createClient = (options, { requireToken = true } = {}) => {
+  const config = readConfig();
+  const token = process.env.SNIPSAFE_TOKEN || config.token;
+  if (requireToken && !token) {
+    throw new CliError('Not logged in. Run `snipsafe login` first.');
+  }
+
+  const server = serverUrl(options, config);
+  const api = axios.create({
+    baseURL: `${server}/api`,
+    headers: token ? { Authorization: `Bearer ${token}` } : {}
+  });
+  return { api, server };
+};
+
+const printJson = (value) => console.log(JSON.stringify(value, null, 2));
+
+const prompt = (question, { hidden = false } = {}) => new Promise((resolve) => {
+  // Typed characters are echoed to the output, so a hidden answer gets one
+  // that discards everything
+  const output = hidden ? new Writable({ write: (chunk, encoding, callback) => callback() }) : process.stderr;
+  const rl = readline.createInterface({ input: process.stdin, output, terminal: !!process.stdin.isTTY });
+  process.stderr.write(question);
+  rl.question('', (answer) => {
+    rl.close();
+    if (hidden) process.stderr.write('\n');
+    resolve(answer);
+  });
+});
+
+const readStdin = async () => {
+  if (process.stdin.isTTY) {
+    throw new CliError('Pass one or more files, or pipe the code on stdin');
+  }
+  const chunks = [];
+  for await (const chunk of process.stdin) chunks.push(chunk);
+  return Buffer.concat(chunks).toString('utf8');
+};
+
+const languagesOf = (snippet) => [...new Set((snippet.files || []).map(file => file.language))].join(', ');
+
+const printSnippetTable = (snippets) => {
+  if (snippets.length === 0) {
+    console.log('No snippets');
+    return;
+  }
+  for (const snippet of snippets) {
+    const author = snippet.author?.username ? ` by ${snippet.author.username}` : '';
+    console.log(`${snippet._id}  ${snippet.visibility.padEnd(12)}  ${snippet.title} (${languagesOf(snippet)})${author}`);
+  }
+};
+
+const pickFile = (snippet, filename) => {
+  if (filename) {
+    const file = snippet.files.find(candidate => candidate.filename === filename);
+    if (!file) {
+      throw new CliError(`No file "${filename}" in this snippet. Files: ${snippet.files.map(f => f.filename).join(', ')}`);
+    }
+    return file;
+  }
+  if (snippet.files.length > 1) {
+    throw new CliError(`This snippet has several files; choose one with --file. Files: ${snippet.files.map(f => f.filename).join(', ')}`);
+  }
+  return snippet.files[0];
+};
+
+const login = async (args, options) => {
+  const config = readConfig();
+  const server = serverUrl(options, config);
+
+  let token = options.token;
+  let user;
+  if (token) {
+    const response = await axios.get(`${server}/api/auth/me`, { headers: { Authorization: `Bearer ${token}` } });
+    user = response.data;
+  } else {
+    const email = options.email || await prompt('Email: ');
+    const password = await prompt('Password: ', { hidden: true });
+    const response = await axios.post(`${server}/api/auth/login`, { email, password });
+    token = response.data.token;
+    user = response.data.user;
+  }
+
+  writeConfig({ ...config, server, token, username: user.username });
+  if (options.json) {
+    printJson({ server, username: user.username, organization: user.organization });
+  } else {
+    console.log(`Logged in to ${server} as ${user.username} (${user.organization})`);
+  }
+};
+
+const logout = async () => {
+  const { token, ...config } = readConfig();
+  if (token) writeConfig(config);
+  console.log('Logged out');
+};
+
+const create = async (args, options) => {
+  const { api, server } = createClient(options);
+
+  const inputs = args.length > 0
+    ? args.map(file => ({ filename: path.basename(file), content: fs.readFileSync(file, 'utf8') }))
+    : [{ filename: options.filename, content: await readStdin() }];
+
+  const files = inputs.map(({ filename, content }, index) => {
+    const language = options.language || languageFromFilename(filename) || languageFromContent(content);
+    return { filename: filename || defaultFilename(language, index), language, content };
+  });
+
+  const response = await api.post('/snippets', {
+    title: options.title || files[0].filename,
+    description: options.description,
+    visibility: options.visibility,
+    tags: options.tags ? options.tags.split(',').map(tag => tag.trim()).filter(Boolean) : undefined,
+    files
+  });
+
+  const snippet = response.data;
+  if (options.json) {
+    printJson(snippet);
+  } else {
+    console.log(`Created ${snippet._id} "${snippet.title}" (${languagesOf(snippet)})`);
+    console.log(`${server}/snippet/${snippet._id}`);
+  }
+};
+
+const get = async ([ref], options) => {
+  if (!ref) throw new CliError('Usage: snipsafe get <ID|SHARE_ID>');
+  // Share links also work without logging in for public snippets
+  const { api } = createClient(options, { requireToken: OBJECT_ID.test(ref) });
+
+  const response = OBJECT_ID.test(ref)
+    ? await api.get(`/snippets/${ref}`)
+    : await api.get(`/snippets/share/${encodeURIComponent(ref)}`);
+  const snippet = response.data;
+
+  if (options.json) {
+    printJson(snippet);
+    return;
+  }
+  if (options.file || snippet.files.length === 1) {
+    process.stdout.write(pickFile(snippet, options.file).content);
+    return;
+  }
+  snippet.files.forEach((file, index) => {
+    process.stdout.write(`${index > 0 ? '\n' : ''}==> ${file.filename} <==\n${file.content}`);
+    if (!file.content.endsWith('\n')) process.stdout.write('\n');
+  });
+};
+
+const LIST_SOURCES = {
+  my: '/snippets/my',
+  org: '/snippets/org',
+  shared: '/snippets/shared-with-me'
+};
+
+const list = async ([source = 'my'], options) => {
+  if (!LIST_SOURCES[source]) throw new CliError('Usage: snipsafe list [my|org|shared]');
+  const { api } = createClient(options);
+
+  const response = await api.get(LIST_SOURCES[source], { params: { page: options.page, limit: options.limit } });
+  if (options.json) {
+    printJson(response.data);
+  } else {
+    printSnippetTable(response.data.snippets);
+  }
+};
+
+const searchCommand = async (args, options) => {
+  if (args.length === 0) throw new CliError('Usage: snipsafe search <QUERY...>');
+  const { api } = createClient(options);
+
+  const response = await api.get('/snippets/search', {
+    params: { q: args.join(' '), page: options.page, limit: options.limit }
+  });
+  if (options.json) {
+    printJson(response.data);
+  } else {
+    printSnippetTable(response.data.snippets);
+    if (response.data.totalPages > 1) {
+      console.log(`Page ${response.data.currentPage} of ${response.data.totalPages} (${response.data.total} results)`);
+    }
+  }
+};
+
+const share = async ([id], options) => {
+  const recipients = (options.user || []).flatMap(value => value.split(',')).map(value => value.trim()).filter(Boolean);
+  if (!id || recipients.length === 0) throw new CliError('Usage: snipsafe share <ID> --user NAME|EMAIL [--perm view|edit]');
+  const { api } = createClient(options);
+
+  const response = await api.post(`/snippets/${id}/share`, {
+    usernames: recipients.filter(value => !value.includes('@')),
+    emails: recipients.filter(value => value.includes('@')),
+    permissions: options.perm || 'view'
+  });
+
+  const { sharedWith, notFound, emailed = [] } = response.data;
+  if (options.json) {
+    printJson(response.data);
+    return;
+  }
+  for (const shared of sharedWith) {
+    console.log(`Shared with ${shared.username || shared.email}${shared.found ? '' : ' (invited, no account yet)'}`);
+  }
+  for (const missing of notFound.filter(entry => entry.type === 'username')) {
+    console.log(`No user named ${missing.value} in your organization`);
+  }
+  if (emailed.length > 0) console.log(`Emailed ${emailed.length} invitation(s)`);
+  if (sharedWith.length === 0) console.log('Nothing new to share');
+};
+
+const edit = async ([id], options) => {
+  if (!id) throw new CliError('Usage: snipsafe edit <ID> [--file NAME]');
+  const { api } = createClient(options);
+
+  const snippet = (await api.get(`/snippets/${id}`)).data;
+  const file = pickFile(snippet, options.file);
+
+  // Keep the extension so the editor highlights the code, but nothing from
+  // the filename that the shell could interpret
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'snipsafe-'));
+  const tempFile = path.join(dir, path.basename(file.filename).replace(/[^\w.-]/g, '_'));
+  try {
+    fs.writeFileSync(tempFile, file.content);
+    const editor = process.env.VISUAL || process.env.EDITOR || 'vi';
+    const result = spawnSync(`${editor} "${tempFile}"`, { shell: true, stdio: 'inherit' });
+    if (result.status !== 0) {
+      throw new CliError(`${editor} exited with status ${result.status}; nothing was saved`);
+    }
+
+    const content = fs.readFileSync(tempFile, 'utf8');
+    if (content === file.content) {
+      console.log('No changes');
+      return;
+    }
+
+    const response = await api.put(`/snippets/${id}`, {
+      files: snippet.files.map(current => (
+        current._id === file._id
+          ? { _id: current._id, filename: current.filename, content }
+          : { _id: current._id, filename: current.filename }
+      ))
+    });
+    if (options.json) {
+      printJson(response.data);
+    } else {
+      console.log(`Saved ${file.filename} in "${snippet.title}"`);
+    }
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+};
+
+const remove = async ([id], options) => {
+  if (!id) throw new CliError('Usage: snipsafe delete <ID> [--yes]');
+  const { api } = createClient(options);
+
+  if (!options.yes) {
+    const snippet = (await api.get(`/snippets/${id}`)).data;
+    const answer = await prompt(`Delete "${snippet.title}"? [y/N] `);
+    if (!/^y(es)?$/i.test(answer.trim())) {
+      console.log('Cancelled');
+      return;
+    }
+  }
+
+  const response = await api.delete(`/snippets/${id}`);
+  if (options.json) {
+    printJson(response.data);
+  } else {
+    console.log(`Deleted ${id}`);
+  }
+};
+
+const COMMANDS = {
+  login,
+  logout,
+  create,
+  get,
+  list,
+  search: searchCommand,
+  share,
+  edit,
+  delete: remove
+};
+
+const describeError = (error) => {
+  if (error instanceof CliError) return error.message;
+  if (error.response) {
+    const message = error.response.data?.error || error.response.statusText;
+    const hint = error.response.status === 401 ? ' Run `snipsafe login` to sign in again.' : '';
+    return `${message} (HTTP ${error.response.status}).${hint}`;
+  }
+  if (error.code === 'ECONNREFUSED' || error.code === 'ENOTFOUND') {
+    return `Cannot reach the server: ${error.message}`;
+  }
+  if (error.code === 'ERR_PARSE_ARGS_UNKNOWN_OPTION' || error.code === 'ERR_PARSE_ARGS_INVALID_OPTION_VALUE') {
+    return `${error.message}\n\n${USAGE}`;
+  }
+  return error.message;
+};
+
+const main = async () => {
+  const { values: options, positionals } = parseArgs({ options: OPTIONS, allowPositionals: true });
+  const [command, ...args] = positionals;
+
+  if (!command || command === 'help' || options.help) {
+    console.log(USAGE);
+    return;
+  }
+  if (!COMMANDS[command]) {
+    throw new CliError(`Unknown command "${command}". Run \`snipsafe help\` for usage.`);
+  }
+  await COMMANDS[command](args, options);
+};
+
+main().catch((error) => {
+  console.error(`snipsafe: ${describeError(error)}`);
+  process.exit(1);
+});
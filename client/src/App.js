@@ -1,5 +1,5 @@
 import React from 'react';
-import { Routes, Route, Navigate } from 'react-router-dom';
+import { Routes, Route, Navigate, useLocation } from 'react-router-dom';
 import { useAuth } from './contexts/AuthContext';
 import Navbar from './components/Navbar';
 import Login from './pages/Login';
@@ -9,9 +9,17 @@ import CreateSnippet from './pages/CreateSnippet';
 import ViewSnippet from './pages/ViewSnippet';
 import SharedSnippet from './pages/SharedSnippet';
 import EditSnippet from './pages/EditSnippet';
+import Collections from './pages/Collections';
+import ViewCollection from './pages/ViewCollection';
+import SharedCollection from './pages/SharedCollection';
+import Settings from './pages/Settings';
+import AdminWebhooks from './pages/AdminWebhooks';
+import DeviceLogin from './pages/DeviceLogin';
+import EmbedSnippet from './pages/EmbedSnippet';
 
 function App() {
   const { user, loading } = useAuth();
+  const location = useLocation();
 
   if (loading) {
     return (
@@ -21,18 +29,39 @@ function App() {
     );
   }
 
+  // Embeds are framed by other sites, so they render without the app around them
+  if (location.pathname.startsWith('/embed/')) {
+    return (
+      <Routes>
+        <Route path="/embed/:shareId" element={<EmbedSnippet />} />
+      </Routes>
+    );
+  }
+
   return (
     <div className="min-h-screen bg-slate-900">
       <Navbar />
       <main className="px-6 py-8">
         <Routes>
-          <Route path="/login" element={!user ? <Login /> : <Navigate to="/dashboard" />} />
+          <Route path="/login" element={!user ? <Login /> : <Navigate to={location.state?.from || '/dashboard'} />} />
           <Route path="/register" element={!user ? <Register /> : <Navigate to="/dashboard" />} />
           <Route path="/dashboard" element={user ? <Dashboard /> : <Navigate to="/login" />} />
           <Route path="/create" element={user ? <CreateSnippet /> : <Navigate to="/login" />} />
           <Route path="/snippet/:id" element={user ? <ViewSnippet /> : <Navigate to="/login" />} />
           <Route path="/snippet/:id/edit" element={user ? <EditSnippet /> : <Navigate to="/login" />} />
           <Route path="/share/:shareId" element={<SharedSnippet />} />
+          <Route path="/collections" element={user ? <Collections /> : <Navigate to="/login" />} />
+          <Route path="/collection/:id" element={user ? <ViewCollection /> : <Navigate to="/login" />} />
+          <Route path="/share/collection/:shareId" element={<SharedCollection />} />
+          <Route path="/settings" element={user ? <Settings /> : <Navigate to="/login" />} />
+          <Route
+            path="/admin/webhooks"
+            element={user?.role === 'admin' ? <AdminWebhooks /> : <Navigate to={user ? '/dashboard' : '/login'} />}
+          />
+          <Route
+            path="/device"
+            element={user ? <DeviceLogin /> : <Navigate to="/login" state={{ from: `${location.pathname}${location.search}` }} />}
+          />
           <Route path="/" element={user ? <Navigate to="/dashboard" /> : <Navigate to="/login" />} />
         </Routes>
       </main>
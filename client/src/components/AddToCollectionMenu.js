@@ -0,0 +1,88 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { Link } from 'react-router-dom';
+import axios from 'axios';
+import toast from 'react-hot-toast';
+import { FolderPlusIcon, CheckIcon } from '@heroicons/react/24/outline';
+import { collectionOptions } from '../utils/collections';
+
+// Dropdown of the user's own collections; picking one adds the snippet to it
+// or removes it again
+const AddToCollectionMenu = ({ snippetId }) => {
+  const [isOpen, setIsOpen] = useState(false);
+  const [collections, setCollections] = useState(null);
+  const menuRef = useRef(null);
+
+  useEffect(() => {
+    if (!isOpen) return undefined;
+    const handleClick = (e) => {
+      if (menuRef.current && !menuRef.current.contains(e.target)) setIsOpen(false);
+    };
+    document.addEventListener('mousedown', handleClick);
+    return () => document.removeEventListener('mousedown', handleClick);
+  }, [isOpen]);
+
+  useEffect(() => {
+    if (!isOpen) return;
+    axios.get(`/api/collections?scope=mine&snippet=${snippetId}`)
+      .then(response => setCollections(response.data.collections))
+      .catch(() => toast.error('Failed to load collections'));
+  }, [isOpen, snippetId]);
+
+  const toggle = async (collection) => {
+    try {
+      if (collection.hasSnippet) {
+        await axios.delete(`/api/collections/${collection._id}/snippets/${snippetId}`);
+        toast.success(`Removed from "${collection.name}"`);
+      } else {
+        await axios.post(`/api/collections/${collection._id}/snippets`, { snippetId });
+        toast.success(`Added to "${collection.name}"`);
+      }
+      setCollections(prev => prev.map(item => (
+        item._id === collection._id ? { ...item, hasSnippet: !item.hasSnippet } : item
+      )));
+    } catch (error) {
+      toast.error(error.response?.data?.error || 'Failed to update collection');
+    }
+  };
+
+  const byId = new Map((collections || []).map(collection => [collection._id, collection]));
+
+  return (
+    <div className="relative" ref={menuRef}>
+      <button
+        onClick={() => setIsOpen(!isOpen)}
+        className="flex items-center space-x-2 px-4 py-2 bg-slate-700 text-slate-300 hover:bg-slate-600 hover:text-slate-200 rounded-lg transition-colors"
+      >
+        <FolderPlusIcon className="w-4 h-4" />
+        <span>Add to collection</span>
+      </button>
+
+      {isOpen && (
+        <div className="absolute right-0 z-20 mt-1 w-64 bg-slate-800 border border-slate-600 rounded-lg shadow-xl overflow-hidden">
+          {collections === null ? (
+            <p className="px-3 py-2 text-sm text-slate-400">Loading...</p>
+          ) : collections.length === 0 ? (
+            <p className="px-3 py-2 text-sm text-slate-400">
+              No collections yet. <Link to="/collections" className="text-indigo-400 hover:text-indigo-300">Create one</Link>
+            </p>
+          ) : (
+            <div className="max-h-72 overflow-y-auto">
+              {collectionOptions(collections).map(option => (
+                <button
+                  key={option._id}
+                  onClick={() => toggle(byId.get(option._id))}
+                  className="w-full flex items-center justify-between px-3 py-2 text-sm text-left text-slate-200 hover:bg-slate-700"
+                >
+                  <span className="truncate">{option.label}</span>
+                  {byId.get(option._id).hasSnippet && <CheckIcon className="w-4 h-4 text-indigo-400 flex-shrink-0" />}
+                </button>
+              ))}
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default AddToCollectionMenu;
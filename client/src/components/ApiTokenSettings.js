@@ -0,0 +1,223 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import axios from 'axios';
+import toast from 'react-hot-toast';
+import { KeyIcon, PlusIcon, ClipboardDocumentIcon, TrashIcon } from '@heroicons/react/24/outline';
+import { useAuth } from '../contexts/AuthContext';
+
+const SCOPE_DESCRIPTIONS = {
+  'snippets:read': 'Read snippets, collections, comments and notifications',
+  'snippets:write': 'Create, edit and delete snippets, collections and comments',
+  share: 'Manage who snippets and collections are shared with',
+  admin: 'Use the admin API'
+};
+
+const EXPIRY_OPTIONS = [
+  { value: '30', label: '30 days' },
+  { value: '90', label: '90 days' },
+  { value: '365', label: '1 year' },
+  { value: '', label: 'Never' }
+];
+
+const EMPTY_FORM = { name: '', scopes: ['snippets:read'], expiresInDays: '90' };
+
+const formatDate = (value) => (value ? new Date(value).toLocaleDateString() : 'Never');
+
+// Personal API tokens on the settings page
+const ApiTokenSettings = () => {
+  const { user } = useAuth();
+  const [tokens, setTokens] = useState(null);
+  const [scopes, setScopes] = useState([]);
+  const [showForm, setShowForm] = useState(false);
+  const [form, setForm] = useState(EMPTY_FORM);
+  const [created, setCreated] = useState(null);
+
+  const fetchTokens = useCallback(async () => {
+    try {
+      const response = await axios.get('/api/tokens');
+      setTokens(response.data.tokens);
+      setScopes(response.data.scopes.filter(scope => scope !== 'admin' || user?.role === 'admin'));
+    } catch (error) {
+      toast.error('Failed to load API tokens');
+    }
+  }, [user]);
+
+  useEffect(() => {
+    fetchTokens();
+  }, [fetchTokens]);
+
+  const toggleScope = (scope) => {
+    setForm({
+      ...form,
+      scopes: form.scopes.includes(scope) ? form.scopes.filter(item => item !== scope) : [...form.scopes, scope]
+    });
+  };
+
+  const createToken = async (e) => {
+    e.preventDefault();
+    try {
+      const response = await axios.post('/api/tokens', {
+        name: form.name,
+        scopes: form.scopes,
+        expiresInDays: form.expiresInDays ? Number(form.expiresInDays) : undefined
+      });
+      setCreated(response.data.token);
+      setForm(EMPTY_FORM);
+      setShowForm(false);
+      fetchTokens();
+    } catch (error) {
+      toast.error(error.response?.data?.error || 'Failed to create API token');
+    }
+  };
+
+  const revoke = async (token) => {
+    if (!window.confirm(`Revoke "${token.name}"? Scripts using it will stop working.`)) return;
+    try {
+      await axios.delete(`/api/tokens/${token._id}`);
+      toast.success('API token revoked');
+      fetchTokens();
+    } catch (error) {
+      toast.error(error.response?.data?.error || 'Failed to revoke API token');
+    }
+  };
+
+  const copy = async () => {
+    try {
+      await navigator.clipboard.writeText(created);
+      toast.success('Copied to clipboard');
+    } catch (error) {
+      toast.error('Failed to copy');
+    }
+  };
+
+  return (
+    <div className="bg-slate-800 rounded-lg shadow-sm border border-slate-700 mt-6">
+      <div className="px-6 py-4 border-b border-slate-700 flex items-center justify-between">
+        <div className="flex items-center space-x-2">
+          <KeyIcon className="w-5 h-5 text-slate-300" />
+          <h2 className="text-lg font-semibold text-slate-100">API Tokens</h2>
+        </div>
+        <button
+          onClick={() => setShowForm(!showForm)}
+          className="flex items-center space-x-1 px-3 py-1.5 bg-indigo-600 text-white text-sm hover:bg-indigo-700 rounded-lg transition-colors"
+        >
+          <PlusIcon className="w-4 h-4" />
+          <span>New Token</span>
+        </button>
+      </div>
+
+      {created && (
+        <div className="mx-6 mt-4 bg-amber-900/30 border border-amber-700 rounded-lg p-4 space-y-2">
+          <p className="text-sm text-amber-200">
+            Copy your new token now; it won't be shown again. Send it as <code>Authorization: Bearer &lt;token&gt;</code>.
+          </p>
+          <div className="flex items-center space-x-2">
+            <code className="flex-1 px-3 py-2 bg-slate-900 rounded text-sm text-slate-100 break-all">{created}</code>
+            <button onClick={copy} className="p-2 text-slate-300 hover:text-slate-100" title="Copy token">
+              <ClipboardDocumentIcon className="w-5 h-5" />
+            </button>
+          </div>
+          <button onClick={() => setCreated(null)} className="text-xs text-amber-300 hover:text-amber-200">Done</button>
+        </div>
+      )}
+
+      {showForm && (
+        <form onSubmit={createToken} className="px-6 py-4 border-b border-slate-700 space-y-4">
+          <div className="grid gap-4 md:grid-cols-2">
+            <input
+              type="text"
+              value={form.name}
+              onChange={(e) => setForm({ ...form, name: e.target.value })}
+              placeholder="Token name, e.g. CI deploy"
+              maxLength={100}
+              required
+              className="px-3 py-2 border border-slate-600 rounded-lg bg-slate-700 text-slate-100 focus:outline-none focus:ring-2 focus:ring-indigo-500"
+            />
+            <select
+              value={form.expiresInDays}
+              onChange={(e) => setForm({ ...form, expiresInDays: e.target.value })}
+              className="px-3 py-2 border border-slate-600 rounded-lg bg-slate-700 text-slate-100 focus:outline-none focus:ring-2 focus:ring-indigo-500"
+            >
+              {EXPIRY_OPTIONS.map(({ value, label }) => (
+                <option key={label} value={value}>Expires: {label}</option>
+              ))}
+            </select>
+          </div>
+          <div className="space-y-2">
+            {scopes.map(scope => (
+              <label key={scope} className="flex items-start space-x-3 cursor-pointer">
+                <input
+                  type="checkbox"
+                  checked={form.scopes.includes(scope)}
+                  onChange={() => toggleScope(scope)}
+                  className="mt-1 rounded border-slate-600 bg-slate-700 text-indigo-600 focus:ring-indigo-500"
+                />
+                <div>
+                  <code className="text-sm text-slate-100">{scope}</code>
+                  <div className="text-xs text-slate-400">{SCOPE_DESCRIPTIONS[scope]}</div>
+                </div>
+              </label>
+            ))}
+          </div>
+          <div className="flex justify-end space-x-3">
+            <button
+              type="button"
+              onClick={() => setShowForm(false)}
+              className="px-4 py-2 bg-slate-700 text-slate-300 hover:bg-slate-600 rounded-lg transition-colors"
+            >
+              Cancel
+            </button>
+            <button
+              type="submit"
+              disabled={form.scopes.length === 0}
+              className="px-4 py-2 bg-indigo-600 text-white hover:bg-indigo-700 rounded-lg transition-colors disabled:opacity-50"
+            >
+              Create Token
+            </button>
+          </div>
+        </form>
+      )}
+
+      {tokens === null ? (
+        <div className="flex justify-center py-8">
+          <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-indigo-600"></div>
+        </div>
+      ) : tokens.length === 0 ? (
+        <p className="px-6 py-6 text-sm text-center text-slate-400">
+          No API tokens yet. Create one to use the API from scripts and CI.
+        </p>
+      ) : (
+        <div className="divide-y divide-slate-700">
+          {tokens.map(token => (
+            <div key={token._id} className="flex items-center justify-between px-6 py-4">
+              <div className="min-w-0">
+                <div className="flex items-center space-x-2">
+                  <span className="text-slate-100">{token.name}</span>
+                  <code className="text-xs text-slate-500">{token.prefix}…</code>
+                  {token.expired && <span className="px-2 py-0.5 rounded-full text-xs bg-red-900/50 text-red-300">expired</span>}
+                </div>
+                <div className="flex flex-wrap gap-1 mt-1">
+                  {token.scopes.map(scope => (
+                    <code key={scope} className="px-2 py-0.5 bg-slate-700 rounded text-xs text-slate-300">{scope}</code>
+                  ))}
+                </div>
+                <div className="text-xs text-slate-500 mt-1">
+                  Created {formatDate(token.createdAt)} · Expires {formatDate(token.expiresAt)} ·
+                  Last used {token.lastUsedAt ? new Date(token.lastUsedAt).toLocaleString() : 'never'}
+                </div>
+              </div>
+              <button
+                onClick={() => revoke(token)}
+                className="p-2 text-slate-400 hover:text-red-400 transition-colors"
+                title="Revoke token"
+              >
+                <TrashIcon className="w-4 h-4" />
+              </button>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ApiTokenSettings;
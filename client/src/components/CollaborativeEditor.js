@@ -0,0 +1,365 @@
+import React, { useState, useEffect, useLayoutEffect, useRef, useCallback } from 'react';
+import toast from 'react-hot-toast';
+import { SignalIcon } from '@heroicons/react/24/outline';
+import { useAuth } from '../contexts/AuthContext';
+import { useRealtime } from '../contexts/RealtimeContext';
+import TextOperation from '../utils/textOperation';
+
+const CURSOR_COLORS = ['#f472b6', '#38bdf8', '#facc15', '#4ade80', '#fb923c', '#a78bfa'];
+
+// Shared by the textarea and the cursor overlay so characters line up exactly
+const TEXT_LAYOUT = 'px-4 py-3 border font-mono text-sm whitespace-pre';
+
+const colorFor = (userId) => {
+  let hash = 0;
+  for (const char of String(userId)) hash = (hash * 31 + char.charCodeAt(0)) | 0;
+  return CURSOR_COLORS[Math.abs(hash) % CURSOR_COLORS.length];
+};
+
+const transformSelection = (operation, selection) => ({
+  anchor: operation.transformIndex(selection.anchor),
+  head: operation.transformIndex(selection.head)
+});
+
+// Split the document at every remote cursor/selection boundary so the overlay
+// can paint selections and carets at the right character offsets
+const buildOverlaySegments = (text, cursors) => {
+  const points = new Set([0, text.length]);
+  cursors.forEach(({ selection }) => {
+    points.add(Math.min(selection.anchor, text.length));
+    points.add(Math.min(selection.head, text.length));
+  });
+  const sorted = [...points].sort((a, b) => a - b);
+
+  const segments = [];
+  sorted.forEach((point, index) => {
+    cursors
+      .filter(cursor => Math.min(cursor.selection.head, text.length) === point)
+      .forEach(cursor => segments.push({ kind: 'caret', cursor }));
+
+    const next = sorted[index + 1];
+    if (next === undefined || next === point) return;
+
+    const owner = cursors.find(({ selection }) =>
+      Math.min(selection.anchor, selection.head) <= point &&
+      Math.max(selection.anchor, selection.head) >= next
+    );
+    segments.push({ kind: 'text', text: text.slice(point, next), color: owner?.color });
+  });
+  return segments;
+};
+
+// Code editor that joins the live editing session of one snippet file when the
+// realtime channel is available. Local edits are sent as operations; the client keeps
+// at most one operation in flight and buffers the rest, transforming both
+// against remote operations as they arrive. Without a connection it behaves
+// like a plain textarea.
+const CollaborativeEditor = ({ snippetId, fileId, initialValue, onChange, onLiveChange, onClosed, placeholder }) => {
+  const { user } = useAuth();
+  const { connected, send, subscribe } = useRealtime();
+  const [content, setContent] = useState(initialValue || '');
+  const [live, setLive] = useState(false);
+  const [cursors, setCursors] = useState({});
+  const [participants, setParticipants] = useState([]);
+
+  const textareaRef = useRef(null);
+  const overlayRef = useRef(null);
+  const docRef = useRef(initialValue || '');
+  const liveRef = useRef(false);
+  const revisionRef = useRef(0);
+  const outstandingRef = useRef(null);
+  const bufferRef = useRef(null);
+  const selectionRef = useRef(null);
+  const lastSentSelectionRef = useRef(null);
+  // Latest callbacks, so a parent re-render never re-joins the session
+  const callbacksRef = useRef({});
+  callbacksRef.current = { onChange, onLiveChange, onClosed };
+
+  const currentUserId = String(user?.id || user?._id);
+
+  const setLiveState = useCallback((value) => {
+    liveRef.current = value;
+    setLive(value);
+    callbacksRef.current.onLiveChange?.(value);
+  }, []);
+
+  const updateDocument = useCallback((text) => {
+    docRef.current = text;
+    setContent(text);
+    callbacksRef.current.onChange?.(text);
+  }, []);
+
+  // Map a selection in server coordinates onto the local document, which may
+  // already include our unacknowledged edits
+  const toLocalSelection = useCallback((selection) => {
+    let local = selection;
+    if (outstandingRef.current) local = transformSelection(outstandingRef.current, local);
+    if (bufferRef.current) local = transformSelection(bufferRef.current, local);
+    return local;
+  }, []);
+
+  const sendOperation = useCallback((operation) => {
+    outstandingRef.current = operation;
+    send({
+      type: 'collab:operation',
+      snippetId,
+      fileId,
+      revision: revisionRef.current,
+      operation: operation.toJSON()
+    });
+  }, [send, snippetId, fileId]);
+
+  const sendCursor = useCallback(() => {
+    const textarea = textareaRef.current;
+    // Positions are only meaningful to the server once our edits are acknowledged
+    if (!liveRef.current || !textarea || outstandingRef.current) return;
+
+    const selection = { anchor: textarea.selectionStart, head: textarea.selectionEnd };
+    const last = lastSentSelectionRef.current;
+    if (last && last.anchor === selection.anchor && last.head === selection.head) return;
+
+    lastSentSelectionRef.current = selection;
+    send({ type: 'collab:cursor', snippetId, fileId, revision: revisionRef.current, selection });
+  }, [send, snippetId, fileId]);
+
+  const resetCursors = useCallback((list) => {
+    const next = {};
+    list
+      .filter(participant => String(participant.user._id) !== currentUserId)
+      .forEach(participant => {
+        next[participant.user._id] = {
+          user: participant.user,
+          color: colorFor(participant.user._id),
+          selection: participant.selection ? toLocalSelection(participant.selection) : null
+        };
+      });
+    setCursors(next);
+    setParticipants(list);
+  }, [currentUserId, toLocalSelection]);
+
+  useEffect(() => {
+    if (!snippetId || !fileId) return;
+
+    const handlers = {
+      'collab:state': (message) => {
+        if (outstandingRef.current || bufferRef.current) {
+          toast.error('Reconnected to the live session; your last unsynced edits were discarded');
+        }
+        outstandingRef.current = null;
+        bufferRef.current = null;
+        lastSentSelectionRef.current = null;
+        revisionRef.current = message.revision;
+        updateDocument(message.content);
+        resetCursors(message.participants);
+        setLiveState(true);
+      },
+
+      'collab:ack': (message) => {
+        revisionRef.current = message.revision;
+        if (bufferRef.current) {
+          const buffer = bufferRef.current;
+          bufferRef.current = null;
+          sendOperation(buffer);
+        } else {
+          outstandingRef.current = null;
+          sendCursor();
+        }
+      },
+
+      'collab:operation': (message) => {
+        let operation = TextOperation.fromJSON(message.operation);
+        if (outstandingRef.current) {
+          [outstandingRef.current, operation] = TextOperation.transform(outstandingRef.current, operation);
+        }
+        if (bufferRef.current) {
+          [bufferRef.current, operation] = TextOperation.transform(bufferRef.current, operation);
+        }
+        revisionRef.current = message.revision;
+
+        const textarea = textareaRef.current;
+        if (textarea && document.activeElement === textarea) {
+          selectionRef.current = {
+            start: operation.transformIndex(textarea.selectionStart),
+            end: operation.transformIndex(textarea.selectionEnd)
+          };
+        }
+
+        setCursors(previous => {
+          const next = {};
+          Object.entries(previous).forEach(([userId, cursor]) => {
+            next[userId] = cursor.selection
+              ? { ...cursor, selection: transformSelection(operation, cursor.selection) }
+              : cursor;
+          });
+          return next;
+        });
+        updateDocument(operation.apply(docRef.current));
+      },
+
+      'collab:cursor': (message) => {
+        setCursors(previous => {
+          const cursor = previous[message.userId];
+          if (!cursor) return previous;
+          return { ...previous, [message.userId]: { ...cursor, selection: toLocalSelection(message.selection) } };
+        });
+      },
+
+      'collab:participants': (message) => {
+        resetCursors(message.participants);
+      },
+
+      'collab:error': (message) => {
+        if (liveRef.current) {
+          // Our view of the document is off; start over from the server's copy
+          toast.error(message.error);
+          send({ type: 'collab:join', snippetId, fileId });
+        } else {
+          console.error('Live editing unavailable:', message.error);
+        }
+      },
+
+      'collab:closed': (message) => {
+        setLiveState(false);
+        callbacksRef.current.onClosed?.(message.reason);
+      }
+    };
+
+    const unsubscribers = Object.entries(handlers).map(([type, handler]) =>
+      subscribe(type, (message) => {
+        if (message.snippetId === snippetId && message.fileId === fileId) handler(message);
+      })
+    );
+
+    return () => unsubscribers.forEach(unsubscribe => unsubscribe());
+  }, [snippetId, fileId, subscribe, send, sendOperation, sendCursor, updateDocument, resetCursors, toLocalSelection, setLiveState]);
+
+  useEffect(() => {
+    if (!snippetId || !fileId || !connected) return;
+
+    send({ type: 'collab:join', snippetId, fileId });
+
+    return () => {
+      send({ type: 'collab:leave', snippetId, fileId });
+      setLiveState(false);
+      setCursors({});
+      setParticipants([]);
+    };
+  }, [snippetId, fileId, connected, send, setLiveState]);
+
+  // Put the caret back where it belongs after a remote edit re-rendered the
+  // textarea, and keep the cursor overlay scrolled along with it
+  useLayoutEffect(() => {
+    const textarea = textareaRef.current;
+    if (textarea && selectionRef.current) {
+      textarea.setSelectionRange(selectionRef.current.start, selectionRef.current.end);
+      selectionRef.current = null;
+    }
+    syncOverlayScroll();
+  });
+
+  const handleChange = (e) => {
+    const text = e.target.value;
+    const operation = TextOperation.fromDiff(docRef.current, text);
+    if (operation.isNoop()) return;
+
+    setCursors(previous => {
+      const next = {};
+      Object.entries(previous).forEach(([userId, cursor]) => {
+        next[userId] = cursor.selection
+          ? { ...cursor, selection: transformSelection(operation, cursor.selection) }
+          : cursor;
+      });
+      return next;
+    });
+    updateDocument(text);
+
+    if (!liveRef.current) return;
+
+    if (!outstandingRef.current) {
+      sendOperation(operation);
+    } else {
+      bufferRef.current = bufferRef.current ? bufferRef.current.compose(operation) : operation;
+    }
+  };
+
+  function syncOverlayScroll() {
+    if (overlayRef.current && textareaRef.current) {
+      overlayRef.current.scrollTop = textareaRef.current.scrollTop;
+      overlayRef.current.scrollLeft = textareaRef.current.scrollLeft;
+    }
+  }
+
+  const visibleCursors = Object.values(cursors).filter(cursor => cursor.selection);
+  const otherParticipants = participants.filter(participant => String(participant.user._id) !== currentUserId);
+
+  return (
+    <div>
+      {live && (
+        <div className="flex flex-wrap items-center gap-2 mb-2 text-xs">
+          <span className="flex items-center space-x-1 text-emerald-400">
+            <SignalIcon className="w-4 h-4" />
+            <span>Live — code changes are saved automatically</span>
+          </span>
+          {otherParticipants.map(participant => (
+            <span
+              key={participant.user._id}
+              className="flex items-center space-x-1 bg-slate-700 rounded-full px-2 py-0.5 text-slate-300"
+            >
+              <span className="w-2 h-2 rounded-full" style={{ backgroundColor: colorFor(participant.user._id) }}></span>
+              <span>{participant.user.username}</span>
+            </span>
+          ))}
+        </div>
+      )}
+
+      <div className="relative">
+        <textarea
+          ref={textareaRef}
+          name="content"
+          value={content}
+          onChange={handleChange}
+          onSelect={sendCursor}
+          onScroll={syncOverlayScroll}
+          rows={20}
+          wrap="off"
+          className={`w-full ${TEXT_LAYOUT} border-slate-600 rounded-lg bg-slate-700 text-slate-100 focus:outline-none focus:ring-2 focus:ring-indigo-500`}
+          placeholder={placeholder}
+          spellCheck={false}
+        />
+
+        {visibleCursors.length > 0 && (
+          <div
+            ref={overlayRef}
+            aria-hidden="true"
+            className={`absolute inset-0 ${TEXT_LAYOUT} border-transparent overflow-hidden pointer-events-none text-transparent`}
+          >
+            {buildOverlaySegments(content, visibleCursors).map((segment, index) => (
+              segment.kind === 'caret' ? (
+                <span key={index} className="relative">
+                  <span
+                    className="absolute left-0 top-0 border-l-2"
+                    style={{ borderColor: segment.cursor.color, height: '1.25rem' }}
+                  ></span>
+                  <span
+                    className="absolute left-0 -top-3 px-1 rounded text-[10px] leading-tight text-slate-900 whitespace-nowrap"
+                    style={{ backgroundColor: segment.cursor.color }}
+                  >
+                    {segment.cursor.user.username}
+                  </span>
+                </span>
+              ) : (
+                <span key={index} style={segment.color ? { backgroundColor: `${segment.color}40` } : undefined}>
+                  {segment.text}
+                </span>
+              )
+            ))}
+            {/* Keep a trailing newline from collapsing */}
+            {'\u200b'}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default CollaborativeEditor;
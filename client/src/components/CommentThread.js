@@ -0,0 +1,229 @@
+import React, { useState } from 'react';
+import axios from 'axios';
+import toast from 'react-hot-toast';
+import { CheckCircleIcon, ChevronDownIcon, ChevronRightIcon } from '@heroicons/react/24/outline';
+import Markdown from './Markdown';
+
+// Textarea with a markdown preview tab, used for new comments, replies and edits
+export const CommentForm = ({ initialBody = '', submitLabel = 'Comment', placeholder, onSubmit, onCancel, autoFocus }) => {
+  const [body, setBody] = useState(initialBody);
+  const [preview, setPreview] = useState(false);
+  const [saving, setSaving] = useState(false);
+
+  const submit = async (e) => {
+    e.preventDefault();
+    if (!body.trim()) return;
+    setSaving(true);
+    try {
+      await onSubmit(body);
+      setBody('');
+      setPreview(false);
+    } catch (error) {
+      // The handler reported the failure; keep the text for another try
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleKeyDown = (e) => {
+    if (e.key === 'Enter' && (e.metaKey || e.ctrlKey)) submit(e);
+    if (e.key === 'Escape' && onCancel) onCancel();
+  };
+
+  return (
+    <form onSubmit={submit} className="space-y-2">
+      <div className="flex space-x-1 text-xs">
+        {['Write', 'Preview'].map(tab => (
+          <button
+            key={tab}
+            type="button"
+            onClick={() => setPreview(tab === 'Preview')}
+            className={`px-2 py-1 rounded ${
+              preview === (tab === 'Preview') ? 'bg-slate-700 text-slate-100' : 'text-slate-400 hover:text-slate-200'
+            }`}
+          >
+            {tab}
+          </button>
+        ))}
+      </div>
+      {preview ? (
+        <div className="min-h-[5rem] px-3 py-2 bg-slate-900 border border-slate-600 rounded-lg text-sm text-slate-200">
+          {body.trim() ? <Markdown source={body} /> : <span className="text-slate-500">Nothing to preview</span>}
+        </div>
+      ) : (
+        <textarea
+          value={body}
+          onChange={(e) => setBody(e.target.value)}
+          onKeyDown={handleKeyDown}
+          placeholder={placeholder || 'Leave a comment (markdown supported)'}
+          rows={3}
+          maxLength={10000}
+          autoFocus={autoFocus}
+          className="w-full px-3 py-2 bg-slate-900 border border-slate-600 rounded-lg text-sm text-slate-100 placeholder-slate-500 focus:ring-2 focus:ring-indigo-500 focus:border-transparent font-sans"
+        />
+      )}
+      <div className="flex justify-end space-x-2">
+        {onCancel && (
+          <button
+            type="button"
+            onClick={onCancel}
+            className="px-3 py-1.5 text-sm text-slate-300 hover:text-slate-100"
+          >
+            Cancel
+          </button>
+        )}
+        <button
+          type="submit"
+          disabled={saving || !body.trim()}
+          className="px-3 py-1.5 text-sm bg-indigo-600 text-white hover:bg-indigo-700 rounded-lg transition-colors disabled:opacity-50"
+        >
+          {saving ? 'Saving...' : submitLabel}
+        </button>
+      </div>
+    </form>
+  );
+};
+
+const CommentBody = ({ comment, snippetId, onThreadChange }) => {
+  const [editing, setEditing] = useState(false);
+
+  const save = async (body) => {
+    try {
+      const response = await axios.patch(`/api/snippets/${snippetId}/comments/${comment._id}`, { body });
+      onThreadChange(response.data);
+      setEditing(false);
+    } catch (error) {
+      toast.error(error.response?.data?.error || 'Failed to edit comment');
+      throw error;
+    }
+  };
+
+  const remove = async () => {
+    if (!window.confirm('Delete this comment?')) return;
+    try {
+      const response = await axios.delete(`/api/snippets/${snippetId}/comments/${comment._id}`);
+      onThreadChange(response.data.thread);
+    } catch (error) {
+      toast.error(error.response?.data?.error || 'Failed to delete comment');
+    }
+  };
+
+  if (comment.deleted) {
+    return <p className="text-sm italic text-slate-500">This comment was deleted.</p>;
+  }
+
+  return (
+    <div>
+      <div className="flex items-center space-x-2 text-xs text-slate-400 mb-1">
+        <span className="font-medium text-slate-200">{comment.author?.username}</span>
+        <span>{new Date(comment.createdAt).toLocaleString()}</span>
+        {comment.editedAt && <span title={new Date(comment.editedAt).toLocaleString()}>(edited)</span>}
+        {comment.isAuthor && !editing && (
+          <span className="ml-auto space-x-2">
+            <button onClick={() => setEditing(true)} className="hover:text-slate-200">Edit</button>
+            <button onClick={remove} className="hover:text-red-400">Delete</button>
+          </span>
+        )}
+      </div>
+      {editing ? (
+        <CommentForm
+          initialBody={comment.body}
+          submitLabel="Save"
+          onSubmit={save}
+          onCancel={() => setEditing(false)}
+          autoFocus
+        />
+      ) : (
+        <Markdown source={comment.body} className="text-sm text-slate-200" />
+      )}
+    </div>
+  );
+};
+
+// A comment thread with its replies. `onThreadChange(thread)` receives the
+// updated thread after every change, or null once it has been deleted.
+const CommentThread = ({ thread, snippetId, onThreadChange, showAnchor = false }) => {
+  const [expanded, setExpanded] = useState(!thread.resolved);
+  const [replying, setReplying] = useState(false);
+
+  const reply = async (body) => {
+    try {
+      const response = await axios.post(`/api/snippets/${snippetId}/comments`, { body, parentId: thread._id });
+      onThreadChange(response.data);
+      setReplying(false);
+    } catch (error) {
+      toast.error(error.response?.data?.error || 'Failed to reply');
+      throw error;
+    }
+  };
+
+  const toggleResolved = async () => {
+    try {
+      const url = `/api/snippets/${snippetId}/comments/${thread._id}/resolve`;
+      const response = thread.resolved ? await axios.delete(url) : await axios.post(url);
+      onThreadChange(response.data);
+      setExpanded(!response.data.resolved);
+    } catch (error) {
+      toast.error(error.response?.data?.error || 'Failed to update thread');
+    }
+  };
+
+  const Chevron = expanded ? ChevronDownIcon : ChevronRightIcon;
+
+  return (
+    <div className="my-2 bg-slate-800 border border-slate-600 rounded-lg font-sans whitespace-normal">
+      <div className="flex items-center px-3 py-2 text-xs text-slate-400 border-b border-slate-700">
+        <button onClick={() => setExpanded(!expanded)} className="flex items-center space-x-1 hover:text-slate-200">
+          <Chevron className="w-3 h-3" />
+          {showAnchor && thread.fileId ? (
+            <span>Lines {thread.startLine}{thread.endLine !== thread.startLine && `–${thread.endLine}`}</span>
+          ) : (
+            <span>{thread.replies.length + 1} {thread.replies.length === 0 ? 'comment' : 'comments'}</span>
+          )}
+        </button>
+        {thread.outdated && (
+          <span className="ml-2 bg-amber-900 text-amber-300 px-2 py-0.5 rounded">Outdated</span>
+        )}
+        {thread.resolved && (
+          <span className="ml-2 flex items-center space-x-1 text-emerald-400">
+            <CheckCircleIcon className="w-3 h-3" />
+            <span>Resolved{thread.resolvedBy && ` by ${thread.resolvedBy.username}`}</span>
+          </span>
+        )}
+        {thread.canResolve && (
+          <button onClick={toggleResolved} className="ml-auto hover:text-slate-200">
+            {thread.resolved ? 'Reopen' : 'Resolve'}
+          </button>
+        )}
+      </div>
+
+      {expanded && (
+        <div className="p-3 space-y-3">
+          {showAnchor && thread.fileId && (
+            <pre className="text-xs bg-slate-900 text-slate-300 p-2 rounded overflow-x-auto">{thread.excerpt}</pre>
+          )}
+          {[thread, ...thread.replies].map(comment => (
+            <CommentBody
+              key={comment._id}
+              comment={comment}
+              snippetId={snippetId}
+              onThreadChange={onThreadChange}
+            />
+          ))}
+          {replying ? (
+            <CommentForm submitLabel="Reply" onSubmit={reply} onCancel={() => setReplying(false)} autoFocus />
+          ) : (
+            <button
+              onClick={() => setReplying(true)}
+              className="w-full text-left px-3 py-1.5 text-sm text-slate-500 bg-slate-900 border border-slate-700 rounded-lg hover:text-slate-300"
+            >
+              Reply...
+            </button>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default CommentThread;
@@ -0,0 +1,138 @@
+import React, { useState } from 'react';
+
+const CONTEXT_LINES = 3;
+
+// Collapse long runs of unchanged lines, keeping some context around changes
+const buildRows = (lines, expanded) => {
+  const rows = [];
+  let i = 0;
+  while (i < lines.length) {
+    if (lines[i].type !== 'equal') {
+      rows.push({ kind: 'line', line: lines[i] });
+      i++;
+      continue;
+    }
+
+    let end = i;
+    while (end < lines.length && lines[end].type === 'equal') end++;
+
+    const runLength = end - i;
+    const keepBefore = i === 0 ? 0 : CONTEXT_LINES;
+    const keepAfter = end === lines.length ? 0 : CONTEXT_LINES;
+
+    if (expanded.has(i) || runLength <= keepBefore + keepAfter + 1) {
+      for (let j = i; j < end; j++) rows.push({ kind: 'line', line: lines[j] });
+    } else {
+      for (let j = i; j < i + keepBefore; j++) rows.push({ kind: 'line', line: lines[j] });
+      rows.push({ kind: 'gap', start: i, count: runLength - keepBefore - keepAfter });
+      for (let j = end - keepAfter; j < end; j++) rows.push({ kind: 'line', line: lines[j] });
+    }
+    i = end;
+  }
+  return rows;
+};
+
+// Pair deleted and inserted lines of a change block for the side-by-side view
+const buildSplitRows = (rows) => {
+  const result = [];
+  let deletes = [];
+  let inserts = [];
+
+  const flush = () => {
+    const count = Math.max(deletes.length, inserts.length);
+    for (let i = 0; i < count; i++) {
+      result.push({ kind: 'pair', left: deletes[i] || null, right: inserts[i] || null });
+    }
+    deletes = [];
+    inserts = [];
+  };
+
+  for (const row of rows) {
+    if (row.kind === 'line' && row.line.type === 'delete') {
+      deletes.push(row.line);
+    } else if (row.kind === 'line' && row.line.type === 'insert') {
+      inserts.push(row.line);
+    } else {
+      flush();
+      result.push(row.kind === 'gap' ? row : { kind: 'pair', left: row.line, right: row.line });
+    }
+  }
+  flush();
+  return result;
+};
+
+const lineClasses = {
+  equal: 'text-slate-300',
+  delete: 'bg-red-900/40 text-red-200',
+  insert: 'bg-green-900/40 text-green-200'
+};
+
+const markers = { equal: ' ', delete: '-', insert: '+' };
+
+const DiffView = ({ lines, mode = 'unified' }) => {
+  const [expanded, setExpanded] = useState(new Set());
+
+  if (!lines || lines.length === 0) {
+    return <p className="text-sm text-slate-400 p-4">Both revisions are empty.</p>;
+  }
+
+  if (lines.every(line => line.type === 'equal')) {
+    return <p className="text-sm text-slate-400 p-4">No content changes between these revisions.</p>;
+  }
+
+  const rows = buildRows(lines, expanded);
+
+  const renderGap = (row) => (
+    <tr key={`gap-${row.start}`}>
+      <td colSpan={mode === 'split' ? 4 : 3} className="bg-slate-800 text-center">
+        <button
+          onClick={() => setExpanded(new Set([...expanded, row.start]))}
+          className="w-full py-1 text-xs text-indigo-400 hover:text-indigo-300"
+        >
+          ⋯ Show {row.count} unchanged lines
+        </button>
+      </td>
+    </tr>
+  );
+
+  const numberCell = (number) => (
+    <td className="w-12 px-2 text-right text-slate-500 select-none align-top">{number ?? ''}</td>
+  );
+
+  const codeCell = (line) => (
+    <td className={`px-2 whitespace-pre align-top ${line ? lineClasses[line.type] : 'bg-slate-800/60'}`}>
+      {line ? `${markers[line.type]} ${line.text}` : ''}
+    </td>
+  );
+
+  return (
+    <div className="overflow-x-auto border border-slate-700 rounded-lg bg-slate-900">
+      <table className="w-full font-mono text-sm leading-6 border-collapse">
+        <tbody>
+          {mode === 'split'
+            ? buildSplitRows(rows).map((row, index) => (
+                row.kind === 'gap' ? renderGap(row) : (
+                  <tr key={index}>
+                    {numberCell(row.left?.oldNumber)}
+                    {codeCell(row.left)}
+                    {numberCell(row.right?.newNumber)}
+                    {codeCell(row.right)}
+                  </tr>
+                )
+              ))
+            : rows.map((row, index) => (
+                row.kind === 'gap' ? renderGap(row) : (
+                  <tr key={index}>
+                    {numberCell(row.line.oldNumber)}
+                    {numberCell(row.line.newNumber)}
+                    {codeCell(row.line)}
+                  </tr>
+                )
+              ))}
+        </tbody>
+      </table>
+    </div>
+  );
+};
+
+export default DiffView;
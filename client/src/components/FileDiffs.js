@@ -0,0 +1,71 @@
+import React from 'react';
+import DiffView from './DiffView';
+
+const fileStatusClasses = {
+  added: 'bg-green-900 text-green-300',
+  removed: 'bg-red-900 text-red-300',
+  modified: 'bg-amber-900 text-amber-300',
+  renamed: 'bg-blue-900 text-blue-300'
+};
+
+export const DiffModeToggle = ({ mode, onChange }) => (
+  <div className="flex rounded-lg overflow-hidden border border-slate-600">
+    {['unified', 'split'].map(option => (
+      <button
+        key={option}
+        onClick={() => onChange(option)}
+        className={`px-3 py-1 text-xs capitalize ${
+          mode === option ? 'bg-indigo-600 text-white' : 'bg-slate-700 text-slate-300 hover:bg-slate-600'
+        }`}
+      >
+        {option}
+      </button>
+    ))}
+  </div>
+);
+
+// Changed metadata and per-file line diffs of a revision or fork diff.
+// `diffKey` identifies the compared pair so switching pairs remounts the views.
+const FileDiffs = ({ diff, mode, diffKey, emptyText }) => (
+  <div className="space-y-3">
+    <div className="flex flex-wrap items-center gap-3 text-xs">
+      <span className="text-green-400">+{diff.stats.added}</span>
+      <span className="text-red-400">-{diff.stats.removed}</span>
+      {Object.entries(diff.changes).map(([field, change]) => (
+        <span key={field} className="bg-slate-700 text-slate-300 px-2 py-0.5 rounded">
+          {field}: {Array.isArray(change.from) ? change.from.join(', ') : change.from || '—'}
+          {' → '}
+          {Array.isArray(change.to) ? change.to.join(', ') : change.to || '—'}
+        </span>
+      ))}
+    </div>
+
+    <div className="space-y-4">
+      {diff.files.filter(file => file.status !== 'unchanged').map(file => (
+        <div key={`${diffKey}-${file.fileId}`} className="border border-slate-700 rounded-lg overflow-hidden">
+          <div className="flex flex-wrap items-center gap-3 px-3 py-2 bg-slate-800 text-xs">
+            <span className="font-mono text-sm text-slate-200">
+              {file.from && file.to && file.from.filename !== file.to.filename
+                ? `${file.from.filename} → ${file.to.filename}`
+                : (file.to || file.from).filename}
+            </span>
+            <span className={`px-2 py-0.5 rounded capitalize ${fileStatusClasses[file.status]}`}>{file.status}</span>
+            {file.from && file.to && file.from.language !== file.to.language && (
+              <span className="bg-slate-700 text-slate-300 px-2 py-0.5 rounded">
+                language: {file.from.language} → {file.to.language}
+              </span>
+            )}
+            <span className="text-green-400">+{file.stats.added}</span>
+            <span className="text-red-400">-{file.stats.removed}</span>
+          </div>
+          <DiffView lines={file.lines} mode={mode} />
+        </div>
+      ))}
+      {diff.files.every(file => file.status === 'unchanged') && (
+        <p className="text-sm text-slate-400 p-4">{emptyText}</p>
+      )}
+    </div>
+  </div>
+);
+
+export default FileDiffs;
@@ -0,0 +1,132 @@
+import React, { useState, useEffect } from 'react';
+import { Link } from 'react-router-dom';
+import axios from 'axios';
+import toast from 'react-hot-toast';
+import { ClockIcon } from '@heroicons/react/24/outline';
+import FileDiffs, { DiffModeToggle } from './FileDiffs';
+import LoadingSpinner from './LoadingSpinner';
+
+// Forks of a snippet; picking one diffs it against the snippet
+const ForkList = ({ snippetId }) => {
+  const [forks, setForks] = useState([]);
+  const [hiddenCount, setHiddenCount] = useState(0);
+  const [loading, setLoading] = useState(true);
+  const [selected, setSelected] = useState(null);
+  const [diff, setDiff] = useState(null);
+  const [diffLoading, setDiffLoading] = useState(false);
+  const [mode, setMode] = useState('unified');
+
+  useEffect(() => {
+    const fetchForks = async () => {
+      try {
+        const response = await axios.get(`/api/snippets/${snippetId}/forks`, { params: { limit: 100 } });
+        setForks(response.data.forks);
+        setHiddenCount(response.data.hiddenCount);
+      } catch (error) {
+        toast.error(error.response?.data?.error || 'Failed to load forks');
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    fetchForks();
+  }, [snippetId]);
+
+  useEffect(() => {
+    if (!selected) return;
+
+    const fetchDiff = async () => {
+      setDiffLoading(true);
+      try {
+        const response = await axios.get(`/api/snippets/${snippetId}/forks/${selected}/diff`);
+        setDiff(response.data);
+      } catch (error) {
+        toast.error(error.response?.data?.error || 'Failed to load diff');
+      } finally {
+        setDiffLoading(false);
+      }
+    };
+
+    fetchDiff();
+  }, [snippetId, selected]);
+
+  if (loading) {
+    return (
+      <div className="flex justify-center py-8">
+        <LoadingSpinner size="sm" text="Loading forks..." />
+      </div>
+    );
+  }
+
+  if (forks.length === 0) {
+    return (
+      <p className="text-sm text-slate-400">
+        {hiddenCount > 0
+          ? `${hiddenCount} ${hiddenCount === 1 ? 'fork is' : 'forks are'} not visible to you.`
+          : 'No forks yet.'}
+      </p>
+    );
+  }
+
+  return (
+    <div className="grid grid-cols-1 lg:grid-cols-4 gap-4">
+      <div className="lg:col-span-1 space-y-2 max-h-[32rem] overflow-y-auto">
+        {forks.map(fork => (
+          <div
+            key={fork._id}
+            className={`p-3 rounded-lg border transition-colors ${
+              fork._id === selected ? 'border-indigo-500 bg-indigo-900/20' : 'border-slate-700 bg-slate-800'
+            }`}
+          >
+            <button onClick={() => setSelected(fork._id)} className="w-full text-left">
+              <div className="text-sm font-medium text-slate-100 truncate">{fork.title}</div>
+              <div className="text-xs text-slate-400 mt-1 flex items-center space-x-1">
+                <span>{fork.author?.username}</span>
+                <span>•</span>
+                <ClockIcon className="w-3 h-3" />
+                <span>{new Date(fork.createdAt).toLocaleDateString()}</span>
+              </div>
+            </button>
+            <Link to={`/snippet/${fork._id}`} className="mt-2 inline-block text-xs text-indigo-400 hover:text-indigo-300">
+              Open fork
+            </Link>
+          </div>
+        ))}
+        {hiddenCount > 0 && (
+          <p className="text-xs text-slate-500 px-1">
+            {hiddenCount} more {hiddenCount === 1 ? 'fork is' : 'forks are'} not visible to you.
+          </p>
+        )}
+      </div>
+
+      <div className="lg:col-span-3 space-y-3">
+        {!selected ? (
+          <p className="text-sm text-slate-400 p-4">Pick a fork to see how it differs from this snippet.</p>
+        ) : (
+          <>
+            <div className="flex items-center text-sm text-slate-300">
+              <span>Changes in the fork</span>
+              <div className="ml-auto">
+                <DiffModeToggle mode={mode} onChange={setMode} />
+              </div>
+            </div>
+            {diffLoading ? (
+              <div className="flex justify-center py-8">
+                <LoadingSpinner size="sm" text="Computing diff..." />
+              </div>
+            ) : diff && (
+              <FileDiffs
+                diff={diff}
+                mode={mode}
+                diffKey={selected}
+                emptyText="The fork's files are the same as this snippet's."
+              />
+            )}
+          </>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default ForkList;
@@ -0,0 +1,190 @@
+import React, { useState } from 'react';
+import { Link } from 'react-router-dom';
+import axios from 'axios';
+import toast from 'react-hot-toast';
+import {
+  ArrowsRightLeftIcon,
+  ArrowDownTrayIcon,
+  ArrowUpTrayIcon,
+  CheckCircleIcon,
+  XCircleIcon
+} from '@heroicons/react/24/outline';
+import { downloadFile } from '../utils/download';
+
+const SOURCES = [
+  { value: 'snipsafe', label: 'SnipSafe export', accept: '.json,.tar.gz,.tgz', hint: 'A .json or .tar.gz file exported above' },
+  { value: 'gist', label: 'GitHub gists', accept: '.json,.zip,.tar.gz,.tgz', hint: 'JSON from the GitHub gists API, or a .zip/.tar.gz with one folder per gist' },
+  { value: 'markdown', label: 'Markdown notes', accept: '.md,.markdown,.zip,.tar.gz,.tgz', hint: 'Each heading with fenced code blocks becomes a snippet' }
+];
+
+const VISIBILITY_OPTIONS = [
+  { value: '', label: 'Private, or as exported' },
+  { value: 'private', label: 'Private' },
+  { value: 'organization', label: 'Organization' },
+  { value: 'public', label: 'Public' }
+];
+
+const EXPORTS = [
+  { scope: 'mine', format: 'json', label: 'My snippets (JSON)' },
+  { scope: 'mine', format: 'tar', label: 'My snippets (.tar.gz)' },
+  { scope: 'org', format: 'json', label: 'Organization (JSON)' },
+  { scope: 'org', format: 'tar', label: 'Organization (.tar.gz)' }
+];
+
+const inputClass = 'px-3 py-2 border border-slate-600 rounded-lg bg-slate-700 text-slate-100 focus:outline-none focus:ring-2 focus:ring-indigo-500';
+
+// Snippet export and import on the settings page
+const ImportExportSettings = () => {
+  const [source, setSource] = useState('snipsafe');
+  const [visibility, setVisibility] = useState('');
+  const [file, setFile] = useState(null);
+  const [importing, setImporting] = useState(false);
+  const [report, setReport] = useState(null);
+
+  const sourceInfo = SOURCES.find(option => option.value === source);
+
+  const exportSnippets = async ({ scope, format }) => {
+    try {
+      await downloadFile(
+        `/api/snippets/export?scope=${scope}&format=${format}`,
+        format === 'tar' ? 'snipsafe-export.tar.gz' : 'snipsafe-export.json'
+      );
+    } catch (error) {
+      toast.error('Failed to export snippets');
+    }
+  };
+
+  const importSnippets = async (e) => {
+    e.preventDefault();
+    if (!file) return;
+
+    setImporting(true);
+    try {
+      const params = new URLSearchParams({ format: source });
+      if (visibility) params.set('visibility', visibility);
+      // Sent as raw bytes so JSON exports aren't held to the JSON body limit
+      const response = await axios.post(`/api/snippets/import?${params}`, file, {
+        headers: { 'Content-Type': 'application/octet-stream' }
+      });
+      setReport(response.data);
+      if (response.data.failed === 0) {
+        toast.success(`Imported ${response.data.imported} snippet${response.data.imported === 1 ? '' : 's'}`);
+      } else {
+        toast.error(`${response.data.failed} of ${response.data.results.length} items could not be imported`);
+      }
+    } catch (error) {
+      toast.error(error.response?.data?.error || 'Failed to import snippets');
+    } finally {
+      setImporting(false);
+    }
+  };
+
+  return (
+    <div className="bg-slate-800 rounded-lg shadow-sm border border-slate-700 mt-6">
+      <div className="px-6 py-4 border-b border-slate-700 flex items-center space-x-2">
+        <ArrowsRightLeftIcon className="w-5 h-5 text-slate-300" />
+        <h2 className="text-lg font-semibold text-slate-100">Import &amp; Export</h2>
+      </div>
+
+      <div className="px-6 py-4 border-b border-slate-700">
+        <div className="text-slate-100">Export</div>
+        <div className="text-sm text-slate-400 mb-3">
+          Download snippets in a portable format you can import here again. Organization exports hold every
+          snippet of your organization you can see.
+        </div>
+        <div className="flex flex-wrap gap-2">
+          {EXPORTS.map(option => (
+            <button
+              key={option.label}
+              onClick={() => exportSnippets(option)}
+              className="flex items-center space-x-1 px-3 py-1.5 bg-slate-700 text-slate-300 text-sm hover:bg-slate-600 rounded-lg transition-colors"
+            >
+              <ArrowDownTrayIcon className="w-4 h-4" />
+              <span>{option.label}</span>
+            </button>
+          ))}
+        </div>
+      </div>
+
+      <form onSubmit={importSnippets} className="px-6 py-4 space-y-4">
+        <div>
+          <div className="text-slate-100">Import</div>
+          <div className="text-sm text-slate-400">{sourceInfo.hint}</div>
+        </div>
+        <div className="grid gap-4 md:grid-cols-2">
+          <select
+            value={source}
+            onChange={(e) => {
+              setSource(e.target.value);
+              setFile(null);
+            }}
+            className={inputClass}
+          >
+            {SOURCES.map(({ value, label }) => (
+              <option key={value} value={value}>{label}</option>
+            ))}
+          </select>
+          <select value={visibility} onChange={(e) => setVisibility(e.target.value)} className={inputClass}>
+            {VISIBILITY_OPTIONS.map(({ value, label }) => (
+              <option key={label} value={value}>Visibility: {label}</option>
+            ))}
+          </select>
+        </div>
+        <div className="flex items-center space-x-3">
+          <input
+            key={source}
+            type="file"
+            accept={sourceInfo.accept}
+            onChange={(e) => setFile(e.target.files[0] || null)}
+            className="flex-1 text-sm text-slate-300 file:mr-3 file:px-3 file:py-1.5 file:rounded-lg file:border-0 file:bg-slate-700 file:text-slate-300 hover:file:bg-slate-600"
+          />
+          <button
+            type="submit"
+            disabled={!file || importing}
+            className="flex items-center space-x-1 px-4 py-2 bg-indigo-600 text-white hover:bg-indigo-700 rounded-lg transition-colors disabled:opacity-50"
+          >
+            <ArrowUpTrayIcon className="w-4 h-4" />
+            <span>{importing ? 'Importing…' : 'Import'}</span>
+          </button>
+        </div>
+
+        {report && (
+          <div className="border border-slate-700 rounded-lg">
+            <div className="px-4 py-2 border-b border-slate-700 flex items-center justify-between text-sm">
+              <span className="text-slate-300">
+                {report.imported} imported · {report.failed} failed
+              </span>
+              <button type="button" onClick={() => setReport(null)} className="text-xs text-slate-400 hover:text-slate-200">
+                Dismiss
+              </button>
+            </div>
+            <ul className="max-h-64 overflow-y-auto divide-y divide-slate-700">
+              {report.results.map((result, index) => (
+                <li key={index} className="flex items-start space-x-2 px-4 py-2 text-sm">
+                  {result.status === 'created' ? (
+                    <CheckCircleIcon className="w-4 h-4 mt-0.5 text-green-400 flex-shrink-0" />
+                  ) : (
+                    <XCircleIcon className="w-4 h-4 mt-0.5 text-red-400 flex-shrink-0" />
+                  )}
+                  <div className="min-w-0">
+                    {result.status === 'created' ? (
+                      <Link to={`/snippet/${result.snippetId}`} className="text-indigo-400 hover:text-indigo-300">
+                        {result.title}
+                      </Link>
+                    ) : (
+                      <span className="text-slate-100">{result.title || result.source}</span>
+                    )}
+                    <div className="text-xs text-slate-500 truncate">{result.source}</div>
+                    {result.error && <div className="text-xs text-red-300">{result.error}</div>}
+                  </div>
+                </li>
+              ))}
+            </ul>
+          </div>
+        )}
+      </form>
+    </div>
+  );
+};
+
+export default ImportExportSettings;
@@ -0,0 +1,163 @@
+import React from 'react';
+import { Prism as SyntaxHighlighter } from 'react-syntax-highlighter';
+import { vscDarkPlus } from 'react-syntax-highlighter/dist/esm/styles/prism';
+
+// A small markdown renderer for comments. It builds React elements, never
+// HTML strings, so user input cannot inject markup. Supported: paragraphs,
+// headings, fenced code blocks, block quotes, bullet and numbered lists,
+// inline code, bold, italics, strikethrough and links.
+
+const INLINE_PATTERN = /`([^`]+)`|\*\*(.+?)\*\*|__(.+?)__|~~(.+?)~~|\*(\S(?:.*?\S)?)\*|\b_(\S(?:.*?\S)?)_\b|\[([^\]]+)\]\(([^)\s]+)\)|(https?:\/\/[^\s<]*[^\s<.,:;"')\]])/g;
+
+const SAFE_URL = /^(https?:|mailto:)/i;
+
+const link = (href, children, key) => (
+  SAFE_URL.test(href)
+    ? <a key={key} href={href} target="_blank" rel="noopener noreferrer" className="text-indigo-400 hover:text-indigo-300 underline">{children}</a>
+    : <span key={key}>{children}</span>
+);
+
+const renderInline = (text, keyPrefix = 'i') => {
+  const nodes = [];
+  let last = 0;
+  let match;
+  const pattern = new RegExp(INLINE_PATTERN.source, 'g');
+
+  while ((match = pattern.exec(text)) !== null) {
+    if (match.index > last) nodes.push(text.slice(last, match.index));
+    const key = `${keyPrefix}-${match.index}`;
+    const [, code, bold, boldAlt, strike, italic, italicAlt, linkText, href, url] = match;
+
+    if (code !== undefined) {
+      nodes.push(<code key={key} className="bg-slate-900 text-pink-300 px-1 py-0.5 rounded text-[0.9em]">{code}</code>);
+    } else if (bold !== undefined || boldAlt !== undefined) {
+      nodes.push(<strong key={key}>{renderInline(bold ?? boldAlt, key)}</strong>);
+    } else if (strike !== undefined) {
+      nodes.push(<del key={key}>{renderInline(strike, key)}</del>);
+    } else if (italic !== undefined || italicAlt !== undefined) {
+      nodes.push(<em key={key}>{renderInline(italic ?? italicAlt, key)}</em>);
+    } else if (linkText !== undefined) {
+      nodes.push(link(href, renderInline(linkText, key), key));
+    } else {
+      nodes.push(link(url, url, key));
+    }
+    last = pattern.lastIndex;
+  }
+  if (last < text.length) nodes.push(text.slice(last));
+  return nodes;
+};
+
+// Lines joined with line breaks, as in GitHub comments
+const renderLines = (lines, keyPrefix) => lines.flatMap((line, index) => [
+  ...(index > 0 ? [<br key={`${keyPrefix}-br-${index}`} />] : []),
+  ...renderInline(line, `${keyPrefix}-${index}`)
+]);
+
+const LIST_ITEM = /^\s*([-*+]|\d+[.)])\s+(.*)$/;
+const HEADING = /^(#{1,6})\s+(.*)$/;
+const FENCE = /^\s*```\s*([\w#+-]*)\s*$/;
+
+const headingClasses = ['text-xl', 'text-lg', 'text-base', 'text-base', 'text-sm', 'text-sm'];
+
+const parseBlocks = (source) => {
+  const lines = source.replace(/\r\n/g, '\n').split('\n');
+  const blocks = [];
+  let i = 0;
+
+  while (i < lines.length) {
+    const line = lines[i];
+
+    if (!line.trim()) {
+      i++;
+      continue;
+    }
+
+    const fence = line.match(FENCE);
+    if (fence) {
+      const code = [];
+      i++;
+      while (i < lines.length && !FENCE.test(lines[i])) code.push(lines[i++]);
+      i++;
+      blocks.push({ type: 'code', language: fence[1] || 'text', text: code.join('\n') });
+      continue;
+    }
+
+    const heading = line.match(HEADING);
+    if (heading) {
+      blocks.push({ type: 'heading', level: heading[1].length, text: heading[2] });
+      i++;
+      continue;
+    }
+
+    if (line.startsWith('>')) {
+      const quoted = [];
+      while (i < lines.length && lines[i].startsWith('>')) quoted.push(lines[i++].replace(/^>\s?/, ''));
+      blocks.push({ type: 'quote', text: quoted.join('\n') });
+      continue;
+    }
+
+    if (LIST_ITEM.test(line)) {
+      const ordered = /^\s*\d/.test(line);
+      const items = [];
+      while (i < lines.length && LIST_ITEM.test(lines[i])) items.push(lines[i++].match(LIST_ITEM)[2]);
+      blocks.push({ type: 'list', ordered, items });
+      continue;
+    }
+
+    const paragraph = [];
+    while (i < lines.length && lines[i].trim() && !FENCE.test(lines[i]) && !HEADING.test(lines[i]) &&
+           !lines[i].startsWith('>') && !LIST_ITEM.test(lines[i])) {
+      paragraph.push(lines[i++]);
+    }
+    blocks.push({ type: 'paragraph', lines: paragraph });
+  }
+
+  return blocks;
+};
+
+const Markdown = ({ source, className = '' }) => (
+  <div className={`space-y-2 break-words ${className}`}>
+    {parseBlocks(source || '').map((block, index) => {
+      const key = `b${index}`;
+      switch (block.type) {
+        case 'code':
+          return (
+            <SyntaxHighlighter
+              key={key}
+              language={block.language}
+              style={vscDarkPlus}
+              customStyle={{ margin: 0, borderRadius: '0.375rem', fontSize: '13px', backgroundColor: '#0f172a' }}
+            >
+              {block.text}
+            </SyntaxHighlighter>
+          );
+        case 'heading':
+          return (
+            <div key={key} className={`font-semibold text-slate-100 ${headingClasses[block.level - 1]}`}>
+              {renderInline(block.text, key)}
+            </div>
+          );
+        case 'quote':
+          return (
+            <blockquote key={key} className="border-l-4 border-slate-600 pl-3 text-slate-400">
+              <Markdown source={block.text} />
+            </blockquote>
+          );
+        case 'list': {
+          const List = block.ordered ? 'ol' : 'ul';
+          return (
+            <List key={key} className={`pl-5 space-y-1 ${block.ordered ? 'list-decimal' : 'list-disc'}`}>
+              {block.items.map((item, itemIndex) => (
+                <li key={itemIndex}>{renderInline(item, `${key}-${itemIndex}`)}</li>
+              ))}
+            </List>
+          );
+        }
+        default:
+          return <p key={key}>{renderLines(block.lines, key)}</p>;
+      }
+    })}
+  </div>
+);
+
+export default Markdown;
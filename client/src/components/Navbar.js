@@ -1,7 +1,8 @@
 import React from 'react';
 import { Link, useNavigate } from 'react-router-dom';
 import { useAuth } from '../contexts/AuthContext';
-import { PlusIcon, UserIcon, ArrowRightOnRectangleIcon } from '@heroicons/react/24/outline';
+import { PlusIcon, UserIcon, ArrowRightOnRectangleIcon, FolderIcon, Cog6ToothIcon, BoltIcon } from '@heroicons/react/24/outline';
+import NotificationMenu from './NotificationMenu';
 
 const Navbar = () => {
   const { user, logout } = useAuth();
@@ -25,6 +26,14 @@ const Navbar = () => {
 
           {user ? (
             <div className="flex items-center space-x-4">
+              <Link
+                to="/collections"
+                className="inline-flex items-center text-sm text-slate-300 hover:text-slate-100 transition-colors"
+              >
+                <FolderIcon className="w-4 h-4 mr-2" />
+                Collections
+              </Link>
+
               <Link
                 to="/create"
                 className="inline-flex items-center px-4 py-2 bg-indigo-600 text-white text-sm font-medium rounded-md hover:bg-indigo-700 transition-colors"
@@ -33,11 +42,31 @@ const Navbar = () => {
                 New Snippet
               </Link>
               
+              <NotificationMenu />
+
               <div className="flex items-center space-x-2 text-sm text-slate-300">
                 <UserIcon className="w-4 h-4" />
                 <span>{user.username}</span>
                 <span className="text-slate-500">({user.organization})</span>
               </div>
+
+              <Link
+                to="/settings"
+                className="p-2 text-slate-400 hover:text-slate-300 transition-colors"
+                title="Settings"
+              >
+                <Cog6ToothIcon className="w-5 h-5" />
+              </Link>
+
+              {user.role === 'admin' && (
+                <Link
+                  to="/admin/webhooks"
+                  className="p-2 text-slate-400 hover:text-slate-300 transition-colors"
+                  title="Webhooks"
+                >
+                  <BoltIcon className="w-5 h-5" />
+                </Link>
+              )}
               
               <button
                 onClick={handleLogout}
@@ -0,0 +1,184 @@
+import React, { useState, useEffect, useRef, useCallback } from 'react';
+import { Link, useNavigate } from 'react-router-dom';
+import axios from 'axios';
+import toast from 'react-hot-toast';
+import {
+  BellIcon,
+  ShareIcon,
+  ChatBubbleLeftIcon,
+  ChatBubbleLeftRightIcon,
+  DocumentDuplicateIcon,
+  PencilIcon
+} from '@heroicons/react/24/outline';
+import { useRealtime } from '../contexts/RealtimeContext';
+
+const TYPE_ICONS = {
+  share: ShareIcon,
+  comment: ChatBubbleLeftIcon,
+  reply: ChatBubbleLeftRightIcon,
+  fork: DocumentDuplicateIcon,
+  edit: PencilIcon
+};
+
+const describe = (notification) => {
+  const actor = notification.actor?.username || 'Someone';
+  const target = notification.snippet
+    ? `"${notification.snippet.title}"`
+    : notification.collection
+      ? `the collection "${notification.collection.name}"`
+      : 'a snippet that was deleted';
+
+  switch (notification.type) {
+    case 'share':
+      return `${actor} shared ${target} with you`;
+    case 'comment':
+      return `${actor} commented on ${target}`;
+    case 'reply':
+      return `${actor} replied to a thread on ${target}`;
+    case 'fork':
+      return `${actor} forked your snippet into ${target}`;
+    default:
+      return `${actor} edited ${target}`;
+  }
+};
+
+const linkTo = (notification) => {
+  if (notification.snippet) return `/snippet/${notification.snippet._id}`;
+  if (notification.collection) return `/collection/${notification.collection._id}`;
+  return null;
+};
+
+// Bell with the unread count; opens the latest notifications
+const NotificationMenu = () => {
+  const [isOpen, setIsOpen] = useState(false);
+  const [notifications, setNotifications] = useState([]);
+  const [unreadCount, setUnreadCount] = useState(0);
+  const menuRef = useRef(null);
+  const navigate = useNavigate();
+  const { subscribe } = useRealtime();
+
+  const fetchNotifications = useCallback(async () => {
+    try {
+      const response = await axios.get('/api/notifications', { params: { limit: 10 } });
+      setNotifications(response.data.notifications);
+      setUnreadCount(response.data.unreadCount);
+    } catch (error) {
+      console.error('Failed to load notifications:', error);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchNotifications();
+    return subscribe('notifications:changed', fetchNotifications);
+  }, [fetchNotifications, subscribe]);
+
+  useEffect(() => {
+    if (!isOpen) return undefined;
+    const handleClick = (e) => {
+      if (menuRef.current && !menuRef.current.contains(e.target)) setIsOpen(false);
+    };
+    document.addEventListener('mousedown', handleClick);
+    return () => document.removeEventListener('mousedown', handleClick);
+  }, [isOpen]);
+
+  const toggle = () => {
+    if (!isOpen) fetchNotifications();
+    setIsOpen(!isOpen);
+  };
+
+  const open = async (notification) => {
+    setIsOpen(false);
+    if (!notification.read) {
+      try {
+        const response = await axios.post(`/api/notifications/${notification._id}/read`);
+        setUnreadCount(response.data.unreadCount);
+        setNotifications(prev => prev.map(item => (
+          item._id === notification._id ? { ...item, read: true } : item
+        )));
+      } catch (error) {
+        console.error('Failed to mark notification as read:', error);
+      }
+    }
+    const target = linkTo(notification);
+    if (target) navigate(target);
+  };
+
+  const markAllRead = async () => {
+    try {
+      await axios.post('/api/notifications/read-all');
+      setUnreadCount(0);
+      setNotifications(prev => prev.map(item => ({ ...item, read: true })));
+    } catch (error) {
+      toast.error('Failed to mark notifications as read');
+    }
+  };
+
+  return (
+    <div className="relative" ref={menuRef}>
+      <button
+        onClick={toggle}
+        className="relative p-2 text-slate-400 hover:text-slate-200 transition-colors"
+        title="Notifications"
+      >
+        <BellIcon className="w-5 h-5" />
+        {unreadCount > 0 && (
+          <span className="absolute -top-0.5 -right-0.5 min-w-[1.1rem] h-[1.1rem] px-1 bg-red-600 text-white text-[10px] font-bold rounded-full flex items-center justify-center">
+            {unreadCount > 99 ? '99+' : unreadCount}
+          </span>
+        )}
+      </button>
+
+      {isOpen && (
+        <div className="absolute right-0 z-30 mt-2 w-96 bg-slate-800 border border-slate-600 rounded-lg shadow-xl overflow-hidden">
+          <div className="flex items-center justify-between px-4 py-2 border-b border-slate-700">
+            <span className="text-sm font-semibold text-slate-100">Notifications</span>
+            {unreadCount > 0 && (
+              <button onClick={markAllRead} className="text-xs text-indigo-400 hover:text-indigo-300">
+                Mark all as read
+              </button>
+            )}
+          </div>
+
+          <div className="max-h-96 overflow-y-auto">
+            {notifications.length === 0 ? (
+              <p className="px-4 py-6 text-sm text-center text-slate-400">You're all caught up.</p>
+            ) : notifications.map(notification => {
+              const Icon = TYPE_ICONS[notification.type] || BellIcon;
+              return (
+                <button
+                  key={notification._id}
+                  onClick={() => open(notification)}
+                  className={`w-full flex items-start space-x-3 px-4 py-3 text-left hover:bg-slate-700 transition-colors ${
+                    notification.read ? '' : 'bg-indigo-900/20'
+                  }`}
+                >
+                  <Icon className="w-4 h-4 mt-0.5 text-slate-400 flex-shrink-0" />
+                  <div className="flex-1 min-w-0">
+                    <div className={`text-sm ${notification.read ? 'text-slate-300' : 'text-slate-100'}`}>
+                      {describe(notification)}
+                    </div>
+                    {notification.comment && (
+                      <div className="text-xs text-slate-400 truncate mt-0.5">{notification.comment.preview}</div>
+                    )}
+                    <div className="text-xs text-slate-500 mt-1">{new Date(notification.createdAt).toLocaleString()}</div>
+                  </div>
+                  {!notification.read && <span className="w-2 h-2 mt-1.5 bg-indigo-500 rounded-full flex-shrink-0" />}
+                </button>
+              );
+            })}
+          </div>
+
+          <Link
+            to="/settings"
+            onClick={() => setIsOpen(false)}
+            className="block px-4 py-2 text-xs text-center text-slate-400 hover:text-slate-200 border-t border-slate-700"
+          >
+            Notification settings
+          </Link>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default NotificationMenu;
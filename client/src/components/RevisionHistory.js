@@ -0,0 +1,180 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import axios from 'axios';
+import toast from 'react-hot-toast';
+import { ArrowUturnLeftIcon, ClockIcon } from '@heroicons/react/24/outline';
+import FileDiffs, { DiffModeToggle } from './FileDiffs';
+import LoadingSpinner from './LoadingSpinner';
+
+const RevisionHistory = ({ snippetId, canRestore, onRestored }) => {
+  const [revisions, setRevisions] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [selection, setSelection] = useState({ from: null, to: null });
+  const [diff, setDiff] = useState(null);
+  const [diffLoading, setDiffLoading] = useState(false);
+  const [mode, setMode] = useState('unified');
+
+  const fetchRevisions = useCallback(async () => {
+    try {
+      const response = await axios.get(`/api/snippets/${snippetId}/revisions`);
+      const list = response.data.revisions;
+      setRevisions(list);
+      // Default to comparing the two most recent revisions
+      if (list.length > 1) {
+        setSelection({ from: list[1].number, to: list[0].number });
+      } else if (list.length === 1) {
+        setSelection({ from: list[0].number, to: list[0].number });
+      }
+    } catch (error) {
+      console.error('Error fetching revisions:', error);
+      toast.error('Failed to load revision history');
+    } finally {
+      setLoading(false);
+    }
+  }, [snippetId]);
+
+  useEffect(() => {
+    fetchRevisions();
+  }, [fetchRevisions]);
+
+  useEffect(() => {
+    if (selection.from === null || selection.to === null) return;
+
+    const fetchDiff = async () => {
+      setDiffLoading(true);
+      try {
+        const response = await axios.get(`/api/snippets/${snippetId}/revisions/diff`, {
+          params: { from: selection.from, to: selection.to }
+        });
+        setDiff(response.data);
+      } catch (error) {
+        console.error('Error fetching diff:', error);
+        toast.error(error.response?.data?.error || 'Failed to load diff');
+      } finally {
+        setDiffLoading(false);
+      }
+    };
+
+    fetchDiff();
+  }, [snippetId, selection]);
+
+  const restoreRevision = async (number) => {
+    if (!window.confirm(`Restore revision #${number}? The current state stays in the history.`)) {
+      return;
+    }
+
+    try {
+      const response = await axios.post(`/api/snippets/${snippetId}/revisions/${number}/restore`);
+      toast.success(`Restored revision #${number}`);
+      onRestored?.(response.data);
+      fetchRevisions();
+    } catch (error) {
+      toast.error(error.response?.data?.error || 'Failed to restore revision');
+    }
+  };
+
+  if (loading) {
+    return (
+      <div className="flex justify-center py-8">
+        <LoadingSpinner size="sm" text="Loading history..." />
+      </div>
+    );
+  }
+
+  // Snippets from before revision history start theirs at the next edit
+  if (revisions.length === 0) {
+    return <p className="text-sm text-slate-400 py-8 text-center">No revisions yet. History starts with the next edit.</p>;
+  }
+
+  const selectClass = 'px-3 py-1 bg-slate-700 border border-slate-600 rounded text-slate-100 text-sm focus:outline-none focus:ring-2 focus:ring-indigo-500';
+
+  return (
+    <div className="grid grid-cols-1 lg:grid-cols-4 gap-4">
+      <div className="lg:col-span-1 space-y-2 max-h-[32rem] overflow-y-auto">
+        {revisions.map(revision => (
+          <div
+            key={revision._id}
+            className={`p-3 rounded-lg border transition-colors ${
+              revision.number === selection.to
+                ? 'border-indigo-500 bg-indigo-900/20'
+                : 'border-slate-700 bg-slate-800'
+            }`}
+          >
+            <button
+              onClick={() => setSelection({
+                from: Math.max(1, revision.number - 1),
+                to: revision.number
+              })}
+              className="w-full text-left"
+            >
+              <div className="flex items-center justify-between">
+                <span className="text-sm font-medium text-slate-100">#{revision.number}</span>
+                <span className="text-xs text-slate-400 flex items-center space-x-1">
+                  <ClockIcon className="w-3 h-3" />
+                  <span>{new Date(revision.createdAt).toLocaleString()}</span>
+                </span>
+              </div>
+              <div className="text-xs text-slate-400 mt-1">
+                {revision.author?.username || 'Unknown'}
+                {revision.restoredFrom && ` • restored #${revision.restoredFrom}`}
+              </div>
+              <div className="text-xs text-slate-300 mt-1 truncate">{revision.title}</div>
+            </button>
+            {canRestore && revision.number !== revisions[0].number && (
+              <button
+                onClick={() => restoreRevision(revision.number)}
+                className="mt-2 flex items-center space-x-1 text-xs text-indigo-400 hover:text-indigo-300"
+              >
+                <ArrowUturnLeftIcon className="w-3 h-3" />
+                <span>Restore</span>
+              </button>
+            )}
+          </div>
+        ))}
+      </div>
+
+      <div className="lg:col-span-3 space-y-3">
+        <div className="flex flex-wrap items-center gap-3 text-sm text-slate-300">
+          <span>Compare</span>
+          <select
+            value={selection.from ?? ''}
+            onChange={(e) => setSelection({ ...selection, from: Number(e.target.value) })}
+            className={selectClass}
+          >
+            {revisions.map(revision => (
+              <option key={revision._id} value={revision.number}>#{revision.number}</option>
+            ))}
+          </select>
+          <span>with</span>
+          <select
+            value={selection.to ?? ''}
+            onChange={(e) => setSelection({ ...selection, to: Number(e.target.value) })}
+            className={selectClass}
+          >
+            {revisions.map(revision => (
+              <option key={revision._id} value={revision.number}>#{revision.number}</option>
+            ))}
+          </select>
+
+          <div className="ml-auto">
+            <DiffModeToggle mode={mode} onChange={setMode} />
+          </div>
+        </div>
+
+        {diffLoading ? (
+          <div className="flex justify-center py-8">
+            <LoadingSpinner size="sm" text="Computing diff..." />
+          </div>
+        ) : diff && (
+          <FileDiffs
+            diff={diff}
+            mode={mode}
+            diffKey={`${selection.from}-${selection.to}`}
+            emptyText="No file changes between these revisions."
+          />
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default RevisionHistory;
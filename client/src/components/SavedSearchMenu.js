@@ -0,0 +1,96 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { BookmarkIcon, TrashIcon, ExclamationTriangleIcon } from '@heroicons/react/24/outline';
+
+// Dropdown of the user's saved searches: pick one to load it into the search
+// bar, pin it to the dashboard tabs or delete it
+const SavedSearchMenu = ({ savedSearches, onSelect, onTogglePin, onDelete }) => {
+  const [isOpen, setIsOpen] = useState(false);
+  const menuRef = useRef(null);
+
+  useEffect(() => {
+    if (!isOpen) return undefined;
+    const handleClick = (e) => {
+      if (menuRef.current && !menuRef.current.contains(e.target)) setIsOpen(false);
+    };
+    document.addEventListener('mousedown', handleClick);
+    return () => document.removeEventListener('mousedown', handleClick);
+  }, [isOpen]);
+
+  const totalNew = savedSearches.reduce((total, savedSearch) => total + (savedSearch.newCount || 0), 0);
+
+  return (
+    <div className="relative" ref={menuRef}>
+      <button
+        type="button"
+        onClick={() => setIsOpen(!isOpen)}
+        className={`flex items-center px-4 py-3 rounded-lg border transition-colors ${
+          isOpen
+            ? 'bg-indigo-600 border-indigo-500 text-white'
+            : 'bg-slate-700 border-slate-600 text-slate-300 hover:bg-slate-600'
+        }`}
+      >
+        <BookmarkIcon className="w-5 h-5 mr-2" />
+        Saved
+        {totalNew > 0 && (
+          <span className="ml-2 bg-indigo-500 text-white text-xs px-1.5 py-0.5 rounded-full">
+            {totalNew}
+          </span>
+        )}
+      </button>
+
+      {isOpen && (
+        <div className="absolute right-0 z-20 mt-1 w-72 bg-slate-800 border border-slate-600 rounded-lg shadow-xl overflow-hidden">
+          {savedSearches.map(savedSearch => (
+            <div key={savedSearch._id} className="flex items-center px-3 py-2 hover:bg-slate-700 group">
+              <button
+                type="button"
+                onClick={() => {
+                  onSelect(savedSearch);
+                  setIsOpen(false);
+                }}
+                className="flex-1 min-w-0 text-left"
+              >
+                <div className="flex items-center text-sm text-slate-200">
+                  <span className="truncate">{savedSearch.name}</span>
+                  {savedSearch.newCount > 0 && (
+                    <span className="ml-2 flex-shrink-0 text-xs text-indigo-300">
+                      {savedSearch.newCount} new
+                    </span>
+                  )}
+                  {savedSearch.countError && (
+                    <ExclamationTriangleIcon className="ml-2 w-4 h-4 flex-shrink-0 text-amber-400" title={savedSearch.countError} />
+                  )}
+                </div>
+                <div className="text-xs text-slate-500 font-mono truncate">
+                  {savedSearch.query.mode !== 'text' && `${savedSearch.query.mode}: `}
+                  {savedSearch.query.q || 'All snippets'}
+                </div>
+              </button>
+              <button
+                type="button"
+                onClick={() => onTogglePin(savedSearch)}
+                className="p-1 ml-2 text-slate-400 hover:text-indigo-400"
+                title={savedSearch.pinned ? 'Unpin from dashboard' : 'Pin to dashboard'}
+              >
+                <BookmarkIcon
+                  className={`w-4 h-4 ${savedSearch.pinned ? 'text-indigo-400' : ''}`}
+                  fill={savedSearch.pinned ? 'currentColor' : 'none'}
+                />
+              </button>
+              <button
+                type="button"
+                onClick={() => onDelete(savedSearch)}
+                className="p-1 text-slate-400 hover:text-red-400"
+                title="Delete saved search"
+              >
+                <TrashIcon className="w-4 h-4" />
+              </button>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default SavedSearchMenu;
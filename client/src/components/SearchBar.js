@@ -1,14 +1,43 @@
-import React, { useState, useEffect, useCallback } from 'react';
-import { MagnifyingGlassIcon, FunnelIcon, XMarkIcon } from '@heroicons/react/24/outline';
+import React, { useState, useEffect, useCallback, useMemo, useRef } from 'react';
+import { MagnifyingGlassIcon, FunnelIcon, XMarkIcon, ExclamationCircleIcon, BookmarkIcon } from '@heroicons/react/24/outline';
+import { tokenAt, suggestionsFor } from '../utils/searchQuery';
+import SavedSearchMenu from './SavedSearchMenu';
 
-const SearchBar = ({ onSearch, languages = [], tags = [] }) => {
+const SEARCH_MODES = [
+  { id: 'text', label: 'Text', placeholder: 'Search code... "exact phrase", prefix*, lang:python, tag:etl, -deprecated' },
+  { id: 'regex', label: 'Regex', placeholder: 'Regular expression, e.g. useEffect\\(\\s*async or /todo/i' },
+  { id: 'symbol', label: 'Symbol', placeholder: 'Identifiers, e.g. getUser or handle*' }
+];
+
+const SearchBar = ({
+  onSearch,
+  languages = [],
+  tags = [],
+  authors = [],
+  error = null,
+  savedSearches = [],
+  onSaveSearch,
+  onTogglePinSearch,
+  onDeleteSavedSearch
+}) => {
   const [searchTerm, setSearchTerm] = useState('');
   const [showFilters, setShowFilters] = useState(false);
+  const [cursor, setCursor] = useState(0);
+  const [showSuggestions, setShowSuggestions] = useState(false);
+  const [activeSuggestion, setActiveSuggestion] = useState(0);
+  const inputRef = useRef(null);
   const [filters, setFilters] = useState({
     language: 'all',
     tags: '',
-    author: ''
+    author: '',
+    mode: 'text',
+    scope: 'all'
   });
+  const mode = SEARCH_MODES.find(candidate => candidate.id === filters.mode);
+  const [showSaveForm, setShowSaveForm] = useState(false);
+  const [saveName, setSaveName] = useState('');
+  const [savePinned, setSavePinned] = useState(true);
+  const [saving, setSaving] = useState(false);
 
   const debouncedSearch = useCallback(() => {
     const delayedSearch = setTimeout(() => {
@@ -23,18 +52,98 @@ const SearchBar = ({ onSearch, languages = [], tags = [] }) => {
     return cleanup;
   }, [debouncedSearch]);
 
+  const token = useMemo(() => tokenAt(searchTerm, cursor), [searchTerm, cursor]);
+  const suggestions = useMemo(
+    () => (showSuggestions && filters.mode === 'text' ? suggestionsFor(token, { languages, tags, authors }) : []),
+    [showSuggestions, filters.mode, token, languages, tags, authors]
+  );
+
+  useEffect(() => {
+    setActiveSuggestion(0);
+  }, [suggestions.length, token?.start]);
+
+  const handleInputChange = (e) => {
+    setSearchTerm(e.target.value);
+    setCursor(e.target.selectionStart);
+    setShowSuggestions(true);
+  };
+
+  const applySuggestion = (suggestion) => {
+    const before = searchTerm.slice(0, token.start) + suggestion.insert;
+    const after = searchTerm.slice(token.end);
+    setSearchTerm(before + (suggestion.insert.endsWith(' ') ? after.replace(/^ /, '') : after));
+    setCursor(before.length);
+    requestAnimationFrame(() => {
+      if (!inputRef.current) return;
+      inputRef.current.focus();
+      inputRef.current.setSelectionRange(before.length, before.length);
+    });
+  };
+
+  const handleKeyDown = (e) => {
+    if (suggestions.length === 0) return;
+    if (e.key === 'ArrowDown') {
+      e.preventDefault();
+      setActiveSuggestion(index => (index + 1) % suggestions.length);
+    } else if (e.key === 'ArrowUp') {
+      e.preventDefault();
+      setActiveSuggestion(index => (index - 1 + suggestions.length) % suggestions.length);
+    } else if (e.key === 'Enter' || e.key === 'Tab') {
+      e.preventDefault();
+      applySuggestion(suggestions[Math.min(activeSuggestion, suggestions.length - 1)]);
+    } else if (e.key === 'Escape') {
+      setShowSuggestions(false);
+    }
+  };
+
   const handleFilterChange = (key, value) => {
     setFilters(prev => ({ ...prev, [key]: value }));
   };
 
   const clearFilters = () => {
-    setFilters({ language: 'all', tags: '', author: '' });
+    const cleared = { ...filters, language: 'all', tags: '', author: '' };
+    setFilters(cleared);
     setSearchTerm('');
-    onSearch('', { language: 'all', tags: '', author: '' });
+    onSearch('', cleared);
   };
 
   const hasActiveFilters = filters.language !== 'all' || filters.tags || filters.author || searchTerm;
 
+  // The current search in the shape the saved searches API stores
+  const currentQuery = () => ({
+    q: searchTerm.trim(),
+    mode: filters.mode,
+    scope: filters.mode === 'symbol' ? filters.scope : 'all',
+    language: filters.language !== 'all' ? filters.language : '',
+    tags: filters.tags.trim(),
+    author: filters.author.trim()
+  });
+
+  const loadSavedSearch = (savedSearch) => {
+    const { query } = savedSearch;
+    setSearchTerm(query.q || '');
+    setFilters({
+      language: query.language || 'all',
+      tags: query.tags || '',
+      author: query.author || '',
+      mode: query.mode || 'text',
+      scope: query.scope || 'all'
+    });
+    setShowFilters(Boolean(query.language || query.tags || query.author));
+  };
+
+  const handleSaveSearch = async (e) => {
+    e.preventDefault();
+    if (!saveName.trim()) return;
+    setSaving(true);
+    const saved = await onSaveSearch(saveName.trim(), currentQuery(), savePinned);
+    setSaving(false);
+    if (saved) {
+      setShowSaveForm(false);
+      setSaveName('');
+    }
+  };
+
   return (
     <div className="bg-slate-800 rounded-lg border border-slate-700 p-4 mb-6">
       <div className="flex flex-col lg:flex-row gap-4">
@@ -42,16 +151,69 @@ const SearchBar = ({ onSearch, languages = [], tags = [] }) => {
         <div className="flex-1 relative">
           <MagnifyingGlassIcon className="absolute left-3 top-1/2 transform -translate-y-1/2 w-5 h-5 text-slate-400" />
           <input
+            ref={inputRef}
             type="text"
-            placeholder="Search snippets by title, description, or content..."
+            placeholder={mode.placeholder}
             value={searchTerm}
-            onChange={(e) => setSearchTerm(e.target.value)}
-            className="w-full pl-10 pr-4 py-3 bg-slate-700 border border-slate-600 rounded-lg text-slate-100 placeholder-slate-400 focus:outline-none focus:ring-2 focus:ring-indigo-500 focus:border-indigo-500"
+            onChange={handleInputChange}
+            onSelect={(e) => setCursor(e.target.selectionStart)}
+            onKeyDown={handleKeyDown}
+            onFocus={() => setShowSuggestions(true)}
+            onBlur={() => setShowSuggestions(false)}
+            spellCheck={false}
+            className={`w-full pl-10 pr-4 py-3 bg-slate-700 border rounded-lg text-slate-100 placeholder-slate-400 focus:outline-none focus:ring-2 ${
+              error ? 'border-red-500 focus:ring-red-500' : 'border-slate-600 focus:ring-indigo-500 focus:border-indigo-500'
+            }`}
           />
+
+          {/* Operator and value suggestions */}
+          {suggestions.length > 0 && (
+            <ul className="absolute z-20 left-0 right-0 top-full mt-1 bg-slate-800 border border-slate-600 rounded-lg shadow-xl overflow-hidden">
+              {suggestions.map((suggestion, index) => (
+                <li key={suggestion.insert}>
+                  <button
+                    type="button"
+                    onMouseDown={(e) => {
+                      e.preventDefault();
+                      applySuggestion(suggestion);
+                    }}
+                    onMouseEnter={() => setActiveSuggestion(index)}
+                    className={`w-full flex items-center justify-between px-3 py-2 text-left text-sm ${
+                      index === activeSuggestion ? 'bg-indigo-600 text-white' : 'text-slate-300'
+                    }`}
+                  >
+                    <span className="font-mono">{suggestion.label}</span>
+                    {suggestion.detail && (
+                      <span className={`text-xs ${index === activeSuggestion ? 'text-indigo-200' : 'text-slate-500'}`}>
+                        {suggestion.detail}
+                      </span>
+                    )}
+                  </button>
+                </li>
+              ))}
+            </ul>
+          )}
         </div>
 
-        {/* Filter Toggle */}
+        {/* Search Mode and Filter Toggle */}
         <div className="flex gap-2">
+          <div className="flex rounded-lg border border-slate-600 overflow-hidden">
+            {SEARCH_MODES.map(candidate => (
+              <button
+                key={candidate.id}
+                type="button"
+                onClick={() => handleFilterChange('mode', candidate.id)}
+                className={`px-3 py-3 text-sm transition-colors ${
+                  filters.mode === candidate.id
+                    ? 'bg-indigo-600 text-white'
+                    : 'bg-slate-700 text-slate-300 hover:bg-slate-600'
+                }`}
+              >
+                {candidate.label}
+              </button>
+            ))}
+          </div>
+
           <button
             onClick={() => setShowFilters(!showFilters)}
             className={`flex items-center px-4 py-3 rounded-lg border transition-colors ${
@@ -64,6 +226,25 @@ const SearchBar = ({ onSearch, languages = [], tags = [] }) => {
             Filters
           </button>
 
+          {savedSearches.length > 0 && (
+            <SavedSearchMenu
+              savedSearches={savedSearches}
+              onSelect={loadSavedSearch}
+              onTogglePin={onTogglePinSearch}
+              onDelete={onDeleteSavedSearch}
+            />
+          )}
+
+          {hasActiveFilters && onSaveSearch && (
+            <button
+              onClick={() => setShowSaveForm(!showSaveForm)}
+              className="flex items-center px-4 py-3 bg-slate-700 border border-slate-600 text-slate-300 hover:bg-slate-600 rounded-lg transition-colors"
+            >
+              <BookmarkIcon className="w-5 h-5 mr-2" />
+              Save
+            </button>
+          )}
+
           {hasActiveFilters && (
             <button
               onClick={clearFilters}
@@ -76,6 +257,71 @@ const SearchBar = ({ onSearch, languages = [], tags = [] }) => {
         </div>
       </div>
 
+      {/* Save Search Form */}
+      {showSaveForm && hasActiveFilters && (
+        <form onSubmit={handleSaveSearch} className="mt-3 flex flex-col sm:flex-row sm:items-center gap-3">
+          <input
+            type="text"
+            placeholder="Name this search"
+            value={saveName}
+            onChange={(e) => setSaveName(e.target.value)}
+            maxLength={100}
+            autoFocus
+            className="flex-1 px-3 py-2 bg-slate-700 border border-slate-600 rounded-lg text-slate-100 placeholder-slate-400 focus:outline-none focus:ring-2 focus:ring-indigo-500"
+          />
+          <label className="inline-flex items-center text-sm text-slate-300 cursor-pointer">
+            <input
+              type="checkbox"
+              checked={savePinned}
+              onChange={(e) => setSavePinned(e.target.checked)}
+              className="mr-2 rounded border-slate-600 bg-slate-700 text-indigo-600 focus:ring-indigo-500"
+            />
+            Pin to dashboard
+          </label>
+          <div className="flex gap-2">
+            <button
+              type="submit"
+              disabled={saving || !saveName.trim()}
+              className="px-4 py-2 bg-indigo-600 hover:bg-indigo-700 disabled:opacity-50 text-white rounded-lg transition-colors"
+            >
+              {saving ? 'Saving...' : 'Save search'}
+            </button>
+            <button
+              type="button"
+              onClick={() => setShowSaveForm(false)}
+              className="px-4 py-2 bg-slate-700 hover:bg-slate-600 text-slate-300 rounded-lg transition-colors"
+            >
+              Cancel
+            </button>
+          </div>
+        </form>
+      )}
+
+      {filters.mode === 'symbol' && (
+        <label className="mt-3 inline-flex items-center text-sm text-slate-300 cursor-pointer">
+          <input
+            type="checkbox"
+            checked={filters.scope === 'code'}
+            onChange={(e) => handleFilterChange('scope', e.target.checked ? 'code' : 'all')}
+            className="mr-2 rounded border-slate-600 bg-slate-700 text-indigo-600 focus:ring-indigo-500"
+          />
+          Only match code (skip comments and strings)
+        </label>
+      )}
+
+      {/* Query errors */}
+      {error && (
+        <p className="mt-2 flex items-center text-xs text-red-400">
+          <ExclamationCircleIcon className="w-4 h-4 mr-1 flex-shrink-0" />
+          {error.message}
+          {typeof error.position === 'number' && (
+            <span className="ml-2 font-mono text-red-300">
+              at "{searchTerm.slice(error.position).split(/\s/)[0]}"
+            </span>
+          )}
+        </p>
+      )}
+
       {/* Filters Panel */}
       {showFilters && (
         <div className="mt-4 pt-4 border-t border-slate-700">
@@ -0,0 +1,41 @@
+import React from 'react';
+
+// Text with the [start, end] ranges returned by the search API marked
+export const Highlighted = ({ text, highlights = [] }) => {
+  const parts = [];
+  let position = 0;
+  highlights.forEach(([start, end], index) => {
+    if (start > position) parts.push(text.slice(position, start));
+    parts.push(
+      <mark key={index} className="bg-amber-400/30 text-amber-200 rounded-sm">
+        {text.slice(start, end)}
+      </mark>
+    );
+    position = end;
+  });
+  if (position < text.length) parts.push(text.slice(position));
+  return <>{parts}</>;
+};
+
+// Where a search result matched, apart from its title
+const SearchMatches = ({ matches, limit = 3 }) => {
+  const shown = (matches || []).filter(match => match.field !== 'title').slice(0, limit);
+  if (shown.length === 0) return null;
+
+  return (
+    <div className="mb-3 space-y-1">
+      {shown.map((match, index) => (
+        <div key={index} className="text-xs bg-slate-900/60 rounded px-2 py-1 border border-slate-700/50 overflow-hidden">
+          <div className="text-slate-500 mb-0.5">
+            {match.field === 'content' ? `${match.filename}:${match.line}` : match.field}
+          </div>
+          <div className={`truncate text-slate-300 ${match.field === 'content' || match.field === 'filename' ? 'font-mono whitespace-pre' : ''}`}>
+            <Highlighted text={match.text} highlights={match.highlights} />
+          </div>
+        </div>
+      ))}
+    </div>
+  );
+};
+
+export default SearchMatches;
@@ -0,0 +1,214 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import axios from 'axios';
+import toast from 'react-hot-toast';
+import { ClipboardIcon, LockClosedIcon, NoSymbolIcon, PlusIcon, ArrowPathIcon } from '@heroicons/react/24/outline';
+
+const EXPIRY_OPTIONS = [
+  { value: '', label: 'Never' },
+  { value: '1', label: '1 hour' },
+  { value: '24', label: '1 day' },
+  { value: '168', label: '7 days' },
+  { value: '720', label: '30 days' }
+];
+
+const STATUS_LABELS = {
+  active: { text: 'active', className: 'bg-green-900/50 text-green-300' },
+  revoked: { text: 'revoked', className: 'bg-red-900/50 text-red-300' },
+  expired: { text: 'expired', className: 'bg-slate-600 text-slate-300' },
+  view_limit_reached: { text: 'used up', className: 'bg-slate-600 text-slate-300' }
+};
+
+const EMPTY_FORM = { label: '', expiresInHours: '', maxViews: '', password: '' };
+
+const inputClass = 'px-3 py-2 border border-slate-600 rounded-lg bg-slate-700 text-slate-100 text-sm focus:outline-none focus:ring-2 focus:ring-indigo-500';
+
+// Extra share links of a snippet, each with optional expiry, view limit and
+// password, plus replacing the permanent link. For the snippet's owner.
+const ShareLinks = ({ snippet, onShareIdRotated }) => {
+  const [links, setLinks] = useState(null);
+  const [showForm, setShowForm] = useState(false);
+  const [form, setForm] = useState(EMPTY_FORM);
+
+  const fetchLinks = useCallback(async () => {
+    try {
+      const response = await axios.get(`/api/snippets/${snippet._id}/share-links`);
+      setLinks(response.data.links);
+    } catch (error) {
+      toast.error('Failed to load share links');
+    }
+  }, [snippet._id]);
+
+  useEffect(() => {
+    fetchLinks();
+  }, [fetchLinks]);
+
+  const linkUrl = (link) => `${window.location.origin}/share/${link.token}`;
+
+  const createLink = async (e) => {
+    e.preventDefault();
+    try {
+      const response = await axios.post(`/api/snippets/${snippet._id}/share-links`, {
+        label: form.label || undefined,
+        expiresAt: form.expiresInHours
+          ? new Date(Date.now() + Number(form.expiresInHours) * 60 * 60 * 1000).toISOString()
+          : undefined,
+        maxViews: form.maxViews ? Number(form.maxViews) : undefined,
+        password: form.password || undefined
+      });
+      await navigator.clipboard.writeText(linkUrl(response.data)).catch(() => {});
+      toast.success('Share link created and copied');
+      setForm(EMPTY_FORM);
+      setShowForm(false);
+      fetchLinks();
+    } catch (error) {
+      toast.error(error.response?.data?.error || 'Failed to create share link');
+    }
+  };
+
+  const revoke = async (link) => {
+    if (!window.confirm(`Revoke ${link.label ? `"${link.label}"` : 'this link'}? Anyone using it will be told it was revoked.`)) return;
+    try {
+      await axios.delete(`/api/snippets/${snippet._id}/share-links/${link._id}`);
+      toast.success('Share link revoked');
+      fetchLinks();
+    } catch (error) {
+      toast.error(error.response?.data?.error || 'Failed to revoke share link');
+    }
+  };
+
+  const rotate = async () => {
+    if (!window.confirm('Replace the permanent share link? The current link and any embeds using it will stop working.')) return;
+    try {
+      const response = await axios.post(`/api/snippets/${snippet._id}/share-id/rotate`);
+      onShareIdRotated(response.data.shareId);
+      toast.success('Permanent share link replaced');
+    } catch (error) {
+      toast.error(error.response?.data?.error || 'Failed to replace share link');
+    }
+  };
+
+  const copy = (link) => {
+    navigator.clipboard.writeText(linkUrl(link));
+    toast.success('Share link copied to clipboard!');
+  };
+
+  return (
+    <div>
+      <div className="flex items-center justify-between mb-2">
+        <label className="block text-sm font-medium text-slate-300">Limited Links</label>
+        <div className="flex items-center space-x-3">
+          <button
+            type="button"
+            onClick={rotate}
+            className="flex items-center space-x-1 text-xs text-slate-400 hover:text-slate-200"
+            title="Give the permanent share link a new address"
+          >
+            <ArrowPathIcon className="w-4 h-4" />
+            <span>Replace permanent link</span>
+          </button>
+          <button
+            type="button"
+            onClick={() => setShowForm(!showForm)}
+            className="flex items-center space-x-1 px-2 py-1 bg-indigo-600 text-white text-xs hover:bg-indigo-700 rounded transition-colors"
+          >
+            <PlusIcon className="w-3.5 h-3.5" />
+            <span>New Link</span>
+          </button>
+        </div>
+      </div>
+
+      {showForm && (
+        <form onSubmit={createLink} className="p-3 mb-3 bg-slate-700/50 rounded-lg space-y-3">
+          <div className="grid gap-3 md:grid-cols-2">
+            <input
+              type="text"
+              value={form.label}
+              onChange={(e) => setForm({ ...form, label: e.target.value })}
+              placeholder="Label, e.g. Vendor review"
+              maxLength={100}
+              className={inputClass}
+            />
+            <select
+              value={form.expiresInHours}
+              onChange={(e) => setForm({ ...form, expiresInHours: e.target.value })}
+              className={inputClass}
+            >
+              {EXPIRY_OPTIONS.map(({ value, label }) => (
+                <option key={label} value={value}>Expires: {label}</option>
+              ))}
+            </select>
+            <input
+              type="number"
+              min="1"
+              value={form.maxViews}
+              onChange={(e) => setForm({ ...form, maxViews: e.target.value })}
+              placeholder="Max views (unlimited)"
+              className={inputClass}
+            />
+            <input
+              type="password"
+              value={form.password}
+              onChange={(e) => setForm({ ...form, password: e.target.value })}
+              placeholder="Password (optional)"
+              minLength={4}
+              autoComplete="new-password"
+              className={inputClass}
+            />
+          </div>
+          <div className="flex justify-end space-x-2">
+            <button
+              type="button"
+              onClick={() => setShowForm(false)}
+              className="px-3 py-1.5 bg-slate-700 text-slate-300 text-sm hover:bg-slate-600 rounded-lg transition-colors"
+            >
+              Cancel
+            </button>
+            <button type="submit" className="px-3 py-1.5 bg-indigo-600 text-white text-sm hover:bg-indigo-700 rounded-lg transition-colors">
+              Create Link
+            </button>
+          </div>
+        </form>
+      )}
+
+      {links === null ? null : links.length === 0 ? (
+        <p className="text-xs text-slate-400">
+          Links that expire, stop after a number of views or need a password. They follow the same visibility rules as the share link above.
+        </p>
+      ) : (
+        <div className="space-y-2">
+          {links.map(link => {
+            const status = STATUS_LABELS[link.status] || STATUS_LABELS.active;
+            return (
+              <div key={link._id} className="flex items-center justify-between p-3 bg-slate-700 rounded-lg">
+                <div className="min-w-0">
+                  <div className="flex items-center space-x-2 text-sm">
+                    <span className="text-slate-100 truncate">{link.label || `…/share/${link.token}`}</span>
+                    {link.hasPassword && <LockClosedIcon className="w-3.5 h-3.5 text-slate-400" title="Password protected" />}
+                    <span className={`px-2 py-0.5 rounded-full text-xs ${status.className}`}>{status.text}</span>
+                  </div>
+                  <div className="text-xs text-slate-500 mt-1">
+                    {link.views}{link.maxViews ? ` of ${link.maxViews}` : ''} view{link.views === 1 && !link.maxViews ? '' : 's'}
+                    {' · '}
+                    {link.expiresAt ? `Expires ${new Date(link.expiresAt).toLocaleString()}` : 'No expiry'}
+                  </div>
+                </div>
+                {link.status === 'active' && (
+                  <div className="flex items-center">
+                    <button onClick={() => copy(link)} className="p-1 text-slate-400 hover:text-slate-200" title="Copy link">
+                      <ClipboardIcon className="w-4 h-4" />
+                    </button>
+                    <button onClick={() => revoke(link)} className="p-1 text-slate-400 hover:text-red-400 transition-colors" title="Revoke link">
+                      <NoSymbolIcon className="w-4 h-4" />
+                    </button>
+                  </div>
+                )}
+              </div>
+            );
+          })}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ShareLinks;
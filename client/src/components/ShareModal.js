@@ -1,9 +1,21 @@
 import React, { useState, useEffect } from 'react';
-import { XMarkIcon, ClipboardIcon, EnvelopeIcon, LinkIcon, UserPlusIcon, TrashIcon } from '@heroicons/react/24/outline';
+import { XMarkIcon, ClipboardIcon, EnvelopeIcon, LinkIcon, UserPlusIcon, TrashIcon, CodeBracketIcon } from '@heroicons/react/24/outline';
 import axios from 'axios';
 import toast from 'react-hot-toast';
+import ShareLinks from './ShareLinks';
 
-const ShareModal = ({ isOpen, onClose, snippet }) => {
+// Where each kind of shareable item lives in the API and the client
+const KINDS = {
+  snippet: { noun: 'snippet', api: '/api/snippets', sharePath: '/share', directPath: '/snippet' },
+  collection: { noun: 'collection', api: '/api/collections', sharePath: '/share/collection', directPath: '/collection' }
+};
+
+// Share links and the sharing list of a snippet, or of a collection when
+// `collection` is given instead
+const ShareModal = ({ isOpen, onClose, snippet, collection }) => {
+  const item = collection || snippet;
+  const kind = collection ? KINDS.collection : KINDS.snippet;
+  const title = item?.title ?? item?.name;
   const [copied, setCopied] = useState('');
   const [activeTab, setActiveTab] = useState('links');
   const [shareForm, setShareForm] = useState({
@@ -13,17 +25,28 @@ const ShareModal = ({ isOpen, onClose, snippet }) => {
   });
   const [sharingDetails, setSharingDetails] = useState(null);
   const [loading, setLoading] = useState(false);
+  const [selectedEntries, setSelectedEntries] = useState(new Set());
+  // The permanent share link can be replaced while the modal is open
+  const [shareId, setShareId] = useState(item?.shareId);
+
+  useEffect(() => {
+    setShareId(item?.shareId);
+  }, [item]);
+
+  // Only the owner can manage the sharing list
+  const canManageSharing = item?.permissions?.isOwner !== false;
 
   useEffect(() => {
-    if (isOpen && snippet) {
+    if (isOpen && item && canManageSharing) {
       fetchSharingDetails();
     }
-  }, [isOpen, snippet]);
+  }, [isOpen, item, canManageSharing]);
 
   const fetchSharingDetails = async () => {
     try {
-      const response = await axios.get(`/api/snippets/${snippet._id}/sharing`);
+      const response = await axios.get(`${kind.api}/${item._id}/sharing`);
       setSharingDetails(response.data);
+      setSelectedEntries(new Set());
     } catch (error) {
       console.error('Error fetching sharing details:', error);
     }
@@ -37,17 +60,17 @@ const ShareModal = ({ isOpen, onClose, snippet }) => {
   };
 
   const shareViaEmail = () => {
-    const shareUrl = `${window.location.origin}/share/${snippet.shareId}`;
-    const subject = `Code Snippet: ${snippet.title}`;
-    const body = `Check out this code snippet:\n\nTitle: ${snippet.title}\n${snippet.description ? `Description: ${snippet.description}\n` : ''}Link: ${shareUrl}`;
+    const shareUrl = `${window.location.origin}${kind.sharePath}/${shareId}`;
+    const subject = collection ? `Snippet Collection: ${title}` : `Code Snippet: ${title}`;
+    const body = `Check out this ${collection ? 'snippet collection' : 'code snippet'}:\n\nTitle: ${title}\n${item.description ? `Description: ${item.description}\n` : ''}Link: ${shareUrl}`;
     const emailUrl = `mailto:?subject=${encodeURIComponent(subject)}&body=${encodeURIComponent(body)}`;
     window.location.href = emailUrl;
   };
 
   const getVisibilityInfo = () => {
-    switch (snippet.visibility) {
+    switch (item.visibility) {
       case 'public':
-        return { color: 'text-green-400', text: 'Anyone can view this snippet' };
+        return { color: 'text-green-400', text: `Anyone can view this ${kind.noun}` };
       case 'organization':
         return { color: 'text-blue-400', text: 'Only members of your organization can view' };
       case 'private':
@@ -70,17 +93,21 @@ const ShareModal = ({ isOpen, onClose, snippet }) => {
         return;
       }
 
-      const response = await axios.post(`/api/snippets/${snippet._id}/share`, {
+      const response = await axios.post(`${kind.api}/${item._id}/share`, {
         emails,
         usernames,
         permissions: shareForm.permissions
       });
 
-      toast.success('Snippet shared successfully!');
+      const emailed = response.data.emailed?.length || 0;
+      toast.success(
+        `${collection ? 'Collection' : 'Snippet'} shared successfully!` +
+        (emailed > 0 ? ` ${emailed === 1 ? 'An invitation was' : `${emailed} invitations were`} emailed.` : '')
+      );
       setShareForm({ emails: '', usernames: '', permissions: 'view' });
       fetchSharingDetails(); // Refresh the list
     } catch (error) {
-      toast.error(error.response?.data?.error || 'Failed to share snippet');
+      toast.error(error.response?.data?.error || `Failed to share ${kind.noun}`);
     } finally {
       setLoading(false);
     }
@@ -88,7 +115,7 @@ const ShareModal = ({ isOpen, onClose, snippet }) => {
 
   const removeSharedUser = async (shareEntryId) => {
     try {
-      await axios.delete(`/api/snippets/${snippet._id}/share/${shareEntryId}`);
+      await axios.delete(`${kind.api}/${item._id}/share/${shareEntryId}`);
       toast.success('User removed from sharing list');
       fetchSharingDetails(); // Refresh the list
     } catch (error) {
@@ -96,17 +123,95 @@ const ShareModal = ({ isOpen, onClose, snippet }) => {
     }
   };
 
+  const updatePermission = async (shareEntryId, permissions) => {
+    try {
+      await axios.patch(`${kind.api}/${item._id}/share/${shareEntryId}`, { permissions });
+      toast.success(`Access changed to ${permissions}`);
+      fetchSharingDetails();
+    } catch (error) {
+      toast.error(error.response?.data?.error || 'Failed to update permission');
+    }
+  };
+
+  const toggleSelected = (shareEntryId) => {
+    const next = new Set(selectedEntries);
+    if (next.has(shareEntryId)) {
+      next.delete(shareEntryId);
+    } else {
+      next.add(shareEntryId);
+    }
+    setSelectedEntries(next);
+  };
+
+  const revokeSelected = async () => {
+    if (!window.confirm(`Revoke access for ${selectedEntries.size} selected ${selectedEntries.size === 1 ? 'entry' : 'entries'}?`)) {
+      return;
+    }
+
+    try {
+      const response = await axios.post(`${kind.api}/${item._id}/share/revoke`, {
+        shareEntryIds: [...selectedEntries]
+      });
+      toast.success(response.data.message);
+      fetchSharingDetails();
+    } catch (error) {
+      toast.error(error.response?.data?.error || 'Failed to revoke access');
+    }
+  };
+
+  const renderShareEntry = (share) => (
+    <div key={share.id} className="flex items-center justify-between p-3 bg-slate-700 rounded-lg">
+      <input
+        type="checkbox"
+        checked={selectedEntries.has(share.id)}
+        onChange={() => toggleSelected(share.id)}
+        className="mr-3 rounded border-slate-500 bg-slate-600 text-indigo-600 focus:ring-indigo-500"
+      />
+      <div className="flex-1 min-w-0">
+        <div className="text-sm text-slate-100 truncate">
+          {share.user ? share.user.username : share.email}
+        </div>
+        <div className="text-xs text-slate-400 truncate">
+          {share.user ? share.user.email || share.email : 'Invitation pending — no account yet'}
+        </div>
+        <div className="text-xs text-slate-500">
+          Shared {new Date(share.sharedAt).toLocaleDateString()}
+          {share.sharedBy && ` by ${share.sharedBy.username}`}
+        </div>
+      </div>
+      <select
+        value={share.permissions}
+        onChange={(e) => updatePermission(share.id, e.target.value)}
+        className="mx-2 px-2 py-1 text-xs border border-slate-600 rounded bg-slate-800 text-slate-100 focus:outline-none focus:ring-2 focus:ring-indigo-500"
+      >
+        <option value="view">View</option>
+        <option value="edit">Edit</option>
+      </select>
+      <button
+        onClick={() => removeSharedUser(share.id)}
+        className="p-1 text-slate-400 hover:text-red-400 transition-colors"
+        title="Remove access"
+      >
+        <TrashIcon className="w-4 h-4" />
+      </button>
+    </div>
+  );
+
   if (!isOpen) return null;
 
-  const shareUrl = `${window.location.origin}/share/${snippet.shareId}`;
-  const directUrl = `${window.location.origin}/snippet/${snippet._id}`;
+  const shareUrl = `${window.location.origin}${kind.sharePath}/${shareId}`;
+  const directUrl = `${window.location.origin}${kind.directPath}/${item._id}`;
+  const embedCodes = collection ? [] : [
+    { type: 'Embed script', code: `<script src="${window.location.origin}/embed/${shareId}.js"></script>` },
+    { type: 'Embed iframe', code: `<iframe src="${window.location.origin}/embed/${shareId}" title="${title.replace(/&/g, '&amp;').replace(/"/g, '&quot;')}" width="100%" height="400" frameborder="0"></iframe>` }
+  ];
   const visibilityInfo = getVisibilityInfo();
 
   return (
     <div className="fixed inset-0 bg-black bg-opacity-70 flex items-center justify-center z-50">
       <div className="bg-slate-800 rounded-lg border border-slate-700 p-6 w-full max-w-2xl mx-4 max-h-[90vh] overflow-y-auto">
         <div className="flex justify-between items-center mb-4">
-          <h3 className="text-lg font-semibold text-slate-100">Share Snippet</h3>
+          <h3 className="text-lg font-semibold text-slate-100">{collection ? 'Share Collection' : 'Share Snippet'}</h3>
           <button
             onClick={onClose}
             className="p-1 hover:bg-slate-700 rounded text-slate-400 hover:text-slate-300"
@@ -116,7 +221,7 @@ const ShareModal = ({ isOpen, onClose, snippet }) => {
         </div>
 
         <div className="mb-4">
-          <h4 className="font-medium text-slate-100 mb-2">{snippet.title}</h4>
+          <h4 className="font-medium text-slate-100 mb-2">{title}</h4>
           <p className={`text-sm ${visibilityInfo.color} mb-4`}>
             {visibilityInfo.text}
           </p>
@@ -135,16 +240,18 @@ const ShareModal = ({ isOpen, onClose, snippet }) => {
             >
               Share Links
             </button>
-            <button
-              onClick={() => setActiveTab('users')}
-              className={`py-2 px-1 border-b-2 font-medium text-sm ${
-                activeTab === 'users'
-                  ? 'border-indigo-500 text-indigo-400'
-                  : 'border-transparent text-slate-400 hover:text-slate-300'
-              }`}
-            >
-              Specific Users
-            </button>
+            {canManageSharing && (
+              <button
+                onClick={() => setActiveTab('users')}
+                className={`py-2 px-1 border-b-2 font-medium text-sm ${
+                  activeTab === 'users'
+                    ? 'border-indigo-500 text-indigo-400'
+                    : 'border-transparent text-slate-400 hover:text-slate-300'
+                }`}
+              >
+                Specific Users
+              </button>
+            )}
           </nav>
         </div>
 
@@ -152,7 +259,7 @@ const ShareModal = ({ isOpen, onClose, snippet }) => {
           <div className="space-y-4">
             <div>
               <label className="block text-sm font-medium text-slate-300 mb-2">
-                Share Link {snippet.visibility === 'private' ? '(Organization)' : snippet.visibility === 'organization' ? '(Organization)' : '(Public)'}
+                Share Link {item.visibility === 'private' ? '(Organization)' : item.visibility === 'organization' ? '(Organization)' : '(Public)'}
               </label>
               <div className="flex">
                 <input
@@ -198,6 +305,45 @@ const ShareModal = ({ isOpen, onClose, snippet }) => {
               </div>
             </div>
 
+            {!collection && canManageSharing && (
+              <ShareLinks snippet={item} onShareIdRotated={setShareId} />
+            )}
+
+            {embedCodes.length > 0 && (
+              <div>
+                <label className="block text-sm font-medium text-slate-300 mb-2">
+                  Embed in a Wiki Page
+                </label>
+                <div className="space-y-2">
+                  {embedCodes.map(({ type, code }) => (
+                    <div key={type} className="flex">
+                      <input
+                        type="text"
+                        value={code}
+                        readOnly
+                        className="flex-1 px-3 py-2 border border-slate-600 rounded-l-md bg-slate-700 text-slate-100 text-sm font-mono"
+                      />
+                      <button
+                        onClick={() => copyToClipboard(code, type)}
+                        title={`Copy ${type.toLowerCase()}`}
+                        className="px-3 py-2 bg-slate-600 text-white rounded-r-md hover:bg-slate-500 transition-colors"
+                      >
+                        {copied === type ? (
+                          <span className="text-xs">Copied!</span>
+                        ) : (
+                          <CodeBracketIcon className="w-4 h-4" />
+                        )}
+                      </button>
+                    </div>
+                  ))}
+                </div>
+                <p className="mt-1 text-xs text-slate-400">
+                  Options go after the URL, such as <code>?theme=light&amp;lines=10-20</code>; <code>file=name</code> shows a single file.
+                  {item.visibility !== 'public' && ' Only public snippets show on other sites; this one needs a signed-in member of your organization, on a page of the same site as SnipSafe.'}
+                </p>
+              </div>
+            )}
+
             <div className="flex space-x-3">
               <button
                 onClick={shareViaEmail}
@@ -264,35 +410,38 @@ const ShareModal = ({ isOpen, onClose, snippet }) => {
               </button>
             </form>
 
+            {selectedEntries.size > 0 && (
+              <div className="flex items-center justify-between p-3 bg-red-900/20 border border-red-700/40 rounded-lg">
+                <span className="text-sm text-red-300">{selectedEntries.size} selected</span>
+                <button
+                  onClick={revokeSelected}
+                  className="px-3 py-1 text-sm bg-red-600 text-white rounded hover:bg-red-700 transition-colors"
+                >
+                  Revoke selected
+                </button>
+              </div>
+            )}
+
             {/* Currently shared users */}
             {sharingDetails && sharingDetails.sharedWith.length > 0 && (
               <div className="mt-6">
                 <h5 className="text-sm font-medium text-slate-300 mb-3">
-                  Shared with ({sharingDetails.sharedWith.length} users)
+                  Shared with ({sharingDetails.sharedWith.length} {sharingDetails.sharedWith.length === 1 ? 'user' : 'users'})
                 </h5>
                 <div className="space-y-2 max-h-48 overflow-y-auto">
-                  {sharingDetails.sharedWith.map((share) => (
-                    <div key={share.id} className="flex items-center justify-between p-3 bg-slate-700 rounded-lg">
-                      <div className="flex-1">
-                        <div className="text-sm text-slate-100">
-                          {share.user ? share.user.username : 'Pending'}
-                        </div>
-                        <div className="text-xs text-slate-400">
-                          {share.email} • {share.permissions} access
-                        </div>
-                        <div className="text-xs text-slate-500">
-                          Shared {new Date(share.sharedAt).toLocaleDateString()}
-                        </div>
-                      </div>
-                      <button
-                        onClick={() => removeSharedUser(share.id)}
-                        className="p-1 text-slate-400 hover:text-red-400 transition-colors"
-                        title="Remove access"
-                      >
-                        <TrashIcon className="w-4 h-4" />
-                      </button>
-                    </div>
-                  ))}
+                  {sharingDetails.sharedWith.map(renderShareEntry)}
+                </div>
+              </div>
+            )}
+
+            {/* Invitations to emails without an account */}
+            {sharingDetails && sharingDetails.pendingInvites?.length > 0 && (
+              <div className="mt-6">
+                <h5 className="text-sm font-medium text-slate-300 mb-3">
+                  Pending invites ({sharingDetails.pendingInvites.length})
+                </h5>
+                <div className="space-y-2 max-h-48 overflow-y-auto">
+                  {sharingDetails.pendingInvites.map(renderShareEntry)}
                 </div>
               </div>
             )}
@@ -0,0 +1,147 @@
+import React, { useState, useEffect } from 'react';
+import axios from 'axios';
+import toast from 'react-hot-toast';
+import { ChatBubbleLeftRightIcon } from '@heroicons/react/24/outline';
+import SnippetFilesView, { snippetFiles } from './SnippetFilesView';
+import CommentThread, { CommentForm } from './CommentThread';
+
+// The files of a snippet with comment threads shown below the lines they are
+// anchored to, followed by the discussion: comments on the whole snippet and
+// threads whose lines have changed since.
+const SnippetComments = ({ snippet, style, rawUrl }) => {
+  const [threads, setThreads] = useState([]);
+  const [selection, setSelection] = useState(null);
+
+  useEffect(() => {
+    const fetchComments = async () => {
+      try {
+        const response = await axios.get(`/api/snippets/${snippet._id}/comments`);
+        setThreads(response.data.threads);
+      } catch (error) {
+        toast.error('Failed to load comments');
+      }
+    };
+
+    fetchComments();
+  }, [snippet._id]);
+
+  const updateThread = (threadId) => (updated) => {
+    setThreads(prev => (updated
+      ? prev.map(thread => (thread._id === threadId ? updated : thread))
+      : prev.filter(thread => thread._id !== threadId)));
+  };
+
+  const addComment = async (body, anchor = {}) => {
+    try {
+      const response = await axios.post(`/api/snippets/${snippet._id}/comments`, { body, ...anchor });
+      setThreads(prev => [...prev, response.data]);
+      setSelection(null);
+    } catch (error) {
+      toast.error(error.response?.data?.error || 'Failed to add comment');
+      throw error;
+    }
+  };
+
+  const selectLine = (file, lineNumber, extend) => {
+    if (extend && selection && selection.fileId === file._id) {
+      setSelection({
+        fileId: file._id,
+        startLine: Math.min(selection.startLine, lineNumber),
+        endLine: Math.max(selection.endLine, lineNumber)
+      });
+    } else {
+      setSelection({ fileId: file._id, startLine: lineNumber, endLine: lineNumber });
+    }
+  };
+
+  // Threads shown inline are those whose anchor still matches the current code
+  const lineCounts = new Map(snippetFiles(snippet).map(file => [file._id, file.content.split('\n').length]));
+  const isInline = (thread) => thread.fileId && !thread.outdated &&
+    lineCounts.has(thread.fileId) && thread.endLine <= lineCounts.get(thread.fileId);
+  const discussion = threads.filter(thread => !isInline(thread));
+  const openCount = threads.filter(thread => !thread.resolved).length;
+
+  const renderAfterLine = (file, lineNumber) => {
+    const anchored = threads.filter(thread =>
+      isInline(thread) && thread.fileId === file._id && thread.endLine === lineNumber
+    );
+    const selecting = selection && selection.fileId === file._id && selection.endLine === lineNumber;
+    if (anchored.length === 0 && !selecting) return null;
+
+    return (
+      <div className="pr-4 font-sans whitespace-normal">
+        {anchored.map(thread => (
+          <CommentThread
+            key={thread._id}
+            thread={thread}
+            snippetId={snippet._id}
+            onThreadChange={updateThread(thread._id)}
+          />
+        ))}
+        {selecting && (
+          <div className="my-2 p-3 bg-slate-800 border border-indigo-500 rounded-lg">
+            <div className="text-xs text-slate-400 mb-2">
+              Commenting on {selection.startLine === selection.endLine
+                ? `line ${selection.startLine}`
+                : `lines ${selection.startLine}–${selection.endLine}`}
+            </div>
+            <CommentForm
+              onSubmit={(body) => addComment(body, selection)}
+              onCancel={() => setSelection(null)}
+              autoFocus
+            />
+          </div>
+        )}
+      </div>
+    );
+  };
+
+  const filenames = new Map(snippetFiles(snippet).map(file => [file._id, file.filename]));
+
+  return (
+    <>
+      <SnippetFilesView
+        snippet={snippet}
+        style={style}
+        onLineClick={selectLine}
+        selection={selection}
+        renderAfterLine={renderAfterLine}
+        rawUrl={rawUrl}
+      />
+
+      <div className="p-6 border-t border-slate-700">
+        <h2 className="text-lg font-semibold text-slate-100 mb-4 flex items-center space-x-2">
+          <ChatBubbleLeftRightIcon className="w-5 h-5" />
+          <span>Discussion</span>
+          <span className="text-sm font-normal text-slate-400">
+            {threads.length === 0
+              ? '— hover over a line and click + to comment on it'
+              : `${openCount} open ${openCount === 1 ? 'thread' : 'threads'}`}
+          </span>
+        </h2>
+
+        <div className="space-y-3">
+          {discussion.map(thread => (
+            <div key={thread._id}>
+              {thread.fileId && (
+                <div className="text-xs text-slate-400 font-mono">
+                  {filenames.get(thread.fileId) || 'Removed file'}
+                </div>
+              )}
+              <CommentThread
+                thread={thread}
+                snippetId={snippet._id}
+                onThreadChange={updateThread(thread._id)}
+                showAnchor
+              />
+            </div>
+          ))}
+
+          <CommentForm placeholder="Comment on the whole snippet (markdown supported)" onSubmit={addComment} />
+        </div>
+      </div>
+    </>
+  );
+};
+
+export default SnippetComments;
@@ -0,0 +1,135 @@
+import React from 'react';
+import { Prism as SyntaxHighlighter } from 'react-syntax-highlighter';
+import { oneDark } from 'react-syntax-highlighter/dist/esm/styles/prism';
+import { PlusIcon, TrashIcon } from '@heroicons/react/24/outline';
+import { LANGUAGES, languageLabel, defaultFilename, languageFromFilename } from '../utils/languages';
+
+let nextKey = 0;
+
+// A file that has not been saved yet; `key` identifies it until it has an _id
+export const createFile = (fields = {}) => ({
+  key: `new-${nextKey++}`,
+  filename: '',
+  language: 'plaintext',
+  content: '',
+  ...fields
+});
+
+// Files left unnamed get the default name for their language
+export const resolveFilename = (file, index) => file.filename.trim() || defaultFilename(file.language, index);
+
+const inputClass = 'px-3 py-2 border border-slate-600 rounded-lg bg-slate-700 text-slate-100 focus:outline-none focus:ring-2 focus:ring-indigo-500 disabled:opacity-60';
+
+// Editable list of snippet files, each with a filename, language and code.
+// `renderEditor(file, index)` can supply the code editor for a file; when it
+// returns nothing a plain textarea is used. Editors stay mounted in preview
+// mode so live editing sessions are not dropped.
+const SnippetFilesEditor = ({ files, onChange, previewMode, renderEditor, isLanguageLocked = () => false, maxFiles = 20, placeholder = 'Paste or type your code here...' }) => {
+  const updateFile = (index, changes) => {
+    onChange(files.map((file, i) => (i === index ? { ...file, ...changes } : file)));
+  };
+
+  const handleFilenameChange = (index, filename) => {
+    const file = files[index];
+    const detected = languageFromFilename(filename);
+    updateFile(index, detected && !isLanguageLocked(file) ? { filename, language: detected } : { filename });
+  };
+
+  const addFile = () => {
+    const language = files[files.length - 1]?.language || 'plaintext';
+    onChange([...files, createFile({ language })]);
+  };
+
+  const removeFile = (index) => {
+    onChange(files.filter((file, i) => i !== index));
+  };
+
+  return (
+    <div className="space-y-6">
+      {files.map((file, index) => (
+        <div key={file._id || file.key}>
+          <div className="flex flex-wrap items-center gap-3 mb-2">
+            <input
+              type="text"
+              value={file.filename}
+              onChange={(e) => handleFilenameChange(index, e.target.value)}
+              className={`${inputClass} font-mono text-sm flex-1 min-w-[12rem]`}
+              placeholder={defaultFilename(file.language, index)}
+              aria-label="Filename"
+            />
+            <select
+              value={file.language}
+              onChange={(e) => updateFile(index, { language: e.target.value })}
+              disabled={isLanguageLocked(file)}
+              className={`${inputClass} text-sm`}
+              aria-label="Language"
+            >
+              {LANGUAGES.map(lang => (
+                <option key={lang} value={lang}>
+                  {languageLabel(lang)}
+                </option>
+              ))}
+            </select>
+            <span className="text-xs text-slate-400">
+              {file.content.length} characters, {file.content.split('\n').length} lines
+            </span>
+            {files.length > 1 && (
+              <button
+                type="button"
+                onClick={() => removeFile(index)}
+                className="p-2 text-slate-400 hover:text-red-400 transition-colors"
+                title="Remove file"
+              >
+                <TrashIcon className="w-4 h-4" />
+              </button>
+            )}
+          </div>
+
+          {previewMode && (
+            <div className="border border-slate-600 rounded-lg overflow-hidden">
+              <SyntaxHighlighter
+                language={file.language}
+                style={oneDark}
+                customStyle={{
+                  margin: 0,
+                  padding: '1rem',
+                  fontSize: '14px',
+                  lineHeight: '1.5'
+                }}
+                showLineNumbers
+              >
+                {file.content || '// Your code will appear here...'}
+              </SyntaxHighlighter>
+            </div>
+          )}
+
+          <div className={previewMode ? 'hidden' : ''}>
+            {renderEditor?.(file, index) || (
+              <textarea
+                value={file.content}
+                onChange={(e) => updateFile(index, { content: e.target.value })}
+                rows={index === 0 ? 20 : 12}
+                className="w-full px-4 py-3 border border-slate-600 rounded-lg bg-slate-700 text-slate-100 focus:outline-none focus:ring-2 focus:ring-indigo-500 font-mono text-sm resize-y"
+                placeholder={placeholder}
+                spellCheck={false}
+              />
+            )}
+          </div>
+        </div>
+      ))}
+
+      {files.length < maxFiles && (
+        <button
+          type="button"
+          onClick={addFile}
+          className="flex items-center space-x-2 px-4 py-2 bg-slate-700 text-slate-300 hover:bg-slate-600 hover:text-slate-200 rounded-lg transition-colors"
+        >
+          <PlusIcon className="w-4 h-4" />
+          <span>Add file</span>
+        </button>
+      )}
+    </div>
+  );
+};
+
+export default SnippetFilesEditor;
@@ -0,0 +1,106 @@
+import React from 'react';
+import { Prism as SyntaxHighlighter, createElement } from 'react-syntax-highlighter';
+import { vscDarkPlus } from 'react-syntax-highlighter/dist/esm/styles/prism';
+import toast from 'react-hot-toast';
+import { DocumentTextIcon, ArrowDownTrayIcon } from '@heroicons/react/24/outline';
+import { defaultFilename } from '../utils/languages';
+import { downloadFile } from '../utils/download';
+
+// Files of a snippet; snippets from before multi-file support only have content
+export const snippetFiles = (snippet) => (
+  snippet.files && snippet.files.length > 0
+    ? snippet.files
+    : [{ _id: snippet._id, filename: defaultFilename(snippet.language), language: snippet.language, content: snippet.content }]
+);
+
+// Read-only, syntax highlighted listing of every file in a snippet.
+// With `onLineClick`, each line gets a button in the gutter (shift-click
+// extends the range), lines of `selection` ({ fileId, startLine, endLine })
+// are highlighted and `renderAfterLine(file, lineNumber)` can insert content
+// such as comment threads below any line. With `rawUrl`, each file can be
+// downloaded from that raw endpoint.
+const SnippetFilesView = ({ snippet, style = vscDarkPlus, onLineClick, selection, renderAfterLine, rawUrl }) => {
+  const files = snippetFiles(snippet);
+
+  const download = async (file) => {
+    try {
+      await downloadFile(`${rawUrl}?file=${encodeURIComponent(file.filename)}`, file.filename);
+    } catch (error) {
+      toast.error('Failed to download file');
+    }
+  };
+
+  const isSelected = (file, lineNumber) => (
+    selection && selection.fileId === file._id &&
+    lineNumber >= selection.startLine && lineNumber <= selection.endLine
+  );
+
+  const lineRenderer = (file) => ({ rows, stylesheet, useInlineStyles }) => rows.map((row, index) => {
+    const lineNumber = index + 1;
+    return (
+      <React.Fragment key={lineNumber}>
+        <div className={`group relative ${isSelected(file, lineNumber) ? 'bg-indigo-500/20' : ''}`}>
+          <button
+            type="button"
+            onClick={(e) => onLineClick(file, lineNumber, e.shiftKey)}
+            title="Comment on this line (shift-click to select a range)"
+            className="absolute -left-7 top-0.5 w-5 h-5 leading-5 text-center rounded bg-indigo-600 text-white text-xs font-sans opacity-0 group-hover:opacity-100 focus:opacity-100"
+          >
+            +
+          </button>
+          {createElement({ node: row, stylesheet, useInlineStyles, key: `code-${lineNumber}` })}
+        </div>
+        {renderAfterLine && renderAfterLine(file, lineNumber)}
+      </React.Fragment>
+    );
+  });
+
+  return (
+    <div className="divide-y divide-slate-700">
+      {files.map(file => (
+        <div key={file._id || file.filename} id={`file-${file.filename}`}>
+          <div className="flex items-center justify-between px-8 py-2 bg-slate-900/60 text-sm">
+            <div className="flex items-center space-x-2 text-slate-200 font-mono">
+              <DocumentTextIcon className="w-4 h-4 text-slate-400" />
+              <span>{file.filename}</span>
+            </div>
+            <div className="flex items-center space-x-3 text-xs text-slate-400">
+              <span>{file.content.split('\n').length} lines</span>
+              <span className="bg-slate-700 px-2 py-0.5 rounded text-slate-300">{file.language}</span>
+              {rawUrl && (
+                <button onClick={() => download(file)} className="hover:text-slate-200 transition-colors" title="Download file">
+                  <ArrowDownTrayIcon className="w-4 h-4" />
+                </button>
+              )}
+            </div>
+          </div>
+          <div className="overflow-x-auto">
+            <SyntaxHighlighter
+              language={file.language}
+              style={style}
+              customStyle={{
+                margin: 0,
+                borderRadius: 0,
+                fontSize: '15px',
+                lineHeight: '1.6',
+                backgroundColor: '#0f172a',
+                padding: '2rem'
+              }}
+              showLineNumbers
+              renderer={onLineClick ? lineRenderer(file) : undefined}
+              lineNumberStyle={{
+                minWidth: '3em',
+                paddingRight: '1em',
+                fontSize: '14px'
+              }}
+            >
+              {file.content}
+            </SyntaxHighlighter>
+          </div>
+        </div>
+      ))}
+    </div>
+  );
+};
+
+export default SnippetFilesView;
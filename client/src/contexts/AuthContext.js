@@ -49,6 +49,12 @@ export const AuthProvider = ({ children }) => {
     }
   };
 
+  const announceClaimedShares = (count) => {
+    if (count > 0) {
+      toast.success(`${count} snippet${count === 1 ? ' was' : 's were'} shared with you before you signed up`);
+    }
+  };
+
   const login = async (email, password) => {
     try {
       const response = await axios.post('/api/auth/login', { email, password });
@@ -59,6 +65,7 @@ export const AuthProvider = ({ children }) => {
       setUser(user);
       
       toast.success('Login successful!');
+      announceClaimedShares(response.data.claimedShares);
       return true;
     } catch (error) {
       toast.error(error.response?.data?.error || 'Login failed');
@@ -76,6 +83,7 @@ export const AuthProvider = ({ children }) => {
       setUser(user);
       
       toast.success('Registration successful!');
+      announceClaimedShares(response.data.claimedShares);
       return true;
     } catch (error) {
       toast.error(error.response?.data?.error || 'Registration failed');
@@ -104,6 +112,7 @@ export const AuthProvider = ({ children }) => {
       setUser(user);
       
       toast.success('Azure AD login successful!');
+      announceClaimedShares(response.data.claimedShares);
       return true;
     } catch (error) {
       toast.error(error.response?.data?.error || 'Azure AD login failed');
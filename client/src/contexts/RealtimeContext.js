@@ -0,0 +1,110 @@
+import React, { createContext, useContext, useState, useEffect, useRef, useCallback } from 'react';
+import { useAuth } from './AuthContext';
+
+const RealtimeContext = createContext();
+
+const MAX_RECONNECT_DELAY = 30000;
+
+export const useRealtime = () => {
+  const context = useContext(RealtimeContext);
+  if (!context) {
+    throw new Error('useRealtime must be used within a RealtimeProvider');
+  }
+  return context;
+};
+
+const buildSocketUrl = (token) => {
+  const protocol = window.location.protocol === 'https:' ? 'wss' : 'ws';
+  return `${protocol}://${window.location.host}/api/realtime?token=${encodeURIComponent(token)}`;
+};
+
+// One WebSocket per signed-in tab. Components subscribe to message types and
+// re-send their own state (e.g. presence joins) whenever `connected` flips back on.
+export const RealtimeProvider = ({ children }) => {
+  const { user } = useAuth();
+  const [connected, setConnected] = useState(false);
+  const socketRef = useRef(null);
+  const listenersRef = useRef(new Map());
+
+  useEffect(() => {
+    const token = localStorage.getItem('token');
+    if (!user || !token) return;
+
+    let closedByUs = false;
+    let reconnectTimer;
+    let attempts = 0;
+
+    const connect = () => {
+      const socket = new WebSocket(buildSocketUrl(token));
+      socketRef.current = socket;
+
+      socket.onopen = () => {
+        attempts = 0;
+        setConnected(true);
+      };
+
+      socket.onmessage = (event) => {
+        let message;
+        try {
+          message = JSON.parse(event.data);
+        } catch (error) {
+          return;
+        }
+
+        if (message.type === 'error') {
+          console.error('Realtime error:', message.error);
+        }
+
+        const listeners = listenersRef.current.get(message.type);
+        listeners?.forEach(listener => listener(message));
+      };
+
+      socket.onclose = () => {
+        setConnected(false);
+        if (closedByUs) return;
+
+        const delay = Math.min(MAX_RECONNECT_DELAY, 1000 * 2 ** attempts);
+        attempts++;
+        reconnectTimer = setTimeout(connect, delay);
+      };
+    };
+
+    connect();
+
+    return () => {
+      closedByUs = true;
+      clearTimeout(reconnectTimer);
+      socketRef.current?.close();
+      socketRef.current = null;
+    };
+  }, [user]);
+
+  const send = useCallback((message) => {
+    const socket = socketRef.current;
+    if (socket && socket.readyState === WebSocket.OPEN) {
+      socket.send(JSON.stringify(message));
+      return true;
+    }
+    return false;
+  }, []);
+
+  const subscribe = useCallback((type, listener) => {
+    const listeners = listenersRef.current;
+    if (!listeners.has(type)) listeners.set(type, new Set());
+    listeners.get(type).add(listener);
+
+    return () => listeners.get(type)?.delete(listener);
+  }, []);
+
+  const value = {
+    connected,
+    send,
+    subscribe
+  };
+
+  return (
+    <RealtimeContext.Provider value={value}>
+      {children}
+    </RealtimeContext.Provider>
+  );
+};
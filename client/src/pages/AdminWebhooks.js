@@ -0,0 +1,480 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import axios from 'axios';
+import toast from 'react-hot-toast';
+import {
+  PlusIcon,
+  BoltIcon,
+  PaperAirplaneIcon,
+  KeyIcon,
+  TrashIcon,
+  ArrowPathIcon,
+  ClipboardDocumentIcon,
+  ChevronDownIcon,
+  ChevronRightIcon
+} from '@heroicons/react/24/outline';
+import LoadingSpinner from '../components/LoadingSpinner';
+
+const STATUS_BADGES = {
+  pending: 'bg-yellow-900/50 text-yellow-300',
+  sending: 'bg-blue-900/50 text-blue-300',
+  succeeded: 'bg-green-900/50 text-green-300',
+  failed: 'bg-red-900/50 text-red-300'
+};
+
+const EMPTY_FORM = { url: '', description: '', events: [] };
+
+const inputClass = 'px-3 py-2 border border-slate-600 rounded-lg bg-slate-700 text-slate-100 focus:outline-none focus:ring-2 focus:ring-indigo-500';
+
+const copy = async (text) => {
+  try {
+    await navigator.clipboard.writeText(text);
+    toast.success('Copied to clipboard');
+  } catch (error) {
+    toast.error('Failed to copy');
+  }
+};
+
+// Shown once after a webhook is created or its secret rotated
+const SecretNotice = ({ secret, onDismiss }) => (
+  <div className="bg-amber-900/30 border border-amber-700 rounded-lg p-4 space-y-2">
+    <p className="text-sm text-amber-200">
+      Copy the signing secret now; it won't be shown again. Use it to verify the
+      <code className="mx-1 text-amber-100">X-SnipSafe-Signature</code> header of each delivery.
+    </p>
+    <div className="flex items-center space-x-2">
+      <code className="flex-1 px-3 py-2 bg-slate-900 rounded text-sm text-slate-100 break-all">{secret}</code>
+      <button onClick={() => copy(secret)} className="p-2 text-slate-300 hover:text-slate-100" title="Copy secret">
+        <ClipboardDocumentIcon className="w-5 h-5" />
+      </button>
+    </div>
+    <button onClick={onDismiss} className="text-xs text-amber-300 hover:text-amber-200">Done</button>
+  </div>
+);
+
+const EventCheckboxes = ({ events, selected, onChange }) => (
+  <div className="flex flex-wrap gap-4">
+    {events.map(event => (
+      <label key={event} className="flex items-center space-x-2 text-sm text-slate-300 cursor-pointer">
+        <input
+          type="checkbox"
+          checked={selected.includes(event)}
+          onChange={() => onChange(
+            selected.includes(event) ? selected.filter(item => item !== event) : [...selected, event]
+          )}
+          className="rounded border-slate-600 bg-slate-700 text-indigo-600 focus:ring-indigo-500"
+        />
+        <code>{event}</code>
+      </label>
+    ))}
+  </div>
+);
+
+const DeliveryLog = ({ webhookId, refreshKey }) => {
+  const [deliveries, setDeliveries] = useState(null);
+  const [page, setPage] = useState(1);
+  const [totalPages, setTotalPages] = useState(1);
+  const [expanded, setExpanded] = useState(null);
+
+  const fetchDeliveries = useCallback(async () => {
+    try {
+      const response = await axios.get(`/api/admin/webhooks/${webhookId}/deliveries`, { params: { page } });
+      setDeliveries(response.data.deliveries);
+      setTotalPages(response.data.totalPages);
+    } catch (error) {
+      toast.error(error.response?.data?.error || 'Failed to load deliveries');
+    }
+  }, [webhookId, page]);
+
+  useEffect(() => {
+    fetchDeliveries();
+  }, [fetchDeliveries, refreshKey]);
+
+  const redeliver = async (delivery) => {
+    try {
+      await axios.post(`/api/admin/webhooks/${webhookId}/deliveries/${delivery._id}/redeliver`);
+      toast.success('Delivery queued');
+      setPage(1);
+      fetchDeliveries();
+    } catch (error) {
+      toast.error(error.response?.data?.error || 'Failed to redeliver');
+    }
+  };
+
+  if (deliveries === null) {
+    return (
+      <div className="flex justify-center py-4">
+        <LoadingSpinner size="sm" />
+      </div>
+    );
+  }
+
+  if (deliveries.length === 0) {
+    return <p className="text-sm text-slate-400 py-4 text-center">No deliveries yet</p>;
+  }
+
+  return (
+    <div className="space-y-2">
+      <table className="w-full text-sm">
+        <thead>
+          <tr className="text-left text-xs text-slate-500 uppercase">
+            <th className="py-2 font-medium">Event</th>
+            <th className="py-2 font-medium">Status</th>
+            <th className="py-2 font-medium">Response</th>
+            <th className="py-2 font-medium">Attempts</th>
+            <th className="py-2 font-medium">Time</th>
+            <th className="py-2"></th>
+          </tr>
+        </thead>
+        <tbody className="divide-y divide-slate-700">
+          {deliveries.map(delivery => (
+            <React.Fragment key={delivery._id}>
+              <tr
+                onClick={() => setExpanded(expanded === delivery._id ? null : delivery._id)}
+                className="cursor-pointer hover:bg-slate-700/50"
+              >
+                <td className="py-2 text-slate-200"><code>{delivery.event}</code></td>
+                <td className="py-2">
+                  <span className={`px-2 py-0.5 rounded-full text-xs ${STATUS_BADGES[delivery.status]}`}>{delivery.status}</span>
+                </td>
+                <td className="py-2 text-slate-300">
+                  {delivery.responseStatus || (delivery.error ? <span className="text-red-400">{delivery.error}</span> : '—')}
+                  {delivery.duration !== undefined && <span className="text-slate-500 ml-2">{delivery.duration} ms</span>}
+                </td>
+                <td className="py-2 text-slate-300">{delivery.attempts}</td>
+                <td className="py-2 text-slate-400">{new Date(delivery.createdAt).toLocaleString()}</td>
+                <td className="py-2 text-right">
+                  {['succeeded', 'failed'].includes(delivery.status) && (
+                    <button
+                      onClick={(e) => { e.stopPropagation(); redeliver(delivery); }}
+                      className="p-1 text-slate-400 hover:text-slate-200"
+                      title="Redeliver"
+                    >
+                      <ArrowPathIcon className="w-4 h-4" />
+                    </button>
+                  )}
+                </td>
+              </tr>
+              {expanded === delivery._id && (
+                <tr>
+                  <td colSpan={6} className="pb-3">
+                    <div className="grid gap-3 md:grid-cols-2">
+                      <div>
+                        <div className="text-xs text-slate-500 mb-1">Payload</div>
+                        <pre className="p-3 bg-slate-900 rounded text-xs text-slate-300 overflow-x-auto max-h-64">
+                          {JSON.stringify(delivery.payload, null, 2)}
+                        </pre>
+                      </div>
+                      <div>
+                        <div className="text-xs text-slate-500 mb-1">Response body</div>
+                        <pre className="p-3 bg-slate-900 rounded text-xs text-slate-300 overflow-x-auto max-h-64 whitespace-pre-wrap">
+                          {delivery.responseBody || '—'}
+                        </pre>
+                        {delivery.status === 'pending' && delivery.attempts > 0 && (
+                          <p className="text-xs text-slate-400 mt-2">
+                            Next attempt {new Date(delivery.nextAttemptAt).toLocaleString()}
+                          </p>
+                        )}
+                      </div>
+                    </div>
+                  </td>
+                </tr>
+              )}
+            </React.Fragment>
+          ))}
+        </tbody>
+      </table>
+
+      {totalPages > 1 && (
+        <div className="flex justify-center items-center space-x-3 text-sm">
+          <button
+            onClick={() => setPage(page - 1)}
+            disabled={page === 1}
+            className="px-3 py-1 bg-slate-700 text-slate-300 rounded disabled:opacity-50"
+          >
+            Previous
+          </button>
+          <span className="text-slate-400">Page {page} of {totalPages}</span>
+          <button
+            onClick={() => setPage(page + 1)}
+            disabled={page === totalPages}
+            className="px-3 py-1 bg-slate-700 text-slate-300 rounded disabled:opacity-50"
+          >
+            Next
+          </button>
+        </div>
+      )}
+    </div>
+  );
+};
+
+const WebhookCard = ({ webhook, events, onChange, onSecret }) => {
+  const [showLog, setShowLog] = useState(false);
+  const [editing, setEditing] = useState(false);
+  const [form, setForm] = useState(webhook);
+  const [testing, setTesting] = useState(false);
+  const [refreshKey, setRefreshKey] = useState(0);
+
+  const update = async (changes) => {
+    try {
+      await axios.put(`/api/admin/webhooks/${webhook._id}`, changes);
+      setEditing(false);
+      onChange();
+    } catch (error) {
+      toast.error(error.response?.data?.error || 'Failed to update webhook');
+    }
+  };
+
+  const sendTest = async () => {
+    setTesting(true);
+    try {
+      const response = await axios.post(`/api/admin/webhooks/${webhook._id}/test`);
+      const delivery = response.data;
+      if (delivery.status === 'succeeded') {
+        toast.success(`Test event delivered (${delivery.responseStatus})`);
+      } else {
+        toast.error(`Test event failed: ${delivery.responseStatus || delivery.error}`);
+      }
+      setShowLog(true);
+      setRefreshKey(key => key + 1);
+      onChange();
+    } catch (error) {
+      toast.error(error.response?.data?.error || 'Failed to send test event');
+    } finally {
+      setTesting(false);
+    }
+  };
+
+  const rotateSecret = async () => {
+    if (!window.confirm('Rotate the signing secret? Receivers must switch to the new secret to keep verifying deliveries.')) return;
+    try {
+      const response = await axios.post(`/api/admin/webhooks/${webhook._id}/secret`);
+      onSecret(response.data.secret);
+    } catch (error) {
+      toast.error(error.response?.data?.error || 'Failed to rotate secret');
+    }
+  };
+
+  const remove = async () => {
+    if (!window.confirm(`Delete the webhook for ${webhook.url}? Its delivery log is deleted too.`)) return;
+    try {
+      await axios.delete(`/api/admin/webhooks/${webhook._id}`);
+      toast.success('Webhook deleted');
+      onChange();
+    } catch (error) {
+      toast.error(error.response?.data?.error || 'Failed to delete webhook');
+    }
+  };
+
+  return (
+    <div className="bg-slate-800 rounded-lg border border-slate-700">
+      <div className="p-4 space-y-3">
+        {editing ? (
+          <form
+            onSubmit={(e) => { e.preventDefault(); update({ url: form.url, description: form.description, events: form.events }); }}
+            className="space-y-3"
+          >
+            <div className="grid gap-3 md:grid-cols-2">
+              <input type="url" value={form.url} onChange={(e) => setForm({ ...form, url: e.target.value })} required className={inputClass} />
+              <input
+                type="text"
+                value={form.description}
+                onChange={(e) => setForm({ ...form, description: e.target.value })}
+                placeholder="Description (optional)"
+                maxLength={200}
+                className={inputClass}
+              />
+            </div>
+            <EventCheckboxes events={events} selected={form.events} onChange={(selected) => setForm({ ...form, events: selected })} />
+            <div className="flex justify-end space-x-3">
+              <button
+                type="button"
+                onClick={() => setEditing(false)}
+                className="px-4 py-2 bg-slate-700 text-slate-300 hover:bg-slate-600 rounded-lg transition-colors"
+              >
+                Cancel
+              </button>
+              <button type="submit" className="px-4 py-2 bg-indigo-600 text-white hover:bg-indigo-700 rounded-lg transition-colors">
+                Save
+              </button>
+            </div>
+          </form>
+        ) : (
+          <div className="flex items-start justify-between">
+            <div className="min-w-0">
+              <div className="flex items-center space-x-2">
+                <BoltIcon className={`w-5 h-5 flex-shrink-0 ${webhook.active ? 'text-indigo-400' : 'text-slate-500'}`} />
+                <span className="text-slate-100 font-medium truncate">{webhook.url}</span>
+                {!webhook.active && <span className="px-2 py-0.5 rounded-full text-xs bg-slate-700 text-slate-400">disabled</span>}
+              </div>
+              {webhook.description && <p className="text-sm text-slate-400 mt-1">{webhook.description}</p>}
+              <div className="flex flex-wrap gap-2 mt-2">
+                {webhook.events.map(event => (
+                  <code key={event} className="px-2 py-0.5 bg-slate-700 rounded text-xs text-slate-300">{event}</code>
+                ))}
+              </div>
+            </div>
+            <div className="flex items-center space-x-1 flex-shrink-0">
+              <button
+                onClick={sendTest}
+                disabled={testing}
+                className="flex items-center space-x-1 px-3 py-1.5 bg-slate-700 text-slate-200 hover:bg-slate-600 rounded-lg text-sm transition-colors disabled:opacity-50"
+              >
+                <PaperAirplaneIcon className="w-4 h-4" />
+                <span>{testing ? 'Sending...' : 'Send test event'}</span>
+              </button>
+              <button
+                onClick={() => update({ active: !webhook.active })}
+                className="px-3 py-1.5 text-sm text-slate-300 hover:text-slate-100"
+              >
+                {webhook.active ? 'Disable' : 'Enable'}
+              </button>
+              <button onClick={() => { setForm(webhook); setEditing(true); }} className="px-3 py-1.5 text-sm text-slate-300 hover:text-slate-100">
+                Edit
+              </button>
+              <button onClick={rotateSecret} className="p-2 text-slate-400 hover:text-slate-200" title="Rotate signing secret">
+                <KeyIcon className="w-4 h-4" />
+              </button>
+              <button onClick={remove} className="p-2 text-slate-400 hover:text-red-400" title="Delete webhook">
+                <TrashIcon className="w-4 h-4" />
+              </button>
+            </div>
+          </div>
+        )}
+
+        <button
+          onClick={() => setShowLog(!showLog)}
+          className="flex items-center space-x-1 text-sm text-slate-400 hover:text-slate-200"
+        >
+          {showLog ? <ChevronDownIcon className="w-4 h-4" /> : <ChevronRightIcon className="w-4 h-4" />}
+          <span>Deliveries</span>
+          {webhook.lastDelivery && (
+            <span className={`ml-2 px-2 py-0.5 rounded-full text-xs ${STATUS_BADGES[webhook.lastDelivery.status]}`}>
+              last: {webhook.lastDelivery.responseStatus || webhook.lastDelivery.status}
+            </span>
+          )}
+        </button>
+      </div>
+
+      {showLog && (
+        <div className="px-4 pb-4 border-t border-slate-700">
+          <DeliveryLog webhookId={webhook._id} refreshKey={refreshKey} />
+        </div>
+      )}
+    </div>
+  );
+};
+
+// Admin page for the webhooks of the organization
+const AdminWebhooks = () => {
+  const [webhooks, setWebhooks] = useState([]);
+  const [events, setEvents] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [showForm, setShowForm] = useState(false);
+  const [form, setForm] = useState(EMPTY_FORM);
+  const [secret, setSecret] = useState(null);
+
+  const fetchWebhooks = useCallback(async () => {
+    try {
+      const response = await axios.get('/api/admin/webhooks');
+      setWebhooks(response.data.webhooks);
+      setEvents(response.data.events);
+    } catch (error) {
+      toast.error(error.response?.data?.error || 'Failed to load webhooks');
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchWebhooks();
+  }, [fetchWebhooks]);
+
+  const createWebhook = async (e) => {
+    e.preventDefault();
+    if (form.events.length === 0) {
+      toast.error('Select at least one event');
+      return;
+    }
+    try {
+      const response = await axios.post('/api/admin/webhooks', form);
+      setSecret(response.data.secret);
+      setForm(EMPTY_FORM);
+      setShowForm(false);
+      fetchWebhooks();
+    } catch (error) {
+      toast.error(error.response?.data?.error || 'Failed to create webhook');
+    }
+  };
+
+  return (
+    <div className="w-full space-y-6">
+      <div className="flex justify-between items-center">
+        <div>
+          <h1 className="text-3xl font-bold text-slate-100">Webhooks</h1>
+          <p className="text-sm text-slate-400 mt-1">Signed JSON payloads for the snippet events of your organization. Private snippets send no events.</p>
+        </div>
+        <button
+          onClick={() => setShowForm(!showForm)}
+          className="flex items-center space-x-2 px-4 py-2 bg-indigo-600 text-white hover:bg-indigo-700 rounded-lg transition-colors"
+        >
+          <PlusIcon className="w-4 h-4" />
+          <span>New Webhook</span>
+        </button>
+      </div>
+
+      {secret && <SecretNotice secret={secret} onDismiss={() => setSecret(null)} />}
+
+      {showForm && (
+        <form onSubmit={createWebhook} className="bg-slate-800 rounded-lg border border-slate-700 p-6 space-y-4">
+          <div className="grid gap-4 md:grid-cols-2">
+            <input
+              type="url"
+              value={form.url}
+              onChange={(e) => setForm({ ...form, url: e.target.value })}
+              placeholder="https://chat.company.com/hooks/snipsafe"
+              required
+              className={inputClass}
+            />
+            <input
+              type="text"
+              value={form.description}
+              onChange={(e) => setForm({ ...form, description: e.target.value })}
+              placeholder="Description (optional)"
+              maxLength={200}
+              className={inputClass}
+            />
+          </div>
+          <EventCheckboxes events={events} selected={form.events} onChange={(selected) => setForm({ ...form, events: selected })} />
+          <div className="flex justify-end space-x-3">
+            <button
+              type="button"
+              onClick={() => setShowForm(false)}
+              className="px-4 py-2 bg-slate-700 text-slate-300 hover:bg-slate-600 rounded-lg transition-colors"
+            >
+              Cancel
+            </button>
+            <button type="submit" className="px-4 py-2 bg-indigo-600 text-white hover:bg-indigo-700 rounded-lg transition-colors">
+              Create
+            </button>
+          </div>
+        </form>
+      )}
+
+      {loading ? (
+        <div className="flex justify-center py-8">
+          <LoadingSpinner size="md" text="Loading webhooks..." />
+        </div>
+      ) : webhooks.length === 0 ? (
+        <p className="text-center text-slate-400 py-8">No webhooks yet</p>
+      ) : (
+        <div className="space-y-4">
+          {webhooks.map(webhook => (
+            <WebhookCard key={webhook._id} webhook={webhook} events={events} onChange={fetchWebhooks} onSecret={setSecret} />
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default AdminWebhooks;
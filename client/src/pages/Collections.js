@@ -0,0 +1,193 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { Link } from 'react-router-dom';
+import axios from 'axios';
+import toast from 'react-hot-toast';
+import { FolderIcon, PlusIcon } from '@heroicons/react/24/outline';
+import LoadingSpinner from '../components/LoadingSpinner';
+import { collectionTree, collectionOptions, VISIBILITY_BADGES } from '../utils/collections';
+
+const SCOPES = [
+  { key: 'mine', label: 'My Collections', icon: '👤' },
+  { key: 'shared', label: 'Shared with Me', icon: '📤' },
+  { key: 'organization', label: 'Organization', icon: '🏢' }
+];
+
+const CollectionNode = ({ node, depth }) => (
+  <li>
+    <Link
+      to={`/collection/${node._id}`}
+      className="flex items-center justify-between px-3 py-2 rounded-lg hover:bg-slate-700 transition-colors"
+      style={{ paddingLeft: `${0.75 + depth * 1.5}rem` }}
+    >
+      <div className="flex items-center space-x-2 min-w-0">
+        <FolderIcon className="w-5 h-5 text-indigo-400 flex-shrink-0" />
+        <span className="text-slate-100 truncate">{node.name}</span>
+        {node.owner?.username && depth === 0 && (
+          <span className="text-xs text-slate-500">by {node.owner.username}</span>
+        )}
+      </div>
+      <div className="flex items-center space-x-3 text-xs">
+        <span className="text-slate-400">{node.snippetCount} {node.snippetCount === 1 ? 'snippet' : 'snippets'}</span>
+        <span className={`px-2 py-0.5 rounded-full ${VISIBILITY_BADGES[node.visibility]}`}>{node.visibility}</span>
+      </div>
+    </Link>
+    {node.children.length > 0 && (
+      <ul>
+        {node.children.map(child => (
+          <CollectionNode key={child._id} node={child} depth={depth + 1} />
+        ))}
+      </ul>
+    )}
+  </li>
+);
+
+const Collections = () => {
+  const [scope, setScope] = useState('mine');
+  const [collections, setCollections] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [showForm, setShowForm] = useState(false);
+  const [form, setForm] = useState({ name: '', description: '', parent: '', visibility: 'private' });
+
+  const fetchCollections = useCallback(async () => {
+    try {
+      setLoading(true);
+      const response = await axios.get(`/api/collections?scope=${scope}`);
+      setCollections(response.data.collections);
+    } catch (error) {
+      toast.error(error.response?.data?.error || 'Failed to load collections');
+    } finally {
+      setLoading(false);
+    }
+  }, [scope]);
+
+  useEffect(() => {
+    fetchCollections();
+  }, [fetchCollections]);
+
+  const createCollection = async (e) => {
+    e.preventDefault();
+    try {
+      await axios.post('/api/collections', { ...form, parent: form.parent || undefined });
+      toast.success(`Created "${form.name}"`);
+      setForm({ name: '', description: '', parent: '', visibility: 'private' });
+      setShowForm(false);
+      if (scope === 'mine') {
+        fetchCollections();
+      } else {
+        setScope('mine');
+      }
+    } catch (error) {
+      toast.error(error.response?.data?.error || 'Failed to create collection');
+    }
+  };
+
+  return (
+    <div className="w-full space-y-6">
+      <div className="flex justify-between items-center">
+        <h1 className="text-3xl font-bold text-slate-100">Collections</h1>
+        <button
+          onClick={() => setShowForm(!showForm)}
+          className="flex items-center space-x-2 px-4 py-2 bg-indigo-600 text-white hover:bg-indigo-700 rounded-lg transition-colors"
+        >
+          <PlusIcon className="w-4 h-4" />
+          <span>New Collection</span>
+        </button>
+      </div>
+
+      {showForm && (
+        <form onSubmit={createCollection} className="bg-slate-800 rounded-lg border border-slate-700 p-6 space-y-4">
+          <div className="grid gap-4 md:grid-cols-3">
+            <input
+              type="text"
+              value={form.name}
+              onChange={(e) => setForm({ ...form, name: e.target.value })}
+              placeholder="Collection name"
+              maxLength={100}
+              required
+              className="px-3 py-2 border border-slate-600 rounded-lg bg-slate-700 text-slate-100 focus:outline-none focus:ring-2 focus:ring-indigo-500"
+            />
+            <select
+              value={form.parent}
+              onChange={(e) => setForm({ ...form, parent: e.target.value })}
+              className="px-3 py-2 border border-slate-600 rounded-lg bg-slate-700 text-slate-100 focus:outline-none focus:ring-2 focus:ring-indigo-500"
+            >
+              <option value="">Top level</option>
+              {scope === 'mine' && collectionOptions(collections).map(option => (
+                <option key={option._id} value={option._id}>{option.label}</option>
+              ))}
+            </select>
+            <select
+              value={form.visibility}
+              onChange={(e) => setForm({ ...form, visibility: e.target.value })}
+              className="px-3 py-2 border border-slate-600 rounded-lg bg-slate-700 text-slate-100 focus:outline-none focus:ring-2 focus:ring-indigo-500"
+            >
+              <option value="private">Private</option>
+              <option value="organization">Organization</option>
+              <option value="public">Public</option>
+            </select>
+          </div>
+          <textarea
+            value={form.description}
+            onChange={(e) => setForm({ ...form, description: e.target.value })}
+            placeholder="Description (optional)"
+            maxLength={1000}
+            rows={2}
+            className="w-full px-3 py-2 border border-slate-600 rounded-lg bg-slate-700 text-slate-100 focus:outline-none focus:ring-2 focus:ring-indigo-500"
+          />
+          <div className="flex justify-end space-x-3">
+            <button
+              type="button"
+              onClick={() => setShowForm(false)}
+              className="px-4 py-2 bg-slate-700 text-slate-300 hover:bg-slate-600 rounded-lg transition-colors"
+            >
+              Cancel
+            </button>
+            <button
+              type="submit"
+              className="px-4 py-2 bg-indigo-600 text-white hover:bg-indigo-700 rounded-lg transition-colors"
+            >
+              Create
+            </button>
+          </div>
+        </form>
+      )}
+
+      <div className="bg-slate-800 rounded-lg border border-slate-700 overflow-hidden">
+        <nav className="flex space-x-6 px-4 border-b border-slate-700">
+          {SCOPES.map(tab => (
+            <button
+              key={tab.key}
+              onClick={() => setScope(tab.key)}
+              className={`py-3 px-2 border-b-2 font-medium text-sm flex items-center space-x-2 whitespace-nowrap ${
+                scope === tab.key
+                  ? 'border-indigo-500 text-indigo-400'
+                  : 'border-transparent text-slate-400 hover:text-slate-300'
+              }`}
+            >
+              <span>{tab.icon}</span>
+              <span>{tab.label}</span>
+            </button>
+          ))}
+        </nav>
+
+        <div className="p-4">
+          {loading ? (
+            <div className="flex justify-center py-8">
+              <LoadingSpinner size="md" text="Loading collections..." />
+            </div>
+          ) : collections.length === 0 ? (
+            <p className="text-center text-slate-400 py-8">No collections yet</p>
+          ) : (
+            <ul className="space-y-1">
+              {collectionTree(collections).map(node => (
+                <CollectionNode key={node._id} node={node} depth={0} />
+              ))}
+            </ul>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default Collections;
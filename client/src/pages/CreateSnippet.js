@@ -4,15 +4,14 @@ import axios from 'axios';
 import toast from 'react-hot-toast';
 import { CheckIcon, EyeIcon, CodeBracketIcon } from '@heroicons/react/24/outline';
 import { Link } from 'react-router-dom';
-import { Prism as SyntaxHighlighter } from 'react-syntax-highlighter';
-import { oneDark } from 'react-syntax-highlighter/dist/esm/styles/prism';
+import SnippetFilesEditor, { createFile, resolveFilename } from '../components/SnippetFilesEditor';
+import { LANGUAGES } from '../utils/languages';
 
 const CreateSnippet = () => {
   const [formData, setFormData] = useState({
     title: '',
     description: '',
-    content: '',
-    language: 'javascript',
+    files: [createFile({ language: 'javascript' })],
     visibility: 'private',
     tags: ''
   });
@@ -20,18 +19,7 @@ const CreateSnippet = () => {
   const [previewMode, setPreviewMode] = useState(false);
   const navigate = useNavigate();
 
-  const languages = [
-    'javascript', 'python', 'java', 'typescript', 'go', 'rust', 'c', 'cpp',
-    'csharp', 'php', 'ruby', 'swift', 'kotlin', 'html', 'css', 'sql', 'bash', 'plaintext'
-  ];
-
-  // Add keyboard shortcut handler
-  const handleKeyDown = (e) => {
-    if ((e.ctrlKey || e.metaKey) && e.key === 's') {
-      e.preventDefault();
-      handleSubmit(e);
-    }
-  };
+  const hasContent = formData.files.every(file => file.content.trim());
 
   useEffect(() => {
     // Handle paste from clipboard
@@ -43,8 +31,7 @@ const CreateSnippet = () => {
       const detectedLanguage = detectLanguage(pastedContent);
       setFormData(prev => ({
         ...prev,
-        content: pastedContent,
-        language: detectedLanguage,
+        files: [{ ...prev.files[0], content: pastedContent, language: detectedLanguage }, ...prev.files.slice(1)],
         title: generateTitle(pastedContent, detectedLanguage)
       }));
       localStorage.removeItem('pastedContent');
@@ -53,8 +40,7 @@ const CreateSnippet = () => {
       const template = JSON.parse(templateContent);
       setFormData(prev => ({
         ...prev,
-        content: template.template,
-        language: template.language,
+        files: [{ ...prev.files[0], content: template.template, language: template.language }, ...prev.files.slice(1)],
         title: template.name
       }));
       localStorage.removeItem('templateContent');
@@ -67,14 +53,13 @@ const CreateSnippet = () => {
         e.preventDefault();
         handleSubmit(e);
       } else if ((e.ctrlKey || e.metaKey) && e.key === 'v' && e.target.tagName === 'TEXTAREA') {
-        // Let the browser handle normal paste
+        // Let the browser handle normal paste; file languages are detected as content changes
         setTimeout(() => {
           if (e.target.value && !formData.title) {
             const detectedLanguage = detectLanguage(e.target.value);
             const generatedTitle = generateTitle(e.target.value, detectedLanguage);
             setFormData(prev => ({
               ...prev,
-              language: detectedLanguage,
               title: generatedTitle
             }));
           }
@@ -231,39 +216,55 @@ const CreateSnippet = () => {
 
   const handleChange = (e) => {
     const { name, value } = e.target;
-    const newFormData = {
+    setFormData({
       ...formData,
       [name]: value
-    };
+    });
+  };
 
-    // Auto-generate title when content changes and title is empty or auto-generated
-    if (name === 'content' && value.trim()) {
-      const detectedLanguage = detectLanguage(value);
-      const autoTitle = generateTitle(value, detectedLanguage);
-      
-      // Only update title if it's empty or looks auto-generated
-      const isAutoGeneratedTitle = !formData.title || 
-        formData.title.endsWith(' snippet') || 
-        formData.title.endsWith(' function') || 
-        formData.title.endsWith(' class') ||
-        formData.title === 'New snippet' ||
-        formData.title.includes('Snippet') ||
-        languages.some(lang => formData.title.includes(lang.charAt(0).toUpperCase() + lang.slice(1)));
-
-      if (isAutoGeneratedTitle && autoTitle) {
-        newFormData.title = autoTitle;
-        newFormData.language = detectedLanguage;
+  const handleFilesChange = (nextFiles) => {
+    const newFormData = { ...formData };
+
+    const files = nextFiles.map((file, index) => {
+      const previous = formData.files.find(candidate => candidate.key === file.key);
+      if (!previous || previous.content === file.content || !file.content.trim()) return file;
+
+      // Auto-generate title when the first file changes and title is empty or auto-generated
+      if (index === 0) {
+        const detectedLanguage = detectLanguage(file.content);
+        const autoTitle = generateTitle(file.content, detectedLanguage);
+
+        // Only update title if it's empty or looks auto-generated
+        const isAutoGeneratedTitle = !formData.title || 
+          formData.title.endsWith(' snippet') || 
+          formData.title.endsWith(' function') || 
+          formData.title.endsWith(' class') ||
+          formData.title === 'New snippet' ||
+          formData.title.includes('Snippet') ||
+          LANGUAGES.some(lang => formData.title.includes(lang.charAt(0).toUpperCase() + lang.slice(1)));
+
+        if (isAutoGeneratedTitle && autoTitle) {
+          newFormData.title = autoTitle;
+          return file.filename.trim() ? file : { ...file, language: detectedLanguage };
+        }
+        return file;
       }
-    }
 
-    setFormData(newFormData);
+      // Other files get a language when their first code arrives, unless named already
+      if (!previous.content && !file.filename.trim()) {
+        return { ...file, language: detectLanguage(file.content) };
+      }
+      return file;
+    });
+
+    setFormData({ ...newFormData, files });
   };
 
   const handleSubmit = async (e) => {
     if (e) e.preventDefault();
     
-    if (!formData.title.trim() || !formData.content.trim()) {
-      toast.error('Title and content are required');
+    if (!formData.title.trim() || !hasContent) {
+      toast.error('Title and code for every file are required');
       return;
     }
     
@@ -272,6 +273,11 @@ const CreateSnippet = () => {
     try {
       const payload = {
         ...formData,
+        files: formData.files.map((file, index) => ({
+          filename: resolveFilename(file, index),
+          language: file.language,
+          content: file.content
+        })),
         tags: formData.tags.split(',').map(tag => tag.trim()).filter(tag => tag)
       };
 
@@ -292,9 +298,9 @@ const CreateSnippet = () => {
         <button
           type="button"
           onClick={handleSubmit}
-          disabled={loading || !formData.title.trim() || !formData.content.trim()}
+          disabled={loading || !formData.title.trim() || !hasContent}
           className={`w-16 h-16 rounded-full shadow-2xl transition-all duration-300 transform hover:scale-110 flex items-center justify-center ${
-            loading || !formData.title.trim() || !formData.content.trim()
+            loading || !formData.title.trim() || !hasContent
               ? 'bg-slate-600 cursor-not-allowed' 
               : 'bg-gradient-to-r from-indigo-500 to-purple-600 hover:from-indigo-600 hover:to-purple-700'
           } text-white`}
@@ -331,7 +337,7 @@ const CreateSnippet = () => {
               <button
                 type="button"
                 onClick={handleSubmit}
-                disabled={loading || !formData.title.trim() || !formData.content.trim()}
+                disabled={loading || !formData.title.trim() || !hasContent}
                 className="px-6 py-2 bg-indigo-600 text-white rounded-lg hover:bg-indigo-700 disabled:opacity-50 transition-colors flex items-center space-x-2"
               >
                 <CheckIcon className="w-4 h-4" />
@@ -342,42 +348,20 @@ const CreateSnippet = () => {
         </div>
 
         <form onSubmit={handleSubmit} className="p-6 space-y-6">
-          {/* Compact form layout */}
-          <div className="grid grid-cols-1 lg:grid-cols-3 gap-4">
-            <div className="lg:col-span-2">
-              <label className="block text-sm font-medium text-slate-300 mb-2">
-                Title *
-                <span className="text-xs text-slate-400 font-normal ml-2">(auto-generated, editable)</span>
-              </label>
-              <input
-                type="text"
-                name="title"
-                value={formData.title}
-                onChange={handleChange}
-                className="w-full px-4 py-2 border border-slate-600 rounded-lg bg-slate-700 text-slate-100 focus:outline-none focus:ring-2 focus:ring-indigo-500"
-                placeholder="Start typing code to auto-generate title..."
-                required
-              />
-            </div>
-
-            <div>
-              <label className="block text-sm font-medium text-slate-300 mb-2">
-                Language
-                <span className="text-xs text-slate-400 font-normal ml-2">(auto-detected)</span>
-              </label>
-              <select
-                name="language"
-                value={formData.language}
-                onChange={handleChange}
-                className="w-full px-4 py-2 border border-slate-600 rounded-lg bg-slate-700 text-slate-100 focus:outline-none focus:ring-2 focus:ring-indigo-500"
-              >
-                {languages.map(lang => (
-                  <option key={lang} value={lang}>
-                    {lang.charAt(0).toUpperCase() + lang.slice(1)}
-                  </option>
-                ))}
-              </select>
-            </div>
+          <div>
+            <label className="block text-sm font-medium text-slate-300 mb-2">
+              Title *
+              <span className="text-xs text-slate-400 font-normal ml-2">(auto-generated, editable)</span>
+            </label>
+            <input
+              type="text"
+              name="title"
+              value={formData.title}
+              onChange={handleChange}
+              className="w-full px-4 py-2 border border-slate-600 rounded-lg bg-slate-700 text-slate-100 focus:outline-none focus:ring-2 focus:ring-indigo-500"
+              placeholder="Start typing code to auto-generate title..."
+              required
+            />
           </div>
 
           <div>
@@ -426,46 +410,21 @@ const CreateSnippet = () => {
           <div>
             <div className="flex justify-between items-center mb-2">
               <label className="block text-sm font-medium text-slate-300">
-                Code *
+                Files *
+                <span className="text-xs text-slate-400 font-normal ml-2">(language auto-detected)</span>
               </label>
-              <div className="flex items-center space-x-4 text-xs text-slate-400">
-                <span>{formData.content.length} characters</span>
-                <span>•</span>
-                <span>{formData.content.split('\n').length} lines</span>
-                <span>•</span>
+              <div className="flex items-center space-x-2 text-xs text-slate-400">
                 <kbd className="bg-slate-700 px-2 py-1 rounded text-xs">Ctrl+S</kbd>
                 <span>to save</span>
               </div>
             </div>
-            
-            {previewMode ? (
-              <div className="border border-slate-600 rounded-lg overflow-hidden">
-                <SyntaxHighlighter
-                  language={formData.language}
-                  style={oneDark}
-                  customStyle={{
-                    margin: 0,
-                    padding: '1rem',
-                    fontSize: '14px',
-                    lineHeight: '1.5'
-                  }}
-                  showLineNumbers
-                >
-                  {formData.content || '// Your code will appear here...'}
-                </SyntaxHighlighter>
-              </div>
-            ) : (
-              <textarea
-                name="content"
-                value={formData.content}
-                onChange={handleChange}
-                onKeyDown={handleKeyDown}
-                rows={20}
-                className="w-full px-4 py-3 border border-slate-600 rounded-lg bg-slate-700 text-slate-100 focus:outline-none focus:ring-2 focus:ring-indigo-500 font-mono text-sm resize-none"
-                placeholder="Start typing your code... Title and language will be auto-generated!"
-                required
-              />
-            )}
+
+            <SnippetFilesEditor
+              files={formData.files}
+              onChange={handleFilesChange}
+              previewMode={previewMode}
+              placeholder="Start typing your code... Title and language will be auto-generated!"
+            />
           </div>
 
           {/* Bottom action bar */}
@@ -484,7 +443,7 @@ const CreateSnippet = () => {
               
               <button
                 type="submit"
-                disabled={loading || !formData.title.trim() || !formData.content.trim()}
+                disabled={loading || !formData.title.trim() || !hasContent}
                 className="px-6 py-2 bg-indigo-600 text-white rounded-lg hover:bg-indigo-700 disabled:opacity-50 transition-colors flex items-center space-x-2"
               >
                 <CheckIcon className="w-4 h-4" />
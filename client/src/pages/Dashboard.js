@@ -2,21 +2,35 @@ import React, { useState, useEffect, useCallback } from 'react';
 import { Link } from 'react-router-dom';
 import axios from 'axios';
 import { useAuth } from '../contexts/AuthContext';
-import { EyeIcon, ShareIcon, HeartIcon, ClockIcon, PlusIcon } from '@heroicons/react/24/outline';
+import { EyeIcon, ShareIcon, StarIcon, ClockIcon, PlusIcon, ArrowDownTrayIcon, ExclamationTriangleIcon } from '@heroicons/react/24/outline';
 import toast from 'react-hot-toast';
 import SearchBar from '../components/SearchBar';
 import QuickActions from '../components/QuickActions';
 import LoadingSpinner from '../components/LoadingSpinner';
 import AnimatedCounter from '../components/AnimatedCounter';
+import SearchMatches, { Highlighted } from '../components/SearchMatches';
+import { downloadFile } from '../utils/download';
+
+// Stars used to live in localStorage; move any left there to the server once
+const migrateLocalFavorites = async () => {
+  const localFavorites = JSON.parse(localStorage.getItem('favorites') || '[]');
+  // Snippets that were deleted or made private since just fail
+  await Promise.allSettled(
+    localFavorites.map(snippetId => axios.post(`/api/snippets/${snippetId}/star`))
+  );
+  localStorage.removeItem('favorites');
+};
 
 const Dashboard = () => {
   const { user } = useAuth();
   const [snippets, setSnippets] = useState([]);
   const [loading, setLoading] = useState(true);
   const [activeTab, setActiveTab] = useState('my');
-  const [stats, setStats] = useState({ languages: [], tags: [] });
+  const [stats, setStats] = useState({ languages: [], tags: [], authors: [] });
   const [searchResults, setSearchResults] = useState(null);
-  const [favorites, setFavorites] = useState(new Set());
+  const [searchError, setSearchError] = useState(null);
+  const [starred, setStarred] = useState(new Set());
+  const [savedSearches, setSavedSearches] = useState([]);
 
   const fetchSnippets = useCallback(async () => {
     try {
@@ -32,20 +46,41 @@ const Dashboard = () => {
         case 'shared':
           endpoint = '/api/snippets/shared-with-me';
           break;
+        case 'starred':
+          endpoint = '/api/snippets/starred';
+          break;
+        case 'most-starred':
+          endpoint = '/api/snippets/most-starred';
+          break;
         default:
-          endpoint = '/api/snippets/my';
+          endpoint = activeTab.startsWith('saved:')
+            ? `/api/saved-searches/${activeTab.slice('saved:'.length)}/results`
+            : '/api/snippets/my';
       }
       
       const response = await axios.get(endpoint);
       setSnippets(response.data.snippets || response.data);
+
+      // Opening a saved search marks its matches as seen
+      if (activeTab.startsWith('saved:')) {
+        const id = activeTab.slice('saved:'.length);
+        setSavedSearches(prev => prev.map(savedSearch => (
+          savedSearch._id === id ? { ...savedSearch, newCount: 0, countError: null } : savedSearch
+        )));
+      }
     } catch (error) {
       console.error('Error fetching snippets:', error);
+      if (activeTab.startsWith('saved:')) {
+        toast.error(error.response?.data?.error || 'Failed to run saved search');
+        setSnippets([]);
+      }
     } finally {
       setLoading(false);
     }
   }, [activeTab]);
 
   const handleSearch = useCallback(async (searchTerm, filters) => {
+    setSearchError(null);
     if (!searchTerm && filters.language === 'all' && !filters.tags && !filters.author) {
       setSearchResults(null);
       return;
@@ -67,14 +102,23 @@ const Dashboard = () => {
       if (filters.author && filters.author.trim()) {
         params.append('author', filters.author.trim());
       }
+      if (filters.mode && filters.mode !== 'text') {
+        params.append('mode', filters.mode);
+        if (filters.mode === 'symbol') params.append('scope', filters.scope);
+      }
 
       console.log('Search params:', params.toString()); // Debug log
       
       const response = await axios.get(`/api/snippets/search?${params.toString()}`);
       setSearchResults(response.data.snippets || []);
       
-      toast.success(`Found ${response.data.snippets?.length || 0} snippets`);
+      toast.success(`Found ${response.data.total ?? response.data.snippets?.length ?? 0} snippets`);
     } catch (error) {
+      // Malformed queries are pointed out under the search box
+      if (error.response?.status === 400) {
+        setSearchError({ message: error.response.data.error, position: error.response.data.position });
+        return;
+      }
       console.error('Search error:', error);
       toast.error(error.response?.data?.error || 'Search failed. Please try again.');
       setSearchResults([]);
@@ -90,31 +134,113 @@ const Dashboard = () => {
     } catch (error) {
       console.error('Error fetching stats:', error);
       // Set empty stats as fallback
-      setStats({ languages: [], tags: [] });
+      setStats({ languages: [], tags: [], authors: [] });
+    }
+  }, []);
+
+  const fetchSavedSearches = useCallback(async () => {
+    try {
+      const response = await axios.get('/api/saved-searches');
+      setSavedSearches(response.data.savedSearches);
+    } catch (error) {
+      console.error('Error fetching saved searches:', error);
+    }
+  }, []);
+
+  const saveSearch = async (name, query, pinned) => {
+    try {
+      const response = await axios.post('/api/saved-searches', { name, query, pinned });
+      setSavedSearches(prev => [...prev, response.data]);
+      toast.success(pinned ? `Saved "${name}" to your dashboard` : `Saved "${name}"`);
+      return response.data;
+    } catch (error) {
+      toast.error(error.response?.data?.error || 'Failed to save search');
+      return null;
+    }
+  };
+
+  const togglePinSearch = async (savedSearch) => {
+    try {
+      const response = await axios.put(`/api/saved-searches/${savedSearch._id}`, { pinned: !savedSearch.pinned });
+      setSavedSearches(prev => prev.map(item => (item._id === savedSearch._id ? response.data : item)));
+      if (!response.data.pinned && activeTab === `saved:${savedSearch._id}`) {
+        setActiveTab('my');
+      }
+    } catch (error) {
+      toast.error(error.response?.data?.error || 'Failed to update saved search');
+    }
+  };
+
+  const deleteSavedSearch = async (savedSearch) => {
+    if (!window.confirm(`Delete the saved search "${savedSearch.name}"?`)) {
+      return;
+    }
+    try {
+      await axios.delete(`/api/saved-searches/${savedSearch._id}`);
+      setSavedSearches(prev => prev.filter(item => item._id !== savedSearch._id));
+      if (activeTab === `saved:${savedSearch._id}`) {
+        setActiveTab('my');
+      }
+      toast.success('Saved search deleted');
+    } catch (error) {
+      toast.error(error.response?.data?.error || 'Failed to delete saved search');
+    }
+  };
+
+  const fetchStarred = useCallback(async () => {
+    try {
+      if (localStorage.getItem('favorites')) {
+        await migrateLocalFavorites();
+      }
+      const response = await axios.get('/api/snippets/starred/ids');
+      setStarred(new Set(response.data.snippetIds));
+    } catch (error) {
+      console.error('Error fetching starred snippets:', error);
     }
   }, []);
 
-  const toggleFavorite = (snippetId) => {
-    const newFavorites = new Set(favorites);
-    if (newFavorites.has(snippetId)) {
-      newFavorites.delete(snippetId);
-      toast.success('Removed from favorites');
-    } else {
-      newFavorites.add(snippetId);
-      toast.success('Added to favorites');
+  const toggleStar = async (snippet) => {
+    const isStarred = starred.has(snippet._id);
+    try {
+      const response = isStarred
+        ? await axios.delete(`/api/snippets/${snippet._id}/star`)
+        : await axios.post(`/api/snippets/${snippet._id}/star`);
+      const { starCount } = response.data;
+
+      setStarred(prev => {
+        const next = new Set(prev);
+        if (isStarred) next.delete(snippet._id);
+        else next.add(snippet._id);
+        return next;
+      });
+      const withCount = list => list && list.map(item => (item._id === snippet._id ? { ...item, starCount } : item));
+      setSnippets(prev => (
+        isStarred && activeTab === 'starred'
+          ? prev.filter(item => item._id !== snippet._id)
+          : withCount(prev)
+      ));
+      setSearchResults(withCount);
+    } catch (error) {
+      toast.error(error.response?.data?.error || 'Failed to update star');
+    }
+  };
+
+  const downloadAll = async () => {
+    try {
+      await downloadFile('/api/snippets/my/download', 'my-snippets.zip');
+    } catch (error) {
+      toast.error('Failed to download your snippets');
     }
-    setFavorites(newFavorites);
-    localStorage.setItem('favorites', JSON.stringify([...newFavorites]));
   };
 
+  useEffect(() => {
+    fetchSavedSearches();
+    fetchStarred();
+  }, [fetchSavedSearches, fetchStarred]);
+
   useEffect(() => {
     fetchSnippets();
     fetchStats();
-    // Load favorites from localStorage
-    const savedFavorites = localStorage.getItem('favorites');
-    if (savedFavorites) {
-      setFavorites(new Set(JSON.parse(savedFavorites)));
-    }
   }, [fetchSnippets, fetchStats]);
 
   const displaySnippets = searchResults || snippets;
@@ -197,13 +323,23 @@ const Dashboard = () => {
                 <span>in your organization</span>
               </p>
             </div>
-            <Link
-              to="/create"
-              className="btn-modern gradient-primary text-white px-6 py-3 rounded-lg font-medium flex items-center space-x-2 shadow-md"
-            >
-              <PlusIcon className="w-5 h-5" />
-              <span>New Snippet</span>
-            </Link>
+            <div className="flex items-center space-x-3">
+              <button
+                onClick={downloadAll}
+                className="flex items-center space-x-2 px-4 py-3 bg-slate-700 text-slate-300 hover:bg-slate-600 hover:text-slate-200 rounded-lg transition-colors"
+                title="Download all your snippets as a .zip"
+              >
+                <ArrowDownTrayIcon className="w-5 h-5" />
+                <span>Download</span>
+              </button>
+              <Link
+                to="/create"
+                className="btn-modern gradient-primary text-white px-6 py-3 rounded-lg font-medium flex items-center space-x-2 shadow-md"
+              >
+                <PlusIcon className="w-5 h-5" />
+                <span>New Snippet</span>
+              </Link>
+            </div>
           </div>
         </div>
       </div>
@@ -219,18 +355,34 @@ const Dashboard = () => {
           onSearch={handleSearch}
           languages={stats.languages}
           tags={stats.tags}
+          authors={stats.authors}
+          error={searchError}
+          savedSearches={savedSearches}
+          onSaveSearch={saveSearch}
+          onTogglePinSearch={togglePinSearch}
+          onDeleteSavedSearch={deleteSavedSearch}
         />
       </div>
 
       {/* Enhanced Tabs */}
       <div className="glass rounded-xl overflow-hidden">
         <div className="border-b border-slate-700/50 bg-slate-800/30">
-          <nav className="flex space-x-6 px-4">
+          <nav className="flex space-x-6 px-4 overflow-x-auto">
             {[
               { key: 'my', label: 'My Snippets', icon: '👤', count: snippets.filter(s => s.author?.username === user?.username).length },
               { key: 'org', label: 'Organization', icon: '🏢' },
               { key: 'shared', label: 'Shared with Me', icon: '📤' },
-              ...(favorites.size > 0 ? [{ key: 'favorites', label: 'Favorites', icon: '❤️', count: favorites.size }] : [])
+              { key: 'starred', label: 'Starred', icon: '⭐', count: starred.size },
+              { key: 'most-starred', label: 'Most Starred', icon: '🏆' },
+              ...savedSearches
+                .filter(savedSearch => savedSearch.pinned)
+                .map(savedSearch => ({
+                  key: `saved:${savedSearch._id}`,
+                  label: savedSearch.name,
+                  icon: '🔖',
+                  newCount: savedSearch.newCount,
+                  countError: savedSearch.countError
+                }))
             ].map(tab => (
               <button
                 key={tab.key}
@@ -238,7 +390,7 @@ const Dashboard = () => {
                   setActiveTab(tab.key);
                   setSearchResults(null);
                 }}
-                className={`relative py-3 px-2 border-b-2 font-medium text-sm flex items-center space-x-2 transition-all duration-200 ${
+                className={`relative py-3 px-2 border-b-2 font-medium text-sm flex items-center space-x-2 whitespace-nowrap transition-all duration-200 ${
                   activeTab === tab.key
                     ? 'border-indigo-500 text-indigo-400'
                     : 'border-transparent text-slate-400 hover:text-slate-300 hover:border-slate-600'
@@ -251,6 +403,14 @@ const Dashboard = () => {
                     <AnimatedCounter end={tab.count} />
                   </span>
                 )}
+                {tab.newCount > 0 && (
+                  <span className="bg-indigo-600 text-white px-2 py-0.5 rounded-full text-xs" title="New since your last visit">
+                    {tab.newCount} new
+                  </span>
+                )}
+                {tab.countError && (
+                  <ExclamationTriangleIcon className="w-4 h-4 text-amber-400" title={`New matches could not be counted: ${tab.countError}`} />
+                )}
               </button>
             ))}
           </nav>
@@ -299,7 +459,6 @@ const Dashboard = () => {
             <div className="grid gap-4 grid-cols-1 md:grid-cols-2 lg:grid-cols-3 xl:grid-cols-4 2xl:grid-cols-5">
               {displaySnippets
                 .filter(snippet => {
-                  if (activeTab === 'favorites') return favorites.has(snippet._id);
                   if (activeTab === 'my') return snippet.author?.username === user?.username;
                   return true;
                 })
@@ -312,7 +471,15 @@ const Dashboard = () => {
                 >
                   <div className="flex justify-between items-start mb-3">
                     <h3 className="text-base font-semibold text-slate-100 truncate flex-1 mr-2 group-hover:text-indigo-300 transition-colors">
-                      {snippet.title}
+                      {snippet.isNew && (
+                        <span className="mr-2 align-middle text-xs bg-indigo-600 text-white px-1.5 py-0.5 rounded">
+                          New
+                        </span>
+                      )}
+                      <Highlighted
+                        text={snippet.title}
+                        highlights={snippet.matches?.find(match => match.field === 'title')?.highlights}
+                      />
                     </h3>
                     <div className="flex items-center space-x-1" onClick={(e) => e.stopPropagation()}>
                       <span className="text-xs status-badge gradient-primary text-white px-2 py-1 rounded">
@@ -322,17 +489,18 @@ const Dashboard = () => {
                         onClick={(e) => {
                           e.preventDefault();
                           e.stopPropagation();
-                          toggleFavorite(snippet._id);
+                          toggleStar(snippet);
                         }}
                         className={`p-1 rounded transition-all duration-200 ${
-                          favorites.has(snippet._id)
-                            ? 'text-red-400 hover:text-red-300'
-                            : 'text-slate-400 hover:text-red-400'
+                          starred.has(snippet._id)
+                            ? 'text-yellow-400 hover:text-yellow-300'
+                            : 'text-slate-400 hover:text-yellow-400'
                         }`}
+                        title={starred.has(snippet._id) ? 'Unstar' : 'Star'}
                       >
-                        <HeartIcon 
-                          className="w-4 h-4" 
-                          fill={favorites.has(snippet._id) ? 'currentColor' : 'none'} 
+                        <StarIcon
+                          className="w-4 h-4"
+                          fill={starred.has(snippet._id) ? 'currentColor' : 'none'}
                         />
                       </button>
                     </div>
@@ -344,6 +512,8 @@ const Dashboard = () => {
                     </p>
                   )}
 
+                  <SearchMatches matches={snippet.matches} />
+
                   {snippet.tags && snippet.tags.length > 0 && (
                     <div className="flex flex-wrap gap-1 mb-3">
                       {snippet.tags.slice(0, 3).map((tag, tagIndex) => (
@@ -381,6 +551,10 @@ const Dashboard = () => {
                         <EyeIcon className="w-3 h-3" />
                         <AnimatedCounter end={snippet.views} />
                       </div>
+                      <div className="flex items-center space-x-1" title="Stars">
+                        <StarIcon className="w-3 h-3" />
+                        <span>{snippet.starCount || 0}</span>
+                      </div>
                     </div>
 
                     <div className="flex items-center space-x-1" onClick={(e) => e.stopPropagation()}>
@@ -0,0 +1,136 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { useSearchParams } from 'react-router-dom';
+import axios from 'axios';
+import toast from 'react-hot-toast';
+import { ComputerDesktopIcon, CheckCircleIcon, XCircleIcon } from '@heroicons/react/24/outline';
+
+const SCOPE_DESCRIPTIONS = {
+  'snippets:read': 'Read your snippets and the snippets shared with you',
+  'snippets:write': 'Create, edit and delete snippets',
+  share: 'Share snippets and collections with other users',
+  admin: 'Use the admin API'
+};
+
+// Approve the sign-in of an editor plugin with the code it shows
+const DeviceLogin = () => {
+  const [searchParams] = useSearchParams();
+  const [code, setCode] = useState(searchParams.get('code') || '');
+  const [request, setRequest] = useState(null);
+  const [outcome, setOutcome] = useState(null);
+  const [loading, setLoading] = useState(false);
+
+  const lookup = useCallback(async (userCode) => {
+    setLoading(true);
+    try {
+      const response = await axios.get(`/api/v1/auth/device/${encodeURIComponent(userCode)}`);
+      setRequest(response.data);
+    } catch (error) {
+      setRequest(null);
+      toast.error(error.response?.data?.error || 'Failed to look up the code');
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    const initial = searchParams.get('code');
+    if (initial) lookup(initial);
+  }, [searchParams, lookup]);
+
+  const decide = async (decision) => {
+    setLoading(true);
+    try {
+      await axios.post(`/api/v1/auth/device/${encodeURIComponent(request.userCode)}/${decision}`);
+      setOutcome(decision);
+    } catch (error) {
+      toast.error(error.response?.data?.error || 'Failed to complete the sign-in');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const submitCode = (e) => {
+    e.preventDefault();
+    if (code.trim()) lookup(code.trim());
+  };
+
+  return (
+    <div className="min-h-[80vh] flex items-center justify-center">
+      <div className="w-full max-w-md bg-slate-800 rounded-lg shadow-sm border border-slate-700 p-8 space-y-6">
+        <div className="flex items-center space-x-3">
+          <ComputerDesktopIcon className="w-8 h-8 text-indigo-400" />
+          <h1 className="text-2xl font-bold text-slate-100">Sign in an editor</h1>
+        </div>
+
+        {outcome === 'approve' ? (
+          <div className="flex items-start space-x-3 text-slate-300">
+            <CheckCircleIcon className="w-6 h-6 text-green-400 flex-shrink-0" />
+            <p><strong className="text-slate-100">{request.clientName}</strong> is signed in. You can close this page and return to your editor.</p>
+          </div>
+        ) : outcome === 'deny' ? (
+          <div className="flex items-start space-x-3 text-slate-300">
+            <XCircleIcon className="w-6 h-6 text-red-400 flex-shrink-0" />
+            <p>The sign-in was denied, so {request.clientName} did not get access to your account.</p>
+          </div>
+        ) : request ? (
+          <div className="space-y-4">
+            <p className="text-slate-300">
+              <strong className="text-slate-100">{request.clientName}</strong> wants to use SnipSafe as you with code{' '}
+              <code className="px-2 py-0.5 bg-slate-900 rounded text-slate-100">{request.userCode}</code>.
+              Only approve if your editor shows the same code.
+            </p>
+            <ul className="space-y-2">
+              {request.scopes.map(scope => (
+                <li key={scope}>
+                  <code className="text-sm text-slate-100">{scope}</code>
+                  <div className="text-xs text-slate-400">{SCOPE_DESCRIPTIONS[scope]}</div>
+                </li>
+              ))}
+            </ul>
+            <p className="text-xs text-slate-500">
+              The editor receives an API token that expires in a year. You can revoke it any time under Settings → API Tokens.
+            </p>
+            <div className="flex justify-end space-x-3">
+              <button
+                onClick={() => decide('deny')}
+                disabled={loading}
+                className="px-4 py-2 bg-slate-700 text-slate-300 hover:bg-slate-600 rounded-lg transition-colors disabled:opacity-50"
+              >
+                Deny
+              </button>
+              <button
+                onClick={() => decide('approve')}
+                disabled={loading}
+                className="px-4 py-2 bg-indigo-600 text-white hover:bg-indigo-700 rounded-lg transition-colors disabled:opacity-50"
+              >
+                Approve
+              </button>
+            </div>
+          </div>
+        ) : (
+          <form onSubmit={submitCode} className="space-y-4">
+            <p className="text-slate-300">Enter the code shown in your editor.</p>
+            <input
+              type="text"
+              value={code}
+              onChange={(e) => setCode(e.target.value.toUpperCase())}
+              placeholder="XXXX-XXXX"
+              maxLength={9}
+              autoFocus
+              className="w-full px-3 py-2 border border-slate-600 rounded-lg bg-slate-700 text-slate-100 text-center text-xl tracking-widest font-mono focus:outline-none focus:ring-2 focus:ring-indigo-500"
+            />
+            <button
+              type="submit"
+              disabled={loading || !code.trim()}
+              className="w-full px-4 py-2 bg-indigo-600 text-white hover:bg-indigo-700 rounded-lg transition-colors disabled:opacity-50"
+            >
+              Continue
+            </button>
+          </form>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default DeviceLogin;
@@ -1,11 +1,12 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useCallback } from 'react';
 import { useParams, useNavigate } from 'react-router-dom';
 import axios from 'axios';
-import { Light as SyntaxHighlighter } from 'react-syntax-highlighter';
-import { atomOneDark } from 'react-syntax-highlighter/dist/esm/styles/hljs';
-import { CheckIcon, XMarkIcon, EyeIcon, CodeBracketIcon } from '@heroicons/react/24/outline';
+import { CheckIcon, XMarkIcon, EyeIcon, CodeBracketIcon, UserGroupIcon } from '@heroicons/react/24/outline';
 import toast from 'react-hot-toast';
 import LoadingSpinner from '../components/LoadingSpinner';
+import CollaborativeEditor from '../components/CollaborativeEditor';
+import SnippetFilesEditor, { resolveFilename } from '../components/SnippetFilesEditor';
+import { snippetFiles } from '../components/SnippetFilesView';
 
 const EditSnippet = () => {
   const { id } = useParams();
@@ -14,22 +15,17 @@ const EditSnippet = () => {
   const [loading, setLoading] = useState(true);
   const [saving, setSaving] = useState(false);
   const [previewMode, setPreviewMode] = useState(false);
+  // Ids of saved files whose code is synced by a live editing session
+  const [liveFiles, setLiveFiles] = useState(() => new Set());
 
   const [formData, setFormData] = useState({
     title: '',
-    content: '',
-    language: 'javascript',
+    files: [],
     description: '',
     tags: '',
     visibility: 'private'
   });
 
-  const languages = [
-    'javascript', 'python', 'java', 'cpp', 'c', 'csharp', 'php', 'ruby', 'go', 
-    'rust', 'swift', 'kotlin', 'typescript', 'jsx', 'tsx', 'html', 'css', 'scss',
-    'json', 'xml', 'yaml', 'sql', 'bash', 'shell', 'powershell', 'markdown', 'plaintext'
-  ];
-
   useEffect(() => {
     fetchSnippet();
   }, [id]);
@@ -38,12 +34,17 @@ const EditSnippet = () => {
     try {
       const response = await axios.get(`/api/snippets/${id}`);
       const snippetData = response.data;
+
+      if (snippetData.permissions && !snippetData.permissions.canEdit) {
+        toast.error('You do not have permission to edit this snippet');
+        navigate(`/snippet/${id}`);
+        return;
+      }
       
       setSnippet(snippetData);
       setFormData({
         title: snippetData.title || '',
-        content: snippetData.content || '',
-        language: snippetData.language || 'javascript',
+        files: snippetFiles(snippetData).map(file => ({ ...file })),
         description: snippetData.description || '',
         tags: snippetData.tags ? snippetData.tags.join(', ') : '',
         visibility: snippetData.visibility || 'private'
@@ -57,6 +58,8 @@ const EditSnippet = () => {
     }
   };
 
+  const isOwner = snippet?.permissions?.isOwner ?? true;
+
   const handleChange = (e) => {
     const { name, value } = e.target;
     setFormData(prev => ({
@@ -65,11 +68,35 @@ const EditSnippet = () => {
     }));
   };
 
+  const handleFilesChange = (files) => {
+    setFormData(prev => ({ ...prev, files }));
+  };
+
+  const handleContentChange = useCallback((fileId, content) => {
+    setFormData(prev => ({
+      ...prev,
+      files: prev.files.map(file => (file._id === fileId ? { ...file, content } : file))
+    }));
+  }, []);
+
+  const handleLiveChange = useCallback((fileId, live) => {
+    setLiveFiles(prev => {
+      const next = new Set(prev);
+      if (live) next.add(fileId); else next.delete(fileId);
+      return next;
+    });
+  }, []);
+
+  const handleSessionClosed = useCallback((reason) => {
+    toast.error(reason);
+    navigate(`/snippet/${id}`);
+  }, [id, navigate]);
+
   const handleSubmit = async (e) => {
     e.preventDefault();
     
-    if (!formData.title.trim() || !formData.content.trim()) {
-      toast.error('Title and content are required');
+    if (!formData.title.trim() || !formData.files.every(file => file.content.trim())) {
+      toast.error('Title and code for every file are required');
       return;
     }
 
@@ -83,9 +110,27 @@ const EditSnippet = () => {
 
       const updateData = {
         ...formData,
+        files: formData.files.map((file, index) => {
+          const data = {
+            _id: file._id,
+            filename: resolveFilename(file, index),
+            language: file.language,
+            content: file.content
+          };
+          // Collaborators cannot change the language of existing files
+          if (file._id && !isOwner) delete data.language;
+          // The live session already saves the code as it is typed
+          if (liveFiles.has(file._id)) delete data.content;
+          return data;
+        }),
         tags: tagsArray
       };
 
+      // Collaborators cannot change visibility
+      if (!isOwner) {
+        delete updateData.visibility;
+      }
+
       await axios.put(`/api/snippets/${id}`, updateData);
       toast.success('Snippet updated successfully!');
       navigate(`/snippet/${id}`);
@@ -120,8 +165,26 @@ const EditSnippet = () => {
   return (
     <div className="w-full">
       <div className="glass rounded-xl p-6 mb-6">
+        {!isOwner && (
+          <div className="mb-4 p-3 rounded-lg border border-emerald-700/50 bg-emerald-900/20 text-sm text-emerald-300 flex items-center space-x-2">
+            <UserGroupIcon className="w-5 h-5" />
+            <span>
+              You are editing <span className="font-medium">{snippet.author?.username}</span>'s snippet as a collaborator.
+              The language of existing files and visibility can only be changed by the owner.
+            </span>
+          </div>
+        )}
+
         <div className="flex justify-between items-center mb-4">
-          <h1 className="text-2xl font-bold text-slate-100">Edit Snippet</h1>
+          <div>
+            <h1 className="text-2xl font-bold text-slate-100">Edit Snippet</h1>
+            {snippet.lastEditedBy && (
+              <p className="text-sm text-slate-400 mt-1">
+                Last edited by {snippet.lastEditedBy.username}
+                {snippet.lastEditedAt && ` on ${new Date(snippet.lastEditedAt).toLocaleString()}`}
+              </p>
+            )}
+          </div>
           <div className="flex items-center space-x-2">
             <button
               type="button"
@@ -139,39 +202,19 @@ const EditSnippet = () => {
         </div>
 
         <form onSubmit={handleSubmit} className="space-y-6">
-          <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
-            <div>
-              <label className="block text-sm font-medium text-slate-300 mb-2">
-                Title *
-              </label>
-              <input
-                type="text"
-                name="title"
-                value={formData.title}
-                onChange={handleChange}
-                className="w-full px-4 py-3 border border-slate-600 rounded-lg bg-slate-700 text-slate-100 focus:outline-none focus:ring-2 focus:ring-indigo-500"
-                placeholder="Enter snippet title"
-                required
-              />
-            </div>
-
-            <div>
-              <label className="block text-sm font-medium text-slate-300 mb-2">
-                Language
-              </label>
-              <select
-                name="language"
-                value={formData.language}
-                onChange={handleChange}
-                className="w-full px-4 py-3 border border-slate-600 rounded-lg bg-slate-700 text-slate-100 focus:outline-none focus:ring-2 focus:ring-indigo-500"
-              >
-                {languages.map(lang => (
-                  <option key={lang} value={lang}>
-                    {lang.charAt(0).toUpperCase() + lang.slice(1)}
-                  </option>
-                ))}
-              </select>
-            </div>
+          <div>
+            <label className="block text-sm font-medium text-slate-300 mb-2">
+              Title *
+            </label>
+            <input
+              type="text"
+              name="title"
+              value={formData.title}
+              onChange={handleChange}
+              className="w-full px-4 py-3 border border-slate-600 rounded-lg bg-slate-700 text-slate-100 focus:outline-none focus:ring-2 focus:ring-indigo-500"
+              placeholder="Enter snippet title"
+              required
+            />
           </div>
 
           <div>
@@ -211,7 +254,8 @@ const EditSnippet = () => {
                 name="visibility"
                 value={formData.visibility}
                 onChange={handleChange}
-                className="w-full px-4 py-3 border border-slate-600 rounded-lg bg-slate-700 text-slate-100 focus:outline-none focus:ring-2 focus:ring-indigo-500"
+                disabled={!isOwner}
+                className="w-full disabled:opacity-60 px-4 py-3 border border-slate-600 rounded-lg bg-slate-700 text-slate-100 focus:outline-none focus:ring-2 focus:ring-indigo-500"
               >
                 <option value="private">Private</option>
                 <option value="organization">Organization</option>
@@ -221,42 +265,27 @@ const EditSnippet = () => {
           </div>
 
           <div>
-            <div className="flex justify-between items-center mb-2">
-              <label className="block text-sm font-medium text-slate-300">
-                Code *
-              </label>
-              <span className="text-xs text-slate-400">
-                {formData.content.length} characters, {formData.content.split('\n').length} lines
-              </span>
-            </div>
-            
-            {previewMode ? (
-              <div className="border border-slate-600 rounded-lg overflow-hidden">
-                <SyntaxHighlighter
-                  language={formData.language}
-                  style={atomOneDark}
-                  customStyle={{
-                    margin: 0,
-                    padding: '1rem',
-                    fontSize: '14px',
-                    lineHeight: '1.5'
-                  }}
-                  showLineNumbers
-                >
-                  {formData.content || '// Your code will appear here...'}
-                </SyntaxHighlighter>
-              </div>
-            ) : (
-              <textarea
-                name="content"
-                value={formData.content}
-                onChange={handleChange}
-                rows={20}
-                className="w-full px-4 py-3 border border-slate-600 rounded-lg bg-slate-700 text-slate-100 focus:outline-none focus:ring-2 focus:ring-indigo-500 font-mono text-sm"
-                placeholder="Paste or type your code here..."
-                required
-              />
-            )}
+            <label className="block text-sm font-medium text-slate-300 mb-2">
+              Files *
+            </label>
+
+            <SnippetFilesEditor
+              files={formData.files}
+              onChange={handleFilesChange}
+              previewMode={previewMode}
+              isLanguageLocked={(file) => !isOwner && !!file._id}
+              renderEditor={(file) => file._id && (
+                <CollaborativeEditor
+                  snippetId={id}
+                  fileId={file._id}
+                  initialValue={file.content}
+                  onChange={(content) => handleContentChange(file._id, content)}
+                  onLiveChange={(live) => handleLiveChange(file._id, live)}
+                  onClosed={handleSessionClosed}
+                  placeholder="Paste or type your code here..."
+                />
+              )}
+            />
           </div>
 
           <div className="flex justify-between items-center pt-6 border-t border-slate-700">
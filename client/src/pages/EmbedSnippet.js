@@ -0,0 +1,184 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { useParams, useSearchParams } from 'react-router-dom';
+import axios from 'axios';
+import { Prism as SyntaxHighlighter } from 'react-syntax-highlighter';
+import { vscDarkPlus, oneLight, ghcolors, dracula, nord, solarizedlight } from 'react-syntax-highlighter/dist/esm/styles/prism';
+import { DocumentTextIcon, ArrowTopRightOnSquareIcon } from '@heroicons/react/24/outline';
+import { snippetFiles } from '../components/SnippetFilesView';
+
+// Themes for `?theme=`; `dark` ones get dark chrome around the code
+const THEMES = {
+  dark: { style: vscDarkPlus, background: '#0f172a', dark: true },
+  light: { style: oneLight, background: '#fafafa', dark: false },
+  github: { style: ghcolors, background: '#ffffff', dark: false },
+  dracula: { style: dracula, background: '#282a36', dark: true },
+  nord: { style: nord, background: '#2e3440', dark: true },
+  solarized: { style: solarizedlight, background: '#fdf6e3', dark: false }
+};
+
+// `10-24` or `7` as { start, end }; null when missing or malformed
+const parseLines = (value) => {
+  const match = /^(\d+)(?:-(\d+))?$/.exec(value || '');
+  if (!match) return null;
+  const start = Number(match[1]);
+  const end = match[2] ? Number(match[2]) : start;
+  return start >= 1 && end >= start ? { start, end } : null;
+};
+
+// Tell the embedding script how tall the page is, so it can size its iframe
+const useReportHeight = (ref) => {
+  useEffect(() => {
+    if (!ref.current || window.parent === window) return undefined;
+    const observer = new ResizeObserver(([entry]) => {
+      window.parent.postMessage({
+        type: 'snipsafe:embed-height',
+        height: Math.ceil(entry.target.getBoundingClientRect().height)
+      }, '*');
+    });
+    observer.observe(ref.current);
+    return () => observer.disconnect();
+  }, [ref]);
+};
+
+// A snippet framed by another site, such as an internal wiki. Loaded through
+// the share endpoint, so it follows the same access rules as share links.
+// Organization snippets need the viewer's SnipSafe sign-in, which browsers
+// only hand to frames on pages of the same site as SnipSafe.
+const EmbedSnippet = () => {
+  const { shareId } = useParams();
+  const [searchParams] = useSearchParams();
+  const [snippet, setSnippet] = useState(null);
+  const [error, setError] = useState(null);
+  const containerRef = useRef(null);
+
+  const theme = THEMES[searchParams.get('theme')] || THEMES.dark;
+  const fileParam = searchParams.get('file');
+  const lines = parseLines(searchParams.get('lines'));
+  const shareUrl = `${window.location.origin}/share/${shareId}`;
+
+  useEffect(() => {
+    const fetchSnippet = async () => {
+      try {
+        const response = await axios.get(`/api/snippets/share/${shareId}`, { params: { embed: true } });
+        setSnippet(response.data);
+      } catch (error) {
+        if (error.response?.data?.code === 'not_embeddable') {
+          setError(error.response.data.error);
+        } else if (error.response?.status === 403) {
+          setError('This snippet is only visible to members of its organization.');
+        } else if (error.response?.status === 401) {
+          setError('This share link is password protected.');
+        } else if (error.response?.status === 410) {
+          setError(error.response.data.error);
+        } else if (error.response?.status === 404) {
+          setError('Snippet not found.');
+        } else {
+          setError('Failed to load snippet.');
+        }
+      }
+    };
+
+    fetchSnippet();
+  }, [shareId]);
+
+  // The app's gradient background would show around the embed
+  useEffect(() => {
+    const { background, minHeight } = document.body.style;
+    document.body.style.background = 'transparent';
+    document.body.style.minHeight = '0';
+    return () => {
+      document.body.style.background = background;
+      document.body.style.minHeight = minHeight;
+    };
+  }, []);
+
+  useReportHeight(containerRef);
+
+  const border = theme.dark ? 'border-slate-700' : 'border-slate-200';
+  const chrome = theme.dark ? 'bg-slate-800 text-slate-300' : 'bg-slate-50 text-slate-600';
+  const linkClass = theme.dark ? 'text-indigo-400 hover:text-indigo-300' : 'text-indigo-600 hover:text-indigo-700';
+
+  let files = snippet ? snippetFiles(snippet) : [];
+  let message = error;
+  if (snippet && (fileParam || lines)) {
+    const file = fileParam ? files.find(candidate => candidate.filename === fileParam) : files[0];
+    if (!file) {
+      message = `There is no file named "${fileParam}" in this snippet.`;
+    } else if (lines) {
+      const fileLines = file.content.split('\n');
+      if (lines.start > fileLines.length) {
+        message = `${file.filename} has only ${fileLines.length} lines.`;
+      } else {
+        const end = Math.min(lines.end, fileLines.length);
+        files = [{ ...file, content: fileLines.slice(lines.start - 1, end).join('\n'), startLine: lines.start, endLine: end }];
+      }
+    } else {
+      files = [file];
+    }
+  }
+
+  return (
+    <div ref={containerRef} className={`border rounded-md overflow-hidden text-sm ${border} ${chrome}`}>
+      {!snippet && !message ? (
+        <div className="flex justify-center py-8">
+          <div className="animate-spin rounded-full h-6 w-6 border-b-2 border-indigo-600"></div>
+        </div>
+      ) : message ? (
+        <div className="px-4 py-6 text-center">
+          <p>{message}</p>
+          <a href={shareUrl} target="_blank" rel="noopener noreferrer" className={`inline-block mt-2 ${linkClass}`}>
+            Open in SnipSafe
+          </a>
+        </div>
+      ) : (
+        <>
+          {files.map(file => (
+            <div key={file._id || file.filename} className={`border-b ${border}`}>
+              <div className="flex items-center justify-between px-4 py-1.5 text-xs">
+                <div className="flex items-center space-x-2 font-mono">
+                  <DocumentTextIcon className="w-4 h-4" />
+                  <span>{file.filename}</span>
+                  {file.startLine && <span className="opacity-70">lines {file.startLine}–{file.endLine}</span>}
+                </div>
+                <span>{file.language}</span>
+              </div>
+              <div className="overflow-x-auto">
+                <SyntaxHighlighter
+                  language={file.language}
+                  style={theme.style}
+                  customStyle={{
+                    margin: 0,
+                    borderRadius: 0,
+                    fontSize: '13px',
+                    lineHeight: '1.5',
+                    backgroundColor: theme.background,
+                    padding: '1rem'
+                  }}
+                  showLineNumbers
+                  startingLineNumber={file.startLine || 1}
+                  lineNumberStyle={{ minWidth: '2.5em', paddingRight: '1em' }}
+                >
+                  {file.content}
+                </SyntaxHighlighter>
+              </div>
+            </div>
+          ))}
+          <div className="flex items-center justify-between px-4 py-1.5 text-xs">
+            <span className="truncate pr-4">{snippet.title}</span>
+            <a
+              href={shareUrl}
+              target="_blank"
+              rel="noopener noreferrer"
+              className={`flex items-center space-x-1 flex-shrink-0 ${linkClass}`}
+            >
+              <span>View in SnipSafe</span>
+              <ArrowTopRightOnSquareIcon className="w-3.5 h-3.5" />
+            </a>
+          </div>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default EmbedSnippet;
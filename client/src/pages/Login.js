@@ -1,5 +1,5 @@
 import React, { useState } from 'react';
-import { Link, useNavigate } from 'react-router-dom';
+import { Link, useNavigate, useLocation } from 'react-router-dom';
 import { useAuth } from '../contexts/AuthContext';
 
 const Login = () => {
@@ -10,6 +10,7 @@ const Login = () => {
   const [loading, setLoading] = useState(false);
   const { login, authConfig, loginWithAzure } = useAuth();
   const navigate = useNavigate();
+  const location = useLocation();
 
   const handleChange = (e) => {
     setFormData({
@@ -30,7 +31,8 @@ const Login = () => {
     }
     
     if (success) {
-      navigate('/dashboard');
+      // Back to the page that sent the user here, e.g. an editor sign-in
+      navigate(location.state?.from || '/dashboard');
     }
     
     setLoading(false);
@@ -0,0 +1,149 @@
+import React, { useState, useEffect } from 'react';
+import axios from 'axios';
+import toast from 'react-hot-toast';
+import { BellIcon, EnvelopeIcon } from '@heroicons/react/24/outline';
+import ApiTokenSettings from '../components/ApiTokenSettings';
+import ImportExportSettings from '../components/ImportExportSettings';
+
+const NOTIFICATION_TYPES = [
+  { type: 'share', label: 'Shares', description: 'Someone shares a snippet or collection with you' },
+  { type: 'comment', label: 'Comments', description: 'Someone comments on one of your snippets' },
+  { type: 'reply', label: 'Replies', description: 'Someone replies in a comment thread you took part in' },
+  { type: 'fork', label: 'Forks', description: 'Someone forks one of your snippets' },
+  { type: 'edit', label: 'Edits', description: 'A collaborator edits one of your snippets' }
+];
+
+const DIGEST_FREQUENCIES = [
+  { value: 'off', label: 'Never' },
+  { value: 'daily', label: 'Daily' },
+  { value: 'weekly', label: 'Weekly' }
+];
+
+const Spinner = () => (
+  <div className="flex justify-center py-8">
+    <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-indigo-600"></div>
+  </div>
+);
+
+const Settings = () => {
+  const [preferences, setPreferences] = useState(null);
+  const [emailPreferences, setEmailPreferences] = useState(null);
+
+  useEffect(() => {
+    const fetchPreferences = async () => {
+      try {
+        const [response, emailResponse] = await Promise.all([
+          axios.get('/api/notifications/preferences'),
+          axios.get('/api/notifications/email-preferences')
+        ]);
+        setPreferences(response.data);
+        setEmailPreferences(emailResponse.data);
+      } catch (error) {
+        toast.error('Failed to load settings');
+      }
+    };
+
+    fetchPreferences();
+  }, []);
+
+  const toggle = async (type) => {
+    try {
+      const response = await axios.put('/api/notifications/preferences', { [type]: !preferences[type] });
+      setPreferences(response.data);
+      toast.success('Settings saved');
+    } catch (error) {
+      toast.error(error.response?.data?.error || 'Failed to save settings');
+    }
+  };
+
+  const updateEmail = async (update) => {
+    try {
+      const response = await axios.put('/api/notifications/email-preferences', update);
+      setEmailPreferences(response.data);
+      toast.success('Settings saved');
+    } catch (error) {
+      toast.error(error.response?.data?.error || 'Failed to save settings');
+    }
+  };
+
+  return (
+    <div className="max-w-3xl mx-auto">
+      <h1 className="text-3xl font-bold text-slate-100 mb-6">Settings</h1>
+
+      <div className="bg-slate-800 rounded-lg shadow-sm border border-slate-700">
+        <div className="px-6 py-4 border-b border-slate-700 flex items-center space-x-2">
+          <BellIcon className="w-5 h-5 text-slate-300" />
+          <h2 className="text-lg font-semibold text-slate-100">Notifications</h2>
+        </div>
+
+        {preferences === null ? (
+          <Spinner />
+        ) : (
+          <div className="divide-y divide-slate-700">
+            {NOTIFICATION_TYPES.map(({ type, label, description }) => (
+              <label key={type} className="flex items-center justify-between px-6 py-4 cursor-pointer">
+                <div>
+                  <div className="text-slate-100">{label}</div>
+                  <div className="text-sm text-slate-400">{description}</div>
+                </div>
+                <input
+                  type="checkbox"
+                  checked={preferences[type]}
+                  onChange={() => toggle(type)}
+                  className="w-5 h-5 rounded border-slate-600 bg-slate-700 text-indigo-600 focus:ring-indigo-500"
+                />
+              </label>
+            ))}
+          </div>
+        )}
+      </div>
+
+      <div className="bg-slate-800 rounded-lg shadow-sm border border-slate-700 mt-6">
+        <div className="px-6 py-4 border-b border-slate-700 flex items-center space-x-2">
+          <EnvelopeIcon className="w-5 h-5 text-slate-300" />
+          <h2 className="text-lg font-semibold text-slate-100">Email</h2>
+        </div>
+
+        {emailPreferences === null ? (
+          <Spinner />
+        ) : (
+          <div className="divide-y divide-slate-700">
+            <label className="flex items-center justify-between px-6 py-4 cursor-pointer">
+              <div>
+                <div className="text-slate-100">Shares</div>
+                <div className="text-sm text-slate-400">Email me when a snippet or collection is shared with me</div>
+              </div>
+              <input
+                type="checkbox"
+                checked={emailPreferences.shares}
+                onChange={() => updateEmail({ shares: !emailPreferences.shares })}
+                className="w-5 h-5 rounded border-slate-600 bg-slate-700 text-indigo-600 focus:ring-indigo-500"
+              />
+            </label>
+            <label className="flex items-center justify-between px-6 py-4">
+              <div>
+                <div className="text-slate-100">Digest</div>
+                <div className="text-sm text-slate-400">A summary of notifications I haven't read yet</div>
+              </div>
+              <select
+                value={emailPreferences.digest}
+                onChange={(e) => updateEmail({ digest: e.target.value })}
+                className="px-3 py-1.5 bg-slate-700 border border-slate-600 rounded-md text-slate-100 text-sm focus:outline-none focus:ring-2 focus:ring-indigo-500"
+              >
+                {DIGEST_FREQUENCIES.map(({ value, label }) => (
+                  <option key={value} value={value}>{label}</option>
+                ))}
+              </select>
+            </label>
+          </div>
+        )}
+      </div>
+
+      <ApiTokenSettings />
+
+      <ImportExportSettings />
+    </div>
+  );
+};
+
+export default Settings;
@@ -0,0 +1,124 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { Link, useParams } from 'react-router-dom';
+import axios from 'axios';
+import toast from 'react-hot-toast';
+import { FolderIcon, ArrowDownTrayIcon } from '@heroicons/react/24/outline';
+import { VISIBILITY_BADGES } from '../utils/collections';
+import { downloadFile } from '../utils/download';
+
+const SharedCollection = () => {
+  const { shareId } = useParams();
+  const [collection, setCollection] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  const fetchCollection = useCallback(async () => {
+    try {
+      const response = await axios.get(`/api/collections/share/${shareId}`);
+      setCollection(response.data);
+    } catch (error) {
+      if (error.response?.status === 403) {
+        setError('Access denied. You do not have permission to view this collection.');
+      } else if (error.response?.status === 404) {
+        setError('Collection not found.');
+      } else {
+        setError('Failed to load collection.');
+      }
+    } finally {
+      setLoading(false);
+    }
+  }, [shareId]);
+
+  useEffect(() => {
+    fetchCollection();
+  }, [fetchCollection]);
+
+  const download = async () => {
+    try {
+      await downloadFile(`/api/collections/share/${shareId}/download`, 'collection.zip');
+    } catch (error) {
+      toast.error('Failed to download collection');
+    }
+  };
+
+  if (loading) {
+    return (
+      <div className="flex justify-center items-center h-64">
+        <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-indigo-600"></div>
+      </div>
+    );
+  }
+
+  if (error) {
+    return (
+      <div className="text-center py-12">
+        <p className="text-red-600 text-lg">{error}</p>
+      </div>
+    );
+  }
+
+  return (
+    <div className="w-full">
+      <div className="bg-slate-800 rounded-lg shadow-sm border border-slate-700">
+        <div className="p-8 border-b border-slate-700">
+          <div className="flex justify-between items-start">
+            <div className="flex-1 pr-8">
+              <h1 className="text-3xl font-bold text-slate-100 mb-3 flex items-center space-x-3">
+                <FolderIcon className="w-8 h-8 text-indigo-400" />
+                <span>{collection.name}</span>
+              </h1>
+              {collection.description && (
+                <p className="text-slate-300 text-lg mb-4">{collection.description}</p>
+              )}
+              <div className="text-sm text-slate-400">
+                By {collection.owner?.username} • {collection.snippetCount} {collection.snippetCount === 1 ? 'snippet' : 'snippets'}
+              </div>
+            </div>
+
+            <div className="text-right">
+              <div className="text-xs text-slate-500 mb-2">Shared via SnipSafe</div>
+              <span className={`inline-flex items-center px-3 py-1 rounded-full text-sm font-medium ${VISIBILITY_BADGES[collection.visibility]}`}>
+                {collection.visibility}
+              </span>
+              <button
+                onClick={download}
+                className="mt-3 flex items-center space-x-2 px-3 py-1.5 bg-slate-700 text-slate-300 hover:bg-slate-600 hover:text-slate-200 rounded-lg text-sm transition-colors"
+              >
+                <ArrowDownTrayIcon className="w-4 h-4" />
+                <span>Download .zip</span>
+              </button>
+            </div>
+          </div>
+        </div>
+
+        <ol className="p-8 space-y-2">
+          {collection.snippets.map((snippet, index) => (
+            <li key={snippet._id}>
+              <Link
+                to={`/share/${snippet.shareId}`}
+                className="flex items-center p-3 bg-slate-700 rounded-lg hover:bg-slate-600 transition-colors"
+              >
+                <span className="w-6 text-sm text-slate-500">{index + 1}</span>
+                <div className="flex-1 min-w-0">
+                  <div className="text-slate-100 truncate">{snippet.title}</div>
+                  {snippet.description && (
+                    <div className="text-sm text-slate-400 truncate">{snippet.description}</div>
+                  )}
+                </div>
+                <span className="ml-3 text-xs bg-slate-800 text-slate-300 px-2 py-1 rounded">{snippet.language}</span>
+              </Link>
+            </li>
+          ))}
+        </ol>
+
+        {collection.hiddenCount > 0 && (
+          <p className="px-8 pb-8 text-sm text-slate-500">
+            {collection.hiddenCount} more {collection.hiddenCount === 1 ? 'snippet is' : 'snippets are'} only visible to signed-in members with access.
+          </p>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default SharedCollection;
@@ -1,25 +1,39 @@
 import React, { useState, useEffect, useCallback } from 'react';
 import { useParams } from 'react-router-dom';
 import axios from 'axios';
-import { Prism as SyntaxHighlighter } from 'react-syntax-highlighter';
 import { tomorrow } from 'react-syntax-highlighter/dist/esm/styles/prism';
-import { EyeIcon } from '@heroicons/react/24/outline';
+import { EyeIcon, LockClosedIcon } from '@heroicons/react/24/outline';
 import CurrentViewers from '../components/CurrentViewers';
+import SnippetFilesView, { snippetFiles } from '../components/SnippetFilesView';
 
 const SharedSnippet = () => {
   const { shareId } = useParams();
   const [snippet, setSnippet] = useState(null);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
+  // Share links can need a password: { invalid } while asking for it
+  const [passwordPrompt, setPasswordPrompt] = useState(null);
+  const [password, setPassword] = useState('');
+  const [unlocking, setUnlocking] = useState(false);
 
-  const fetchSnippet = useCallback(async () => {
+  const fetchSnippet = useCallback(async (sharePassword) => {
     try {
-      const response = await axios.get(`/api/snippets/share/${shareId}`);
+      const response = await axios.get(`/api/snippets/share/${shareId}`, {
+        headers: sharePassword ? { 'X-Share-Password': sharePassword } : {}
+      });
       setSnippet(response.data);
+      setPasswordPrompt(null);
     } catch (error) {
-      if (error.response?.status === 403) {
+      const { status, data } = error.response || {};
+      if (status === 401 && ['password_required', 'invalid_password'].includes(data?.code)) {
+        setPasswordPrompt({ invalid: data.code === 'invalid_password' });
+      } else if (status === 410) {
+        // Revoked, expired or used up; the server says which
+        setPasswordPrompt(null);
+        setError(data?.error || 'This share link no longer works.');
+      } else if (status === 403) {
         setError('Access denied. You do not have permission to view this snippet.');
-      } else if (error.response?.status === 404) {
+      } else if (status === 404) {
         setError('Snippet not found.');
       } else {
         setError('Failed to load snippet.');
@@ -33,6 +47,13 @@ const SharedSnippet = () => {
     fetchSnippet();
   }, [fetchSnippet]);
 
+  const unlock = async (e) => {
+    e.preventDefault();
+    setUnlocking(true);
+    await fetchSnippet(password);
+    setUnlocking(false);
+  };
+
   if (loading) {
     return (
       <div className="flex justify-center items-center h-64">
@@ -49,6 +70,36 @@ const SharedSnippet = () => {
     );
   }
 
+  if (passwordPrompt) {
+    return (
+      <div className="max-w-sm mx-auto mt-12 bg-slate-800 rounded-lg shadow-sm border border-slate-700 p-6">
+        <div className="flex items-center space-x-2 mb-2">
+          <LockClosedIcon className="w-5 h-5 text-slate-300" />
+          <h1 className="text-lg font-semibold text-slate-100">Password required</h1>
+        </div>
+        <p className="text-sm text-slate-400 mb-4">Enter the password you were given with this link to view the snippet.</p>
+        <form onSubmit={unlock} className="space-y-3">
+          <input
+            type="password"
+            value={password}
+            onChange={(e) => setPassword(e.target.value)}
+            autoFocus
+            required
+            className="w-full px-3 py-2 border border-slate-600 rounded-lg bg-slate-700 text-slate-100 focus:outline-none focus:ring-2 focus:ring-indigo-500"
+          />
+          {passwordPrompt.invalid && <p className="text-sm text-red-400">Incorrect password</p>}
+          <button
+            type="submit"
+            disabled={unlocking || !password}
+            className="w-full px-4 py-2 bg-indigo-600 text-white hover:bg-indigo-700 rounded-lg transition-colors disabled:opacity-50"
+          >
+            {unlocking ? 'Checking…' : 'View Snippet'}
+          </button>
+        </form>
+      </div>
+    );
+  }
+
   if (!snippet) {
     return (
       <div className="text-center py-12">
@@ -57,6 +108,8 @@ const SharedSnippet = () => {
     );
   }
 
+  const files = snippetFiles(snippet);
+
   return (
     <div className="w-full">
       <div className="bg-slate-800 rounded-lg shadow-sm border border-slate-700">
@@ -78,8 +131,11 @@ const SharedSnippet = () => {
                 </div>
                 <span>•</span>
                 <span className="bg-slate-700 px-3 py-1 rounded text-slate-300">
-                  {snippet.language}
+                  {[...new Set(files.map(file => file.language))].join(', ')}
                 </span>
+                {files.length > 1 && (
+                  <span>{files.length} files</span>
+                )}
               </div>
 
               {/* Current Viewers */}
@@ -116,28 +172,8 @@ const SharedSnippet = () => {
           )}
         </div>
 
-        <div className="overflow-x-auto">
-          <SyntaxHighlighter
-            language={snippet.language}
-            style={tomorrow}
-            customStyle={{
-              margin: 0,
-              borderRadius: 0,
-              fontSize: '15px',
-              lineHeight: '1.6',
-              backgroundColor: '#0f172a',
-              padding: '2rem'
-            }}
-            showLineNumbers
-            lineNumberStyle={{
-              minWidth: '3em',
-              paddingRight: '1em',
-              fontSize: '14px'
-            }}
-          >
-            {snippet.content}
-          </SyntaxHighlighter>
-        </div>
+        {/* Raw downloads can't send the password of a protected link */}
+        <SnippetFilesView snippet={snippet} style={tomorrow} rawUrl={password ? undefined : `/api/snippets/share/${shareId}/raw`} />
       </div>
     </div>
   );
@@ -0,0 +1,397 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { Link, useParams, useNavigate } from 'react-router-dom';
+import axios from 'axios';
+import toast from 'react-hot-toast';
+import {
+  FolderIcon, ShareIcon, PencilIcon, TrashIcon, ArrowUpIcon, ArrowDownIcon, XMarkIcon, PlusIcon, ChevronRightIcon,
+  ArrowDownTrayIcon
+} from '@heroicons/react/24/outline';
+import LoadingSpinner from '../components/LoadingSpinner';
+import ShareModal from '../components/ShareModal';
+import { collectionOptions, VISIBILITY_BADGES } from '../utils/collections';
+import { downloadFile } from '../utils/download';
+
+const ViewCollection = () => {
+  const { id } = useParams();
+  const navigate = useNavigate();
+  const [collection, setCollection] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [editing, setEditing] = useState(false);
+  const [form, setForm] = useState({ name: '', description: '' });
+  const [myCollections, setMyCollections] = useState([]);
+  const [newChildName, setNewChildName] = useState('');
+  const [showShareModal, setShowShareModal] = useState(false);
+
+  const fetchCollection = useCallback(async () => {
+    try {
+      const response = await axios.get(`/api/collections/${id}`);
+      setCollection(response.data);
+    } catch (error) {
+      toast.error(error.response?.data?.error || 'Collection not found');
+      navigate('/collections');
+    } finally {
+      setLoading(false);
+    }
+  }, [id, navigate]);
+
+  useEffect(() => {
+    setLoading(true);
+    fetchCollection();
+  }, [fetchCollection]);
+
+  const isOwner = collection?.permissions?.isOwner;
+  const canEdit = collection?.permissions?.canEdit;
+
+  // The owner's collections, for moving this one
+  useEffect(() => {
+    if (!isOwner) return;
+    axios.get('/api/collections?scope=mine')
+      .then(response => setMyCollections(response.data.collections))
+      .catch(error => console.error('Error fetching collections:', error));
+  }, [isOwner, id]);
+
+  const update = async (changes) => {
+    try {
+      const response = await axios.put(`/api/collections/${id}`, changes);
+      setCollection(prev => ({ ...prev, ...response.data }));
+      return true;
+    } catch (error) {
+      toast.error(error.response?.data?.error || 'Failed to update collection');
+      return false;
+    }
+  };
+
+  const saveDetails = async (e) => {
+    e.preventDefault();
+    if (await update(form)) {
+      setEditing(false);
+    }
+  };
+
+  const move = async (parent) => {
+    if (await update({ parent: parent || null })) {
+      toast.success('Collection moved');
+      fetchCollection();
+    }
+  };
+
+  const deleteCollection = async () => {
+    const message = collection.children.length > 0
+      ? `Delete "${collection.name}"? Its subcollections move up a level; the snippets in it are kept.`
+      : `Delete "${collection.name}"? The snippets in it are kept.`;
+    if (!window.confirm(message)) {
+      return;
+    }
+    try {
+      await axios.delete(`/api/collections/${id}`);
+      toast.success('Collection deleted');
+      navigate(collection.parent ? `/collection/${collection.parent}` : '/collections');
+    } catch (error) {
+      toast.error(error.response?.data?.error || 'Failed to delete collection');
+    }
+  };
+
+  const download = async () => {
+    try {
+      await downloadFile(`/api/collections/${id}/download`, 'collection.zip');
+    } catch (error) {
+      toast.error('Failed to download collection');
+    }
+  };
+
+  const createChild = async (e) => {
+    e.preventDefault();
+    try {
+      await axios.post('/api/collections', { name: newChildName, parent: id, visibility: collection.visibility });
+      setNewChildName('');
+      fetchCollection();
+    } catch (error) {
+      toast.error(error.response?.data?.error || 'Failed to create collection');
+    }
+  };
+
+  const removeSnippet = async (snippet) => {
+    try {
+      await axios.delete(`/api/collections/${id}/snippets/${snippet._id}`);
+      setCollection(prev => ({
+        ...prev,
+        snippets: prev.snippets.filter(item => item._id !== snippet._id),
+        snippetCount: prev.snippetCount - 1
+      }));
+      toast.success(`Removed "${snippet.title}"`);
+    } catch (error) {
+      toast.error(error.response?.data?.error || 'Failed to remove snippet');
+    }
+  };
+
+  const moveSnippet = async (index, offset) => {
+    const snippets = [...collection.snippets];
+    [snippets[index], snippets[index + offset]] = [snippets[index + offset], snippets[index]];
+    setCollection(prev => ({ ...prev, snippets }));
+    try {
+      await axios.put(`/api/collections/${id}/snippets`, { snippetIds: snippets.map(snippet => snippet._id) });
+    } catch (error) {
+      toast.error(error.response?.data?.error || 'Failed to reorder snippets');
+      fetchCollection();
+    }
+  };
+
+  if (loading) {
+    return (
+      <div className="flex justify-center py-12">
+        <LoadingSpinner size="md" text="Loading collection..." />
+      </div>
+    );
+  }
+
+  if (!collection) {
+    return null;
+  }
+
+  return (
+    <div className="w-full space-y-6">
+      {/* Breadcrumbs */}
+      <nav className="flex items-center flex-wrap text-sm text-slate-400">
+        <Link to="/collections" className="hover:text-slate-200">Collections</Link>
+        {collection.path.map(ancestor => (
+          <React.Fragment key={ancestor._id}>
+            <ChevronRightIcon className="w-4 h-4 mx-1" />
+            <Link to={`/collection/${ancestor._id}`} className="hover:text-slate-200">{ancestor.name}</Link>
+          </React.Fragment>
+        ))}
+        <ChevronRightIcon className="w-4 h-4 mx-1" />
+        <span className="text-slate-200">{collection.name}</span>
+      </nav>
+
+      <div className="bg-slate-800 rounded-lg border border-slate-700 p-6">
+        <div className="flex justify-between items-start">
+          {editing ? (
+            <form onSubmit={saveDetails} className="flex-1 pr-8 space-y-3">
+              <input
+                type="text"
+                value={form.name}
+                onChange={(e) => setForm({ ...form, name: e.target.value })}
+                maxLength={100}
+                required
+                className="w-full px-3 py-2 border border-slate-600 rounded-lg bg-slate-700 text-slate-100 text-xl focus:outline-none focus:ring-2 focus:ring-indigo-500"
+              />
+              <textarea
+                value={form.description}
+                onChange={(e) => setForm({ ...form, description: e.target.value })}
+                placeholder="Description (optional)"
+                maxLength={1000}
+                rows={2}
+                className="w-full px-3 py-2 border border-slate-600 rounded-lg bg-slate-700 text-slate-100 focus:outline-none focus:ring-2 focus:ring-indigo-500"
+              />
+              <div className="flex space-x-3">
+                <button type="submit" className="px-4 py-2 bg-indigo-600 text-white hover:bg-indigo-700 rounded-lg transition-colors">
+                  Save
+                </button>
+                <button
+                  type="button"
+                  onClick={() => setEditing(false)}
+                  className="px-4 py-2 bg-slate-700 text-slate-300 hover:bg-slate-600 rounded-lg transition-colors"
+                >
+                  Cancel
+                </button>
+              </div>
+            </form>
+          ) : (
+            <div className="flex-1 pr-8">
+              <h1 className="text-3xl font-bold text-slate-100 mb-3 flex items-center space-x-3">
+                <FolderIcon className="w-8 h-8 text-indigo-400" />
+                <span>{collection.name}</span>
+              </h1>
+              {collection.description && (
+                <p className="text-slate-300 text-lg mb-4">{collection.description}</p>
+              )}
+              <div className="flex items-center flex-wrap gap-4 text-sm text-slate-400">
+                <span>By {collection.owner?.username}</span>
+                <span>•</span>
+                <span>{collection.snippetCount} {collection.snippetCount === 1 ? 'snippet' : 'snippets'}</span>
+                <span>•</span>
+                <span className={`px-3 py-1 rounded-full ${VISIBILITY_BADGES[collection.visibility]}`}>
+                  {collection.visibility}
+                </span>
+              </div>
+            </div>
+          )}
+
+          <div className="flex items-center space-x-3">
+            {canEdit && !editing && (
+              <button
+                onClick={() => {
+                  setForm({ name: collection.name, description: collection.description || '' });
+                  setEditing(true);
+                }}
+                className="flex items-center space-x-2 px-4 py-2 bg-slate-700 text-slate-300 hover:bg-slate-600 hover:text-slate-200 rounded-lg transition-colors"
+              >
+                <PencilIcon className="w-4 h-4" />
+                <span>Edit</span>
+              </button>
+            )}
+
+            {isOwner && (
+              <button
+                onClick={deleteCollection}
+                className="flex items-center space-x-2 px-4 py-2 bg-red-600 text-white hover:bg-red-700 rounded-lg transition-colors"
+              >
+                <TrashIcon className="w-4 h-4" />
+                <span>Delete</span>
+              </button>
+            )}
+
+            <button
+              onClick={download}
+              className="flex items-center space-x-2 px-4 py-2 bg-slate-700 text-slate-300 hover:bg-slate-600 hover:text-slate-200 rounded-lg transition-colors"
+              title="Download as .zip"
+            >
+              <ArrowDownTrayIcon className="w-4 h-4" />
+              <span>Download</span>
+            </button>
+
+            <button
+              onClick={() => setShowShareModal(true)}
+              className="flex items-center space-x-2 px-4 py-2 bg-indigo-600 text-white hover:bg-indigo-700 rounded-lg transition-colors"
+            >
+              <ShareIcon className="w-4 h-4" />
+              <span>Share</span>
+            </button>
+          </div>
+        </div>
+
+        {isOwner && (
+          <div className="mt-6 flex flex-wrap gap-4 text-sm">
+            <label className="flex items-center space-x-2 text-slate-300">
+              <span>Visibility</span>
+              <select
+                value={collection.visibility}
+                onChange={(e) => update({ visibility: e.target.value })}
+                className="px-2 py-1 border border-slate-600 rounded bg-slate-700 text-slate-100 focus:outline-none focus:ring-2 focus:ring-indigo-500"
+              >
+                <option value="private">Private</option>
+                <option value="organization">Organization</option>
+                <option value="public">Public</option>
+              </select>
+            </label>
+            <label className="flex items-center space-x-2 text-slate-300">
+              <span>Inside</span>
+              <select
+                value={collection.parent || ''}
+                onChange={(e) => move(e.target.value)}
+                className="px-2 py-1 border border-slate-600 rounded bg-slate-700 text-slate-100 focus:outline-none focus:ring-2 focus:ring-indigo-500"
+              >
+                <option value="">Top level</option>
+                {collectionOptions(myCollections, collection._id).map(option => (
+                  <option key={option._id} value={option._id}>{option.label}</option>
+                ))}
+              </select>
+            </label>
+          </div>
+        )}
+      </div>
+
+      {/* Subcollections */}
+      {(collection.children.length > 0 || isOwner) && (
+        <div className="bg-slate-800 rounded-lg border border-slate-700 p-6">
+          <h2 className="text-lg font-semibold text-slate-100 mb-4">Subcollections</h2>
+          <div className="grid gap-3 grid-cols-1 md:grid-cols-2 lg:grid-cols-3">
+            {collection.children.map(child => (
+              <Link
+                key={child._id}
+                to={`/collection/${child._id}`}
+                className="flex items-center justify-between p-3 bg-slate-700 rounded-lg hover:bg-slate-600 transition-colors"
+              >
+                <span className="flex items-center space-x-2 min-w-0">
+                  <FolderIcon className="w-5 h-5 text-indigo-400 flex-shrink-0" />
+                  <span className="text-slate-100 truncate">{child.name}</span>
+                </span>
+                <span className="text-xs text-slate-400">{child.snippetCount}</span>
+              </Link>
+            ))}
+            {isOwner && (
+              <form onSubmit={createChild} className="flex">
+                <input
+                  type="text"
+                  value={newChildName}
+                  onChange={(e) => setNewChildName(e.target.value)}
+                  placeholder="New subcollection"
+                  maxLength={100}
+                  required
+                  className="flex-1 min-w-0 px-3 py-2 border border-slate-600 rounded-l-lg bg-slate-700 text-slate-100 text-sm focus:outline-none focus:ring-2 focus:ring-indigo-500"
+                />
+                <button type="submit" className="px-3 bg-indigo-600 text-white rounded-r-lg hover:bg-indigo-700" title="Create subcollection">
+                  <PlusIcon className="w-4 h-4" />
+                </button>
+              </form>
+            )}
+          </div>
+        </div>
+      )}
+
+      {/* Snippets */}
+      <div className="bg-slate-800 rounded-lg border border-slate-700 p-6">
+        <h2 className="text-lg font-semibold text-slate-100 mb-4">Snippets</h2>
+        {collection.snippets.length === 0 ? (
+          <p className="text-slate-400">
+            No snippets yet. Add them from a snippet's page with <span className="text-slate-300">Add to collection</span>.
+          </p>
+        ) : (
+          <ol className="space-y-2">
+            {collection.snippets.map((snippet, index) => (
+              <li key={snippet._id} className="flex items-center p-3 bg-slate-700 rounded-lg">
+                <span className="w-6 text-sm text-slate-500">{index + 1}</span>
+                <Link to={`/snippet/${snippet._id}`} className="flex-1 min-w-0">
+                  <div className="text-slate-100 truncate hover:text-indigo-300">{snippet.title}</div>
+                  <div className="text-xs text-slate-400">
+                    {snippet.language} • {snippet.author?.username}
+                  </div>
+                </Link>
+                {canEdit && (
+                  <div className="flex items-center space-x-1">
+                    <button
+                      onClick={() => moveSnippet(index, -1)}
+                      disabled={index === 0}
+                      className="p-1 text-slate-400 hover:text-slate-200 disabled:opacity-30"
+                      title="Move up"
+                    >
+                      <ArrowUpIcon className="w-4 h-4" />
+                    </button>
+                    <button
+                      onClick={() => moveSnippet(index, 1)}
+                      disabled={index === collection.snippets.length - 1}
+                      className="p-1 text-slate-400 hover:text-slate-200 disabled:opacity-30"
+                      title="Move down"
+                    >
+                      <ArrowDownIcon className="w-4 h-4" />
+                    </button>
+                    <button
+                      onClick={() => removeSnippet(snippet)}
+                      className="p-1 text-slate-400 hover:text-red-400"
+                      title="Remove from collection"
+                    >
+                      <XMarkIcon className="w-4 h-4" />
+                    </button>
+                  </div>
+                )}
+              </li>
+            ))}
+          </ol>
+        )}
+        {collection.hiddenCount > 0 && (
+          <p className="mt-4 text-sm text-slate-500">
+            {collection.hiddenCount} more {collection.hiddenCount === 1 ? 'snippet is' : 'snippets are'} not visible to you.
+          </p>
+        )}
+      </div>
+
+      <ShareModal
+        isOpen={showShareModal}
+        onClose={() => setShowShareModal(false)}
+        collection={collection}
+      />
+    </div>
+  );
+};
+
+export default ViewCollection;
@@ -2,12 +2,16 @@ import React, { useState, useEffect, useCallback } from 'react';
 import { useParams, useNavigate, Link } from 'react-router-dom';
 import axios from 'axios';
 import { useAuth } from '../contexts/AuthContext';
-import { Prism as SyntaxHighlighter } from 'react-syntax-highlighter';
 import { vscDarkPlus } from 'react-syntax-highlighter/dist/esm/styles/prism';
-import { EyeIcon, ShareIcon, PencilIcon, TrashIcon } from '@heroicons/react/24/outline';
+import { EyeIcon, ShareIcon, PencilIcon, TrashIcon, ClockIcon, StarIcon, DocumentDuplicateIcon } from '@heroicons/react/24/outline';
 import toast from 'react-hot-toast';
+import AddToCollectionMenu from '../components/AddToCollectionMenu';
 import ShareModal from '../components/ShareModal';
 import CurrentViewers from '../components/CurrentViewers';
+import { snippetFiles } from '../components/SnippetFilesView';
+import SnippetComments from '../components/SnippetComments';
+import RevisionHistory from '../components/RevisionHistory';
+import ForkList from '../components/ForkList';
 
 const ViewSnippet = () => {
   const { id } = useParams();
@@ -16,6 +20,9 @@ const ViewSnippet = () => {
   const [snippet, setSnippet] = useState(null);
   const [loading, setLoading] = useState(true);
   const [showShareModal, setShowShareModal] = useState(false);
+  const [showHistory, setShowHistory] = useState(false);
+  const [showForks, setShowForks] = useState(false);
+  const [forking, setForking] = useState(false);
 
   const fetchSnippet = useCallback(async () => {
     try {
@@ -34,6 +41,30 @@ const ViewSnippet = () => {
     fetchSnippet();
   }, [fetchSnippet]);
 
+  const toggleStar = async () => {
+    try {
+      const response = snippet.starred
+        ? await axios.delete(`/api/snippets/${id}/star`)
+        : await axios.post(`/api/snippets/${id}/star`);
+      setSnippet(prev => ({ ...prev, ...response.data }));
+    } catch (error) {
+      toast.error(error.response?.data?.error || 'Failed to update star');
+    }
+  };
+
+  const forkSnippet = async () => {
+    setForking(true);
+    try {
+      const response = await axios.post(`/api/snippets/${id}/fork`);
+      toast.success('Snippet forked');
+      navigate(`/snippet/${response.data._id}`);
+    } catch (error) {
+      toast.error(error.response?.data?.error || 'Failed to fork snippet');
+    } finally {
+      setForking(false);
+    }
+  };
+
   const deleteSnippet = async () => {
     if (window.confirm('Are you sure you want to delete this snippet?')) {
       try {
@@ -62,9 +93,14 @@ const ViewSnippet = () => {
     );
   }
 
-  const isAuthor = snippet?.author?._id === user?.id || 
-                   snippet?.author?._id === user?.userId ||
-                   snippet?.author?.username === user?.username;
+  const isAuthor = snippet.permissions?.isOwner ?? (
+    snippet?.author?._id === user?.id ||
+    snippet?.author?._id === user?.userId ||
+    snippet?.author?.username === user?.username
+  );
+  const canEdit = isAuthor || snippet.permissions?.canEdit;
+
+  const files = snippetFiles(snippet);
 
   return (
     <div className="w-full">
@@ -87,10 +123,45 @@ const ViewSnippet = () => {
                 </div>
                 <span>•</span>
                 <span className="bg-slate-700 px-3 py-1 rounded text-slate-300">
-                  {snippet.language}
+                  {[...new Set(files.map(file => file.language))].join(', ')}
                 </span>
+                {files.length > 1 && (
+                  <span>{files.length} files</span>
+                )}
+                {snippet.sharingInfo?.permissions === 'edit' && (
+                  <span className="bg-emerald-900 text-emerald-300 px-3 py-1 rounded">
+                    You can edit
+                  </span>
+                )}
               </div>
 
+              {snippet.forkedFrom && (
+                <div className="flex items-center space-x-2 text-sm text-slate-400 mb-4">
+                  <DocumentDuplicateIcon className="w-4 h-4" />
+                  {snippet.forkedFrom.available ? (
+                    <span>
+                      Forked from{' '}
+                      <Link to={`/snippet/${snippet.forkedFrom._id}`} className="text-indigo-400 hover:text-indigo-300">
+                        {snippet.forkedFrom.title}
+                      </Link>
+                      {snippet.forkedFrom.author && ` by ${snippet.forkedFrom.author.username}`}
+                    </span>
+                  ) : (
+                    <span>Forked from a snippet you no longer have access to</span>
+                  )}
+                </div>
+              )}
+
+              {snippet.lastEditedBy && (
+                <div className="flex items-center space-x-2 text-sm text-slate-400 mb-4">
+                  <PencilIcon className="w-4 h-4" />
+                  <span>
+                    Last edited by <span className="text-slate-200">{snippet.lastEditedBy.username}</span>
+                    {snippet.lastEditedAt && ` on ${new Date(snippet.lastEditedAt).toLocaleString()}`}
+                  </span>
+                </div>
+              )}
+
               {/* Current Viewers */}
               <div className="mb-4">
                 <CurrentViewers snippetId={snippet._id} />
@@ -98,14 +169,64 @@ const ViewSnippet = () => {
             </div>
 
             <div className="flex items-center space-x-3">
-              {/* Always show Edit button for testing - remove this condition temporarily */}
-              <Link
-                to={`/snippet/${id}/edit`}
-                className="flex items-center space-x-2 px-4 py-2 bg-slate-700 text-slate-300 hover:bg-slate-600 hover:text-slate-200 rounded-lg transition-colors"
+              <button
+                onClick={toggleStar}
+                className={`flex items-center space-x-2 px-4 py-2 rounded-lg transition-colors ${
+                  snippet.starred
+                    ? 'bg-slate-700 text-yellow-400 hover:bg-slate-600'
+                    : 'bg-slate-700 text-slate-300 hover:bg-slate-600 hover:text-slate-200'
+                }`}
               >
-                <PencilIcon className="w-4 h-4" />
-                <span>Edit</span>
-              </Link>
+                <StarIcon className="w-4 h-4" fill={snippet.starred ? 'currentColor' : 'none'} />
+                <span>{snippet.starred ? 'Starred' : 'Star'}</span>
+                <span className="bg-slate-800 px-2 py-0.5 rounded-full text-xs">{snippet.starCount || 0}</span>
+              </button>
+
+              <button
+                onClick={forkSnippet}
+                disabled={forking}
+                className="flex items-center space-x-2 px-4 py-2 bg-slate-700 text-slate-300 hover:bg-slate-600 hover:text-slate-200 rounded-lg transition-colors disabled:opacity-50"
+              >
+                <DocumentDuplicateIcon className="w-4 h-4" />
+                <span>{forking ? 'Forking...' : 'Fork'}</span>
+              </button>
+
+              <button
+                onClick={() => setShowForks(!showForks)}
+                title="Show forks"
+                className={`flex items-center space-x-2 px-4 py-2 rounded-lg transition-colors ${
+                  showForks
+                    ? 'bg-indigo-600 text-white'
+                    : 'bg-slate-700 text-slate-300 hover:bg-slate-600 hover:text-slate-200'
+                }`}
+              >
+                <span>Forks</span>
+                <span className="bg-slate-800 px-2 py-0.5 rounded-full text-xs">{snippet.forkCount || 0}</span>
+              </button>
+
+              <AddToCollectionMenu snippetId={snippet._id} />
+
+              <button
+                onClick={() => setShowHistory(!showHistory)}
+                className={`flex items-center space-x-2 px-4 py-2 rounded-lg transition-colors ${
+                  showHistory
+                    ? 'bg-indigo-600 text-white'
+                    : 'bg-slate-700 text-slate-300 hover:bg-slate-600 hover:text-slate-200'
+                }`}
+              >
+                <ClockIcon className="w-4 h-4" />
+                <span>History</span>
+              </button>
+
+              {canEdit && (
+                <Link
+                  to={`/snippet/${id}/edit`}
+                  className="flex items-center space-x-2 px-4 py-2 bg-slate-700 text-slate-300 hover:bg-slate-600 hover:text-slate-200 rounded-lg transition-colors"
+                >
+                  <PencilIcon className="w-4 h-4" />
+                  <span>Edit</span>
+                </Link>
+              )}
               
               {isAuthor && (
                 <button
@@ -143,28 +264,25 @@ const ViewSnippet = () => {
           )}
         </div>
 
-        <div className="overflow-x-auto">
-          <SyntaxHighlighter
-            language={snippet.language}
-            style={vscDarkPlus}
-            customStyle={{
-              margin: 0,
-              borderRadius: 0,
-              fontSize: '15px',
-              lineHeight: '1.6',
-              backgroundColor: '#0f172a',
-              padding: '2rem'
-            }}
-            showLineNumbers
-            lineNumberStyle={{
-              minWidth: '3em',
-              paddingRight: '1em',
-              fontSize: '14px'
-            }}
-          >
-            {snippet.content}
-          </SyntaxHighlighter>
-        </div>
+        {showHistory && (
+          <div className="p-6 border-b border-slate-700">
+            <h2 className="text-lg font-semibold text-slate-100 mb-4">Revision History</h2>
+            <RevisionHistory
+              snippetId={snippet._id}
+              canRestore={canEdit}
+              onRestored={(restored) => setSnippet(prev => ({ ...prev, ...restored }))}
+            />
+          </div>
+        )}
+
+        {showForks && (
+          <div className="p-6 border-b border-slate-700">
+            <h2 className="text-lg font-semibold text-slate-100 mb-4">Forks</h2>
+            <ForkList key={snippet._id} snippetId={snippet._id} />
+          </div>
+        )}
+
+        <SnippetComments snippet={snippet} style={vscDarkPlus} rawUrl={`/api/snippets/${id}/raw`} />
       </div>
 
       {snippet && (
@@ -0,0 +1,30 @@
+export const VISIBILITY_BADGES = {
+  public: 'bg-green-900 text-green-300',
+  organization: 'bg-blue-900 text-blue-300',
+  private: 'bg-slate-700 text-slate-300'
+};
+
+// Nest a flat list of collections by `parent`. Collections whose parent is not
+// in the list (such as a private parent of a shared collection) become roots.
+export const collectionTree = (collections) => {
+  const ids = new Set(collections.map(collection => collection._id));
+  const childrenOf = (parentId) => collections
+    .filter(collection => (parentId ? collection.parent === parentId : !ids.has(collection.parent)))
+    .map(collection => ({ ...collection, children: childrenOf(collection._id) }));
+  return childrenOf(null);
+};
+
+// Select options for picking a collection, indented by depth. `exclude` drops
+// a collection and everything below it.
+export const collectionOptions = (collections, exclude = null) => {
+  const options = [];
+  const walk = (nodes, depth) => {
+    for (const node of nodes) {
+      if (node._id === exclude) continue;
+      options.push({ _id: node._id, label: `${'\u00A0\u00A0'.repeat(depth)}${node.name}` });
+      walk(node.children, depth + 1);
+    }
+  };
+  walk(collectionTree(collections), 0);
+  return options;
+};
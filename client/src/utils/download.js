@@ -0,0 +1,21 @@
+import axios from 'axios';
+
+// Save the response of an API endpoint as a file. Plain links can't carry the
+// login token, so the file is fetched with axios and handed to the browser.
+// The name comes from the server's Content-Disposition when it sends one.
+export const downloadFile = async (url, fallbackName) => {
+  const response = await axios.get(url, { responseType: 'blob' });
+
+  const disposition = response.headers['content-disposition'] || '';
+  const encoded = /filename\*=UTF-8''([^;]+)/i.exec(disposition);
+  const filename = encoded ? decodeURIComponent(encoded[1]) : fallbackName;
+
+  const href = URL.createObjectURL(response.data);
+  const link = document.createElement('a');
+  link.href = href;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  URL.revokeObjectURL(href);
+};
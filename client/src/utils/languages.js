@@ -0,0 +1,80 @@
+// Languages offered in the editors, with the file extension used when a file
+// needs a default name. Mirrors server/utils/languages.js.
+export const LANGUAGE_EXTENSIONS = {
+  javascript: 'js',
+  typescript: 'ts',
+  jsx: 'jsx',
+  tsx: 'tsx',
+  python: 'py',
+  java: 'java',
+  c: 'c',
+  cpp: 'cpp',
+  csharp: 'cs',
+  php: 'php',
+  ruby: 'rb',
+  go: 'go',
+  rust: 'rs',
+  swift: 'swift',
+  kotlin: 'kt',
+  html: 'html',
+  css: 'css',
+  scss: 'scss',
+  json: 'json',
+  xml: 'xml',
+  yaml: 'yml',
+  sql: 'sql',
+  bash: 'sh',
+  shell: 'sh',
+  powershell: 'ps1',
+  docker: 'dockerfile',
+  markdown: 'md',
+  plaintext: 'txt'
+};
+
+export const LANGUAGES = Object.keys(LANGUAGE_EXTENSIONS);
+
+// Files recognised by name rather than extension
+const SPECIAL_FILENAMES = {
+  dockerfile: 'docker',
+  makefile: 'plaintext',
+  '.bashrc': 'bash',
+  '.zshrc': 'bash'
+};
+
+const EXTRA_EXTENSIONS = {
+  mjs: 'javascript',
+  cjs: 'javascript',
+  yaml: 'yaml',
+  htm: 'html',
+  h: 'c',
+  hpp: 'cpp',
+  cc: 'cpp',
+  zsh: 'bash',
+  markdown: 'markdown',
+  text: 'plaintext'
+};
+
+export const languageLabel = (language) => language.charAt(0).toUpperCase() + language.slice(1);
+
+export const defaultFilename = (language, index = 0) => {
+  const extension = LANGUAGE_EXTENSIONS[language] || 'txt';
+  if (language === 'docker') return index === 0 ? 'Dockerfile' : `Dockerfile.${index + 1}`;
+  return index === 0 ? `snippet.${extension}` : `snippet-${index + 1}.${extension}`;
+};
+
+// Best guess at a file's language from its name; null when unknown
+export const languageFromFilename = (filename) => {
+  if (!filename) return null;
+  const name = filename.toLowerCase();
+
+  if (SPECIAL_FILENAMES[name]) return SPECIAL_FILENAMES[name];
+  if (name.startsWith('dockerfile') || name.endsWith('.dockerfile')) return 'docker';
+  if (name === 'docker-compose.yml' || name === 'docker-compose.yaml') return 'yaml';
+
+  const extension = name.includes('.') ? name.split('.').pop() : null;
+  if (!extension) return null;
+  if (EXTRA_EXTENSIONS[extension]) return EXTRA_EXTENSIONS[extension];
+
+  const match = Object.entries(LANGUAGE_EXTENSIONS).find(([, ext]) => ext === extension);
+  return match ? match[0] : null;
+};
@@ -0,0 +1,98 @@
+import { LANGUAGES } from './languages';
+
+// Operators understood by /api/snippets/search, in the order they are offered
+export const SEARCH_OPERATORS = [
+  { name: 'lang', description: 'Language of any file' },
+  { name: 'tag', description: 'Tagged with' },
+  { name: 'author', description: 'Username, or me' },
+  { name: 'visibility', description: 'private, org or public' },
+  { name: 'created', description: 'Date, e.g. >2025-01-01' },
+  { name: 'updated', description: 'Date, e.g. 2025-01-01..2025-03-31' },
+  { name: 'views', description: 'Count, e.g. >10' }
+];
+
+const MAX_SUGGESTIONS = 8;
+
+const daysAgo = (days) => new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+
+// The whitespace-delimited token the cursor is at the end of
+export const tokenAt = (text, cursor) => {
+  if (/\S/.test(text.charAt(cursor))) return null;
+  const before = text.slice(0, cursor);
+  const start = before.search(/\S*$/);
+
+  const raw = before.slice(start);
+  const negated = raw.startsWith('-');
+  const body = negated ? raw.slice(1) : raw;
+  const colon = body.indexOf(':');
+  return {
+    start,
+    end: cursor,
+    negated,
+    operator: colon > 0 ? body.slice(0, colon).toLowerCase() : null,
+    value: colon > 0 ? body.slice(colon + 1).replace(/^"/, '') : body
+  };
+};
+
+const withCounts = (items = []) => items.map(item => ({ value: item._id, detail: String(item.count) }));
+
+const valuesFor = (operator, { languages, tags, authors }) => {
+  switch (operator) {
+    case 'lang':
+    case 'language': {
+      const popular = withCounts(languages);
+      const known = new Set(popular.map(item => item.value));
+      return [...popular, ...LANGUAGES.filter(language => !known.has(language)).map(value => ({ value }))];
+    }
+    case 'tag':
+    case 'tags':
+      return withCounts(tags);
+    case 'author':
+    case 'user':
+      return [{ value: 'me', detail: 'You' }, ...withCounts(authors)];
+    case 'visibility':
+    case 'is':
+      return ['private', 'org', 'public'].map(value => ({ value }));
+    case 'created':
+    case 'updated':
+      return [
+        { value: `>${daysAgo(7)}`, detail: 'Last week' },
+        { value: `>${daysAgo(30)}`, detail: 'Last month' },
+        { value: `>${daysAgo(365)}`, detail: 'Last year' }
+      ];
+    case 'views':
+      return ['>10', '>100'].map(value => ({ value }));
+    default:
+      return [];
+  }
+};
+
+// Completions for the token under the cursor: operator names while typing a
+// word, then values from the organization's stats once the colon is typed.
+// Each suggestion is { label, detail, insert } where `insert` replaces the token.
+export const suggestionsFor = (token, stats) => {
+  if (!token) return [];
+  const prefix = token.negated ? '-' : '';
+
+  if (!token.operator) {
+    if (!token.value) return [];
+    const typed = token.value.toLowerCase();
+    return SEARCH_OPERATORS
+      .filter(operator => operator.name.startsWith(typed) && operator.name !== typed)
+      .map(operator => ({
+        label: `${operator.name}:`,
+        detail: operator.description,
+        insert: `${prefix}${operator.name}:`
+      }));
+  }
+
+  const typed = token.value.toLowerCase();
+  return valuesFor(token.operator, stats)
+    .filter(item => item.value.toLowerCase().startsWith(typed) && item.value.toLowerCase() !== typed)
+    .slice(0, MAX_SUGGESTIONS)
+    .map(item => ({
+      label: item.value,
+      detail: item.detail,
+      insert: `${prefix}${token.operator}:${/\s/.test(item.value) ? `"${item.value}"` : item.value} `
+    }));
+};
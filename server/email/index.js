@@ -0,0 +1,262 @@
+const AppConfig = require('../models/AppConfig');
+const EmailJob = require('../models/EmailJob');
+const Notification = require('../models/Notification');
+const Snippet = require('../models/Snippet');
+const Collection = require('../models/Collection');
+const User = require('../models/User');
+const templates = require('./templates');
+const { createTransport } = require('./transports');
+
+// Outgoing email. Messages are rendered when they are queued and stored as
+// EmailJobs; a worker sends due jobs through the transport configured in
+// AppConfig, retrying failures with backoff. Everything is a no-op while
+// email is disabled.
+
+const WORKER_INTERVAL = 30 * 1000;
+const SCHEDULE_INTERVAL = 60 * 60 * 1000;
+const DAY = 24 * 60 * 60 * 1000;
+const DIGEST_PERIODS = { daily: DAY, weekly: 7 * DAY };
+const DIGEST_MAX_ITEMS = 20;
+
+const emailSettings = async () => (await AppConfig.getConfig()).email;
+
+// Transports are rebuilt only when the settings change
+let cachedTransport = { key: null, transport: null };
+const transportFor = (settings) => {
+  const key = JSON.stringify(settings);
+  if (cachedTransport.key !== key) {
+    cachedTransport = { key, transport: createTransport(settings) };
+  }
+  return cachedTransport.transport;
+};
+
+const appLink = (settings, pathname) => new URL(pathname, settings.appUrl).toString();
+
+const itemLink = (settings, kind, id) => appLink(settings, `/${kind}/${id}`);
+
+const registerLink = (settings, email) => appLink(settings, `/register?email=${encodeURIComponent(email)}`);
+
+const deliver = (job, settings) => transportFor(settings).sendMail({
+  from: settings.from,
+  to: job.to,
+  subject: job.subject,
+  text: job.text,
+  html: job.html
+});
+
+let processing = false;
+
+// Send every job that is due; returns the number sent
+const processQueue = async () => {
+  if (processing) return 0;
+  processing = true;
+  try {
+    const settings = await emailSettings();
+    if (!settings.enabled) return 0;
+
+    let sent = 0;
+    let job;
+    while ((job = await EmailJob.claimNext())) {
+      try {
+        await deliver(job, settings);
+        await job.markSent();
+        sent++;
+      } catch (error) {
+        console.error(`❌ Failed to send email ${job._id} to ${job.to}:`, error.message);
+        await job.markFailed(error);
+      }
+    }
+    return sent;
+  } finally {
+    processing = false;
+  }
+};
+
+// Send soon after something was queued instead of waiting for the worker
+const kick = () => {
+  setImmediate(() => processQueue().catch(error => console.error('❌ Email queue error:', error.message)));
+};
+
+// Queue an email with the { subject, text, html } of a template
+const enqueue = (kind, to, content) => EmailJob.create({ kind, to, ...content });
+
+// Email everyone a snippet or collection was just shared with, except account
+// holders who turned share emails off. `sharedUsers` comes from
+// addShareEntries. Returns the addresses emailed; never throws.
+const sendShareInvitations = async (doc, kind, sharedUsers, sharerId) => {
+  try {
+    if (sharedUsers.length === 0) return [];
+    const settings = await emailSettings();
+    if (!settings.enabled) return [];
+
+    const sharer = await User.findById(sharerId).select('username');
+    const optedOut = await User.find({
+      email: { $in: sharedUsers.filter(shared => shared.found).map(shared => shared.email) },
+      'emailPreferences.shares': false
+    }).distinct('email');
+
+    const title = kind === 'collection' ? doc.name : doc.title;
+    const emailed = [];
+    for (const shared of sharedUsers) {
+      if (optedOut.includes(shared.email)) continue;
+      const entry = doc.sharedWith.find(share => share.email === shared.email);
+      await enqueue('share_invite', shared.email, templates.shareInvite({
+        sharer: sharer?.username || 'Someone',
+        kind,
+        title,
+        permissions: entry?.permissions,
+        url: shared.found ? itemLink(settings, kind, doc._id) : registerLink(settings, shared.email),
+        hasAccount: shared.found
+      }));
+      emailed.push(shared.email);
+    }
+
+    if (emailed.length > 0) kick();
+    return emailed;
+  } catch (error) {
+    console.error('❌ Failed to queue share invitations:', error.message);
+    return [];
+  }
+};
+
+// Remind emails without an account of invites pending for longer than
+// `inviteReminderDays`, once per invite
+const sendInviteReminders = async (settings) => {
+  if (!settings.inviteReminderDays) return 0;
+  const cutoff = new Date(Date.now() - settings.inviteReminderDays * DAY);
+  const isDue = share => !share.user && share.email && !share.reminderSentAt && share.sharedAt <= cutoff;
+
+  let queued = 0;
+  for (const [Model, kind] of [[Snippet, 'snippet'], [Collection, 'collection']]) {
+    const filter = {
+      sharedWith: {
+        $elemMatch: { user: null, email: { $ne: null }, reminderSentAt: null, sharedAt: { $lte: cutoff } }
+      }
+    };
+    if (kind === 'snippet') filter.isActive = true;
+
+    const docs = await Model.find(filter).select('title name sharedWith');
+    for (const doc of docs) {
+      for (const share of doc.sharedWith.filter(isDue)) {
+        const sharer = await User.findById(share.sharedBy).select('username');
+        await enqueue('invite_reminder', share.email, templates.inviteReminder({
+          sharer: sharer?.username || 'Someone',
+          kind,
+          title: kind === 'collection' ? doc.name : doc.title,
+          url: registerLink(settings, share.email),
+          sharedAt: share.sharedAt
+        }));
+        await Model.updateOne(
+          { _id: doc._id, 'sharedWith._id': share._id },
+          { $set: { 'sharedWith.$.reminderSentAt': new Date() } },
+          { timestamps: false }
+        );
+        queued++;
+      }
+    }
+  }
+  return queued;
+};
+
+const notificationLink = (settings, notification) => {
+  if (notification.snippet) return itemLink(settings, 'snippet', notification.snippet._id);
+  if (notification.snippetCollection) return itemLink(settings, 'collection', notification.snippetCollection._id);
+  return null;
+};
+
+// Summarize unread notifications for users whose daily or weekly digest is
+// due. Users without notifications since their last digest get no email.
+const sendDigests = async (settings) => {
+  let queued = 0;
+  for (const [frequency, period] of Object.entries(DIGEST_PERIODS)) {
+    const now = new Date();
+    const due = new Date(now - period);
+    const users = await User.find({
+      isActive: true,
+      // Daily is the default, so users who never chose have no value stored
+      'emailPreferences.digest': frequency === 'daily' ? { $in: ['daily', null] } : frequency,
+      $or: [{ lastDigestAt: null }, { lastDigestAt: { $lte: due } }]
+    }).select('username email lastDigestAt');
+
+    for (const user of users) {
+      const since = user.lastDigestAt || due;
+      const filter = { recipient: user._id, read: false, createdAt: { $gt: since } };
+      const [notifications, total] = await Promise.all([
+        Notification.find(filter)
+          .sort({ createdAt: -1 })
+          .limit(DIGEST_MAX_ITEMS)
+          .populate('actor', 'username')
+          .populate('snippet', 'title')
+          .populate('snippetCollection', 'name'),
+        Notification.countDocuments(filter)
+      ]);
+
+      if (total > 0) {
+        await enqueue('digest', user.email, templates.digest({
+          username: user.username,
+          frequency,
+          items: notifications.map(notification => ({
+            text: templates.describeNotification(notification),
+            url: notificationLink(settings, notification)
+          })),
+          total,
+          url: appLink(settings, '/'),
+          settingsUrl: appLink(settings, '/settings')
+        }));
+        queued++;
+      }
+      await User.updateOne({ _id: user._id }, { $set: { lastDigestAt: now } }, { timestamps: false });
+    }
+  }
+  return queued;
+};
+
+// Queue reminders and digests that are due, then send
+const runScheduled = async () => {
+  const settings = await emailSettings();
+  if (!settings.enabled) return;
+  await sendInviteReminders(settings);
+  await sendDigests(settings);
+  await processQueue();
+};
+
+// Send a test email right away, even while email is disabled. The job is
+// kept so it shows up in the admin queue.
+const sendTest = async (to) => {
+  const settings = await emailSettings();
+  const job = await EmailJob.create({
+    kind: 'test',
+    to,
+    ...templates.test({ appUrl: settings.appUrl }),
+    status: 'sending',
+    lockedAt: new Date(),
+    attempts: 1
+  });
+  try {
+    await deliver(job, settings);
+    await job.markSent();
+  } catch (error) {
+    // Not retried; the admin sees the error right away
+    job.attempts = EmailJob.MAX_ATTEMPTS;
+    await job.markFailed(error);
+  }
+  return job;
+};
+
+// Start the queue worker and the reminder/digest scheduler. Called once the
+// database connection is up.
+const start = () => {
+  const run = (task, label) => () => task().catch(error => console.error(`❌ ${label} failed:`, error.message));
+  setInterval(run(processQueue, 'Email queue'), WORKER_INTERVAL).unref();
+  setInterval(run(runScheduled, 'Email schedule'), SCHEDULE_INTERVAL).unref();
+  run(runScheduled, 'Email schedule')();
+};
+
+module.exports = {
+  start,
+  processQueue,
+  sendShareInvitations,
+  sendInviteReminders,
+  sendDigests,
+  sendTest
+};
@@ -0,0 +1,134 @@
+// Email bodies. Every template returns { subject, text, html } with the same
+// content in both formats; values are escaped for the HTML part.
+
+const escapeHtml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+// Wrap paragraphs (already escaped HTML) and an optional call to action in
+// the shared layout
+const layout = ({ paragraphs, action, footer }) => `<!DOCTYPE html>
+<html>
+<body style="margin:0;padding:24px;background:#0f172a;font-family:-apple-system,BlinkMacSystemFont,'Segoe UI',Roboto,sans-serif;color:#e2e8f0;">
+  <div style="max-width:560px;margin:0 auto;background:#1e293b;border:1px solid #334155;border-radius:8px;padding:32px;">
+    <div style="font-size:20px;font-weight:bold;color:#f1f5f9;margin-bottom:24px;">SnipSafe</div>
+    ${paragraphs.map(paragraph => `<p style="margin:0 0 16px;line-height:1.5;">${paragraph}</p>`).join('\n    ')}
+    ${action ? `<p style="margin:24px 0;"><a href="${escapeHtml(action.url)}" style="display:inline-block;background:#4f46e5;color:#ffffff;text-decoration:none;padding:10px 20px;border-radius:6px;">${escapeHtml(action.label)}</a></p>` : ''}
+    ${footer ? `<p style="margin:24px 0 0;font-size:12px;color:#94a3b8;">${footer}</p>` : ''}
+  </div>
+</body>
+</html>
+`;
+
+const itemLabel = (kind) => (kind === 'collection' ? 'collection' : 'snippet');
+
+// A snippet or collection was shared with `to`. Without an account the link
+// leads to the registration page, which claims the share on signup.
+const shareInvite = ({ sharer, kind, title, permissions, url, hasAccount }) => {
+  const label = itemLabel(kind);
+  const access = permissions === 'edit' ? 'view and edit' : 'view';
+  const subject = `${sharer} shared the ${label} "${title}" with you`;
+  const intro = `${sharer} shared the ${label} "${title}" with you on SnipSafe. You can ${access} it.`;
+  const next = hasAccount
+    ? `Open it here: ${url}`
+    : `Create your SnipSafe account with this email address to get access: ${url}`;
+
+  return {
+    subject,
+    text: `${intro}\n\n${next}\n`,
+    html: layout({
+      paragraphs: [
+        `<strong>${escapeHtml(sharer)}</strong> shared the ${label} <strong>${escapeHtml(title)}</strong> with you. You can ${access} it.`,
+        ...(hasAccount ? [] : ['Create your SnipSafe account with this email address to get access.'])
+      ],
+      action: { label: hasAccount ? `Open ${label}` : 'Create account', url }
+    })
+  };
+};
+
+// Sent once when an invite to an email without an account is still pending
+const inviteReminder = ({ sharer, kind, title, url, sharedAt }) => {
+  const label = itemLabel(kind);
+  const since = sharedAt.toDateString();
+  return {
+    subject: `Reminder: ${sharer} shared the ${label} "${title}" with you`,
+    text: `${sharer} shared the ${label} "${title}" with you on SnipSafe on ${since}, ` +
+      `and it is still waiting for you.\n\nCreate your account with this email address to get access: ${url}\n`,
+    html: layout({
+      paragraphs: [
+        `<strong>${escapeHtml(sharer)}</strong> shared the ${label} <strong>${escapeHtml(title)}</strong> with you on ${escapeHtml(since)}, and it is still waiting for you.`,
+        'Create your SnipSafe account with this email address to get access.'
+      ],
+      action: { label: 'Create account', url }
+    })
+  };
+};
+
+// One line per notification, matching the notification menu
+const describeNotification = (notification) => {
+  const actor = notification.actor?.username || 'Someone';
+  const target = notification.snippet
+    ? `"${notification.snippet.title}"`
+    : notification.snippetCollection
+      ? `the collection "${notification.snippetCollection.name}"`
+      : 'a snippet that was deleted';
+
+  switch (notification.type) {
+    case 'share':
+      return `${actor} shared ${target} with you`;
+    case 'comment':
+      return `${actor} commented on ${target}`;
+    case 'reply':
+      return `${actor} replied to a thread on ${target}`;
+    case 'fork':
+      return `${actor} forked your snippet into ${target}`;
+    default:
+      return `${actor} edited ${target}`;
+  }
+};
+
+// Unread notifications of the last day or week; `items` are { text, url }
+const digest = ({ username, frequency, items, total, url, settingsUrl }) => {
+  const period = frequency === 'weekly' ? 'this week' : 'today';
+  const more = total > items.length ? total - items.length : 0;
+  const subject = `${total} unread SnipSafe ${total === 1 ? 'notification' : 'notifications'}`;
+
+  const lines = items.map(item => `- ${item.text}${item.url ? ` (${item.url})` : ''}`);
+  if (more > 0) lines.push(`- and ${more} more`);
+
+  return {
+    subject,
+    text: `Hi ${username},\n\nHere is what happened on SnipSafe ${period}:\n\n${lines.join('\n')}\n\n` +
+      `See all notifications: ${url}\n\nChange how often you get this email: ${settingsUrl}\n`,
+    html: layout({
+      paragraphs: [
+        `Hi ${escapeHtml(username)}, here is what happened on SnipSafe ${period}:`,
+        `<ul style="margin:0;padding-left:20px;">${items.map(item => `<li style="margin-bottom:8px;">${
+          item.url
+            ? `<a href="${escapeHtml(item.url)}" style="color:#818cf8;">${escapeHtml(item.text)}</a>`
+            : escapeHtml(item.text)
+        }</li>`).join('')}${more > 0 ? `<li>and ${more} more</li>` : ''}</ul>`
+      ],
+      action: { label: 'See all notifications', url },
+      footer: `<a href="${escapeHtml(settingsUrl)}" style="color:#94a3b8;">Change how often you get this email</a>`
+    })
+  };
+};
+
+const test = ({ appUrl }) => ({
+  subject: 'SnipSafe test email',
+  text: `Email delivery from ${appUrl} works.\n`,
+  html: layout({ paragraphs: [`Email delivery from <strong>${escapeHtml(appUrl)}</strong> works.`] })
+});
+
+module.exports = {
+  escapeHtml,
+  shareInvite,
+  inviteReminder,
+  digest,
+  describeNotification,
+  test
+};
@@ -0,0 +1,50 @@
+const fs = require('fs/promises');
+const path = require('path');
+const nodemailer = require('nodemailer');
+
+// Writes every message to `dir` as an .eml file instead of sending it
+const fileTransport = (dir) => {
+  const transport = nodemailer.createTransport({ streamTransport: true, buffer: true, newline: 'unix' });
+  return {
+    async sendMail(message) {
+      const info = await transport.sendMail(message);
+      await fs.mkdir(dir, { recursive: true });
+      const file = path.join(dir, `${Date.now()}-${info.messageId.replace(/[^\w.-]/g, '')}.eml`);
+      await fs.writeFile(file, info.message);
+      return { ...info, file };
+    }
+  };
+};
+
+// Prints the recipient, subject and text body of every message
+const consoleTransport = () => {
+  const transport = nodemailer.createTransport({ jsonTransport: true });
+  return {
+    async sendMail(message) {
+      const info = await transport.sendMail(message);
+      console.log(`📧 Email to ${message.to}: ${message.subject}\n${message.text}`);
+      return info;
+    }
+  };
+};
+
+// Build the transport for the `email` settings of the app configuration
+const createTransport = (settings) => {
+  switch (settings.transport) {
+    case 'smtp':
+      return nodemailer.createTransport({
+        host: settings.smtp.host,
+        port: settings.smtp.port,
+        secure: settings.smtp.secure,
+        auth: settings.smtp.user
+          ? { user: settings.smtp.user, pass: settings.smtp.password }
+          : undefined
+      });
+    case 'file':
+      return fileTransport(settings.outboxDir);
+    default:
+      return consoleTransport();
+  }
+};
+
+module.exports = { createTransport };
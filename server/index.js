@@ -1,4 +1,5 @@
 const express = require('express');
+const http = require('http');
 const mongoose = require('mongoose');
 const cors = require('cors');
 const helmet = require('helmet');
@@ -11,6 +12,18 @@ require('dotenv').config();
 const authRoutes = require('./routes/auth');
 const snippetRoutes = require('./routes/snippets');
 const adminRoutes = require('./routes/admin');
+const savedSearchRoutes = require('./routes/savedSearches');
+const collectionRoutes = require('./routes/collections');
+const commentRoutes = require('./routes/comments');
+const notificationRoutes = require('./routes/notifications');
+const webhookRoutes = require('./routes/webhooks');
+const tokenRoutes = require('./routes/tokens');
+const v1Routes = require('./routes/v1');
+const deviceAuthRoutes = require('./routes/deviceAuth');
+const embedRoutes = require('./routes/embed');
+const realtime = require('./realtime');
+require('./realtime/presence');
+require('./realtime/collab');
 
 const app = express();
 const PORT = process.env.PORT || 5000;
@@ -18,6 +31,10 @@ const PORT = process.env.PORT || 5000;
 // Trust proxy for rate limiting
 app.set('trust proxy', 1);
 
+// Sites allowed to frame snippet embeds (space or comma separated); any site
+// when unset
+const EMBED_FRAME_ANCESTORS = (process.env.EMBED_ALLOWED_ORIGINS || '*').split(/[\s,]+/).filter(Boolean);
+
 // Security middleware - Updated for serving static files
 app.use(helmet({
   contentSecurityPolicy: {
@@ -27,6 +44,8 @@ app.use(helmet({
       scriptSrc: ["'self'"],
       imgSrc: ["'self'", "data:", "https:"],
       fontSrc: ["'self'"],
+      // Embed pages may be framed by other sites, everything else only by this one
+      frameAncestors: [(req) => (req.path.startsWith('/embed/') ? EMBED_FRAME_ANCESTORS.join(' ') : "'self'")],
     },
   },
 }));
@@ -102,8 +121,17 @@ app.get('/api/health', (req, res) => {
 
 // API Routes
 app.use('/api/auth', authRoutes);
+app.use('/api/snippets/:id/comments', commentRoutes);
 app.use('/api/snippets', snippetRoutes);
+app.use('/api/admin/webhooks', webhookRoutes);
 app.use('/api/admin', adminRoutes);
+app.use('/api/saved-searches', savedSearchRoutes);
+app.use('/api/collections', collectionRoutes);
+app.use('/api/notifications', notificationRoutes);
+app.use('/api/tokens', tokenRoutes);
+app.use('/api/v1/auth/device', deviceAuthRoutes);
+app.use('/api/v1', v1Routes);
+app.use('/embed', embedRoutes);
 
 // Serve React app for all non-API routes in production
 if (process.env.NODE_ENV === 'production') {
@@ -150,6 +178,51 @@ mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/snipsafe'
     console.error('🛑 Server startup aborted due to configuration issues');
     process.exit(1);
   }
+
+  // Viewer presence used to be persisted on each snippet; it now lives in
+  // memory, so drop the leftover arrays from older databases.
+  try {
+    const Snippet = require('./models/Snippet');
+    const result = await Snippet.collection.updateMany(
+      { currentViewers: { $exists: true } },
+      { $unset: { currentViewers: '' } }
+    );
+    if (result.modifiedCount > 0) {
+      console.log(`🧹 Removed stored viewer lists from ${result.modifiedCount} snippet(s)`);
+    }
+  } catch (error) {
+    console.error('❌ Failed to remove stored viewer lists:', error.message);
+  }
+
+  // Invites used to store emails as typed; pending ones are matched exactly
+  try {
+    const { lowercaseShareEmails } = require('./models/shareEntry');
+    const emails = [
+      ...await lowercaseShareEmails(require('./models/Snippet')),
+      ...await lowercaseShareEmails(require('./models/Collection'))
+    ];
+    if (emails.length > 0) {
+      await require('./models/User').reopenPendingShares(emails);
+      console.log(`📧 Lowercased ${emails.length} pending share email(s)`);
+    }
+  } catch (error) {
+    console.error('❌ Failed to lowercase share emails:', error.message);
+  }
+
+  // Snippets from before full-text search have no index terms yet
+  try {
+    const indexed = await require('./search').reindexMissing();
+    if (indexed > 0) {
+      console.log(`🔎 Indexed ${indexed} snippet(s) for search`);
+    }
+  } catch (error) {
+    console.error('❌ Failed to index snippets for search:', error.message);
+  }
+
+  // Outgoing email queue, invite reminders and digests
+  require('./email').start();
+  // Outgoing webhook deliveries
+  require('./webhooks').start();
 }).catch((error) => {
   console.error('MongoDB connection error:', error);
   console.log('Make sure MongoDB is running. You can start it with:');
@@ -157,7 +230,11 @@ mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/snipsafe'
   process.exit(1);
 });
 
-app.listen(PORT, () => {
+// Plain HTTP server so the realtime WebSocket channel can share the port
+const server = http.createServer(app);
+realtime.attach(server);
+
+server.listen(PORT, () => {
   console.log(`SnipSafe server running on port ${PORT}`);
   if (process.env.NODE_ENV === 'production') {
     console.log(`🌐 Application available at: http://localhost:${PORT}`);
@@ -1,29 +1,88 @@
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const ApiToken = require('../models/ApiToken');
 
-module.exports = async (req, res, next) => {
-  try {
-    const token = req.header('Authorization')?.replace('Bearer ', '');
-    
-    if (!token) {
-      return res.status(401).json({ error: 'No token provided' });
-    }
+// Resolve a JWT to an active user, or null. Shared with the realtime server,
+// which receives the token in the connection URL instead of a header.
+const authenticate = async (token) => {
+  if (!token) return null;
 
+  try {
     const decoded = jwt.verify(token, process.env.JWT_SECRET || 'your-secret-key');
     const user = await User.findById(decoded.userId).select('-password');
-    
-    if (!user || !user.isActive) {
-      return res.status(401).json({ error: 'Invalid token' });
+    return user && user.isActive ? user : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+const toRequestUser = (user) => ({
+  userId: user._id.toString(),
+  organization: user.organization,
+  role: user.role
+});
+
+const SHARING_PATH = /^\/api\/(snippets|collections)\/[^/]+\/(share|sharing|share-links|share-id)(\/|$)/;
+const READ_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+
+// The scope an API token needs for a request: `admin` for the admin API,
+// `share` for managing who a snippet or collection is shared with and its
+// share links, and otherwise `snippets:read` or `snippets:write` depending on
+// the method
+const requiredScope = (req) => {
+  const path = req.baseUrl + req.path;
+  if (path.startsWith('/api/admin')) return 'admin';
+  if (SHARING_PATH.test(path)) return 'share';
+  return READ_METHODS.includes(req.method) ? 'snippets:read' : 'snippets:write';
+};
+
+// Resolve the bearer token of a request, either a login JWT or a personal API
+// token. Resolves with { user } for req.user, or { status, error }. Requests
+// made with an API token carry its id and scopes in req.user.
+const resolveRequest = async (req) => {
+  const token = req.header('Authorization')?.replace('Bearer ', '');
+  if (!token) {
+    return { status: 401, error: 'No token provided' };
+  }
+
+  if (!ApiToken.isApiToken(token)) {
+    const user = await authenticate(token);
+    return user ? { user: toRequestUser(user) } : { status: 401, error: 'Invalid token' };
+  }
+
+  const apiToken = await ApiToken.findUsable(token);
+  const user = apiToken && await User.findById(apiToken.user).select('-password');
+  if (!user || !user.isActive) {
+    return { status: 401, error: 'Invalid, expired or revoked API token' };
+  }
+
+  const scope = requiredScope(req);
+  if (!apiToken.scopes.includes(scope)) {
+    return { status: 403, error: `This API token does not have the ${scope} scope` };
+  }
+
+  apiToken.touch().catch(error => console.error('❌ Failed to record API token use:', error.message));
+  return {
+    user: { ...toRequestUser(user), apiToken: apiToken._id.toString(), scopes: apiToken.scopes }
+  };
+};
+
+module.exports = async (req, res, next) => {
+  try {
+    const { user, status, error } = await resolveRequest(req);
+
+    if (!user) {
+      return res.status(status).json({ error });
     }
 
-    req.user = {
-      userId: user._id.toString(),
-      organization: user.organization,
-      role: user.role
-    };
-    
+    req.user = user;
+
     next();
   } catch (error) {
     res.status(401).json({ error: 'Invalid token' });
   }
 };
+
+module.exports.authenticate = authenticate;
+module.exports.toRequestUser = toRequestUser;
+module.exports.resolveRequest = resolveRequest;
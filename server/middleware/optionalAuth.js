@@ -1,25 +1,13 @@
-const jwt = require('jsonwebtoken');
-const User = require('../models/User');
+const { resolveRequest } = require('./auth');
 
+// Like `auth`, but requests without a valid token go on anonymously
 module.exports = async (req, res, next) => {
   try {
-    const token = req.header('Authorization')?.replace('Bearer ', '');
-    
-    if (!token) {
-      return next();
+    const { user } = await resolveRequest(req);
+    if (user) {
+      req.user = user;
     }
 
-    const decoded = jwt.verify(token, process.env.JWT_SECRET || 'your-secret-key');
-    const user = await User.findById(decoded.userId).select('-password');
-    
-    if (user && user.isActive) {
-      req.user = {
-        userId: user._id.toString(),
-        organization: user.organization,
-        role: user.role
-      };
-    }
-    
     next();
   } catch (error) {
     next();
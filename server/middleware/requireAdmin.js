@@ -0,0 +1,14 @@
+const User = require('../models/User');
+
+// Use after `auth`: only lets users with the admin role through
+module.exports = async (req, res, next) => {
+  try {
+    const user = await User.findById(req.user.userId);
+    if (!user || user.role !== 'admin') {
+      return res.status(403).json({ error: 'Admin access required' });
+    }
+    next();
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+};
@@ -0,0 +1,9 @@
+// Use after `auth`: turns away requests made with a personal API token, for
+// actions that need the user to be signed in themselves, so a leaked token
+// can't be used to mint more
+module.exports = (req, res, next) => {
+  if (req.user.apiToken) {
+    return res.status(403).json({ error: 'API tokens cannot be used for this; sign in instead' });
+  }
+  next();
+};
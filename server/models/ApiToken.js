@@ -0,0 +1,100 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+
+// What a token may do. `admin` also needs the admin role.
+const SCOPES = ['snippets:read', 'snippets:write', 'share', 'admin'];
+const TOKEN_PREFIX = 'ssp_';
+const MAX_TOKENS_PER_USER = 50;
+// lastUsedAt is written at most this often per token
+const LAST_USED_RESOLUTION = 60 * 1000;
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+// A long-lived personal access token for scripts and CI. Only a hash of the
+// token is stored; the token itself is shown once, when it is created.
+const apiTokenSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 100
+  },
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true,
+    select: false
+  },
+  // The start of the token, so users can tell their tokens apart
+  prefix: {
+    type: String,
+    required: true
+  },
+  scopes: {
+    type: [{ type: String, enum: SCOPES }],
+    validate: {
+      validator: value => value.length > 0,
+      message: 'Choose at least one scope'
+    }
+  },
+  expiresAt: {
+    type: Date,
+    default: null
+  },
+  lastUsedAt: {
+    type: Date,
+    default: null
+  },
+  revokedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+apiTokenSchema.index({ user: 1, createdAt: -1 });
+
+apiTokenSchema.methods.isUsable = function(now = new Date()) {
+  return !this.revokedAt && (!this.expiresAt || this.expiresAt > now);
+};
+
+// Create a token for `user`; resolves with the document and the token itself
+apiTokenSchema.statics.issue = async function(user, { name, scopes, expiresAt }) {
+  const token = `${TOKEN_PREFIX}${crypto.randomBytes(30).toString('base64url')}`;
+  const apiToken = await this.create({
+    user,
+    name,
+    scopes,
+    expiresAt,
+    tokenHash: hashToken(token),
+    prefix: token.slice(0, TOKEN_PREFIX.length + 6)
+  });
+  return { apiToken, token };
+};
+
+// The usable token matching a presented token, or null
+apiTokenSchema.statics.findUsable = async function(token) {
+  const apiToken = await this.findOne({ tokenHash: hashToken(token) });
+  return apiToken && apiToken.isUsable() ? apiToken : null;
+};
+
+// Record a use without rewriting the document on every request
+apiTokenSchema.methods.touch = function() {
+  const now = new Date();
+  if (this.lastUsedAt && now - this.lastUsedAt < LAST_USED_RESOLUTION) return Promise.resolve();
+  this.lastUsedAt = now;
+  return this.constructor.updateOne({ _id: this._id }, { $set: { lastUsedAt: now } }, { timestamps: false });
+};
+
+apiTokenSchema.statics.isApiToken = (token) => token.startsWith(TOKEN_PREFIX);
+
+apiTokenSchema.statics.SCOPES = SCOPES;
+apiTokenSchema.statics.MAX_TOKENS_PER_USER = MAX_TOKENS_PER_USER;
+
+module.exports = mongoose.model('ApiToken', apiTokenSchema);
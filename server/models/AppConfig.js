@@ -22,6 +22,47 @@ const appConfigSchema = new mongoose.Schema({
   defaultOrganization: {
     type: String,
     default: 'Default'
+  },
+  // Outgoing email. Defaults come from the environment so a deployment can be
+  // configured without the admin API; `file` and `console` are for testing.
+  email: {
+    enabled: {
+      type: Boolean,
+      default: () => process.env.EMAIL_ENABLED === 'true'
+    },
+    transport: {
+      type: String,
+      enum: ['smtp', 'file', 'console'],
+      default: () => process.env.EMAIL_TRANSPORT || 'console'
+    },
+    from: {
+      type: String,
+      default: () => process.env.EMAIL_FROM || 'SnipSafe <no-reply@snipsafe.local>'
+    },
+    // Base URL of the web app for links in emails and webhook payloads
+    appUrl: {
+      type: String,
+      default: () => process.env.CLIENT_URL || 'http://localhost:3000'
+    },
+    smtp: {
+      host: { type: String, default: () => process.env.SMTP_HOST || '' },
+      port: { type: Number, default: () => Number(process.env.SMTP_PORT) || 587 },
+      secure: { type: Boolean, default: () => process.env.SMTP_SECURE === 'true' },
+      user: { type: String, default: () => process.env.SMTP_USER || '' },
+      password: { type: String, default: () => process.env.SMTP_PASSWORD || '' }
+    },
+    // Directory the `file` transport writes .eml files to
+    outboxDir: {
+      type: String,
+      default: () => process.env.EMAIL_OUTBOX_DIR || 'mail-outbox'
+    },
+    // Days after which an invite to an email without an account is repeated
+    // once; 0 turns reminders off
+    inviteReminderDays: {
+      type: Number,
+      default: 3,
+      min: 0
+    }
   }
 }, {
   timestamps: true
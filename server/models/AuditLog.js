@@ -0,0 +1,36 @@
+const mongoose = require('mongoose');
+
+const auditLogSchema = new mongoose.Schema({
+  action: {
+    type: String,
+    required: true
+  },
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  organization: String,
+  target: {
+    kind: String,
+    id: mongoose.Schema.Types.ObjectId
+  },
+  details: mongoose.Schema.Types.Mixed
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+auditLogSchema.index({ action: 1, createdAt: -1 });
+auditLogSchema.index({ actor: 1, createdAt: -1 });
+
+// Write an audit entry. Auditing must never break the request that triggered
+// it, so failures are only logged.
+auditLogSchema.statics.record = async function(entry) {
+  try {
+    return await this.create(entry);
+  } catch (error) {
+    console.error('❌ Failed to write audit log:', error.message);
+    return null;
+  }
+};
+
+module.exports = mongoose.model('AuditLog', auditLogSchema);
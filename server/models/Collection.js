@@ -0,0 +1,132 @@
+const mongoose = require('mongoose');
+const { v4: uuidv4 } = require('uuid');
+const { shareEntrySchema, shareFor, claimEntries } = require('./shareEntry');
+
+const MAX_DEPTH = 5;
+const MAX_SNIPPETS = 500;
+
+// A named, ordered group of snippets. Collections nest through `parent`, but
+// each one has its own visibility and sharing list: access to a collection
+// never grants access to its subcollections or to the snippets in it.
+const collectionSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 100
+  },
+  description: {
+    type: String,
+    maxlength: 1000
+  },
+  owner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  organization: {
+    type: String,
+    required: true
+  },
+  parent: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Collection',
+    default: null
+  },
+  visibility: {
+    type: String,
+    enum: ['private', 'organization', 'public'],
+    default: 'private'
+  },
+  shareId: {
+    type: String,
+    unique: true,
+    default: () => uuidv4()
+  },
+  // In display order
+  snippets: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Snippet'
+  }],
+  sharedWith: [shareEntrySchema]
+}, {
+  timestamps: true
+});
+
+collectionSchema.index({ owner: 1, parent: 1 });
+collectionSchema.index({ organization: 1, visibility: 1 });
+collectionSchema.index({ 'sharedWith.user': 1 });
+collectionSchema.index({ 'sharedWith.email': 1 });
+
+collectionSchema.methods.isOwner = function(user) {
+  return !!user && this.owner._id.toString() === user.userId;
+};
+
+// Same rules as snippets: owner, share entries, organization or public
+collectionSchema.methods.canView = function(user) {
+  if (!user) return this.visibility === 'public';
+
+  return this.isOwner(user) ||
+    Boolean(shareFor(this, user)) ||
+    (this.visibility === 'organization' && this.organization === user.organization) ||
+    this.visibility === 'public';
+};
+
+// Editors may rename the collection and add, remove and reorder its snippets;
+// visibility, nesting, sharing and deletion stay with the owner
+collectionSchema.methods.canEdit = function(user) {
+  if (!user) return false;
+  if (this.isOwner(user)) return true;
+
+  return shareFor(this, user)?.permissions === 'edit';
+};
+
+// The collection's ancestors, root first
+collectionSchema.methods.ancestors = async function() {
+  const ancestors = [];
+  let parentId = this.parent;
+  while (parentId && ancestors.length < MAX_DEPTH) {
+    const parent = await this.constructor.findById(parentId);
+    if (!parent) break;
+    ancestors.unshift(parent);
+    parentId = parent.parent;
+  }
+  return ancestors;
+};
+
+// Number of levels below the collection, counting itself as one
+collectionSchema.methods.height = async function() {
+  const children = await this.constructor.find({ parent: this._id }).select('_id');
+  if (children.length === 0) return 1;
+
+  let tallest = 0;
+  for (const child of children) {
+    tallest = Math.max(tallest, await child.height());
+  }
+  return tallest + 1;
+};
+
+// Attach share entries that were created for an email before the account
+// existed to the given user. Returns the list of claimed shares.
+collectionSchema.statics.claimPendingShares = async function(user) {
+  const email = user.email.toLowerCase();
+
+  const collections = await this.find({
+    sharedWith: { $elemMatch: { email, user: null } }
+  });
+
+  const claimed = [];
+  for (const collection of collections) {
+    for (const entry of claimEntries(collection, user, email)) {
+      claimed.push({ collection: collection._id, name: collection.name, ...entry });
+    }
+    await collection.save();
+  }
+
+  return claimed;
+};
+
+collectionSchema.statics.MAX_DEPTH = MAX_DEPTH;
+collectionSchema.statics.MAX_SNIPPETS = MAX_SNIPPETS;
+
+module.exports = mongoose.model('Collection', collectionSchema);
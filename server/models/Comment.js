@@ -0,0 +1,124 @@
+const mongoose = require('mongoose');
+const { mapLines } = require('../utils/diff');
+
+const MAX_ANCHOR_LINES = 200;
+
+// A markdown comment on a snippet. Comments without a `parent` start a
+// thread and may be anchored to a line range of one of the snippet's files;
+// replies belong to the thread of their parent and carry no anchor.
+const commentSchema = new mongoose.Schema({
+  snippet: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Snippet',
+    required: true
+  },
+  author: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  parent: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Comment',
+    default: null
+  },
+  body: {
+    type: String,
+    trim: true,
+    maxlength: 10000
+  },
+  // Anchor: the _id of a file in the snippet and a 1-based, inclusive line range
+  fileId: {
+    type: mongoose.Schema.Types.ObjectId,
+    default: null
+  },
+  startLine: Number,
+  endLine: Number,
+  // The anchored lines as they were when the thread was started
+  excerpt: String,
+  // Set once the anchored lines are changed or their file is removed; the
+  // anchor then keeps the position it had before that edit
+  outdated: {
+    type: Boolean,
+    default: false
+  },
+  resolved: {
+    type: Boolean,
+    default: false
+  },
+  resolvedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  resolvedAt: Date,
+  editedAt: Date,
+  // A deleted comment that still has replies stays as an empty placeholder
+  deleted: {
+    type: Boolean,
+    default: false
+  }
+}, {
+  timestamps: true
+});
+
+commentSchema.index({ snippet: 1, createdAt: 1 });
+commentSchema.index({ parent: 1 });
+
+commentSchema.methods.isAuthor = function(user) {
+  return !!user && !this.deleted && (this.author._id || this.author).toString() === user.userId;
+};
+
+// Move the anchors of a snippet's threads along with an edit of its files
+// from `beforeFiles` to `afterFiles` ({ fileId, content }, as returned by
+// SnippetRevision.filesOf). Files missing from `beforeFiles` were not part
+// of the edit. An anchor whose lines were changed, split by inserted lines
+// or removed with their file is marked outdated instead.
+commentSchema.statics.remap = async function(snippetId, beforeFiles, afterFiles) {
+  const threads = await this.find({
+    snippet: snippetId,
+    parent: null,
+    fileId: { $ne: null },
+    outdated: false
+  });
+
+  const maps = new Map();
+  const lineMap = (fileId) => {
+    const key = fileId.toString();
+    if (!maps.has(key)) {
+      const before = beforeFiles.find(file => file.fileId.toString() === key);
+      const after = afterFiles.find(file => file.fileId.toString() === key);
+      let map;
+      if (!before || (after && before.content === after.content)) map = null;
+      else if (!after) map = [];
+      else map = mapLines(before.content, after.content);
+      maps.set(key, map);
+    }
+    return maps.get(key);
+  };
+
+  const updates = [];
+  for (const thread of threads) {
+    const map = lineMap(thread.fileId);
+    if (!map) continue;
+
+    const lines = [];
+    for (let line = thread.startLine; line <= thread.endLine; line++) {
+      lines.push(map[line - 1]);
+    }
+    const kept = lines.every(Boolean) &&
+      lines[lines.length - 1] - lines[0] === thread.endLine - thread.startLine;
+
+    let update;
+    if (!kept) update = { outdated: true };
+    else if (lines[0] !== thread.startLine) update = { startLine: lines[0], endLine: lines[lines.length - 1] };
+    if (update) {
+      updates.push({ updateOne: { filter: { _id: thread._id }, update: { $set: update }, timestamps: false } });
+    }
+  }
+
+  if (updates.length > 0) await this.bulkWrite(updates);
+};
+
+commentSchema.statics.MAX_ANCHOR_LINES = MAX_ANCHOR_LINES;
+
+module.exports = mongoose.model('Comment', commentSchema);
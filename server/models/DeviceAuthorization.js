@@ -0,0 +1,136 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+
+// How long a plugin has to get the code approved, and how often it may poll
+const LIFETIME = 10 * 60 * 1000;
+const POLL_INTERVAL = 5 * 1000;
+// No vowels or look-alike characters, so codes don't spell words and are
+// easy to type from another screen
+const USER_CODE_ALPHABET = 'BCDFGHJKLMNPQRSTVWXZ';
+const USER_CODE_LENGTH = 8;
+
+const hashCode = (code) => crypto.createHash('sha256').update(code).digest('hex');
+
+const generateUserCode = () => {
+  const chars = Array.from(
+    { length: USER_CODE_LENGTH },
+    () => USER_CODE_ALPHABET[crypto.randomInt(USER_CODE_ALPHABET.length)]
+  );
+  return `${chars.slice(0, 4).join('')}-${chars.slice(4).join('')}`;
+};
+
+// `abcd efgh` and `ABCDEFGH` both mean `ABCD-EFGH`
+const normalizeUserCode = (code) => {
+  const chars = String(code || '').toUpperCase().replace(/[^A-Z]/g, '');
+  return chars.length === USER_CODE_LENGTH ? `${chars.slice(0, 4)}-${chars.slice(4)}` : null;
+};
+
+// A device-code login of an editor plugin. The plugin holds the secret device
+// code and polls with it; the user approves the short user code in the web app
+// and the plugin then receives an API token. Only a hash of the device code is
+// stored.
+const deviceAuthorizationSchema = new mongoose.Schema({
+  deviceCodeHash: {
+    type: String,
+    required: true,
+    unique: true,
+    select: false
+  },
+  userCode: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  clientName: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 100
+  },
+  scopes: [{
+    type: String
+  }],
+  status: {
+    type: String,
+    enum: ['pending', 'approved', 'denied', 'consumed'],
+    default: 'pending'
+  },
+  // The user who approved or denied the request
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  lastPolledAt: {
+    type: Date,
+    default: null
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+deviceAuthorizationSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+deviceAuthorizationSchema.methods.isExpired = function(now = new Date()) {
+  return this.expiresAt <= now;
+};
+
+// Start a login; resolves with the document and the device code itself
+deviceAuthorizationSchema.statics.begin = async function({ clientName, scopes }) {
+  const deviceCode = crypto.randomBytes(32).toString('base64url');
+  // User codes are short, so retry the rare collision with a pending login
+  for (let attempt = 0; ; attempt++) {
+    try {
+      const authorization = await this.create({
+        deviceCodeHash: hashCode(deviceCode),
+        userCode: generateUserCode(),
+        clientName,
+        scopes,
+        expiresAt: new Date(Date.now() + LIFETIME)
+      });
+      return { authorization, deviceCode };
+    } catch (error) {
+      if (error.code !== 11000 || attempt >= 4) throw error;
+    }
+  }
+};
+
+deviceAuthorizationSchema.statics.findByDeviceCode = function(deviceCode) {
+  return this.findOne({ deviceCodeHash: hashCode(String(deviceCode)) });
+};
+
+// The login waiting for approval under a user code, or null
+deviceAuthorizationSchema.statics.findPending = function(userCode) {
+  const normalized = normalizeUserCode(userCode);
+  if (!normalized) return Promise.resolve(null);
+  return this.findOne({ userCode: normalized, status: 'pending', expiresAt: { $gt: new Date() } });
+};
+
+// Record a poll; resolves with false when the plugin polls faster than the
+// interval it was given
+deviceAuthorizationSchema.methods.poll = async function() {
+  const now = new Date();
+  const tooSoon = this.lastPolledAt && now - this.lastPolledAt < POLL_INTERVAL;
+  this.lastPolledAt = now;
+  await this.constructor.updateOne({ _id: this._id }, { $set: { lastPolledAt: now } });
+  return !tooSoon;
+};
+
+// Move an approved login to consumed exactly once, so two polls racing each
+// other can't both receive a token
+deviceAuthorizationSchema.methods.consume = async function() {
+  const result = await this.constructor.updateOne(
+    { _id: this._id, status: 'approved' },
+    { $set: { status: 'consumed' } }
+  );
+  return result.modifiedCount === 1;
+};
+
+deviceAuthorizationSchema.statics.LIFETIME = LIFETIME;
+deviceAuthorizationSchema.statics.POLL_INTERVAL = POLL_INTERVAL;
+
+module.exports = mongoose.model('DeviceAuthorization', deviceAuthorizationSchema);
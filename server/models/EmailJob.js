@@ -0,0 +1,87 @@
+const mongoose = require('mongoose');
+
+const MAX_ATTEMPTS = 5;
+const RETRY_BASE_DELAY = 60 * 1000;
+// A job still marked as sending after this long belongs to a worker that died
+const STALE_SENDING_AFTER = 10 * 60 * 1000;
+
+// A rendered email waiting in the outgoing queue. Failed sends are retried
+// with exponential backoff until MAX_ATTEMPTS is reached.
+const emailJobSchema = new mongoose.Schema({
+  kind: {
+    type: String,
+    enum: ['share_invite', 'invite_reminder', 'digest', 'test'],
+    required: true
+  },
+  to: {
+    type: String,
+    required: true
+  },
+  subject: {
+    type: String,
+    required: true
+  },
+  text: String,
+  html: String,
+  status: {
+    type: String,
+    enum: ['pending', 'sending', 'sent', 'failed'],
+    default: 'pending'
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  nextAttemptAt: {
+    type: Date,
+    default: Date.now
+  },
+  lockedAt: Date,
+  lastError: String,
+  sentAt: Date
+}, {
+  timestamps: true
+});
+
+emailJobSchema.index({ status: 1, nextAttemptAt: 1 });
+emailJobSchema.index({ createdAt: -1 });
+
+// Take the next due job, marking it as sending so no other worker picks it up
+emailJobSchema.statics.claimNext = function() {
+  const now = new Date();
+  return this.findOneAndUpdate(
+    {
+      $or: [
+        { status: 'pending', nextAttemptAt: { $lte: now } },
+        { status: 'sending', lockedAt: { $lte: new Date(now - STALE_SENDING_AFTER) } }
+      ]
+    },
+    { $set: { status: 'sending', lockedAt: now }, $inc: { attempts: 1 } },
+    { new: true, sort: { nextAttemptAt: 1 } }
+  );
+};
+
+emailJobSchema.methods.markSent = function() {
+  this.status = 'sent';
+  this.sentAt = new Date();
+  this.lockedAt = undefined;
+  this.lastError = undefined;
+  return this.save();
+};
+
+// Schedule another attempt, or give up after MAX_ATTEMPTS
+emailJobSchema.methods.markFailed = function(error) {
+  this.lastError = error.message;
+  this.lockedAt = undefined;
+  if (this.attempts >= MAX_ATTEMPTS) {
+    this.status = 'failed';
+  } else {
+    this.status = 'pending';
+    this.nextAttemptAt = new Date(Date.now() + RETRY_BASE_DELAY * 2 ** (this.attempts - 1));
+  }
+  return this.save();
+};
+
+emailJobSchema.statics.MAX_ATTEMPTS = MAX_ATTEMPTS;
+
+module.exports = mongoose.model('EmailJob', emailJobSchema);
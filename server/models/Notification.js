@@ -0,0 +1,103 @@
+const mongoose = require('mongoose');
+const realtime = require('../realtime');
+
+// What a notification can be about. Users can turn each type off in their
+// `notificationPreferences`.
+const TYPES = [
+  'share', // A snippet or collection was shared with the recipient
+  'comment', // Someone commented on the recipient's snippet
+  'reply', // Someone replied in a comment thread the recipient took part in
+  'fork', // Someone forked the recipient's snippet
+  'edit' // A collaborator edited the recipient's snippet
+];
+
+const notificationSchema = new mongoose.Schema({
+  recipient: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  type: {
+    type: String,
+    enum: TYPES,
+    required: true
+  },
+  // What the notification is about
+  snippet: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Snippet'
+  },
+  // `collection` is taken by Mongoose
+  snippetCollection: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Collection'
+  },
+  comment: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Comment'
+  },
+  read: {
+    type: Boolean,
+    default: false
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+notificationSchema.index({ recipient: 1, createdAt: -1 });
+notificationSchema.index({ recipient: 1, read: 1 });
+
+// Notify users of something `actorId` did, with `refs` pointing at what it is
+// about ({ snippet, snippetCollection, comment }). The actor is never notified of
+// their own actions, and users who turned the type off are skipped. Repeated
+// unread edit notifications from one person for one snippet are folded into
+// the latest. Failures are logged rather than thrown, so they never fail the
+// action that caused them.
+notificationSchema.statics.notify = async function(type, recipientIds, actorId, refs = {}) {
+  try {
+    const actor = actorId.toString();
+    const ids = [...new Set(recipientIds.filter(Boolean).map(id => (id._id || id).toString()))]
+      .filter(id => id !== actor);
+    if (ids.length === 0) return [];
+
+    const User = mongoose.model('User');
+    const recipients = await User.find({
+      _id: { $in: ids },
+      isActive: true,
+      [`notificationPreferences.${type}`]: { $ne: false }
+    }).select('_id');
+    if (recipients.length === 0) return [];
+
+    if (type === 'edit') {
+      await this.deleteMany({
+        recipient: { $in: recipients.map(user => user._id) },
+        actor: actorId,
+        type,
+        snippet: refs.snippet,
+        read: false
+      });
+    }
+
+    const notifications = await this.insertMany(recipients.map(user => ({
+      recipient: user._id,
+      actor: actorId,
+      type,
+      ...refs
+    })));
+    // Open tabs refetch their notifications
+    recipients.forEach(user => realtime.sendToUser(user._id, { type: 'notifications:changed' }));
+    return notifications;
+  } catch (error) {
+    console.error(`❌ Failed to send ${type} notifications:`, error.message);
+    return [];
+  }
+};
+
+notificationSchema.statics.TYPES = TYPES;
+
+module.exports = mongoose.model('Notification', notificationSchema);
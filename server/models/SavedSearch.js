@@ -0,0 +1,71 @@
+const mongoose = require('mongoose');
+
+const MAX_SAVED_SEARCHES = 50;
+
+// A search a user named and kept, with the parameters /api/snippets/search
+// takes. `lastSeenAt` is when its results were last opened; snippets created
+// or edited by others after it count as new.
+const savedSearchSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  organization: {
+    type: String,
+    required: true
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 100
+  },
+  query: {
+    q: { type: String, default: '', maxlength: 1000 },
+    mode: { type: String, enum: ['text', 'regex', 'symbol'], default: 'text' },
+    scope: { type: String, enum: ['all', 'code'], default: 'all' },
+    language: String,
+    tags: String,
+    author: String
+  },
+  pinned: {
+    type: Boolean,
+    default: true
+  },
+  lastSeenAt: {
+    type: Date,
+    default: Date.now
+  },
+  // The number of new matches as last counted, so listing saved searches
+  // does not run every one of them. Null with `countError` set when the
+  // search could not be counted, and null for both before the first count.
+  newCount: {
+    type: Number,
+    default: null
+  },
+  countError: {
+    type: String,
+    default: null
+  },
+  countedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+savedSearchSchema.index({ user: 1, name: 1 }, { unique: true });
+
+// Everything up to now has been seen, so there is nothing new to count
+savedSearchSchema.methods.markSeen = function(now = new Date()) {
+  this.lastSeenAt = now;
+  this.newCount = 0;
+  this.countError = null;
+  this.countedAt = now;
+};
+
+savedSearchSchema.statics.MAX_SAVED_SEARCHES = MAX_SAVED_SEARCHES;
+
+module.exports = mongoose.model('SavedSearch', savedSearchSchema);
@@ -0,0 +1,128 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const bcrypt = require('bcryptjs');
+
+const MAX_LINKS_PER_SNIPPET = 50;
+
+// An extra share link for a snippet, next to its permanent `shareId`. Links
+// can expire, stop after a number of views, ask for a password and be
+// revoked; revoked links are kept so visitors learn why the link stopped
+// working.
+const shareLinkSchema = new mongoose.Schema({
+  snippet: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Snippet',
+    required: true
+  },
+  // Used in place of the shareId in /share/:shareId URLs
+  token: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  label: {
+    type: String,
+    trim: true,
+    maxlength: 100
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  expiresAt: {
+    type: Date,
+    default: null
+  },
+  maxViews: {
+    type: Number,
+    min: 1,
+    default: null
+  },
+  views: {
+    type: Number,
+    default: 0
+  },
+  passwordHash: {
+    type: String,
+    default: null,
+    select: false
+  },
+  lastViewedAt: {
+    type: Date,
+    default: null
+  },
+  revokedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+shareLinkSchema.index({ snippet: 1, createdAt: -1 });
+
+// Why the link can no longer be used: 'revoked', 'expired' or
+// 'view_limit_reached'; null while it works
+shareLinkSchema.methods.unusableReason = function(now = new Date()) {
+  if (this.revokedAt) return 'revoked';
+  if (this.expiresAt && this.expiresAt <= now) return 'expired';
+  if (this.maxViews !== null && this.views >= this.maxViews) return 'view_limit_reached';
+  return null;
+};
+
+// Whether `password` opens the link; always true for links without one.
+// Needs a document loaded with `+passwordHash`.
+shareLinkSchema.methods.checkPassword = async function(password) {
+  if (!this.passwordHash) return true;
+  return typeof password === 'string' && bcrypt.compare(password, this.passwordHash);
+};
+
+// Count a view unless the view limit was reached in the meantime; resolves
+// with whether the view counted
+shareLinkSchema.methods.recordView = async function() {
+  const result = await this.constructor.updateOne(
+    {
+      _id: this._id,
+      revokedAt: null,
+      $or: [{ maxViews: null }, { $expr: { $lt: ['$views', '$maxViews'] } }]
+    },
+    { $inc: { views: 1 }, $set: { lastViewedAt: new Date() } },
+    { timestamps: false }
+  );
+  return result.modifiedCount === 1;
+};
+
+// Create a link for `snippet`; the password, if any, is stored hashed
+shareLinkSchema.statics.issue = async function(snippet, createdBy, { label, expiresAt, maxViews, password }) {
+  return this.create({
+    snippet,
+    createdBy,
+    label,
+    expiresAt: expiresAt || null,
+    maxViews: maxViews || null,
+    passwordHash: password ? await bcrypt.hash(password, 12) : null,
+    token: crypto.randomBytes(18).toString('base64url')
+  });
+};
+
+// The shape owners see; never includes the password hash
+shareLinkSchema.methods.toOwnerJSON = function() {
+  return {
+    _id: this._id,
+    token: this.token,
+    label: this.label || '',
+    expiresAt: this.expiresAt,
+    maxViews: this.maxViews,
+    views: this.views,
+    hasPassword: Boolean(this.passwordHash),
+    lastViewedAt: this.lastViewedAt,
+    revokedAt: this.revokedAt,
+    status: this.unusableReason() || 'active',
+    createdAt: this.createdAt
+  };
+};
+
+shareLinkSchema.statics.MAX_LINKS_PER_SNIPPET = MAX_LINKS_PER_SNIPPET;
+
+module.exports = mongoose.model('ShareLink', shareLinkSchema);
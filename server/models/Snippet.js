@@ -1,5 +1,32 @@
 const mongoose = require('mongoose');
 const { v4: uuidv4 } = require('uuid');
+const { defaultFilename } = require('../utils/languages');
+const { searchTermsFor } = require('../search/fields');
+const { shareEntrySchema, shareFor, claimEntries } = require('./shareEntry');
+
+const MAX_FILES = 20;
+
+const fileSchema = new mongoose.Schema({
+  filename: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 255,
+    validate: {
+      validator: (value) => !/[\\/]/.test(value) && value !== '.' && value !== '..',
+      message: 'Filenames cannot contain slashes'
+    }
+  },
+  language: {
+    type: String,
+    default: 'plaintext'
+  },
+  content: {
+    type: String,
+    default: '',
+    maxlength: 100000 // 100KB limit per file
+  }
+});
 
 const snippetSchema = new mongoose.Schema({
   title: {
@@ -8,15 +35,19 @@ const snippetSchema = new mongoose.Schema({
     trim: true,
     maxlength: 200
   },
+  // Not required: it mirrors the first file, which may be empty, and a
+  // snippet without files is rejected below
   content: {
     type: String,
-    required: true,
     maxlength: 100000 // 100KB limit
   },
   language: {
     type: String,
     default: 'plaintext'
   },
+  // Ordered files of the snippet. `content` and `language` above mirror the
+  // first file for list views and clients that only know single-file snippets.
+  files: [fileSchema],
   description: {
     type: String,
     maxlength: 1000
@@ -48,57 +79,153 @@ const snippetSchema = new mongoose.Schema({
     type: Number,
     default: 0
   },
+  // Maintained by the Star model
+  starCount: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  // The snippet this one was forked from, if any
+  forkedFrom: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Snippet',
+    default: null
+  },
+  // Forks made of this snippet, including ones deleted since
+  forkCount: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  // Inverted index entries for full-text search, maintained on save
+  searchTerms: {
+    type: [String],
+    select: false
+  },
+  lastEditedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  lastEditedAt: Date,
   isActive: {
     type: Boolean,
     default: true
   },
-  sharedWith: [{
-    user: {
-      type: mongoose.Schema.Types.ObjectId,
-      ref: 'User'
-    },
-    email: String, // Store email for users not yet registered
-    permissions: {
-      type: String,
-      enum: ['view', 'edit'],
-      default: 'view'
-    },
-    sharedAt: {
-      type: Date,
-      default: Date.now
-    },
-    sharedBy: {
-      type: mongoose.Schema.Types.ObjectId,
-      ref: 'User'
-    }
-  }],
-  currentViewers: [{
-    user: {
-      type: mongoose.Schema.Types.ObjectId,
-      ref: 'User',
-      required: true
-    },
-    lastSeen: {
-      type: Date,
-      default: Date.now
-    },
-    socketId: String // For real-time updates
-  }]
+  sharedWith: [shareEntrySchema]
 }, {
   timestamps: true
 });
 
+// Snippets saved before multi-file support have no files yet. Present their
+// content as a single file whose id is the snippet id, so the file keeps the
+// same id once it is saved.
+snippetSchema.post('init', function() {
+  if (this.files.length === 0 && typeof this.content === 'string') {
+    this.files = [{
+      _id: this._id,
+      filename: defaultFilename(this.language),
+      language: this.language,
+      content: this.content
+    }];
+  }
+});
+
+// Keep `content`/`language` and the first file in sync, whichever was written
+snippetSchema.pre('validate', function(next) {
+  if (this.files.length === 0) {
+    if (typeof this.content === 'string') {
+      this.files = [{
+        filename: defaultFilename(this.language),
+        language: this.language,
+        content: this.content
+      }];
+    }
+  } else if (!this.isNew && (this.isModified('content') || this.isModified('language'))) {
+    this.files[0].content = this.content;
+    this.files[0].language = this.language;
+  } else {
+    this.content = this.files[0].content;
+    this.language = this.files[0].language;
+  }
+
+  if (this.files.length === 0) {
+    return next(new Error('A snippet needs at least one file'));
+  }
+  if (this.files.length > MAX_FILES) {
+    return next(new Error(`A snippet can have at most ${MAX_FILES} files`));
+  }
+
+  const names = this.files.map(file => file.filename);
+  const duplicate = names.find((name, index) => names.indexOf(name) !== index);
+  if (duplicate) {
+    return next(new Error(`Duplicate filename: ${duplicate}`));
+  }
+
+  next();
+});
+
+snippetSchema.pre('save', function(next) {
+  const indexed = ['title', 'description', 'tags', 'files', 'content'];
+  if (this.isNew || indexed.some(path => this.isModified(path))) {
+    this.searchTerms = searchTermsFor(this);
+  }
+  next();
+});
+
 snippetSchema.index({ author: 1, createdAt: -1 });
+snippetSchema.index({ organization: 1, searchTerms: 1 });
 snippetSchema.index({ organization: 1, visibility: 1 });
+snippetSchema.index({ organization: 1, starCount: -1 });
+snippetSchema.index({ forkedFrom: 1, createdAt: -1 });
 snippetSchema.index({ shareId: 1 });
+snippetSchema.index({ 'sharedWith.email': 1 });
+
+// Check whether the given request user may view this snippet
+snippetSchema.methods.canView = function(user) {
+  if (!user) return this.visibility === 'public';
+
+  const isAuthor = this.author._id.toString() === user.userId;
+  const isSharedUser = Boolean(shareFor(this, user));
+  const hasOrgAccess = this.visibility === 'organization' &&
+                      this.organization === user.organization;
+  const isPublic = this.visibility === 'public';
 
-// Clean up old viewers (remove viewers inactive for more than 5 minutes)
-snippetSchema.methods.cleanupViewers = function() {
-  const fiveMinutesAgo = new Date(Date.now() - 5 * 60 * 1000);
-  this.currentViewers = this.currentViewers.filter(
-    viewer => viewer.lastSeen > fiveMinutesAgo
-  );
-  return this.save();
+  return isAuthor || isSharedUser || hasOrgAccess || isPublic;
 };
 
+snippetSchema.methods.isOwner = function(user) {
+  return !!user && this.author._id.toString() === user.userId;
+};
+
+// Owners can always edit; other users need a share entry with edit permission
+snippetSchema.methods.canEdit = function(user) {
+  if (!user) return false;
+  if (this.isOwner(user)) return true;
+
+  return shareFor(this, user)?.permissions === 'edit';
+};
+
+// Attach share entries that were created for an email before the account
+// existed to the given user. Returns the list of claimed shares.
+snippetSchema.statics.claimPendingShares = async function(user) {
+  const email = user.email.toLowerCase();
+
+  const snippets = await this.find({
+    isActive: true,
+    sharedWith: { $elemMatch: { email, user: null } }
+  });
+
+  const claimed = [];
+  for (const snippet of snippets) {
+    for (const entry of claimEntries(snippet, user, email)) {
+      claimed.push({ snippet: snippet._id, title: snippet.title, ...entry });
+    }
+    await snippet.save();
+  }
+
+  return claimed;
+};
+
+snippetSchema.statics.MAX_FILES = MAX_FILES;
+
 module.exports = mongoose.model('Snippet', snippetSchema);
@@ -0,0 +1,153 @@
+const mongoose = require('mongoose');
+const { defaultFilename } = require('../utils/languages');
+
+// Fields of a snippet that are versioned by the revision history
+const TRACKED_FIELDS = ['title', 'content', 'language', 'description', 'tags', 'files'];
+
+const snippetRevisionSchema = new mongoose.Schema({
+  snippet: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Snippet',
+    required: true
+  },
+  number: {
+    type: Number,
+    required: true
+  },
+  title: {
+    type: String,
+    required: true
+  },
+  content: {
+    type: String,
+    default: ''
+  },
+  language: String,
+  description: String,
+  tags: [String],
+  files: [{
+    _id: false,
+    fileId: mongoose.Schema.Types.ObjectId, // _id of the file in the snippet
+    filename: String,
+    language: String,
+    content: String
+  }],
+  author: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  restoredFrom: Number // Revision number this one was restored from, if any
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+snippetRevisionSchema.index({ snippet: 1, number: -1 }, { unique: true });
+
+// Revisions are immutable once written
+snippetRevisionSchema.pre('save', function(next) {
+  if (!this.isNew) {
+    return next(new Error('Snippet revisions cannot be modified'));
+  }
+  next();
+});
+
+// Files of a snippet or revision. Revisions recorded before snippets had
+// files describe a single file, which gets the snippet id like the legacy
+// file of the snippet itself.
+const filesOf = (source) => {
+  if (source.files && source.files.length > 0) {
+    return source.files.map(file => ({
+      fileId: file.fileId || file._id,
+      filename: file.filename,
+      language: file.language,
+      content: file.content
+    }));
+  }
+  return [{
+    fileId: source.snippet || source._id,
+    filename: defaultFilename(source.language),
+    language: source.language,
+    content: source.content || ''
+  }];
+};
+
+const snapshot = (source) => ({
+  title: source.title,
+  content: source.content,
+  language: source.language,
+  description: source.description,
+  tags: [...(source.tags || [])],
+  files: filesOf(source)
+});
+
+// True if any versioned field differs between the snippet and a revision
+snippetRevisionSchema.statics.hasChanges = function(snippet, revision) {
+  if (!revision) return true;
+  const current = snapshot(snippet);
+  const previous = snapshot(revision);
+  return TRACKED_FIELDS.some(field =>
+    JSON.stringify(current[field] ?? null) !== JSON.stringify(previous[field] ?? null)
+  );
+};
+
+snippetRevisionSchema.statics.latest = function(snippetId) {
+  return this.findOne({ snippet: snippetId }).sort({ number: -1 });
+};
+
+const MAX_RECORD_ATTEMPTS = 5;
+
+const isDuplicateKey = (error) => error.code === 11000;
+
+// Record the current state of a snippet as a new revision. Returns null when
+// nothing versioned changed since the latest revision. Numbers are taken as
+// latest + 1, so when a concurrent save took the number first, it tries again
+// against the new latest revision.
+snippetRevisionSchema.statics.record = async function(snippet, authorId, { restoredFrom } = {}) {
+  for (let attempt = 1; ; attempt++) {
+    const latest = await this.latest(snippet._id);
+    if (!this.hasChanges(snippet, latest)) {
+      return null;
+    }
+
+    const revision = new this({
+      ...snapshot(snippet),
+      snippet: snippet._id,
+      number: latest ? latest.number + 1 : 1,
+      author: authorId,
+      restoredFrom
+    });
+    try {
+      return await revision.save();
+    } catch (error) {
+      if (!isDuplicateKey(error) || attempt >= MAX_RECORD_ATTEMPTS) throw error;
+    }
+  }
+};
+
+// Snippets created before revision history existed have no revisions yet;
+// capture their current state as revision 1 before it gets overwritten. An
+// upsert, so concurrent saves agree on a single baseline.
+snippetRevisionSchema.statics.ensureBaseline = async function(snippet) {
+  try {
+    await this.updateOne(
+      { snippet: snippet._id, number: 1 },
+      {
+        $setOnInsert: {
+          ...snapshot(snippet),
+          author: snippet.author._id || snippet.author,
+          createdAt: snippet.updatedAt || snippet.createdAt
+        }
+      },
+      { upsert: true, timestamps: false }
+    );
+  } catch (error) {
+    // Another request inserted it between our lookup and insert
+    if (!isDuplicateKey(error)) throw error;
+  }
+};
+
+snippetRevisionSchema.statics.filesOf = filesOf;
+snippetRevisionSchema.statics.TRACKED_FIELDS = TRACKED_FIELDS;
+
+module.exports = mongoose.model('SnippetRevision', snippetRevisionSchema);
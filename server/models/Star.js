@@ -0,0 +1,61 @@
+const mongoose = require('mongoose');
+
+// A user starring a snippet. Snippets keep a running `starCount` so the most
+// starred ones can be listed without counting stars.
+const starSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  snippet: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Snippet',
+    required: true
+  },
+  organization: {
+    type: String,
+    required: true
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+starSchema.index({ user: 1, snippet: 1 }, { unique: true });
+starSchema.index({ user: 1, createdAt: -1 });
+
+// Adjust the snippet's count without touching its updatedAt
+const bumpStarCount = async (snippetId, by) => {
+  const Snippet = mongoose.model('Snippet');
+  const snippet = await Snippet.findOneAndUpdate(
+    { _id: snippetId },
+    { $inc: { starCount: by } },
+    { new: true, timestamps: false, projection: { starCount: 1 } }
+  );
+  return snippet ? snippet.starCount : 0;
+};
+
+// Star a snippet for a request user; starring twice is a no-op. Resolves to
+// the snippet's star count.
+starSchema.statics.star = async function(user, snippet) {
+  try {
+    await this.create({ user: user.userId, snippet: snippet._id, organization: user.organization });
+  } catch (error) {
+    if (error.code !== 11000) throw error;
+    return snippet.starCount;
+  }
+  return bumpStarCount(snippet._id, 1);
+};
+
+// Remove a star; removing a missing star is a no-op
+starSchema.statics.unstar = async function(user, snippet) {
+  const star = await this.findOneAndDelete({ user: user.userId, snippet: snippet._id });
+  if (!star) return snippet.starCount;
+  return bumpStarCount(snippet._id, -1);
+};
+
+starSchema.statics.isStarred = async function(user, snippetId) {
+  return Boolean(await this.exists({ user: user.userId, snippet: snippetId }));
+};
+
+module.exports = mongoose.model('Star', starSchema);
@@ -44,6 +44,28 @@ const userSchema = new mongoose.Schema({
   azureId: {
     type: String,
     sparse: true
+  },
+  // Which types of in-app notifications the user gets (see Notification.TYPES)
+  notificationPreferences: {
+    share: { type: Boolean, default: true },
+    comment: { type: Boolean, default: true },
+    reply: { type: Boolean, default: true },
+    fork: { type: Boolean, default: true },
+    edit: { type: Boolean, default: true }
+  },
+  emailPreferences: {
+    // Email when a snippet or collection is shared with the user
+    shares: { type: Boolean, default: true },
+    // Summary of unread notifications
+    digest: { type: String, enum: ['off', 'daily', 'weekly'], default: 'daily' }
+  },
+  lastDigestAt: Date,
+  // When shares sent to the user's email before the account existed were
+  // linked to it. Cleared when a share for the email is left pending anyway,
+  // as happens while the account is deactivated, so the next sign-in claims it.
+  pendingSharesClaimedAt: {
+    type: Date,
+    default: null
   }
 }, {
   timestamps: true
@@ -68,4 +90,13 @@ userSchema.methods.comparePassword = async function(password) {
   return bcrypt.compare(password, this.password);
 };
 
+// Have the accounts with these (lowercased) emails look for pending shares
+// again on their next sign-in
+userSchema.statics.reopenPendingShares = function(emails) {
+  return this.updateMany(
+    { email: { $in: emails }, pendingSharesClaimedAt: { $ne: null } },
+    { $set: { pendingSharesClaimedAt: null } }
+  );
+};
+
 module.exports = mongoose.model('User', userSchema);
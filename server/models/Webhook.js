@@ -0,0 +1,72 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+
+// Snippet events an endpoint can subscribe to
+const EVENTS = [
+  'snippet.created',
+  'snippet.updated',
+  'snippet.deleted',
+  'snippet.shared',
+  'snippet.commented'
+];
+
+const generateSecret = () => `whsec_${crypto.randomBytes(24).toString('hex')}`;
+
+// An endpoint registered by an admin that receives signed JSON payloads for
+// the snippet events of their organization
+const webhookSchema = new mongoose.Schema({
+  organization: {
+    type: String,
+    required: true
+  },
+  url: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 2000,
+    validate: {
+      validator: value => /^https?:\/\/[^\s]+$/i.test(value),
+      message: 'url must be an http or https URL'
+    }
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: 200,
+    default: ''
+  },
+  events: {
+    type: [{ type: String, enum: EVENTS }],
+    validate: {
+      validator: value => value.length > 0,
+      message: 'Subscribe to at least one event'
+    }
+  },
+  // Key of the HMAC signature; only returned when created or rotated
+  secret: {
+    type: String,
+    default: generateSecret,
+    select: false
+  },
+  active: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+webhookSchema.index({ organization: 1, active: 1, events: 1 });
+
+webhookSchema.methods.rotateSecret = function() {
+  this.secret = generateSecret();
+  return this.save();
+};
+
+webhookSchema.statics.EVENTS = EVENTS;
+
+module.exports = mongoose.model('Webhook', webhookSchema);
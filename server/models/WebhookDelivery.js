@@ -0,0 +1,96 @@
+const mongoose = require('mongoose');
+
+const MAX_ATTEMPTS = 6;
+const RETRY_BASE_DELAY = 60 * 1000;
+// A delivery still marked as sending after this long belongs to a worker that died
+const STALE_SENDING_AFTER = 10 * 60 * 1000;
+// The delivery log keeps a month of history
+const RETENTION = 30 * 24 * 60 * 60;
+const MAX_RESPONSE_BODY = 1000;
+
+// One event sent to one webhook. Doubles as the queue entry and the delivery
+// log: responses other than 2xx are retried with exponential backoff until
+// MAX_ATTEMPTS is reached.
+const webhookDeliverySchema = new mongoose.Schema({
+  webhook: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Webhook',
+    required: true
+  },
+  event: {
+    type: String,
+    required: true
+  },
+  payload: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'sending', 'succeeded', 'failed'],
+    default: 'pending'
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  nextAttemptAt: {
+    type: Date,
+    default: Date.now
+  },
+  lockedAt: Date,
+  // Outcome of the last attempt
+  responseStatus: Number,
+  responseBody: String,
+  error: String,
+  duration: Number,
+  deliveredAt: Date
+}, {
+  timestamps: true
+});
+
+webhookDeliverySchema.index({ status: 1, nextAttemptAt: 1 });
+webhookDeliverySchema.index({ webhook: 1, createdAt: -1 });
+webhookDeliverySchema.index({ createdAt: 1 }, { expireAfterSeconds: RETENTION });
+
+// Take the next due delivery, marking it as sending so no other worker picks it up
+webhookDeliverySchema.statics.claimNext = function() {
+  const now = new Date();
+  return this.findOneAndUpdate(
+    {
+      $or: [
+        { status: 'pending', nextAttemptAt: { $lte: now } },
+        { status: 'sending', lockedAt: { $lte: new Date(now - STALE_SENDING_AFTER) } }
+      ]
+    },
+    { $set: { status: 'sending', lockedAt: now }, $inc: { attempts: 1 } },
+    { new: true, sort: { nextAttemptAt: 1 } }
+  );
+};
+
+// Record the outcome of an attempt: { responseStatus, responseBody, error, duration }.
+// Anything but a 2xx response schedules another attempt unless `retry` is
+// off, or gives up after MAX_ATTEMPTS.
+webhookDeliverySchema.methods.recordAttempt = function({ responseStatus, responseBody, error, duration }, { retry = true } = {}) {
+  this.responseStatus = responseStatus;
+  this.responseBody = responseBody?.slice(0, MAX_RESPONSE_BODY);
+  this.error = error;
+  this.duration = duration;
+  this.lockedAt = undefined;
+
+  if (!error && responseStatus >= 200 && responseStatus < 300) {
+    this.status = 'succeeded';
+    this.deliveredAt = new Date();
+  } else if (!retry || this.attempts >= MAX_ATTEMPTS) {
+    this.status = 'failed';
+  } else {
+    this.status = 'pending';
+    this.nextAttemptAt = new Date(Date.now() + RETRY_BASE_DELAY * 2 ** (this.attempts - 1));
+  }
+  return this.save();
+};
+
+webhookDeliverySchema.statics.MAX_ATTEMPTS = MAX_ATTEMPTS;
+webhookDeliverySchema.statics.MAX_RESPONSE_BODY = MAX_RESPONSE_BODY;
+
+module.exports = mongoose.model('WebhookDelivery', webhookDeliverySchema);
@@ -0,0 +1,103 @@
+const mongoose = require('mongoose');
+
+// One entry of a `sharedWith` list, used by snippets and collections. Entries
+// for emails without an account have no `user` until someone signs up with it.
+const shareEntrySchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  email: String, // Store email for users not yet registered
+  permissions: {
+    type: String,
+    enum: ['view', 'edit'],
+    default: 'view'
+  },
+  sharedAt: {
+    type: Date,
+    default: Date.now
+  },
+  sharedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  // When the invite reminder went out, for entries still waiting for a signup
+  reminderSentAt: Date
+});
+
+// The share entry of a request user in a document's sharedWith list, if any
+const shareFor = (doc, user) => doc.sharedWith.find(
+  share => share.user && share.user._id.toString() === user.userId
+);
+
+// Attach the pending entries of `doc` for `email` (lowercased, as entries
+// store it) to `user`, keeping a single entry per user. Returns the claimed
+// entries; the caller saves the document.
+const claimEntries = (doc, user, email) => {
+  const userId = user._id.toString();
+  const pending = doc.sharedWith.filter(
+    share => !share.user && share.email === email
+  );
+  let existing = doc.sharedWith.find(
+    share => share.user && share.user.toString() === userId
+  );
+
+  const claimed = [];
+  for (const share of pending) {
+    if (existing) {
+      // Already shared by username since; keep one entry with the broader permission
+      if (share.permissions === 'edit') existing.permissions = 'edit';
+      doc.sharedWith.pull(share._id);
+    } else {
+      share.user = user._id;
+      existing = share;
+    }
+
+    claimed.push({
+      shareEntry: share._id,
+      permissions: share.permissions,
+      sharedBy: share.sharedBy,
+      sharedAt: share.sharedAt
+    });
+  }
+
+  return claimed;
+};
+
+// Lowercase the emails of `Model`'s share entries. Invites used to keep the
+// email as typed, and pending ones are matched exactly on signup. Resolves
+// with the emails of the pending entries that were changed.
+const lowercaseShareEmails = async (Model) => {
+  const mixedCase = { sharedWith: { $elemMatch: { email: /[A-Z]/ } } };
+  const pending = await Model.collection.distinct('sharedWith.email', {
+    sharedWith: { $elemMatch: { email: /[A-Z]/, user: null } }
+  });
+
+  await Model.collection.updateMany(mixedCase, [{
+    $set: {
+      sharedWith: {
+        $map: {
+          input: '$sharedWith',
+          as: 'share',
+          in: {
+            $cond: [
+              { $eq: [{ $type: '$$share.email' }, 'string'] },
+              { $mergeObjects: ['$$share', { email: { $toLower: { $trim: { input: '$$share.email' } } } }] },
+              '$$share'
+            ]
+          }
+        }
+      }
+    }
+  }]);
+
+  return pending.filter(email => typeof email === 'string' && /[A-Z]/.test(email))
+    .map(email => email.trim().toLowerCase());
+};
+
+module.exports = {
+  shareEntrySchema,
+  shareFor,
+  claimEntries,
+  lowercaseShareEmails
+};
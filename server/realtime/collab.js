@@ -0,0 +1,444 @@
+const mongoose = require('mongoose');
+const realtime = require('./index');
+const TextOperation = require('./textOperation');
+const Snippet = require('../models/Snippet');
+const SnippetRevision = require('../models/SnippetRevision');
+const Comment = require('../models/Comment');
+const Notification = require('../models/Notification');
+const webhooks = require('../webhooks');
+
+// Live editing of snippet files. The server holds the authoritative copy of
+// each file being edited and orders all operations: clients send operations
+// against the last revision they saw, the server transforms them past
+// anything that landed in between, applies them and relays the result.
+
+const SAVE_DELAY = 2000;
+const MAX_CONTENT_LENGTH = 100000; // Snippet file content maxlength
+// Most operations a session keeps for transforming edits made against older
+// revisions; editors further behind than that start over from the server copy
+const MAX_HISTORY = 1000;
+
+// Each file of a snippet is edited in its own session
+const sessionKey = (snippetId, fileId) => `${snippetId}:${fileId}`;
+
+// sessionKey -> session
+const sessions = new Map();
+// sessionKey -> promise of the final save of a session that just ended
+const closing = new Map();
+// snippetId -> last queued save; files of one snippet are saved one at a
+// time so no save writes back a stale copy of another file
+const saveQueues = new Map();
+
+const sessionsOf = (snippetId) =>
+  [...sessions.values()].filter(session => session.snippetId === snippetId);
+
+const sendError = (connection, error, snippetId, fileId) => {
+  realtime.send(connection, { type: 'collab:error', snippetId, fileId, error });
+};
+
+const listParticipants = (session) => [...session.participants.values()].map(participant => ({
+  user: participant.profile,
+  selection: participant.selection
+}));
+
+// Send to everyone in the session except the given connection
+const broadcast = (session, message, except) => {
+  session.participants.forEach(participant => {
+    participant.connections.forEach(connection => {
+      if (connection !== except) realtime.send(connection, message);
+    });
+  });
+};
+
+const transformSelection = (operation, selection) => ({
+  anchor: operation.transformIndex(selection.anchor),
+  head: operation.transformIndex(selection.head)
+});
+
+const isValidSelection = (selection) =>
+  selection && Number.isInteger(selection.anchor) && Number.isInteger(selection.head) &&
+  selection.anchor >= 0 && selection.head >= 0;
+
+const save = (session) => {
+  clearTimeout(session.saveTimer);
+
+  const previous = saveQueues.get(session.snippetId) || Promise.resolve();
+  const saving = previous.then(async () => {
+    if (!session.dirty) return;
+    session.dirty = false;
+
+    const snippet = await Snippet.findOne({ _id: session.snippetId, isActive: true });
+    const file = snippet?.files.id(session.fileId);
+    if (!file) return;
+
+    // The stored content is still the pre-session state on the first save
+    if (!session.baselineChecked) {
+      await SnippetRevision.ensureBaseline(snippet);
+      session.baselineChecked = true;
+    }
+
+    const previous = { fileId: file._id, content: file.content };
+    file.content = session.content;
+    snippet.lastEditedBy = session.lastEditor;
+    snippet.lastEditedAt = new Date();
+    await snippet.save();
+    await Comment.remap(snippet._id, [previous], [{ fileId: file._id, content: file.content }]);
+  }).catch(error => {
+    session.dirty = true;
+    console.error('❌ Failed to save collaborative edits:', error.message);
+  }).finally(() => {
+    if (saveQueues.get(session.snippetId) === saving) saveQueues.delete(session.snippetId);
+  });
+
+  saveQueues.set(session.snippetId, saving);
+  return saving;
+};
+
+const scheduleSave = (session) => {
+  clearTimeout(session.saveTimer);
+  session.saveTimer = setTimeout(() => save(session), SAVE_DELAY);
+};
+
+// Persist the final state and record a single revision for the whole session
+const closeSession = (session) => {
+  const { snippetId, key } = session;
+  sessions.delete(key);
+
+  const done = save(session)
+    .then(async () => {
+      if (!session.lastEditor) return;
+      const snippet = await Snippet.findOne({ _id: snippetId, isActive: true });
+      if (!snippet) return;
+      await SnippetRevision.record(snippet, session.lastEditor);
+      await Notification.notify('edit', [snippet.author], session.lastEditor, { snippet: snippet._id });
+      await webhooks.emit('snippet.updated', snippet, session.lastEditor);
+    })
+    .catch(error => console.error('❌ Failed to record collaborative revision:', error.message))
+    .finally(() => closing.delete(key));
+
+  closing.set(key, done);
+};
+
+// Drop the history no connection can still refer to, and anything beyond
+// MAX_HISTORY. `history[i]` turns revision `historyStart + i` into the next.
+const trimHistory = (session) => {
+  const oldest = Math.max(
+    Math.min(session.revision, ...session.baseRevisions.values()),
+    session.revision - MAX_HISTORY
+  );
+  if (oldest > session.historyStart) {
+    session.history.splice(0, oldest - session.historyStart);
+    session.historyStart = oldest;
+  }
+};
+
+// Remember the revision a connection's next message can be based on; null
+// once it left
+const trackRevision = (session, connection, revision) => {
+  if (revision === null) {
+    session.baseRevisions.delete(connection);
+  } else {
+    session.baseRevisions.set(connection, revision);
+  }
+  trimHistory(session);
+};
+
+// Operations since `revision`, or null when they are no longer kept
+const historySince = (session, revision) =>
+  revision < session.historyStart ? null : session.history.slice(revision - session.historyStart);
+
+// Apply an operation that is already based on the session's current revision
+const applyOperation = (session, operation, userId, origin) => {
+  const content = operation.apply(session.content);
+  if (content.length > MAX_CONTENT_LENGTH) {
+    throw new Error('File content is limited to 100,000 characters');
+  }
+
+  session.content = content;
+  session.history.push(operation);
+  session.revision++;
+  trimHistory(session);
+  session.lastEditor = userId;
+  session.dirty = true;
+
+  session.participants.forEach(participant => {
+    if (participant.selection) {
+      participant.selection = transformSelection(operation, participant.selection);
+    }
+  });
+
+  broadcast(session, {
+    type: 'collab:operation',
+    snippetId: session.snippetId,
+    fileId: session.fileId,
+    revision: session.revision,
+    operation: operation.toJSON(),
+    userId
+  }, origin);
+
+  scheduleSave(session);
+};
+
+const leave = (connection, key) => {
+  connection.collabSessions?.delete(key);
+
+  const session = sessions.get(key);
+  if (!session) return;
+  trackRevision(session, connection, null);
+
+  const { userId } = connection.user;
+  const participant = session.participants.get(userId);
+  if (!participant) return;
+
+  participant.connections.delete(connection);
+  if (participant.connections.size > 0) return;
+
+  session.participants.delete(userId);
+  if (session.participants.size === 0) {
+    closeSession(session);
+  } else {
+    broadcast(session, {
+      type: 'collab:participants',
+      snippetId: session.snippetId,
+      fileId: session.fileId,
+      participants: listParticipants(session)
+    });
+  }
+};
+
+const findParticipant = (connection, snippetId, fileId) => {
+  const session = sessions.get(sessionKey(snippetId, fileId));
+  const participant = session?.participants.get(connection.user.userId);
+  if (!participant || !participant.connections.has(connection)) return {};
+  return { session, participant };
+};
+
+realtime.on('collab:join', async (connection, { snippetId, fileId }) => {
+  if (!mongoose.Types.ObjectId.isValid(snippetId) || !mongoose.Types.ObjectId.isValid(fileId)) {
+    return sendError(connection, 'Invalid snippet or file id', snippetId, fileId);
+  }
+
+  const key = sessionKey(snippetId, fileId);
+  // A session that just ended may still be writing its final state
+  await closing.get(key);
+
+  const snippet = await Snippet.findOne({ _id: snippetId, isActive: true });
+  if (!snippet || !snippet.canView(connection.user)) {
+    return sendError(connection, 'Snippet not found', snippetId, fileId);
+  }
+  if (!snippet.canEdit(connection.user)) {
+    return sendError(connection, 'You do not have permission to edit this snippet', snippetId, fileId);
+  }
+  const file = snippet.files.id(fileId);
+  if (!file) {
+    return sendError(connection, 'File not found', snippetId, fileId);
+  }
+
+  let session = sessions.get(key);
+  if (!session) {
+    session = {
+      key,
+      snippetId,
+      fileId,
+      content: file.content,
+      revision: 0,
+      history: [],
+      historyStart: 0,
+      // connection -> oldest revision its next message may be based on
+      baseRevisions: new Map(),
+      participants: new Map(),
+      lastEditor: null,
+      dirty: false,
+      baselineChecked: false,
+      saveTimer: null
+    };
+    sessions.set(key, session);
+  }
+
+  const { userId } = connection.user;
+  const isNewParticipant = !session.participants.has(userId);
+  if (isNewParticipant) {
+    session.participants.set(userId, {
+      profile: connection.profile,
+      selection: null,
+      connections: new Set()
+    });
+  }
+  session.participants.get(userId).connections.add(connection);
+
+  if (!connection.collabSessions) connection.collabSessions = new Set();
+  connection.collabSessions.add(key);
+  trackRevision(session, connection, session.revision);
+
+  realtime.send(connection, {
+    type: 'collab:state',
+    snippetId,
+    fileId,
+    content: session.content,
+    revision: session.revision,
+    participants: listParticipants(session)
+  });
+
+  if (isNewParticipant) {
+    broadcast(session, {
+      type: 'collab:participants',
+      snippetId,
+      fileId,
+      participants: listParticipants(session)
+    }, connection);
+  }
+});
+
+realtime.on('collab:operation', async (connection, { snippetId, fileId, revision, operation }) => {
+  const { session } = findParticipant(connection, snippetId, fileId);
+  if (!session) {
+    return sendError(connection, 'Join the editing session first', snippetId, fileId);
+  }
+  if (!Number.isInteger(revision) || revision < 0 || revision > session.revision) {
+    return sendError(connection, 'Unknown document revision', snippetId, fileId);
+  }
+
+  const concurrentOperations = historySince(session, revision);
+  if (!concurrentOperations) {
+    return sendError(connection, 'Your copy of the file fell too far behind; reloading it', snippetId, fileId);
+  }
+
+  try {
+    let transformed = TextOperation.fromJSON(operation);
+    for (const concurrent of concurrentOperations) {
+      [transformed] = TextOperation.transform(transformed, concurrent);
+    }
+
+    applyOperation(session, transformed, connection.user.userId, connection);
+  } catch (error) {
+    return sendError(connection, error.message, snippetId, fileId);
+  }
+  // The ack brings the client up to the current revision
+  trackRevision(session, connection, session.revision);
+
+  realtime.send(connection, { type: 'collab:ack', snippetId, fileId, revision: session.revision });
+});
+
+realtime.on('collab:cursor', async (connection, { snippetId, fileId, revision, selection }) => {
+  const { session, participant } = findParticipant(connection, snippetId, fileId);
+  if (!session || !isValidSelection(selection)) return;
+  if (!Number.isInteger(revision) || revision < 0 || revision > session.revision) return;
+
+  const operations = historySince(session, revision);
+  if (!operations) return;
+  trackRevision(session, connection, revision);
+
+  let current = { anchor: selection.anchor, head: selection.head };
+  for (const operation of operations) {
+    current = transformSelection(operation, current);
+  }
+  const max = session.content.length;
+  participant.selection = { anchor: Math.min(current.anchor, max), head: Math.min(current.head, max) };
+
+  broadcast(session, {
+    type: 'collab:cursor',
+    snippetId,
+    fileId,
+    userId: connection.user.userId,
+    selection: participant.selection
+  }, connection);
+});
+
+realtime.on('collab:leave', async (connection, { snippetId, fileId }) => {
+  if (typeof snippetId === 'string' && typeof fileId === 'string') {
+    leave(connection, sessionKey(snippetId, fileId));
+  }
+});
+
+realtime.onDisconnect((connection) => {
+  [...(connection.collabSessions || [])].forEach(key => leave(connection, key));
+});
+
+// Content of the live file, or null when nobody is editing it
+const getLiveContent = (snippetId, fileId) => {
+  const session = sessions.get(sessionKey(snippetId, fileId));
+  return session ? session.content : null;
+};
+
+// Write any pending live edits of the snippet's files to the database
+const flush = async (snippetId) => {
+  const id = snippetId.toString();
+  await Promise.all(sessionsOf(id).map(save));
+  await Promise.all(
+    [...closing.entries()]
+      .filter(([key]) => key.startsWith(`${id}:`))
+      .map(([, done]) => done)
+  );
+};
+
+const closeFor = (session, connections, reason) => {
+  connections.forEach(connection => {
+    realtime.send(connection, {
+      type: 'collab:closed',
+      snippetId: session.snippetId,
+      fileId: session.fileId,
+      reason
+    });
+    leave(connection, session.key);
+  });
+};
+
+// Send everyone away from a session whose file is gone, dropping unsaved
+// edits as there is nothing left to save them to
+const endSession = (session, reason) => {
+  session.dirty = false;
+  session.lastEditor = null;
+  session.participants.forEach(participant => {
+    closeFor(session, [...participant.connections], reason);
+  });
+};
+
+// End the sessions of files that are no longer part of the snippet
+const closeRemovedFiles = (snippet) => {
+  sessionsOf(snippet._id.toString())
+    .filter(session => !snippet.files.id(session.fileId))
+    .forEach(session => endSession(session, 'This file was removed from the snippet'));
+};
+
+// End every session of a deleted snippet
+const closeSnippet = (snippetId) => {
+  sessionsOf(snippetId.toString())
+    .forEach(session => endSession(session, 'This snippet was deleted'));
+};
+
+// Push file contents changed outside the sessions (e.g. a revision restore)
+// to editors
+const replaceContent = (snippet, userId) => {
+  closeRemovedFiles(snippet);
+
+  sessionsOf(snippet._id.toString()).forEach(session => {
+    const { content } = snippet.files.id(session.fileId);
+    if (session.content === content) return;
+
+    applyOperation(session, TextOperation.fromDiff(session.content, content), userId.toString(), null);
+    // The caller has already stored this content
+    session.dirty = false;
+    clearTimeout(session.saveTimer);
+  });
+};
+
+// Drop editors whose edit access was removed since they joined, and end the
+// sessions of removed files
+const revalidateEditors = (snippet) => {
+  closeRemovedFiles(snippet);
+
+  sessionsOf(snippet._id.toString()).forEach(session => {
+    session.participants.forEach((participant, userId) => {
+      if (snippet.canEdit({ userId })) return;
+      closeFor(session, [...participant.connections], 'Your edit access to this snippet was removed');
+    });
+  });
+};
+
+module.exports = {
+  getLiveContent,
+  flush,
+  replaceContent,
+  revalidateEditors,
+  closeSnippet
+};
@@ -0,0 +1,129 @@
+const { WebSocketServer, WebSocket } = require('ws');
+const { authenticate, toRequestUser } = require('../middleware/auth');
+
+const REALTIME_PATH = '/api/realtime';
+const HEARTBEAT_INTERVAL = 30 * 1000;
+
+// Message type -> handler(connection, payload)
+const handlers = new Map();
+// Callbacks run when a connection closes, so features can drop its state
+const disconnectHandlers = [];
+// userId -> Set of open connections (one per tab)
+const connectionsByUser = new Map();
+
+let wss = null;
+
+const on = (type, handler) => {
+  handlers.set(type, handler);
+};
+
+const onDisconnect = (handler) => {
+  disconnectHandlers.push(handler);
+};
+
+const send = (connection, message) => {
+  if (connection.socket.readyState === WebSocket.OPEN) {
+    connection.socket.send(JSON.stringify(message));
+  }
+};
+
+const sendToUser = (userId, message) => {
+  const connections = connectionsByUser.get(userId.toString());
+  if (!connections) return;
+  connections.forEach(connection => send(connection, message));
+};
+
+const register = (connection) => {
+  const { userId } = connection.user;
+  if (!connectionsByUser.has(userId)) connectionsByUser.set(userId, new Set());
+  connectionsByUser.get(userId).add(connection);
+};
+
+const unregister = (connection) => {
+  const { userId } = connection.user;
+  const connections = connectionsByUser.get(userId);
+  if (!connections) return;
+  connections.delete(connection);
+  if (connections.size === 0) connectionsByUser.delete(userId);
+};
+
+const handleMessage = async (connection, raw) => {
+  let message;
+  try {
+    message = JSON.parse(raw);
+  } catch (error) {
+    return send(connection, { type: 'error', error: 'Invalid message format' });
+  }
+
+  const handler = handlers.get(message.type);
+  if (!handler) {
+    return send(connection, { type: 'error', error: `Unknown message type: ${message.type}` });
+  }
+
+  try {
+    await handler(connection, message);
+  } catch (error) {
+    console.error(`❌ Realtime handler error (${message.type}):`, error.message);
+    send(connection, { type: 'error', error: error.message, requestType: message.type });
+  }
+};
+
+// Attach the WebSocket server to the HTTP server. Clients connect to
+// /api/realtime?token=<jwt> and exchange JSON messages shaped { type, ...payload }.
+const attach = (server) => {
+  wss = new WebSocketServer({ noServer: true });
+
+  server.on('upgrade', async (req, socket, head) => {
+    const url = new URL(req.url, 'http://localhost');
+    if (url.pathname !== REALTIME_PATH) {
+      return socket.destroy();
+    }
+
+    const user = await authenticate(url.searchParams.get('token'));
+    if (!user) {
+      socket.write('HTTP/1.1 401 Unauthorized\r\n\r\n');
+      return socket.destroy();
+    }
+
+    wss.handleUpgrade(req, socket, head, (ws) => {
+      const connection = {
+        socket: ws,
+        user: toRequestUser(user),
+        profile: { _id: user._id, username: user.username, email: user.email }
+      };
+      ws.isAlive = true;
+
+      register(connection);
+      send(connection, { type: 'ready', user: connection.profile });
+
+      ws.on('pong', () => { ws.isAlive = true; });
+      ws.on('message', (raw) => handleMessage(connection, raw.toString()));
+      ws.on('close', () => {
+        unregister(connection);
+        disconnectHandlers.forEach(handler => handler(connection));
+      });
+    });
+  });
+
+  // Drop connections that stopped answering pings (closed laptops, dead proxies)
+  const heartbeat = setInterval(() => {
+    wss.clients.forEach(ws => {
+      if (!ws.isAlive) return ws.terminate();
+      ws.isAlive = false;
+      ws.ping();
+    });
+  }, HEARTBEAT_INTERVAL);
+
+  wss.on('close', () => clearInterval(heartbeat));
+
+  console.log(`🔌 Realtime channel listening on ${REALTIME_PATH}`);
+  return wss;
+};
+
+module.exports = {
+  attach,
+  on,
+  onDisconnect,
+  send,
+  sendToUser
+};
@@ -0,0 +1,98 @@
+const mongoose = require('mongoose');
+const realtime = require('./index');
+const Snippet = require('../models/Snippet');
+
+// Who is looking at which snippet. Kept in memory only: presence is
+// meaningless after a restart, and clients re-join when they reconnect.
+// snippetId -> Map(userId -> { profile, joinedAt, connections: Set })
+const rooms = new Map();
+
+const getViewers = (snippetId) => {
+  const room = rooms.get(snippetId.toString());
+  if (!room) return [];
+
+  return [...room.values()].map(entry => ({
+    user: entry.profile,
+    joinedAt: entry.joinedAt,
+    isOnline: true
+  }));
+};
+
+const broadcast = (snippetId, message) => {
+  const room = rooms.get(snippetId);
+  if (!room) return;
+
+  const payload = { ...message, snippetId, viewers: getViewers(snippetId) };
+  room.forEach(entry => {
+    entry.connections.forEach(connection => realtime.send(connection, payload));
+  });
+};
+
+const join = (connection, snippetId) => {
+  const { userId } = connection.user;
+  if (!rooms.has(snippetId)) rooms.set(snippetId, new Map());
+  const room = rooms.get(snippetId);
+
+  const isNewViewer = !room.has(userId);
+  if (isNewViewer) {
+    room.set(userId, { profile: connection.profile, joinedAt: new Date(), connections: new Set() });
+  }
+  room.get(userId).connections.add(connection);
+
+  if (!connection.snippets) connection.snippets = new Set();
+  connection.snippets.add(snippetId);
+
+  if (isNewViewer) {
+    broadcast(snippetId, { type: 'presence', event: 'join', user: connection.profile });
+  } else {
+    // Another tab of someone already present; only that tab needs the list
+    realtime.send(connection, { type: 'presence', event: 'sync', snippetId, viewers: getViewers(snippetId) });
+  }
+};
+
+const leave = (connection, snippetId) => {
+  const room = rooms.get(snippetId);
+  connection.snippets?.delete(snippetId);
+  if (!room) return;
+
+  const { userId } = connection.user;
+  const entry = room.get(userId);
+  if (!entry) return;
+
+  entry.connections.delete(connection);
+  if (entry.connections.size > 0) return;
+
+  room.delete(userId);
+  if (room.size === 0) {
+    rooms.delete(snippetId);
+  } else {
+    broadcast(snippetId, { type: 'presence', event: 'leave', user: connection.profile });
+  }
+};
+
+realtime.on('presence:join', async (connection, { snippetId }) => {
+  if (!mongoose.Types.ObjectId.isValid(snippetId)) {
+    return realtime.send(connection, { type: 'error', error: 'Invalid snippet id', requestType: 'presence:join' });
+  }
+
+  const snippet = await Snippet.findOne({ _id: snippetId, isActive: true })
+    .select('author sharedWith visibility organization');
+
+  if (!snippet || !snippet.canView(connection.user)) {
+    return realtime.send(connection, { type: 'error', error: 'Snippet not found', requestType: 'presence:join', snippetId });
+  }
+
+  join(connection, snippet._id.toString());
+});
+
+realtime.on('presence:leave', async (connection, { snippetId }) => {
+  if (typeof snippetId === 'string') leave(connection, snippetId);
+});
+
+realtime.onDisconnect((connection) => {
+  [...(connection.snippets || [])].forEach(snippetId => leave(connection, snippetId));
+});
+
+module.exports = {
+  getViewers
+};
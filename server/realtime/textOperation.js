@@ -0,0 +1,347 @@
+// Operational transform for plain text, used by live collaborative editing.
+// An operation walks the whole document and is a list of components:
+//   positive integer -> retain that many characters
+//   string           -> insert it
+//   negative integer -> delete that many characters
+//
+// Keep in sync with client/src/utils/textOperation.js; both ends must
+// transform operations identically or documents will diverge.
+
+const isRetain = (op) => typeof op === 'number' && op > 0;
+const isInsert = (op) => typeof op === 'string';
+const isDelete = (op) => typeof op === 'number' && op < 0;
+
+class TextOperation {
+  constructor() {
+    this.ops = [];
+    // Length of the document before and after applying the operation
+    this.baseLength = 0;
+    this.targetLength = 0;
+  }
+
+  retain(n) {
+    if (n === 0) return this;
+    this.baseLength += n;
+    this.targetLength += n;
+    const last = this.ops.length - 1;
+    if (isRetain(this.ops[last])) {
+      this.ops[last] += n;
+    } else {
+      this.ops.push(n);
+    }
+    return this;
+  }
+
+  insert(str) {
+    if (str === '') return this;
+    this.targetLength += str.length;
+    const ops = this.ops;
+    const last = ops.length - 1;
+    if (isInsert(ops[last])) {
+      ops[last] += str;
+    } else if (isDelete(ops[last])) {
+      // Keep inserts before deletes so equal operations have one representation
+      if (isInsert(ops[last - 1])) {
+        ops[last - 1] += str;
+      } else {
+        ops[last + 1] = ops[last];
+        ops[last] = str;
+      }
+    } else {
+      ops.push(str);
+    }
+    return this;
+  }
+
+  delete(n) {
+    if (typeof n === 'string') n = n.length;
+    if (n === 0) return this;
+    if (n > 0) n = -n;
+    this.baseLength -= n;
+    const last = this.ops.length - 1;
+    if (isDelete(this.ops[last])) {
+      this.ops[last] += n;
+    } else {
+      this.ops.push(n);
+    }
+    return this;
+  }
+
+  isNoop() {
+    return this.ops.length === 0 || (this.ops.length === 1 && isRetain(this.ops[0]));
+  }
+
+  apply(str) {
+    if (str.length !== this.baseLength) {
+      throw new Error('Operation base length does not match the document length');
+    }
+
+    const parts = [];
+    let index = 0;
+    for (const op of this.ops) {
+      if (isRetain(op)) {
+        parts.push(str.slice(index, index + op));
+        index += op;
+      } else if (isInsert(op)) {
+        parts.push(op);
+      } else {
+        index -= op;
+      }
+    }
+    return parts.join('');
+  }
+
+  // Combine this operation with one that was applied right after it
+  compose(other) {
+    if (this.targetLength !== other.baseLength) {
+      throw new Error('Cannot compose operations: lengths do not line up');
+    }
+
+    const result = new TextOperation();
+    const ops1 = this.ops;
+    const ops2 = other.ops;
+    let i1 = 0;
+    let i2 = 0;
+    let op1 = ops1[i1++];
+    let op2 = ops2[i2++];
+
+    while (op1 !== undefined || op2 !== undefined) {
+      if (isDelete(op1)) {
+        result.delete(op1);
+        op1 = ops1[i1++];
+        continue;
+      }
+      if (isInsert(op2)) {
+        result.insert(op2);
+        op2 = ops2[i2++];
+        continue;
+      }
+      if (op1 === undefined || op2 === undefined) {
+        throw new Error('Cannot compose operations: lengths do not line up');
+      }
+
+      if (isRetain(op1) && isRetain(op2)) {
+        if (op1 > op2) {
+          result.retain(op2);
+          op1 -= op2;
+          op2 = ops2[i2++];
+        } else if (op1 === op2) {
+          result.retain(op1);
+          op1 = ops1[i1++];
+          op2 = ops2[i2++];
+        } else {
+          result.retain(op1);
+          op2 -= op1;
+          op1 = ops1[i1++];
+        }
+      } else if (isInsert(op1) && isDelete(op2)) {
+        if (op1.length > -op2) {
+          op1 = op1.slice(-op2);
+          op2 = ops2[i2++];
+        } else if (op1.length === -op2) {
+          op1 = ops1[i1++];
+          op2 = ops2[i2++];
+        } else {
+          op2 += op1.length;
+          op1 = ops1[i1++];
+        }
+      } else if (isInsert(op1) && isRetain(op2)) {
+        if (op1.length > op2) {
+          result.insert(op1.slice(0, op2));
+          op1 = op1.slice(op2);
+          op2 = ops2[i2++];
+        } else if (op1.length === op2) {
+          result.insert(op1);
+          op1 = ops1[i1++];
+          op2 = ops2[i2++];
+        } else {
+          result.insert(op1);
+          op2 -= op1.length;
+          op1 = ops1[i1++];
+        }
+      } else {
+        // retain followed by delete
+        if (op1 > -op2) {
+          result.delete(op2);
+          op1 += op2;
+          op2 = ops2[i2++];
+        } else if (op1 === -op2) {
+          result.delete(op2);
+          op1 = ops1[i1++];
+          op2 = ops2[i2++];
+        } else {
+          result.delete(op1);
+          op2 += op1;
+          op1 = ops1[i1++];
+        }
+      }
+    }
+
+    return result;
+  }
+
+  // Where a caret at `index` ends up once this operation is applied
+  transformIndex(index) {
+    let newIndex = index;
+    let remaining = index;
+    for (const op of this.ops) {
+      if (isRetain(op)) {
+        remaining -= op;
+      } else if (isInsert(op)) {
+        newIndex += op.length;
+      } else {
+        newIndex -= Math.min(remaining, -op);
+        remaining += op;
+      }
+      if (remaining < 0) break;
+    }
+    return newIndex;
+  }
+
+  toJSON() {
+    return this.ops;
+  }
+
+  static fromJSON(ops) {
+    if (!Array.isArray(ops)) {
+      throw new Error('Operation must be an array');
+    }
+
+    const operation = new TextOperation();
+    for (const op of ops) {
+      if (isInsert(op)) {
+        operation.insert(op);
+      } else if (Number.isInteger(op) && op > 0) {
+        operation.retain(op);
+      } else if (Number.isInteger(op) && op < 0) {
+        operation.delete(op);
+      } else {
+        throw new Error('Invalid operation component');
+      }
+    }
+    return operation;
+  }
+
+  // Smallest operation turning `oldText` into `newText`, assuming a single
+  // changed region (which is what one editor input event produces)
+  static fromDiff(oldText, newText) {
+    let start = 0;
+    const maxStart = Math.min(oldText.length, newText.length);
+    while (start < maxStart && oldText[start] === newText[start]) start++;
+
+    let oldEnd = oldText.length;
+    let newEnd = newText.length;
+    while (oldEnd > start && newEnd > start && oldText[oldEnd - 1] === newText[newEnd - 1]) {
+      oldEnd--;
+      newEnd--;
+    }
+
+    return new TextOperation()
+      .retain(start)
+      .delete(oldEnd - start)
+      .insert(newText.slice(start, newEnd))
+      .retain(oldText.length - oldEnd);
+  }
+
+  // Given concurrent operations a and b on the same document, return
+  // [a', b'] such that apply(apply(doc, a), b') === apply(apply(doc, b), a').
+  // When both insert at the same place, a's text goes first.
+  static transform(a, b) {
+    if (a.baseLength !== b.baseLength) {
+      throw new Error('Cannot transform operations on different documents');
+    }
+
+    const aPrime = new TextOperation();
+    const bPrime = new TextOperation();
+    const ops1 = a.ops;
+    const ops2 = b.ops;
+    let i1 = 0;
+    let i2 = 0;
+    let op1 = ops1[i1++];
+    let op2 = ops2[i2++];
+
+    while (op1 !== undefined || op2 !== undefined) {
+      if (isInsert(op1)) {
+        aPrime.insert(op1);
+        bPrime.retain(op1.length);
+        op1 = ops1[i1++];
+        continue;
+      }
+      if (isInsert(op2)) {
+        aPrime.retain(op2.length);
+        bPrime.insert(op2);
+        op2 = ops2[i2++];
+        continue;
+      }
+      if (op1 === undefined || op2 === undefined) {
+        throw new Error('Cannot transform operations on different documents');
+      }
+
+      let length;
+      if (isRetain(op1) && isRetain(op2)) {
+        if (op1 > op2) {
+          length = op2;
+          op1 -= op2;
+          op2 = ops2[i2++];
+        } else if (op1 === op2) {
+          length = op2;
+          op1 = ops1[i1++];
+          op2 = ops2[i2++];
+        } else {
+          length = op1;
+          op2 -= op1;
+          op1 = ops1[i1++];
+        }
+        aPrime.retain(length);
+        bPrime.retain(length);
+      } else if (isDelete(op1) && isDelete(op2)) {
+        // Both deleted the same text; nothing left to do on either side
+        if (-op1 > -op2) {
+          op1 -= op2;
+          op2 = ops2[i2++];
+        } else if (op1 === op2) {
+          op1 = ops1[i1++];
+          op2 = ops2[i2++];
+        } else {
+          op2 -= op1;
+          op1 = ops1[i1++];
+        }
+      } else if (isDelete(op1) && isRetain(op2)) {
+        if (-op1 > op2) {
+          length = op2;
+          op1 += op2;
+          op2 = ops2[i2++];
+        } else if (-op1 === op2) {
+          length = op2;
+          op1 = ops1[i1++];
+          op2 = ops2[i2++];
+        } else {
+          length = -op1;
+          op2 += op1;
+          op1 = ops1[i1++];
+        }
+        aPrime.delete(length);
+      } else {
+        // retain against delete
+        if (op1 > -op2) {
+          length = -op2;
+          op1 += op2;
+          op2 = ops2[i2++];
+        } else if (op1 === -op2) {
+          length = op1;
+          op1 = ops1[i1++];
+          op2 = ops2[i2++];
+        } else {
+          length = op1;
+          op2 += op1;
+          op1 = ops1[i1++];
+        }
+        bPrime.delete(length);
+      }
+    }
+
+    return [aPrime, bPrime];
+  }
+}
+
+module.exports = TextOperation;
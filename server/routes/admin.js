@@ -1,7 +1,12 @@
 const express = require('express');
+const mongoose = require('mongoose');
 const AppConfig = require('../models/AppConfig');
 const User = require('../models/User');
+const AuditLog = require('../models/AuditLog');
+const EmailJob = require('../models/EmailJob');
+const email = require('../email');
 const auth = require('../middleware/auth');
+const requireAdmin = require('../middleware/requireAdmin');
 
 const router = express.Router();
 
@@ -45,6 +50,8 @@ const router = express.Router();
  *                       type: string
  *                     tenantId:
  *                       type: string
+ *                 email:
+ *                   $ref: '#/components/schemas/EmailSettings'
  *       403:
  *         description: Access denied - Admin role required
  *         content:
@@ -82,6 +89,8 @@ const router = express.Router();
  *                     type: string
  *                   enabled:
  *                     type: boolean
+ *               email:
+ *                 $ref: '#/components/schemas/EmailSettings'
  *     responses:
  *       200:
  *         description: Configuration updated successfully
@@ -92,6 +101,8 @@ const router = express.Router();
  *               properties:
  *                 message:
  *                   type: string
+ *       400:
+ *         description: Invalid email settings
  */
 
 /**
@@ -154,18 +165,72 @@ const router = express.Router();
  *                   type: string
  */
 
-// Middleware to check admin role
-const requireAdmin = async (req, res, next) => {
-  try {
-    const user = await User.findById(req.user.userId);
-    if (!user || user.role !== 'admin') {
-      return res.status(403).json({ error: 'Admin access required' });
-    }
-    next();
-  } catch (error) {
-    res.status(500).json({ error: error.message });
-  }
-};
+/**
+ * @swagger
+ * /api/admin/audit-log:
+ *   get:
+ *     summary: Get audit log
+ *     description: List audit entries, newest first (admin only)
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: action
+ *         schema:
+ *           type: string
+ *           example: share.claimed
+ *         description: Only return entries for this action
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 50
+ *           maximum: 200
+ *     responses:
+ *       200:
+ *         description: Paginated audit entries
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 entries:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/AuditLogEntry'
+ *                 totalPages:
+ *                   type: integer
+ *                 currentPage:
+ *                   type: integer
+ *                 total:
+ *                   type: integer
+ *       403:
+ *         description: Access denied - Admin role required
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+
+// Email jobs without their rendered bodies
+const formatEmailJob = (job) => ({
+  _id: job._id,
+  kind: job.kind,
+  to: job.to,
+  subject: job.subject,
+  status: job.status,
+  attempts: job.attempts,
+  nextAttemptAt: job.nextAttemptAt,
+  lastError: job.lastError,
+  sentAt: job.sentAt,
+  createdAt: job.createdAt
+});
 
 // Get app configuration
 router.get('/config', auth, requireAdmin, async (req, res) => {
@@ -180,6 +245,21 @@ router.get('/config', auth, requireAdmin, async (req, res) => {
         enabled: config.azureAd.enabled,
         clientId: config.azureAd.clientId,
         tenantId: config.azureAd.tenantId
+      },
+      email: {
+        enabled: config.email.enabled,
+        transport: config.email.transport,
+        from: config.email.from,
+        appUrl: config.email.appUrl,
+        smtp: {
+          host: config.email.smtp.host,
+          port: config.email.smtp.port,
+          secure: config.email.smtp.secure,
+          user: config.email.smtp.user,
+          passwordSet: !!config.email.smtp.password
+        },
+        outboxDir: config.email.outboxDir,
+        inviteReminderDays: config.email.inviteReminderDays
       }
     };
     res.json(safeConfig);
@@ -197,7 +277,8 @@ router.put('/config', auth, requireAdmin, async (req, res) => {
       authMode,
       allowRegistration,
       defaultOrganization,
-      azureAd
+      azureAd,
+      email: emailSettings
     } = req.body;
 
     if (authMode) config.authMode = authMode;
@@ -211,6 +292,24 @@ router.put('/config', auth, requireAdmin, async (req, res) => {
       if (typeof azureAd.enabled === 'boolean') config.azureAd.enabled = azureAd.enabled;
     }
 
+    if (emailSettings) {
+      for (const field of ['enabled', 'transport', 'from', 'appUrl', 'outboxDir', 'inviteReminderDays']) {
+        if (emailSettings[field] !== undefined) config.email[field] = emailSettings[field];
+      }
+      const smtp = emailSettings.smtp || {};
+      for (const field of ['host', 'port', 'secure', 'user']) {
+        if (smtp[field] !== undefined) config.email.smtp[field] = smtp[field];
+      }
+      // An empty password keeps the stored one, like the Azure AD secret
+      if (smtp.password) config.email.smtp.password = smtp.password;
+    }
+
+    try {
+      await config.validate();
+    } catch (error) {
+      return res.status(400).json({ error: error.message });
+    }
+
     await config.save();
     res.json({ message: 'Configuration updated successfully' });
   } catch (error) {
@@ -250,4 +349,192 @@ router.put('/users/:id/role', auth, requireAdmin, async (req, res) => {
   }
 });
 
+// Get audit log entries
+router.get('/audit-log', auth, requireAdmin, async (req, res) => {
+  try {
+    const page = Math.max(1, parseInt(req.query.page) || 1);
+    const limit = Math.min(200, Math.max(1, parseInt(req.query.limit) || 50));
+
+    const filter = {};
+    if (req.query.action) filter.action = req.query.action;
+
+    const [entries, total] = await Promise.all([
+      AuditLog.find(filter)
+        .populate('actor', 'username email')
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      AuditLog.countDocuments(filter)
+    ]);
+
+    res.json({
+      entries,
+      totalPages: Math.ceil(total / limit),
+      currentPage: page,
+      total
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/admin/email/test:
+ *   post:
+ *     summary: Send a test email
+ *     description: >
+ *       Send a test email right away through the configured transport, even while email is
+ *       disabled. Defaults to the admin's own address.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               to:
+ *                 type: string
+ *                 format: email
+ *     responses:
+ *       200:
+ *         description: The test email job; `status` is `failed` with `lastError` set if sending failed
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/EmailJob'
+ */
+router.post('/email/test', auth, requireAdmin, async (req, res) => {
+  try {
+    const admin = await User.findById(req.user.userId).select('email');
+    const to = (req.body?.to || admin.email || '').trim();
+    if (!to) {
+      return res.status(400).json({ error: 'A recipient address is required' });
+    }
+
+    const job = await email.sendTest(to);
+    res.json(formatEmailJob(job));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/admin/email/jobs:
+ *   get:
+ *     summary: List outgoing emails
+ *     description: The email queue, newest first (admin only)
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [pending, sending, sent, failed]
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 50
+ *           maximum: 200
+ *     responses:
+ *       200:
+ *         description: Paginated email jobs
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 jobs:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/EmailJob'
+ *                 totalPages:
+ *                   type: integer
+ *                 currentPage:
+ *                   type: integer
+ *                 total:
+ *                   type: integer
+ */
+router.get('/email/jobs', auth, requireAdmin, async (req, res) => {
+  try {
+    const page = Math.max(1, parseInt(req.query.page) || 1);
+    const limit = Math.min(200, Math.max(1, parseInt(req.query.limit) || 50));
+
+    const filter = {};
+    if (req.query.status) filter.status = String(req.query.status);
+
+    const [jobs, total] = await Promise.all([
+      EmailJob.find(filter)
+        .select('-text -html')
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      EmailJob.countDocuments(filter)
+    ]);
+
+    res.json({
+      jobs: jobs.map(formatEmailJob),
+      totalPages: Math.ceil(total / limit),
+      currentPage: page,
+      total
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/admin/email/jobs/{id}/retry:
+ *   post:
+ *     summary: Retry an email
+ *     description: Queue a failed email again with a fresh set of attempts
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: The queued job
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/EmailJob'
+ *       404:
+ *         description: No failed email with this ID
+ */
+router.post('/email/jobs/:id/retry', auth, requireAdmin, async (req, res) => {
+  try {
+    const job = mongoose.isValidObjectId(req.params.id) && await EmailJob.findOneAndUpdate(
+      { _id: req.params.id, status: 'failed' },
+      { $set: { status: 'pending', attempts: 0, nextAttemptAt: new Date() } },
+      { new: true }
+    );
+    if (!job) {
+      return res.status(404).json({ error: 'Failed email not found' });
+    }
+
+    email.processQueue().catch(error => console.error('❌ Email queue error:', error.message));
+    res.json(formatEmailJob(job));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
 module.exports = router;
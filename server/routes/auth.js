@@ -3,10 +3,46 @@ const jwt = require('jsonwebtoken');
 const axios = require('axios');
 const User = require('../models/User');
 const AppConfig = require('../models/AppConfig');
+const Snippet = require('../models/Snippet');
+const Collection = require('../models/Collection');
+const AuditLog = require('../models/AuditLog');
 const auth = require('../middleware/auth');
 
 const router = express.Router();
 
+// Link snippets and collections shared with this user's email before the
+// account existed. Shares sent once the account exists go to the user
+// directly, so this runs once per user: on signup, or on the first sign-in of
+// accounts that predate it. Never fails the login itself.
+const claimPendingShares = async (user, trigger) => {
+  if (user.pendingSharesClaimedAt) return [];
+
+  try {
+    const claimed = [
+      ...await Snippet.claimPendingShares(user),
+      ...await Collection.claimPendingShares(user)
+    ];
+    user.pendingSharesClaimedAt = new Date();
+    await User.updateOne({ _id: user._id }, { $set: { pendingSharesClaimedAt: user.pendingSharesClaimedAt } });
+
+    if (claimed.length > 0) {
+      console.log(`🔗 Claimed ${claimed.length} pending share(s) for ${user.email} on ${trigger}`);
+      await AuditLog.record({
+        action: 'share.claimed',
+        actor: user._id,
+        organization: user.organization,
+        target: { kind: 'User', id: user._id },
+        details: { email: user.email, trigger, claimed }
+      });
+    }
+
+    return claimed;
+  } catch (error) {
+    console.error('❌ Failed to claim pending shares:', error.message);
+    return [];
+  }
+};
+
 /**
  * @swagger
  * tags:
@@ -101,6 +137,9 @@ router.get('/config', async (req, res) => {
  *                   type: string
  *                 user:
  *                   $ref: '#/components/schemas/User'
+ *                 claimedShares:
+ *                   type: integer
+ *                   description: Number of pending email shares linked to the account by this request
  *       400:
  *         description: Invalid input or user already exists
  *         content:
@@ -146,6 +185,8 @@ router.post('/register', async (req, res) => {
 
     console.log(`✅ User registered successfully: ${user.email} (${user.organization})`);
 
+    const claimed = await claimPendingShares(user, 'register');
+
     const token = jwt.sign(
       { userId: user._id },
       process.env.JWT_SECRET || 'your-secret-key',
@@ -161,7 +202,8 @@ router.post('/register', async (req, res) => {
         organization: user.organization,
         role: user.role,
         authProvider: user.authProvider
-      }
+      },
+      claimedShares: claimed.length
     });
   } catch (error) {
     console.error('❌ Registration error:', error.message);
@@ -205,6 +247,9 @@ router.post('/register', async (req, res) => {
  *                   type: string
  *                 user:
  *                   $ref: '#/components/schemas/User'
+ *                 claimedShares:
+ *                   type: integer
+ *                   description: Number of pending email shares linked to the account by this request
  *       401:
  *         description: Invalid credentials
  *         content:
@@ -232,6 +277,8 @@ router.post('/login', async (req, res) => {
 
     console.log(`✅ Local login successful: ${user.email} (${user.organization})`);
 
+    const claimed = await claimPendingShares(user, 'login');
+
     const token = jwt.sign(
       { userId: user._id },
       process.env.JWT_SECRET || 'your-secret-key',
@@ -247,7 +294,8 @@ router.post('/login', async (req, res) => {
         organization: user.organization,
         role: user.role,
         authProvider: user.authProvider
-      }
+      },
+      claimedShares: claimed.length
     });
   } catch (error) {
     console.error('❌ Local login error:', error.message);
@@ -291,6 +339,9 @@ router.post('/login', async (req, res) => {
  *                   type: string
  *                 user:
  *                   $ref: '#/components/schemas/User'
+ *                 claimedShares:
+ *                   type: integer
+ *                   description: Number of pending email shares linked to the account by this request
  *       401:
  *         description: Invalid Azure AD credentials
  *         content:
@@ -368,6 +419,8 @@ router.post('/azure/login', async (req, res) => {
 
     console.log(`✅ Azure AD login successful: ${user.email} (${user.organization}) - Provider: ${user.authProvider}`);
 
+    const claimed = await claimPendingShares(user, 'azure_login');
+
     res.json({
       token,
       user: {
@@ -377,7 +430,8 @@ router.post('/azure/login', async (req, res) => {
         organization: user.organization,
         role: user.role,
         authProvider: user.authProvider
-      }
+      },
+      claimedShares: claimed.length
     });
 
   } catch (error) {
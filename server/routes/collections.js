@@ -0,0 +1,1088 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const Collection = require('../models/Collection');
+const Snippet = require('../models/Snippet');
+const Notification = require('../models/Notification');
+const { addShareEntries, formatShareEntry } = require('../utils/sharing');
+const { slugify, uniqueName, snippetEntries, sendZip } = require('../utils/download');
+const email = require('../email');
+const auth = require('../middleware/auth');
+const optionalAuth = require('../middleware/optionalAuth');
+
+const router = express.Router();
+
+const VISIBILITIES = ['private', 'organization', 'public'];
+const LIST_SCOPES = ['mine', 'shared', 'organization'];
+
+/**
+ * @swagger
+ * tags:
+ *   - name: Collections
+ *     description: Named, nestable groups of snippets with their own visibility and sharing
+ */
+
+// List fields of a collection; `snippets` is reduced to a count
+const summarize = (collection) => ({
+  _id: collection._id,
+  name: collection.name,
+  description: collection.description,
+  parent: collection.parent,
+  owner: collection.owner,
+  organization: collection.organization,
+  visibility: collection.visibility,
+  shareId: collection.shareId,
+  snippetCount: collection.snippets.length,
+  createdAt: collection.createdAt,
+  updatedAt: collection.updatedAt
+});
+
+// The collection's snippets that `user` may see on their own, in order.
+// Membership in a collection never grants access to a snippet.
+const visibleSnippets = async (collection, user) => {
+  const snippets = await Snippet.find({
+    _id: { $in: collection.snippets },
+    isActive: true
+  }).populate('author', 'username');
+
+  const visible = new Map(
+    snippets.filter(snippet => snippet.canView(user)).map(snippet => [snippet._id.toString(), snippet])
+  );
+  const ordered = collection.snippets
+    .map(snippetId => visible.get(snippetId.toString()))
+    .filter(Boolean);
+
+  return { snippets: ordered, hiddenCount: collection.snippets.length - ordered.length };
+};
+
+// Load the collection of the request and check access. Sends the error
+// response and returns null when the user may not `access` ('view', 'edit'
+// or 'own') it.
+const findCollection = async (req, res, access = 'view') => {
+  if (!mongoose.isValidObjectId(req.params.id)) {
+    res.status(404).json({ error: 'Collection not found' });
+    return null;
+  }
+
+  const collection = await Collection.findById(req.params.id);
+  if (!collection || !collection.canView(req.user)) {
+    res.status(404).json({ error: 'Collection not found' });
+    return null;
+  }
+
+  const allowed = access === 'view' ||
+    (access === 'edit' && collection.canEdit(req.user)) ||
+    (access === 'own' && collection.isOwner(req.user));
+  if (!allowed) {
+    res.status(403).json({ error: 'Access denied' });
+    return null;
+  }
+
+  return collection;
+};
+
+// Load the collection of a share link and check access, or send the error
+// response
+const findSharedCollection = async (req, res) => {
+  const collection = await Collection.findOne({ shareId: req.params.shareId })
+    .populate('owner', 'username');
+
+  if (!collection) {
+    res.status(404).json({ error: 'Collection not found' });
+    return null;
+  }
+
+  if (collection.visibility !== 'public' &&
+      (!req.user || collection.organization !== req.user.organization)) {
+    res.status(403).json({ error: 'Access denied. This collection is only accessible to members of the same organization.' });
+    return null;
+  }
+
+  return collection;
+};
+
+// ZIP entries for a collection: the snippets `user` may see, and with
+// `nested` each visible subcollection in a folder of its own
+const archiveEntries = async (collection, user, { nested = true, prefix = '' } = {}) => {
+  const taken = new Set();
+  const { snippets } = await visibleSnippets(collection, user);
+  const entries = snippetEntries(snippets, { prefix, taken });
+  if (!nested) return entries;
+
+  const children = await Collection.find({ parent: collection._id }).sort({ name: 1 });
+  for (const child of children.filter(candidate => candidate.canView(user))) {
+    const folder = uniqueName(slugify(child.name) || 'collection', taken);
+    entries.push(...await archiveEntries(child, user, { prefix: `${prefix}${folder}/` }));
+  }
+  return entries;
+};
+
+// Check that `parentId` can hold a collection that is `height` levels tall
+// (1 for a leaf), or `collection` itself when it is being moved. Returns an
+// error message or null.
+const checkParent = async (parentId, user, { height = 1, collection = null } = {}) => {
+  if (!mongoose.isValidObjectId(parentId)) return 'Parent collection not found';
+
+  const parent = await Collection.findOne({ _id: parentId, owner: user.userId });
+  if (!parent) return 'Parent collection not found';
+
+  const ancestors = await parent.ancestors();
+  if (collection) {
+    const moved = collection._id.toString();
+    if (parent._id.toString() === moved || ancestors.some(ancestor => ancestor._id.toString() === moved)) {
+      return 'A collection cannot be moved into itself or one of its subcollections';
+    }
+  }
+
+  if (ancestors.length + 1 + height > Collection.MAX_DEPTH) {
+    return `Collections can be nested at most ${Collection.MAX_DEPTH} levels deep`;
+  }
+  return null;
+};
+
+/**
+ * @swagger
+ * /api/collections:
+ *   get:
+ *     summary: List collections
+ *     description: >
+ *       Collections owned by the user (`mine`), shared with them (`shared`) or visible to
+ *       the whole organization (`organization`). Nested collections are returned flat with
+ *       their `parent`.
+ *     tags: [Collections]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: scope
+ *         schema:
+ *           type: string
+ *           enum: [mine, shared, organization]
+ *           default: mine
+ *       - in: query
+ *         name: snippet
+ *         schema:
+ *           type: string
+ *         description: A snippet ID; each collection then says whether it contains the snippet
+ *     responses:
+ *       200:
+ *         description: Collections, by name
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 collections:
+ *                   type: array
+ *                   items:
+ *                     allOf:
+ *                       - $ref: '#/components/schemas/Collection'
+ *                       - type: object
+ *                         properties:
+ *                           hasSnippet:
+ *                             type: boolean
+ *       400:
+ *         description: Unknown scope
+ *   post:
+ *     summary: Create a collection
+ *     tags: [Collections]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [name]
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 example: Deployment scripts
+ *               description:
+ *                 type: string
+ *               parent:
+ *                 type: string
+ *                 description: ID of one of the user's collections to nest it in
+ *               visibility:
+ *                 type: string
+ *                 enum: [private, organization, public]
+ *                 default: private
+ *     responses:
+ *       201:
+ *         description: Collection created
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Collection'
+ *       400:
+ *         description: Missing name, invalid parent or nesting too deep
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.get('/', auth, async (req, res) => {
+  try {
+    const { scope = 'mine', snippet } = req.query;
+    if (!LIST_SCOPES.includes(scope)) {
+      return res.status(400).json({ error: `scope must be one of: ${LIST_SCOPES.join(', ')}` });
+    }
+
+    let query;
+    switch (scope) {
+      case 'shared':
+        query = { 'sharedWith.user': req.user.userId };
+        break;
+      case 'organization':
+        query = {
+          organization: req.user.organization,
+          visibility: { $in: ['organization', 'public'] },
+          owner: { $ne: req.user.userId }
+        };
+        break;
+      default:
+        query = { owner: req.user.userId };
+    }
+
+    const collections = await Collection.find(query)
+      .populate('owner', 'username')
+      .sort({ name: 1 });
+
+    res.json({
+      collections: collections.map(collection => ({
+        ...summarize(collection),
+        ...(snippet && { hasSnippet: collection.snippets.some(snippetId => snippetId.toString() === snippet) })
+      }))
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+router.post('/', auth, async (req, res) => {
+  try {
+    const { name, description, parent, visibility } = req.body;
+    if (!name || typeof name !== 'string' || !name.trim()) {
+      return res.status(400).json({ error: 'name is required' });
+    }
+    if (visibility !== undefined && !VISIBILITIES.includes(visibility)) {
+      return res.status(400).json({ error: `visibility must be one of: ${VISIBILITIES.join(', ')}` });
+    }
+    if (parent) {
+      const error = await checkParent(parent, req.user);
+      if (error) {
+        return res.status(400).json({ error });
+      }
+    }
+
+    const collection = await Collection.create({
+      name,
+      description,
+      parent: parent || null,
+      visibility,
+      owner: req.user.userId,
+      organization: req.user.organization
+    });
+    await collection.populate('owner', 'username');
+
+    res.status(201).json(summarize(collection));
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ error: error.message });
+    }
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/collections/share/{shareId}:
+ *   get:
+ *     summary: Get a collection by share link
+ *     description: >
+ *       Same rules as snippet share links: public collections are open to anyone, private
+ *       and organization collections to members of the organization. Only the snippets the
+ *       visitor may see on their own are listed.
+ *     tags: [Collections]
+ *     parameters:
+ *       - in: path
+ *         name: shareId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: The collection with its visible snippets
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/CollectionDetail'
+ *       403:
+ *         description: Only accessible to members of the same organization
+ *       404:
+ *         description: Collection not found
+ */
+router.get('/share/:shareId', optionalAuth, async (req, res) => {
+  try {
+    const collection = await findSharedCollection(req, res);
+    if (!collection) return;
+
+    const { snippets, hiddenCount } = await visibleSnippets(collection, req.user);
+
+    res.json({ ...summarize(collection), snippets, hiddenCount });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/collections/share/{shareId}/download:
+ *   get:
+ *     summary: Download a shared collection as a ZIP archive
+ *     description: >
+ *       Same access rules as `/api/collections/share/{shareId}`. Holds one folder per snippet
+ *       the visitor may see on their own; subcollections are not included.
+ *     tags: [Collections]
+ *     parameters:
+ *       - in: path
+ *         name: shareId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: ZIP archive
+ *         content:
+ *           application/zip:
+ *             schema:
+ *               type: string
+ *               format: binary
+ *       403:
+ *         description: Only accessible to members of the same organization
+ *       404:
+ *         description: Collection not found
+ */
+router.get('/share/:shareId/download', optionalAuth, async (req, res) => {
+  try {
+    const collection = await findSharedCollection(req, res);
+    if (!collection) return;
+
+    const entries = await archiveEntries(collection, req.user, { nested: false });
+    sendZip(res, `${slugify(collection.name) || 'collection'}.zip`, entries);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/collections/{id}/download:
+ *   get:
+ *     summary: Download a collection as a ZIP archive
+ *     description: >
+ *       One folder per snippet you may see on your own, named after its title, and one
+ *       folder per subcollection you may see
+ *     tags: [Collections]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: ZIP archive
+ *         content:
+ *           application/zip:
+ *             schema:
+ *               type: string
+ *               format: binary
+ *       404:
+ *         description: Collection not found
+ */
+router.get('/:id/download', auth, async (req, res) => {
+  try {
+    const collection = await findCollection(req, res);
+    if (!collection) return;
+
+    const entries = await archiveEntries(collection, req.user);
+    sendZip(res, `${slugify(collection.name) || 'collection'}.zip`, entries);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/collections/{id}:
+ *   get:
+ *     summary: Get a collection
+ *     description: >
+ *       The collection with the snippets and subcollections the user may see, and the path
+ *       of ancestors from the root. Snippets the user cannot see are only counted in
+ *       `hiddenCount`.
+ *     tags: [Collections]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: The collection
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/CollectionDetail'
+ *       404:
+ *         description: Collection not found
+ *   put:
+ *     summary: Update a collection
+ *     description: >
+ *       Editors may change the name and description; the visibility and the parent
+ *       (`null` for top level) can only be changed by the owner.
+ *     tags: [Collections]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
+ *               description:
+ *                 type: string
+ *               parent:
+ *                 type: string
+ *                 nullable: true
+ *               visibility:
+ *                 type: string
+ *                 enum: [private, organization, public]
+ *     responses:
+ *       200:
+ *         description: Collection updated
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Collection'
+ *       400:
+ *         description: Invalid name, visibility or parent
+ *       403:
+ *         description: Access denied
+ *       404:
+ *         description: Collection not found
+ *   delete:
+ *     summary: Delete a collection
+ *     description: Owner only. Its subcollections move up to its parent; the snippets in it are not deleted.
+ *     tags: [Collections]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Collection deleted
+ *       403:
+ *         description: Access denied
+ *       404:
+ *         description: Collection not found
+ */
+router.get('/:id', auth, async (req, res) => {
+  try {
+    const collection = await findCollection(req, res);
+    if (!collection) return;
+
+    await collection.populate('owner', 'username');
+    const [{ snippets, hiddenCount }, children, ancestors] = await Promise.all([
+      visibleSnippets(collection, req.user),
+      Collection.find({ parent: collection._id }).populate('owner', 'username').sort({ name: 1 }),
+      collection.ancestors()
+    ]);
+
+    res.json({
+      ...summarize(collection),
+      snippets,
+      hiddenCount,
+      children: children.filter(child => child.canView(req.user)).map(summarize),
+      path: ancestors
+        .filter(ancestor => ancestor.canView(req.user))
+        .map(ancestor => ({ _id: ancestor._id, name: ancestor.name })),
+      permissions: {
+        isOwner: collection.isOwner(req.user),
+        canEdit: collection.canEdit(req.user)
+      }
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+router.put('/:id', auth, async (req, res) => {
+  try {
+    const collection = await findCollection(req, res, 'edit');
+    if (!collection) return;
+
+    const { name, description, parent, visibility } = req.body;
+    const isOwner = collection.isOwner(req.user);
+    if ((parent !== undefined || visibility !== undefined) && !isOwner) {
+      return res.status(403).json({ error: 'Only the owner can change the visibility or parent of a collection' });
+    }
+
+    if (name !== undefined) {
+      if (typeof name !== 'string' || !name.trim()) {
+        return res.status(400).json({ error: 'name cannot be empty' });
+      }
+      collection.name = name;
+    }
+    if (description !== undefined) {
+      collection.description = description;
+    }
+    if (visibility !== undefined) {
+      if (!VISIBILITIES.includes(visibility)) {
+        return res.status(400).json({ error: `visibility must be one of: ${VISIBILITIES.join(', ')}` });
+      }
+      collection.visibility = visibility;
+    }
+    if (parent !== undefined) {
+      if (parent) {
+        const error = await checkParent(parent, req.user, {
+          height: await collection.height(),
+          collection
+        });
+        if (error) {
+          return res.status(400).json({ error });
+        }
+      }
+      collection.parent = parent || null;
+    }
+
+    await collection.save();
+    await collection.populate('owner', 'username');
+
+    res.json(summarize(collection));
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ error: error.message });
+    }
+    res.status(500).json({ error: error.message });
+  }
+});
+
+router.delete('/:id', auth, async (req, res) => {
+  try {
+    const collection = await findCollection(req, res, 'own');
+    if (!collection) return;
+
+    await Collection.updateMany({ parent: collection._id }, { parent: collection.parent });
+    await collection.deleteOne();
+
+    res.json({ message: 'Collection deleted' });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/collections/{id}/snippets:
+ *   post:
+ *     summary: Add a snippet to a collection
+ *     description: Requires edit access to the collection and view access to the snippet
+ *     tags: [Collections]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [snippetId]
+ *             properties:
+ *               snippetId:
+ *                 type: string
+ *               position:
+ *                 type: integer
+ *                 description: Zero-based position to insert at; appended when omitted
+ *     responses:
+ *       200:
+ *         description: Snippet added
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/CollectionSnippets'
+ *       400:
+ *         description: The collection is full
+ *       404:
+ *         description: Collection or snippet not found
+ *       409:
+ *         description: The snippet is already in the collection
+ *   put:
+ *     summary: Reorder the snippets of a collection
+ *     description: >
+ *       The given snippets are put in the given order among the positions they occupy;
+ *       snippets left out (such as ones the editor cannot see) keep their place.
+ *     tags: [Collections]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [snippetIds]
+ *             properties:
+ *               snippetIds:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *     responses:
+ *       200:
+ *         description: Snippets reordered
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/CollectionSnippets'
+ *       400:
+ *         description: Unknown or repeated snippet IDs
+ */
+router.post('/:id/snippets', auth, async (req, res) => {
+  try {
+    const collection = await findCollection(req, res, 'edit');
+    if (!collection) return;
+
+    const { snippetId, position } = req.body;
+    const snippet = mongoose.isValidObjectId(snippetId) &&
+      await Snippet.findOne({ _id: snippetId, isActive: true });
+    if (!snippet || !snippet.canView(req.user)) {
+      return res.status(404).json({ error: 'Snippet not found' });
+    }
+
+    if (collection.snippets.some(existing => existing.equals(snippet._id))) {
+      return res.status(409).json({ error: 'Snippet is already in this collection' });
+    }
+    if (collection.snippets.length >= Collection.MAX_SNIPPETS) {
+      return res.status(400).json({ error: `A collection can hold at most ${Collection.MAX_SNIPPETS} snippets` });
+    }
+
+    const index = Number.isInteger(position)
+      ? Math.min(Math.max(position, 0), collection.snippets.length)
+      : collection.snippets.length;
+    collection.snippets.splice(index, 0, snippet._id);
+    await collection.save();
+
+    res.json({ snippetIds: collection.snippets });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+router.put('/:id/snippets', auth, async (req, res) => {
+  try {
+    const collection = await findCollection(req, res, 'edit');
+    if (!collection) return;
+
+    const { snippetIds } = req.body;
+    if (!Array.isArray(snippetIds)) {
+      return res.status(400).json({ error: 'snippetIds must be an array' });
+    }
+
+    const current = collection.snippets.map(String);
+    const requested = snippetIds.map(String);
+    if (new Set(requested).size !== requested.length) {
+      return res.status(400).json({ error: 'snippetIds contains duplicates' });
+    }
+    const unknown = requested.find(snippetId => !current.includes(snippetId));
+    if (unknown) {
+      return res.status(400).json({ error: `Snippet ${unknown} is not in this collection` });
+    }
+
+    // Fill the positions the listed snippets held, in the new order
+    const slots = new Set(requested);
+    const reordered = [...requested];
+    collection.snippets = current.map(snippetId => (slots.has(snippetId) ? reordered.shift() : snippetId));
+    await collection.save();
+
+    res.json({ snippetIds: collection.snippets });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/collections/{id}/snippets/{snippetId}:
+ *   delete:
+ *     summary: Remove a snippet from a collection
+ *     tags: [Collections]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: snippetId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Snippet removed
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/CollectionSnippets'
+ *       404:
+ *         description: Collection not found, or the snippet is not in it
+ */
+router.delete('/:id/snippets/:snippetId', auth, async (req, res) => {
+  try {
+    const collection = await findCollection(req, res, 'edit');
+    if (!collection) return;
+
+    const index = collection.snippets.findIndex(snippetId => snippetId.toString() === req.params.snippetId);
+    if (index === -1) {
+      return res.status(404).json({ error: 'Snippet is not in this collection' });
+    }
+
+    collection.snippets.splice(index, 1);
+    await collection.save();
+
+    res.json({ snippetIds: collection.snippets });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/collections/{id}/share:
+ *   post:
+ *     summary: Share a collection with specific users
+ *     description: >
+ *       Owner only, with the same semantics as sharing a snippet: emails without an account
+ *       become pending invites. Sharing a collection does not share the snippets in it.
+ *     tags: [Collections]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               emails:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *               usernames:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *               permissions:
+ *                 type: string
+ *                 enum: [view, edit]
+ *                 default: view
+ *     responses:
+ *       200:
+ *         description: Collection shared
+ *       403:
+ *         description: Access denied
+ *       404:
+ *         description: Collection not found
+ */
+router.post('/:id/share', auth, async (req, res) => {
+  try {
+    const collection = await findCollection(req, res, 'own');
+    if (!collection) return;
+
+    const { emails, usernames, permissions = 'view' } = req.body;
+    if (!['view', 'edit'].includes(permissions)) {
+      return res.status(400).json({ error: 'permissions must be "view" or "edit"' });
+    }
+
+    const { sharedUsers, notFoundUsers, userIds } = await addShareEntries(collection, { emails, usernames, permissions }, req.user);
+    await collection.save();
+    await Notification.notify('share', userIds, req.user.userId, { snippetCollection: collection._id });
+    const emailed = await email.sendShareInvitations(collection, 'collection', sharedUsers, req.user.userId);
+
+    res.json({
+      message: 'Collection shared successfully',
+      sharedWith: sharedUsers,
+      notFound: notFoundUsers,
+      totalSharedUsers: collection.sharedWith.length,
+      emailed
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/collections/{id}/sharing:
+ *   get:
+ *     summary: Get collection sharing details
+ *     description: The sharing list of a collection (owner only), split like the snippet sharing details
+ *     tags: [Collections]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Collection sharing details
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 id:
+ *                   type: string
+ *                 name:
+ *                   type: string
+ *                 visibility:
+ *                   type: string
+ *                 shareId:
+ *                   type: string
+ *                 sharedWith:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/ShareEntry'
+ *                 pendingInvites:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/ShareEntry'
+ */
+router.get('/:id/sharing', auth, async (req, res) => {
+  try {
+    const collection = await findCollection(req, res, 'own');
+    if (!collection) return;
+
+    await collection.populate('sharedWith.user', 'username email');
+    await collection.populate('sharedWith.sharedBy', 'username');
+    const entries = [...collection.sharedWith].sort((a, b) => b.sharedAt - a.sharedAt);
+
+    res.json({
+      id: collection._id,
+      name: collection.name,
+      visibility: collection.visibility,
+      shareId: collection.shareId,
+      sharedWith: entries.filter(share => share.user).map(formatShareEntry),
+      pendingInvites: entries.filter(share => !share.user).map(formatShareEntry)
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/collections/{id}/share/revoke:
+ *   post:
+ *     summary: Revoke several collection share entries
+ *     tags: [Collections]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [shareEntryIds]
+ *             properties:
+ *               shareEntryIds:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *     responses:
+ *       200:
+ *         description: Entries revoked
+ */
+router.post('/:id/share/revoke', auth, async (req, res) => {
+  try {
+    const { shareEntryIds } = req.body;
+    if (!Array.isArray(shareEntryIds) || shareEntryIds.length === 0) {
+      return res.status(400).json({ error: 'shareEntryIds must be a non-empty array' });
+    }
+
+    const collection = await findCollection(req, res, 'own');
+    if (!collection) return;
+
+    const requested = new Set(shareEntryIds.map(String));
+    const revoked = collection.sharedWith
+      .filter(share => requested.has(share._id.toString()))
+      .map(share => share._id.toString());
+    const notFound = [...requested].filter(entryId => !revoked.includes(entryId));
+
+    collection.sharedWith = collection.sharedWith.filter(
+      share => !requested.has(share._id.toString())
+    );
+    await collection.save();
+
+    res.json({
+      message: `Revoked ${revoked.length} share ${revoked.length === 1 ? 'entry' : 'entries'}`,
+      revoked,
+      notFound,
+      totalSharedUsers: collection.sharedWith.length
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/collections/{id}/share/{shareEntryId}:
+ *   patch:
+ *     summary: Change a collection share entry's permission
+ *     tags: [Collections]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: shareEntryId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [permissions]
+ *             properties:
+ *               permissions:
+ *                 type: string
+ *                 enum: [view, edit]
+ *     responses:
+ *       200:
+ *         description: Share entry updated
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ShareEntry'
+ *       404:
+ *         description: Collection or share entry not found
+ *   delete:
+ *     summary: Remove a user from collection sharing
+ *     tags: [Collections]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: shareEntryId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: User removed from sharing list
+ */
+router.patch('/:id/share/:shareEntryId', auth, async (req, res) => {
+  try {
+    const { permissions } = req.body;
+    if (!['view', 'edit'].includes(permissions)) {
+      return res.status(400).json({ error: 'permissions must be "view" or "edit"' });
+    }
+
+    const collection = await findCollection(req, res, 'own');
+    if (!collection) return;
+
+    const share = collection.sharedWith.id(req.params.shareEntryId);
+    if (!share) {
+      return res.status(404).json({ error: 'Share entry not found' });
+    }
+
+    share.permissions = permissions;
+    await collection.save();
+    await collection.populate('sharedWith.user', 'username email');
+    await collection.populate('sharedWith.sharedBy', 'username');
+
+    res.json(formatShareEntry(collection.sharedWith.id(req.params.shareEntryId)));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+router.delete('/:id/share/:shareEntryId', auth, async (req, res) => {
+  try {
+    const collection = await findCollection(req, res, 'own');
+    if (!collection) return;
+
+    collection.sharedWith = collection.sharedWith.filter(
+      share => share._id.toString() !== req.params.shareEntryId
+    );
+    await collection.save();
+
+    res.json({ message: 'User removed from sharing list' });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+module.exports = router;
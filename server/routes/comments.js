@@ -0,0 +1,532 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const Comment = require('../models/Comment');
+const Notification = require('../models/Notification');
+const Snippet = require('../models/Snippet');
+const SnippetRevision = require('../models/SnippetRevision');
+const { splitLines } = require('../utils/diff');
+const webhooks = require('../webhooks');
+const auth = require('../middleware/auth');
+
+// Mounted under /api/snippets/:id/comments
+const router = express.Router({ mergeParams: true });
+
+/**
+ * @swagger
+ * tags:
+ *   - name: Comments
+ *     description: Threaded markdown comments on snippets, optionally anchored to lines of a file
+ */
+
+// Load the snippet of the request; comments are visible to everyone who can
+// view it. Sends the error response and returns null otherwise.
+const findSnippet = async (req, res) => {
+  const snippet = mongoose.isValidObjectId(req.params.id) && await Snippet.findOne({
+    _id: req.params.id,
+    isActive: true
+  });
+
+  if (!snippet) {
+    res.status(404).json({ error: 'Snippet not found' });
+    return null;
+  }
+
+  if (!snippet.canView(req.user)) {
+    res.status(403).json({ error: 'Access denied' });
+    return null;
+  }
+
+  return snippet;
+};
+
+const findComment = async (req, res, snippet) => {
+  const comment = mongoose.isValidObjectId(req.params.commentId) && await Comment.findOne({
+    _id: req.params.commentId,
+    snippet: snippet._id
+  });
+
+  if (!comment) {
+    res.status(404).json({ error: 'Comment not found' });
+    return null;
+  }
+  return comment;
+};
+
+const validateBody = (body) => {
+  if (typeof body !== 'string' || !body.trim()) return 'Comment body is required';
+  if (body.trim().length > 10000) return 'Comments are limited to 10,000 characters';
+  return null;
+};
+
+// The thread author and everyone who may edit the snippet can resolve a thread
+const canResolve = (thread, snippet, user) =>
+  thread.isAuthor(user) || snippet.canEdit(user);
+
+const formatComment = (comment, user) => ({
+  _id: comment._id,
+  author: comment.deleted ? null : comment.author,
+  body: comment.deleted ? '' : comment.body,
+  deleted: comment.deleted,
+  isAuthor: comment.isAuthor(user),
+  editedAt: comment.editedAt,
+  createdAt: comment.createdAt
+});
+
+const formatThread = (thread, replies, snippet, user) => ({
+  ...formatComment(thread, user),
+  fileId: thread.fileId,
+  startLine: thread.startLine,
+  endLine: thread.endLine,
+  excerpt: thread.excerpt,
+  outdated: thread.outdated,
+  resolved: thread.resolved,
+  resolvedBy: thread.resolvedBy,
+  resolvedAt: thread.resolvedAt,
+  canResolve: canResolve(thread, snippet, user),
+  replies: replies.map(reply => formatComment(reply, user))
+});
+
+const loadThread = async (threadId, snippet, user) => {
+  const thread = await Comment.findById(threadId)
+    .populate('author', 'username')
+    .populate('resolvedBy', 'username');
+  if (!thread) return null;
+
+  const replies = await Comment.find({ parent: thread._id })
+    .populate('author', 'username')
+    .sort({ createdAt: 1 });
+  return formatThread(thread, replies, snippet, user);
+};
+
+/**
+ * @swagger
+ * /api/snippets/{id}/comments:
+ *   get:
+ *     summary: List the comment threads of a snippet
+ *     description: Threads in the order they were started, each with its replies
+ *     tags: [Comments]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Comment threads
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 threads:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/CommentThread'
+ *                 openCount:
+ *                   type: integer
+ *                   description: Threads that are not resolved
+ *       403:
+ *         description: Access denied
+ *       404:
+ *         description: Snippet not found
+ *   post:
+ *     summary: Comment on a snippet
+ *     description: >
+ *       Starts a thread, anchored to a line range of a file when `fileId` is given, or
+ *       replies to the thread of `parentId`. Responds with the whole thread.
+ *     tags: [Comments]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [body]
+ *             properties:
+ *               body:
+ *                 type: string
+ *                 description: Markdown
+ *                 example: Should this retry on `ECONNRESET` too?
+ *               parentId:
+ *                 type: string
+ *                 description: Thread to reply to
+ *               fileId:
+ *                 type: string
+ *                 description: File to anchor a new thread to
+ *               startLine:
+ *                 type: integer
+ *                 example: 12
+ *               endLine:
+ *                 type: integer
+ *                 description: Defaults to `startLine`
+ *                 example: 14
+ *     responses:
+ *       201:
+ *         description: The thread with the new comment
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/CommentThread'
+ *       400:
+ *         description: Empty body or invalid anchor
+ *       403:
+ *         description: Access denied
+ *       404:
+ *         description: Snippet or parent thread not found
+ */
+router.get('/', auth, async (req, res) => {
+  try {
+    const snippet = await findSnippet(req, res);
+    if (!snippet) return;
+
+    const comments = await Comment.find({ snippet: snippet._id })
+      .populate('author', 'username')
+      .populate('resolvedBy', 'username')
+      .sort({ createdAt: 1 });
+
+    const replies = new Map();
+    comments.filter(comment => comment.parent).forEach(reply => {
+      const key = reply.parent.toString();
+      replies.set(key, [...(replies.get(key) || []), reply]);
+    });
+    const threads = comments
+      .filter(comment => !comment.parent)
+      .map(thread => formatThread(thread, replies.get(thread._id.toString()) || [], snippet, req.user));
+
+    res.json({
+      threads,
+      openCount: threads.filter(thread => !thread.resolved).length
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+router.post('/', auth, async (req, res) => {
+  try {
+    const snippet = await findSnippet(req, res);
+    if (!snippet) return;
+
+    const { body, parentId, fileId } = req.body;
+    const bodyError = validateBody(body);
+    if (bodyError) {
+      return res.status(400).json({ error: bodyError });
+    }
+
+    const comment = new Comment({ snippet: snippet._id, author: req.user.userId, body });
+
+    if (parentId) {
+      const thread = mongoose.isValidObjectId(parentId) && await Comment.findOne({
+        _id: parentId,
+        snippet: snippet._id,
+        parent: null
+      });
+      if (!thread) {
+        return res.status(404).json({ error: 'Thread not found' });
+      }
+      comment.parent = thread._id;
+    } else if (fileId) {
+      const file = SnippetRevision.filesOf(snippet).find(candidate => candidate.fileId.toString() === String(fileId));
+      if (!file) {
+        return res.status(400).json({ error: 'File not found in this snippet' });
+      }
+
+      const lines = splitLines(file.content);
+      const startLine = Number(req.body.startLine);
+      const endLine = req.body.endLine === undefined ? startLine : Number(req.body.endLine);
+      if (!Number.isInteger(startLine) || !Number.isInteger(endLine) ||
+          startLine < 1 || endLine < startLine || endLine > Math.max(lines.length, 1)) {
+        return res.status(400).json({ error: 'startLine and endLine must be a line range within the file' });
+      }
+      if (endLine - startLine + 1 > Comment.MAX_ANCHOR_LINES) {
+        return res.status(400).json({ error: `Comments can cover at most ${Comment.MAX_ANCHOR_LINES} lines` });
+      }
+
+      Object.assign(comment, {
+        fileId: file.fileId,
+        startLine,
+        endLine,
+        excerpt: lines.slice(startLine - 1, endLine).join('\n')
+      });
+    }
+
+    await comment.save();
+
+    const refs = { snippet: snippet._id, comment: comment._id };
+    await Notification.notify('comment', [snippet.author], req.user.userId, refs);
+    if (comment.parent) {
+      // Everyone else in the thread; the snippet author already got a comment notification
+      const participants = await Comment.find({
+        $or: [{ _id: comment.parent }, { parent: comment.parent }],
+        deleted: false
+      }).distinct('author');
+      const others = participants.filter(id => id.toString() !== snippet.author.toString());
+      await Notification.notify('reply', others, req.user.userId, refs);
+    }
+    await webhooks.emit('snippet.commented', snippet, req.user.userId, {
+      comment: {
+        id: comment._id.toString(),
+        parent: comment.parent ? comment.parent.toString() : null,
+        body: comment.body,
+        fileId: comment.fileId ? comment.fileId.toString() : null,
+        startLine: comment.startLine ?? null,
+        endLine: comment.endLine ?? null
+      }
+    });
+
+    res.status(201).json(await loadThread(comment.parent || comment._id, snippet, req.user));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/snippets/{id}/comments/{commentId}:
+ *   patch:
+ *     summary: Edit a comment
+ *     description: Only the author of a comment can edit it. Responds with the whole thread.
+ *     tags: [Comments]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: commentId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [body]
+ *             properties:
+ *               body:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: The thread with the edited comment
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/CommentThread'
+ *       400:
+ *         description: Empty body
+ *       403:
+ *         description: Not the author of the comment
+ *       404:
+ *         description: Snippet or comment not found
+ *   delete:
+ *     summary: Delete a comment
+ *     description: >
+ *       Only the author of a comment can delete it. The first comment of a thread with
+ *       replies is blanked out and stays as a placeholder; a placeholder goes away with its
+ *       last reply.
+ *     tags: [Comments]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: commentId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Comment deleted
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                 thread:
+ *                   nullable: true
+ *                   description: What is left of the thread, or null when it is gone
+ *                   allOf:
+ *                     - $ref: '#/components/schemas/CommentThread'
+ *       403:
+ *         description: Not the author of the comment
+ *       404:
+ *         description: Snippet or comment not found
+ */
+router.patch('/:commentId', auth, async (req, res) => {
+  try {
+    const snippet = await findSnippet(req, res);
+    if (!snippet) return;
+    const comment = await findComment(req, res, snippet);
+    if (!comment) return;
+
+    if (comment.deleted) {
+      return res.status(404).json({ error: 'Comment not found' });
+    }
+    if (!comment.isAuthor(req.user)) {
+      return res.status(403).json({ error: 'Only the author can edit a comment' });
+    }
+
+    const bodyError = validateBody(req.body.body);
+    if (bodyError) {
+      return res.status(400).json({ error: bodyError });
+    }
+
+    comment.body = req.body.body;
+    comment.editedAt = new Date();
+    await comment.save();
+
+    res.json(await loadThread(comment.parent || comment._id, snippet, req.user));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+router.delete('/:commentId', auth, async (req, res) => {
+  try {
+    const snippet = await findSnippet(req, res);
+    if (!snippet) return;
+    const comment = await findComment(req, res, snippet);
+    if (!comment) return;
+
+    if (comment.deleted) {
+      return res.status(404).json({ error: 'Comment not found' });
+    }
+    if (!comment.isAuthor(req.user)) {
+      return res.status(403).json({ error: 'Only the author can delete a comment' });
+    }
+
+    const threadId = comment.parent || comment._id;
+    if (comment.parent) {
+      await comment.deleteOne();
+      const thread = await Comment.findById(comment.parent);
+      if (thread && thread.deleted && !(await Comment.exists({ parent: thread._id }))) {
+        await thread.deleteOne();
+      }
+    } else if (await Comment.exists({ parent: comment._id })) {
+      comment.deleted = true;
+      comment.body = '';
+      await comment.save();
+    } else {
+      await comment.deleteOne();
+    }
+
+    res.json({
+      message: 'Comment deleted',
+      thread: await loadThread(threadId, snippet, req.user)
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/snippets/{id}/comments/{commentId}/resolve:
+ *   post:
+ *     summary: Resolve a thread
+ *     description: Allowed for the author of the thread and everyone who can edit the snippet
+ *     tags: [Comments]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: commentId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The first comment of the thread
+ *     responses:
+ *       200:
+ *         description: The resolved thread
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/CommentThread'
+ *       403:
+ *         description: Not allowed to resolve the thread
+ *       404:
+ *         description: Snippet or thread not found
+ *   delete:
+ *     summary: Reopen a resolved thread
+ *     tags: [Comments]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: commentId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: The reopened thread
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/CommentThread'
+ *       403:
+ *         description: Not allowed to reopen the thread
+ *       404:
+ *         description: Snippet or thread not found
+ */
+const setResolved = (resolved) => async (req, res) => {
+  try {
+    const snippet = await findSnippet(req, res);
+    if (!snippet) return;
+    const thread = await findComment(req, res, snippet);
+    if (!thread) return;
+
+    if (thread.parent) {
+      return res.status(404).json({ error: 'Thread not found' });
+    }
+    if (!canResolve(thread, snippet, req.user)) {
+      return res.status(403).json({ error: 'Only the thread author and editors of the snippet can resolve a thread' });
+    }
+
+    thread.resolved = resolved;
+    thread.resolvedBy = resolved ? req.user.userId : undefined;
+    thread.resolvedAt = resolved ? new Date() : undefined;
+    await thread.save();
+
+    res.json(await loadThread(thread._id, snippet, req.user));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+};
+
+router.post('/:commentId/resolve', auth, setResolved(true));
+router.delete('/:commentId/resolve', auth, setResolved(false));
+
+module.exports = router;
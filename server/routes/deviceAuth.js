@@ -0,0 +1,360 @@
+const express = require('express');
+const ApiToken = require('../models/ApiToken');
+const AuditLog = require('../models/AuditLog');
+const AppConfig = require('../models/AppConfig');
+const DeviceAuthorization = require('../models/DeviceAuthorization');
+const User = require('../models/User');
+const auth = require('../middleware/auth');
+const requireLogin = require('../middleware/requireLogin');
+
+const router = express.Router();
+
+const DAY = 24 * 60 * 60 * 1000;
+// Tokens handed to plugins expire, unlike the ones users create themselves
+const TOKEN_LIFETIME_DAYS = 365;
+const DEFAULT_SCOPES = ['snippets:read', 'snippets:write'];
+
+/**
+ * @swagger
+ * tags:
+ *   - name: Device Login (v1)
+ *     description: >
+ *       Lets editor plugins sign in without handling passwords. The plugin starts a login
+ *       and shows the user code; the user approves it at `/device` in the web app while the
+ *       plugin polls for its API token.
+ */
+
+const describe = (authorization) => ({
+  userCode: authorization.userCode,
+  clientName: authorization.clientName,
+  scopes: authorization.scopes,
+  expiresAt: authorization.expiresAt
+});
+
+// The pending login for the user code in the path, or send the error response
+const findPending = async (req, res) => {
+  const authorization = await DeviceAuthorization.findPending(req.params.userCode);
+  if (!authorization) {
+    res.status(404).json({ error: 'This code is invalid or has expired. Start the sign-in again from your editor.' });
+    return null;
+  }
+  return authorization;
+};
+
+/**
+ * @swagger
+ * /api/v1/auth/device:
+ *   post:
+ *     summary: Start a device login
+ *     description: >
+ *       Show `userCode` and `verificationUri` to the user (or open `verificationUriComplete`),
+ *       then poll `/api/v1/auth/device/token` with `deviceCode` every `interval` seconds.
+ *     tags: [Device Login (v1)]
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [clientName]
+ *             properties:
+ *               clientName:
+ *                 type: string
+ *                 description: Shown to the user when approving
+ *                 example: VS Code on build-box
+ *               scopes:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                   enum: [snippets:read, snippets:write, share, admin]
+ *                 default: [snippets:read, snippets:write]
+ *     responses:
+ *       201:
+ *         description: Login started
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/DeviceAuthorization'
+ *       400:
+ *         description: Missing client name or unknown scope
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.post('/', async (req, res) => {
+  try {
+    const { clientName, scopes = DEFAULT_SCOPES } = req.body;
+    if (!clientName || typeof clientName !== 'string' || !clientName.trim()) {
+      return res.status(400).json({ error: 'clientName is required' });
+    }
+    if (!Array.isArray(scopes) || scopes.length === 0) {
+      return res.status(400).json({ error: 'Choose at least one scope' });
+    }
+    const unknown = scopes.find(scope => !ApiToken.SCOPES.includes(scope));
+    if (unknown) {
+      return res.status(400).json({ error: `Unknown scope: ${unknown}` });
+    }
+
+    const { authorization, deviceCode } = await DeviceAuthorization.begin({
+      clientName,
+      scopes: [...new Set(scopes)]
+    });
+
+    const { email: { appUrl } } = await AppConfig.getConfig();
+    const verificationUri = new URL('/device', appUrl).toString();
+    res.status(201).json({
+      deviceCode,
+      userCode: authorization.userCode,
+      verificationUri,
+      verificationUriComplete: `${verificationUri}?code=${authorization.userCode}`,
+      expiresIn: DeviceAuthorization.LIFETIME / 1000,
+      interval: DeviceAuthorization.POLL_INTERVAL / 1000
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ error: error.message });
+    }
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/v1/auth/device/token:
+ *   post:
+ *     summary: Poll for the API token of a device login
+ *     description: >
+ *       Until the user decides, this answers 400 with `code` set to `authorization_pending`,
+ *       or `slow_down` when polling faster than `interval`. Once approved, the API token is
+ *       returned exactly once. A denied login answers `access_denied` and an unknown or
+ *       expired one `expired_token`; both are final.
+ *     tags: [Device Login (v1)]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [deviceCode]
+ *             properties:
+ *               deviceCode:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Login approved
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 token:
+ *                   type: string
+ *                   example: ssp_Xb3k...
+ *                 tokenType:
+ *                   type: string
+ *                   example: Bearer
+ *                 scopes:
+ *                   type: array
+ *                   items:
+ *                     type: string
+ *                 expiresAt:
+ *                   type: string
+ *                   format: date-time
+ *                 user:
+ *                   $ref: '#/components/schemas/User'
+ *       400:
+ *         description: Not approved (yet)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error:
+ *                   type: string
+ *                 code:
+ *                   type: string
+ *                   enum: [authorization_pending, slow_down, access_denied, expired_token]
+ */
+router.post('/token', async (req, res) => {
+  try {
+    const { deviceCode } = req.body;
+    const authorization = deviceCode && await DeviceAuthorization.findByDeviceCode(deviceCode);
+    if (!authorization || authorization.isExpired() || authorization.status === 'consumed') {
+      return res.status(400).json({ error: 'The sign-in expired or was already completed', code: 'expired_token' });
+    }
+    if (authorization.status === 'denied') {
+      return res.status(400).json({ error: 'The sign-in was denied', code: 'access_denied' });
+    }
+    if (!await authorization.poll()) {
+      return res.status(400).json({ error: 'Polling too fast', code: 'slow_down' });
+    }
+    if (authorization.status === 'pending') {
+      return res.status(400).json({ error: 'Waiting for the user to approve the sign-in', code: 'authorization_pending' });
+    }
+
+    const user = await User.findById(authorization.user).select('-password');
+    if (!user || !user.isActive || !await authorization.consume()) {
+      return res.status(400).json({ error: 'The sign-in expired or was already completed', code: 'expired_token' });
+    }
+
+    const { apiToken, token } = await ApiToken.issue(user._id, {
+      name: authorization.clientName,
+      scopes: authorization.scopes,
+      expiresAt: new Date(Date.now() + TOKEN_LIFETIME_DAYS * DAY)
+    });
+    await AuditLog.record({
+      action: 'token.created',
+      actor: user._id,
+      organization: user.organization,
+      target: { kind: 'ApiToken', id: apiToken._id },
+      details: { name: apiToken.name, scopes: apiToken.scopes, expiresAt: apiToken.expiresAt, deviceLogin: true }
+    });
+
+    res.json({
+      token,
+      tokenType: 'Bearer',
+      scopes: apiToken.scopes,
+      expiresAt: apiToken.expiresAt,
+      user
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/v1/auth/device/{userCode}:
+ *   get:
+ *     summary: Look up a device login to approve
+ *     description: Used by the `/device` page of the web app. Needs a login token.
+ *     tags: [Device Login (v1)]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: userCode
+ *         required: true
+ *         schema:
+ *           type: string
+ *           example: BDKM-QRTZ
+ *     responses:
+ *       200:
+ *         description: The pending login
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 userCode:
+ *                   type: string
+ *                 clientName:
+ *                   type: string
+ *                 scopes:
+ *                   type: array
+ *                   items:
+ *                     type: string
+ *                 expiresAt:
+ *                   type: string
+ *                   format: date-time
+ *       403:
+ *         description: Called with an API token
+ *       404:
+ *         description: Unknown, expired or already decided code
+ */
+router.get('/:userCode', auth, requireLogin, async (req, res) => {
+  try {
+    const authorization = await findPending(req, res);
+    if (!authorization) return;
+
+    res.json(describe(authorization));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/v1/auth/device/{userCode}/approve:
+ *   post:
+ *     summary: Approve a device login
+ *     description: The polling plugin receives an API token of the approving user.
+ *     tags: [Device Login (v1)]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: userCode
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Approved
+ *       400:
+ *         description: Too many API tokens
+ *       403:
+ *         description: Called with an API token, or the admin scope was requested by a non-admin
+ *       404:
+ *         description: Unknown, expired or already decided code
+ * /api/v1/auth/device/{userCode}/deny:
+ *   post:
+ *     summary: Deny a device login
+ *     tags: [Device Login (v1)]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: userCode
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Denied
+ *       403:
+ *         description: Called with an API token
+ *       404:
+ *         description: Unknown, expired or already decided code
+ */
+router.post('/:userCode/approve', auth, requireLogin, async (req, res) => {
+  try {
+    const authorization = await findPending(req, res);
+    if (!authorization) return;
+
+    if (authorization.scopes.includes('admin') && req.user.role !== 'admin') {
+      return res.status(403).json({ error: 'Only admins can approve the admin scope' });
+    }
+    const count = await ApiToken.countDocuments({ user: req.user.userId, revokedAt: null });
+    if (count >= ApiToken.MAX_TOKENS_PER_USER) {
+      return res.status(400).json({
+        error: `You can have at most ${ApiToken.MAX_TOKENS_PER_USER} API tokens. Revoke one in Settings first.`
+      });
+    }
+
+    authorization.status = 'approved';
+    authorization.user = req.user.userId;
+    await authorization.save();
+
+    res.json({ message: `${authorization.clientName} is signed in` });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+router.post('/:userCode/deny', auth, requireLogin, async (req, res) => {
+  try {
+    const authorization = await findPending(req, res);
+    if (!authorization) return;
+
+    authorization.status = 'denied';
+    authorization.user = req.user.userId;
+    await authorization.save();
+
+    res.json({ message: 'Sign-in denied' });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,117 @@
+const express = require('express');
+const AppConfig = require('../models/AppConfig');
+
+const router = express.Router();
+
+// Query parameters the embed page understands, passed on by the loader
+const EMBED_PARAMS = ['theme', 'lines', 'file'];
+
+// The loader for `<script src="/embed/:shareId.js">`. It runs on the host page
+// and puts an iframe of the embed page in place of the script tag, sized to
+// fit its content. The snippet is loaded inside the frame, through the share
+// endpoint and with the viewer's own sign-in, so the loader holds nothing but
+// the frame's URL.
+const loader = (frameUrl) => `(function () {
+  var src = ${JSON.stringify(frameUrl)};
+  var origin = ${JSON.stringify(new URL(frameUrl).origin)};
+  var script = document.currentScript;
+  if (!script) return;
+
+  var frame = document.createElement('iframe');
+  frame.src = src;
+  frame.title = 'SnipSafe snippet';
+  frame.loading = 'lazy';
+  frame.style.cssText = 'display:block;width:100%;height:160px;border:0;border-radius:6px;overflow:hidden;';
+  script.parentNode.insertBefore(frame, script.nextSibling);
+
+  window.addEventListener('message', function (event) {
+    if (event.origin !== origin || event.source !== frame.contentWindow) return;
+    if (event.data && event.data.type === 'snipsafe:embed-height') {
+      frame.style.height = event.data.height + 'px';
+    }
+  });
+})();
+`;
+
+/**
+ * @swagger
+ * tags:
+ *   - name: Embeds
+ *     description: Snippets embedded in other sites such as wikis
+ */
+
+/**
+ * @swagger
+ * /embed/{shareId}.js:
+ *   get:
+ *     summary: Script that embeds a snippet
+ *     description: >
+ *       Include with `<script src="https://snipsafe.example.com/embed/{shareId}.js"></script>`
+ *       to show the snippet in an iframe of `/embed/{shareId}` at that spot. The
+ *       iframe loads the snippet with the same access rules as
+ *       `/api/snippets/share/{shareId}`: public snippets for anyone, others for
+ *       members of the snippet's organization signed in to SnipSafe in the same browser.
+ *       Browsers only share that sign-in with frames on pages of the same site as
+ *       SnipSafe, so elsewhere only public snippets show. Share links with a view
+ *       limit or password cannot be embedded.
+ *     tags: [Embeds]
+ *     parameters:
+ *       - in: path
+ *         name: shareId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: theme
+ *         schema:
+ *           type: string
+ *           enum: [dark, light, github, dracula, nord, solarized]
+ *           default: dark
+ *       - in: query
+ *         name: file
+ *         schema:
+ *           type: string
+ *         description: Show only this file of the snippet
+ *       - in: query
+ *         name: lines
+ *         schema:
+ *           type: string
+ *           example: 10-24
+ *         description: Show only these lines of the file (the first file unless `file` is given)
+ *     responses:
+ *       200:
+ *         description: Loader script
+ *         content:
+ *           application/javascript:
+ *             schema:
+ *               type: string
+ */
+router.get('/:shareId.js', async (req, res) => {
+  try {
+    const { email: { appUrl } } = await AppConfig.getConfig();
+    const frameUrl = new URL(`/embed/${encodeURIComponent(req.params.shareId)}`, appUrl);
+    for (const param of EMBED_PARAMS) {
+      if (typeof req.query[param] === 'string') frameUrl.searchParams.set(param, req.query[param]);
+    }
+
+    res.set('Content-Type', 'application/javascript; charset=utf-8');
+    res.set('Cache-Control', 'public, max-age=300');
+    // Host pages on other sites load this script
+    res.set('Cross-Origin-Resource-Policy', 'cross-origin');
+    res.send(loader(frameUrl.toString()));
+  } catch (error) {
+    res.status(500).type('application/javascript').send(`console.error(${JSON.stringify(`SnipSafe embed: ${error.message}`)});\n`);
+  }
+});
+
+// The embed page itself is the web app's /embed/:shareId route, served by the
+// catch-all in production. Only its framing headers differ: the CSP in
+// index.js lets the sites in EMBED_ALLOWED_ORIGINS frame it, which
+// X-Frame-Options cannot express.
+router.get('/:shareId', (req, res, next) => {
+  res.removeHeader('X-Frame-Options');
+  res.set('Cross-Origin-Resource-Policy', 'cross-origin');
+  next();
+});
+
+module.exports = router;
@@ -0,0 +1,350 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const Notification = require('../models/Notification');
+const User = require('../models/User');
+const auth = require('../middleware/auth');
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * tags:
+ *   - name: Notifications
+ *     description: In-app notifications about shares, comments, forks and edits
+ */
+
+const PREVIEW_LENGTH = 140;
+
+// Shape a populated notification; targets that were deleted since come back as null
+const formatNotification = (notification) => {
+  const { snippet, snippetCollection, comment } = notification;
+  return {
+    _id: notification._id,
+    type: notification.type,
+    read: notification.read,
+    createdAt: notification.createdAt,
+    actor: notification.actor,
+    snippet: snippet && snippet.isActive ? { _id: snippet._id, title: snippet.title } : null,
+    collection: snippetCollection ? { _id: snippetCollection._id, name: snippetCollection.name } : null,
+    comment: comment && !comment.deleted
+      ? {
+        _id: comment._id,
+        preview: comment.body.length > PREVIEW_LENGTH ? `${comment.body.slice(0, PREVIEW_LENGTH)}…` : comment.body
+      }
+      : null
+  };
+};
+
+const unreadCount = (user) =>
+  Notification.countDocuments({ recipient: user.userId, read: false });
+
+const readPreferences = (user) => Object.fromEntries(
+  Notification.TYPES.map(type => [type, user.notificationPreferences?.[type] !== false])
+);
+
+const DIGEST_FREQUENCIES = ['off', 'daily', 'weekly'];
+
+const readEmailPreferences = (user) => ({
+  shares: user.emailPreferences?.shares !== false,
+  digest: user.emailPreferences?.digest || 'daily'
+});
+
+/**
+ * @swagger
+ * /api/notifications:
+ *   get:
+ *     summary: List notifications
+ *     description: The user's notifications, newest first, with the number of unread ones
+ *     tags: [Notifications]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: unread
+ *         schema:
+ *           type: boolean
+ *         description: Only list unread notifications
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *     responses:
+ *       200:
+ *         description: Notifications
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 notifications:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Notification'
+ *                 unreadCount:
+ *                   type: integer
+ *                 totalPages:
+ *                   type: integer
+ *                 currentPage:
+ *                   type: integer
+ *                 total:
+ *                   type: integer
+ */
+router.get('/', auth, async (req, res) => {
+  try {
+    const { page = 1, limit = 20, unread } = req.query;
+    const query = { recipient: req.user.userId };
+    if (unread === 'true') query.read = false;
+
+    const notifications = await Notification.find(query)
+      .populate('actor', 'username')
+      .populate('snippet', 'title isActive')
+      .populate('snippetCollection', 'name')
+      .populate('comment', 'body deleted')
+      .sort({ createdAt: -1 })
+      .limit(limit * 1)
+      .skip((page - 1) * limit);
+    const total = await Notification.countDocuments(query);
+
+    res.json({
+      notifications: notifications.map(formatNotification),
+      unreadCount: await unreadCount(req.user),
+      totalPages: Math.ceil(total / limit),
+      currentPage: page,
+      total
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/notifications/read-all:
+ *   post:
+ *     summary: Mark all notifications as read
+ *     tags: [Notifications]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: All notifications read
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 unreadCount:
+ *                   type: integer
+ *                   example: 0
+ */
+router.post('/read-all', auth, async (req, res) => {
+  try {
+    await Notification.updateMany({ recipient: req.user.userId, read: false }, { $set: { read: true } });
+    res.json({ unreadCount: 0 });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/notifications/preferences:
+ *   get:
+ *     summary: Get notification preferences
+ *     description: Which notification types the user gets
+ *     tags: [Notifications]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Preferences
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/NotificationPreferences'
+ *   put:
+ *     summary: Update notification preferences
+ *     description: Types left out keep their current setting
+ *     tags: [Notifications]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/NotificationPreferences'
+ *     responses:
+ *       200:
+ *         description: Updated preferences
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/NotificationPreferences'
+ *       400:
+ *         description: Unknown type or a value that is not a boolean
+ */
+router.get('/preferences', auth, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.userId).select('notificationPreferences');
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+    res.json(readPreferences(user));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+router.put('/preferences', auth, async (req, res) => {
+  try {
+    const update = {};
+    for (const [type, enabled] of Object.entries(req.body || {})) {
+      if (!Notification.TYPES.includes(type)) {
+        return res.status(400).json({ error: `Unknown notification type: ${type}` });
+      }
+      if (typeof enabled !== 'boolean') {
+        return res.status(400).json({ error: `${type} must be true or false` });
+      }
+      update[`notificationPreferences.${type}`] = enabled;
+    }
+
+    const user = await User.findByIdAndUpdate(req.user.userId, { $set: update }, { new: true })
+      .select('notificationPreferences');
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+    res.json(readPreferences(user));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/notifications/email-preferences:
+ *   get:
+ *     summary: Get email preferences
+ *     description: Whether the user gets share emails, and how often the digest of unread notifications is sent
+ *     tags: [Notifications]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Email preferences
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/EmailPreferences'
+ *   put:
+ *     summary: Update email preferences
+ *     description: Fields left out keep their current setting
+ *     tags: [Notifications]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/EmailPreferences'
+ *     responses:
+ *       200:
+ *         description: Updated email preferences
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/EmailPreferences'
+ *       400:
+ *         description: Invalid value
+ */
+router.get('/email-preferences', auth, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.userId).select('emailPreferences');
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+    res.json(readEmailPreferences(user));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+router.put('/email-preferences', auth, async (req, res) => {
+  try {
+    const { shares, digest } = req.body || {};
+    const update = {};
+    if (shares !== undefined) {
+      if (typeof shares !== 'boolean') {
+        return res.status(400).json({ error: 'shares must be true or false' });
+      }
+      update['emailPreferences.shares'] = shares;
+    }
+    if (digest !== undefined) {
+      if (!DIGEST_FREQUENCIES.includes(digest)) {
+        return res.status(400).json({ error: `digest must be one of: ${DIGEST_FREQUENCIES.join(', ')}` });
+      }
+      update['emailPreferences.digest'] = digest;
+    }
+
+    const user = await User.findByIdAndUpdate(req.user.userId, { $set: update }, { new: true })
+      .select('emailPreferences');
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+    res.json(readEmailPreferences(user));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/notifications/{id}/read:
+ *   post:
+ *     summary: Mark a notification as read
+ *     tags: [Notifications]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Notification read
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 unreadCount:
+ *                   type: integer
+ *       404:
+ *         description: Notification not found
+ */
+router.post('/:id/read', auth, async (req, res) => {
+  try {
+    const notification = mongoose.isValidObjectId(req.params.id) && await Notification.findOneAndUpdate(
+      { _id: req.params.id, recipient: req.user.userId },
+      { $set: { read: true } }
+    );
+    if (!notification) {
+      return res.status(404).json({ error: 'Notification not found' });
+    }
+
+    res.json({ unreadCount: await unreadCount(req.user) });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+module.exports = router;
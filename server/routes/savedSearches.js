@@ -0,0 +1,414 @@
+const express = require('express');
+const SavedSearch = require('../models/SavedSearch');
+const search = require('../search');
+const auth = require('../middleware/auth');
+
+const router = express.Router();
+
+const QUERY_FIELDS = ['q', 'mode', 'scope', 'language', 'tags', 'author'];
+
+/**
+ * @swagger
+ * tags:
+ *   - name: Saved Searches
+ *     description: Named searches with counts of new matches
+ */
+
+// The search parameters of a request body, checked the way the search
+// endpoint would check them
+const readQuery = (input) => {
+  if (!input || typeof input !== 'object') {
+    return { error: 'query must be an object' };
+  }
+
+  const query = {};
+  for (const field of QUERY_FIELDS) {
+    if (input[field] === undefined || input[field] === null || input[field] === '') continue;
+    if (typeof input[field] !== 'string') {
+      return { error: `query.${field} must be a string` };
+    }
+    query[field] = input[field];
+  }
+
+  try {
+    search.parseSearch(query);
+  } catch (error) {
+    if (error instanceof search.QueryParseError) return { error: error.message };
+    throw error;
+  }
+  return { query };
+};
+
+// Listing saved searches recounts their new matches, which for regex searches
+// means running patterns on the main thread. So counts are kept for a while,
+// and a listing recounts the stalest ones one at a time until its time budget
+// is spent; the rest show their previous count until a later listing.
+const COUNT_TTL = 5 * 60 * 1000;
+const COUNT_BUDGET = 1000;
+// Milliseconds a regex search may take when only counting
+const COUNT_REGEX_TIMEOUT = 250;
+
+const isCountFresh = (savedSearch, now) =>
+  savedSearch.countedAt && now - savedSearch.countedAt < COUNT_TTL;
+
+// Count the snippets created or edited by someone else since the search was
+// last opened, and store the count. A search that cannot run, such as a
+// regex too slow for the counting time limit, stores an error instead.
+const refreshCount = async (savedSearch, user) => {
+  try {
+    const { total } = await search.runSearch(savedSearch.query, user, {
+      since: savedSearch.lastSeenAt,
+      limit: 1,
+      timeout: COUNT_REGEX_TIMEOUT
+    });
+    savedSearch.newCount = total;
+    savedSearch.countError = null;
+  } catch (error) {
+    if (!(error instanceof search.QueryParseError)) throw error;
+    savedSearch.newCount = null;
+    savedSearch.countError = error.message;
+  }
+  savedSearch.countedAt = new Date();
+  await savedSearch.save({ timestamps: false });
+};
+
+// Recount stale searches, oldest count first, within COUNT_BUDGET
+const refreshStaleCounts = async (savedSearches, user) => {
+  const now = Date.now();
+  const deadline = now + COUNT_BUDGET;
+  const stale = savedSearches
+    .filter(savedSearch => !isCountFresh(savedSearch, now))
+    .sort((a, b) => (a.countedAt || 0) - (b.countedAt || 0));
+
+  for (const savedSearch of stale) {
+    if (Date.now() >= deadline) break;
+    await refreshCount(savedSearch, user);
+  }
+};
+
+const isNewSince = (snippet, since, userId) => {
+  const authorId = snippet.author && (snippet.author._id || snippet.author);
+  return (snippet.createdAt > since && String(authorId) !== userId) ||
+    (snippet.lastEditedAt > since && String(snippet.lastEditedBy) !== userId);
+};
+
+const duplicateName = (error) => error.code === 11000;
+
+/**
+ * @swagger
+ * /api/saved-searches:
+ *   get:
+ *     summary: List saved searches
+ *     description: >
+ *       The user's saved searches, each with the number of matching snippets
+ *       others created or edited since it was last opened. Counts are kept for
+ *       five minutes; each listing recounts the stalest within about a second,
+ *       so some counts may be older.
+ *     tags: [Saved Searches]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Saved searches, pinned first
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 savedSearches:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/SavedSearch'
+ *   post:
+ *     summary: Save a search
+ *     tags: [Saved Searches]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [name, query]
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 example: Python ETL
+ *               query:
+ *                 $ref: '#/components/schemas/SearchQuery'
+ *               pinned:
+ *                 type: boolean
+ *                 default: true
+ *     responses:
+ *       201:
+ *         description: Saved search created
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/SavedSearch'
+ *       400:
+ *         description: Missing name or malformed query
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       409:
+ *         description: A saved search with this name already exists
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.get('/', auth, async (req, res) => {
+  try {
+    const savedSearches = await SavedSearch.find({ user: req.user.userId })
+      .sort({ pinned: -1, name: 1 });
+
+    await refreshStaleCounts(savedSearches, req.user);
+
+    res.json({ savedSearches });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+router.post('/', auth, async (req, res) => {
+  try {
+    const { name, pinned } = req.body;
+    if (!name || typeof name !== 'string' || !name.trim()) {
+      return res.status(400).json({ error: 'name is required' });
+    }
+
+    const { query, error } = readQuery(req.body.query);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const count = await SavedSearch.countDocuments({ user: req.user.userId });
+    if (count >= SavedSearch.MAX_SAVED_SEARCHES) {
+      return res.status(400).json({ error: `You can save at most ${SavedSearch.MAX_SAVED_SEARCHES} searches` });
+    }
+
+    const savedSearch = new SavedSearch({
+      user: req.user.userId,
+      organization: req.user.organization,
+      name,
+      query,
+      pinned: pinned !== undefined ? Boolean(pinned) : undefined
+    });
+    savedSearch.markSeen();
+    await savedSearch.save();
+
+    res.status(201).json(savedSearch);
+  } catch (error) {
+    if (duplicateName(error)) {
+      return res.status(409).json({ error: 'A saved search with this name already exists' });
+    }
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/saved-searches/{id}:
+ *   put:
+ *     summary: Update a saved search
+ *     description: Rename it, change its query or pin and unpin it from the dashboard
+ *     tags: [Saved Searches]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
+ *               query:
+ *                 $ref: '#/components/schemas/SearchQuery'
+ *               pinned:
+ *                 type: boolean
+ *     responses:
+ *       200:
+ *         description: Saved search updated
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/SavedSearch'
+ *       400:
+ *         description: Malformed query
+ *       404:
+ *         description: Saved search not found
+ *       409:
+ *         description: A saved search with this name already exists
+ *   delete:
+ *     summary: Delete a saved search
+ *     tags: [Saved Searches]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Saved search deleted
+ *       404:
+ *         description: Saved search not found
+ */
+router.put('/:id', auth, async (req, res) => {
+  try {
+    const savedSearch = await SavedSearch.findOne({ _id: req.params.id, user: req.user.userId });
+    if (!savedSearch) {
+      return res.status(404).json({ error: 'Saved search not found' });
+    }
+
+    const { name, pinned } = req.body;
+    if (name !== undefined) {
+      if (typeof name !== 'string' || !name.trim()) {
+        return res.status(400).json({ error: 'name cannot be empty' });
+      }
+      savedSearch.name = name;
+    }
+    if (pinned !== undefined) {
+      savedSearch.pinned = Boolean(pinned);
+    }
+    if (req.body.query !== undefined) {
+      const { query, error } = readQuery(req.body.query);
+      if (error) {
+        return res.status(400).json({ error });
+      }
+      savedSearch.query = query;
+      // What counted as new was relative to the old query
+      savedSearch.markSeen();
+    }
+
+    await savedSearch.save();
+    res.json(savedSearch);
+  } catch (error) {
+    if (duplicateName(error)) {
+      return res.status(409).json({ error: 'A saved search with this name already exists' });
+    }
+    res.status(500).json({ error: error.message });
+  }
+});
+
+router.delete('/:id', auth, async (req, res) => {
+  try {
+    const savedSearch = await SavedSearch.findOneAndDelete({ _id: req.params.id, user: req.user.userId });
+    if (!savedSearch) {
+      return res.status(404).json({ error: 'Saved search not found' });
+    }
+    res.json({ message: 'Saved search deleted' });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/saved-searches/{id}/results:
+ *   get:
+ *     summary: Run a saved search
+ *     description: >
+ *       Returns the current results, marking those created or edited by others
+ *       since the last visit with `isNew`, and resets the new count.
+ *     tags: [Saved Searches]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *     responses:
+ *       200:
+ *         description: Search results
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 snippets:
+ *                   type: array
+ *                   items:
+ *                     allOf:
+ *                       - $ref: '#/components/schemas/Snippet'
+ *                       - $ref: '#/components/schemas/SearchHit'
+ *                       - type: object
+ *                         properties:
+ *                           isNew:
+ *                             type: boolean
+ *                 newSince:
+ *                   type: string
+ *                   format: date-time
+ *                   description: The previous visit
+ *                 totalPages:
+ *                   type: integer
+ *                 currentPage:
+ *                   type: integer
+ *                 total:
+ *                   type: integer
+ *       400:
+ *         description: The saved query no longer runs (e.g. its regular expression is too slow)
+ *       404:
+ *         description: Saved search not found
+ */
+router.get('/:id/results', auth, async (req, res) => {
+  try {
+    const { page = 1, limit = 20 } = req.query;
+    const savedSearch = await SavedSearch.findOne({ _id: req.params.id, user: req.user.userId });
+    if (!savedSearch) {
+      return res.status(404).json({ error: 'Saved search not found' });
+    }
+
+    const { results, total } = await search.runSearch(savedSearch.query, req.user, {
+      page: Number(page),
+      limit: Number(limit)
+    });
+
+    const newSince = savedSearch.lastSeenAt;
+    savedSearch.markSeen();
+    await savedSearch.save();
+
+    res.json({
+      snippets: results.map(result => {
+        const snippet = typeof result.toObject === 'function' ? result.toObject() : result;
+        return { ...snippet, isNew: isNewSince(snippet, newSince, req.user.userId) };
+      }),
+      newSince,
+      totalPages: Math.ceil(total / limit),
+      currentPage: page,
+      total
+    });
+  } catch (error) {
+    if (error instanceof search.QueryParseError) {
+      return res.status(400).json({ error: error.message });
+    }
+    res.status(500).json({ error: error.message });
+  }
+});
+
+module.exports = router;
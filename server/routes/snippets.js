@@ -1,10 +1,74 @@
 const express = require('express');
+const mongoose = require('mongoose');
+const { v4: uuidv4 } = require('uuid');
 const Snippet = require('../models/Snippet');
+const SnippetRevision = require('../models/SnippetRevision');
+const Star = require('../models/Star');
+const Collection = require('../models/Collection');
+const Comment = require('../models/Comment');
+const Notification = require('../models/Notification');
+const ShareLink = require('../models/ShareLink');
+const { diffFiles, fieldChanges } = require('../utils/diff');
+const { languageFromFilename } = require('../utils/languages');
+const { addShareEntries, formatShareEntry } = require('../utils/sharing');
+const { snippetEntries, sendRaw, sendZip, contentDisposition } = require('../utils/download');
+const email = require('../email');
+const transfer = require('../transfer');
+const webhooks = require('../webhooks');
+const presence = require('../realtime/presence');
+const collab = require('../realtime/collab');
+const search = require('../search');
 const auth = require('../middleware/auth');
 const optionalAuth = require('../middleware/optionalAuth');
 
 const router = express.Router();
 
+// Fields each role may change through PUT /:id
+const OWNER_EDITABLE_FIELDS = ['title', 'content', 'language', 'description', 'visibility', 'tags', 'files'];
+const EDITOR_EDITABLE_FIELDS = ['title', 'content', 'description', 'tags', 'files'];
+
+const VISIBILITIES = ['private', 'organization', 'public'];
+
+// Turn the `files` of a request into the snippet's new file list. Files are
+// matched to existing ones by `_id`; existing files keep their content and
+// language unless given, new files need content. Returns { files } or { error }.
+const buildFiles = (input, existing = [], { canChangeLanguage = true } = {}) => {
+  if (!Array.isArray(input) || input.length === 0) {
+    return { error: 'A snippet needs at least one file' };
+  }
+  if (input.length > Snippet.MAX_FILES) {
+    return { error: `A snippet can have at most ${Snippet.MAX_FILES} files` };
+  }
+
+  const files = [];
+  for (const file of input) {
+    if (!file || typeof file.filename !== 'string' || !file.filename.trim()) {
+      return { error: 'Every file needs a filename' };
+    }
+
+    const current = file._id && existing.find(candidate => candidate._id.toString() === String(file._id));
+    if (current) {
+      files.push({
+        _id: current._id,
+        filename: file.filename,
+        language: canChangeLanguage && file.language !== undefined ? file.language : current.language,
+        content: file.content !== undefined ? file.content : current.content
+      });
+    } else {
+      if (typeof file.content !== 'string') {
+        return { error: `File "${file.filename}" needs content` };
+      }
+      files.push({
+        filename: file.filename,
+        language: file.language || languageFromFilename(file.filename) || 'plaintext',
+        content: file.content
+      });
+    }
+  }
+
+  return { files };
+};
+
 /**
  * @swagger
  * tags:
@@ -17,7 +81,9 @@ const router = express.Router();
  * /api/snippets:
  *   post:
  *     summary: Create a new snippet
- *     description: Create a new code snippet
+ *     description: >
+ *       Create a new code snippet. Send either `files` or, for a single-file
+ *       snippet, `content` and `language`.
  *     tags: [Snippets]
  *     security:
  *       - bearerAuth: []
@@ -29,8 +95,6 @@ const router = express.Router();
  *             type: object
  *             required:
  *               - title
- *               - content
- *               - language
  *             properties:
  *               title:
  *                 type: string
@@ -41,6 +105,11 @@ const router = express.Router();
  *               language:
  *                 type: string
  *                 example: jsx
+ *               files:
+ *                 type: array
+ *                 description: Ordered files of the snippet; the language is guessed from the filename when omitted
+ *                 items:
+ *                   $ref: '#/components/schemas/SnippetFile'
  *               description:
  *                 type: string
  *                 example: A simple React component
@@ -76,11 +145,21 @@ const router = express.Router();
 router.post('/', auth, async (req, res) => {
   try {
     const { title, content, language, description, visibility, tags } = req.body;
+
+    let files;
+    if (req.body.files !== undefined) {
+      const result = buildFiles(req.body.files);
+      if (result.error) {
+        return res.status(400).json({ error: result.error });
+      }
+      files = result.files;
+    }
     
     const snippet = new Snippet({
       title,
       content,
       language,
+      files,
       description,
       visibility,
       tags,
@@ -89,6 +168,8 @@ router.post('/', auth, async (req, res) => {
     });
 
     await snippet.save();
+    await SnippetRevision.record(snippet, req.user.userId);
+    await webhooks.emit('snippet.created', snippet, req.user.userId);
     await snippet.populate('author', 'username');
     
     res.status(201).json(snippet);
@@ -164,6 +245,209 @@ router.get('/my', auth, async (req, res) => {
   }
 });
 
+/**
+ * @swagger
+ * /api/snippets/my/download:
+ *   get:
+ *     summary: Download your snippets as a ZIP archive
+ *     description: One folder per snippet, named after its title, holding its files
+ *     tags: [Snippets]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: ZIP archive
+ *         content:
+ *           application/zip:
+ *             schema:
+ *               type: string
+ *               format: binary
+ */
+router.get('/my/download', auth, async (req, res) => {
+  try {
+    const snippets = await Snippet.find({
+      author: req.user.userId,
+      isActive: true
+    }).sort({ createdAt: -1 });
+
+    sendZip(res, 'my-snippets.zip', snippetEntries(snippets));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/snippets/export:
+ *   get:
+ *     summary: Export snippets
+ *     description: >
+ *       Export your snippets, or every snippet of your organization you can see,
+ *       in the portable SnipSafe format. `json` is a single document; `tar` is a
+ *       gzipped tarball holding `snipsafe-export/snippets.json`, whose files name
+ *       a `path` in the archive instead of carrying their content. Both can be
+ *       imported again with `POST /api/snippets/import?format=snipsafe`.
+ *     tags: [Snippets]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: scope
+ *         schema:
+ *           type: string
+ *           enum: [mine, org]
+ *           default: mine
+ *         description: "`org` adds the organization and public snippets of your organization"
+ *       - in: query
+ *         name: format
+ *         schema:
+ *           type: string
+ *           enum: [json, tar]
+ *           default: json
+ *     responses:
+ *       200:
+ *         description: Export document or archive
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/SnippetExport'
+ *           application/gzip:
+ *             schema:
+ *               type: string
+ *               format: binary
+ *       400:
+ *         description: Unknown scope or format
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.get('/export', auth, async (req, res) => {
+  try {
+    const { scope = 'mine', format = 'json' } = req.query;
+    if (!['mine', 'org'].includes(scope)) {
+      return res.status(400).json({ error: 'Scope must be mine or org' });
+    }
+    if (!['json', 'tar'].includes(format)) {
+      return res.status(400).json({ error: 'Format must be json or tar' });
+    }
+
+    const query = scope === 'org'
+      ? {
+        organization: req.user.organization,
+        isActive: true,
+        $or: [
+          { author: req.user.userId },
+          { visibility: { $in: ['organization', 'public'] } }
+        ]
+      }
+      : { author: req.user.userId, isActive: true };
+
+    const snippets = await Snippet.find(query)
+      .populate('author', 'username')
+      .sort({ createdAt: 1 });
+
+    const document = transfer.exportDocument(snippets);
+    const basename = `snipsafe-${scope === 'org' ? 'organization' : 'my-snippets'}-${document.exportedAt.slice(0, 10)}`;
+
+    if (format === 'tar') {
+      res.set('Content-Type', 'application/gzip');
+      res.set('Content-Disposition', contentDisposition(`${basename}.tar.gz`));
+      return res.send(transfer.exportArchive(document));
+    }
+
+    res.set('Content-Disposition', contentDisposition(`${basename}.json`));
+    res.json(document);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/snippets/import:
+ *   post:
+ *     summary: Import snippets
+ *     description: >
+ *       Create snippets from an upload, sent as the raw request body.
+ *
+ *       - `snipsafe`: a JSON export or `.tar.gz` export archive
+ *       - `gist`: a gist or array of gists as returned by `GET /gists/:id` of the
+ *         GitHub API (with file contents), or a `.zip`/`.tar.gz` holding one
+ *         folder per gist
+ *       - `markdown`: a Markdown file, or an archive of them. Every heading
+ *         section with fenced code blocks becomes a snippet titled after the
+ *         heading, with one file per block in the language of its fence.
+ *
+ *       Each item is imported on its own, so one bad item does not stop the
+ *       rest; the response reports the outcome of each.
+ *     tags: [Snippets]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: format
+ *         required: true
+ *         schema:
+ *           type: string
+ *           enum: [snipsafe, gist, markdown]
+ *       - in: query
+ *         name: visibility
+ *         schema:
+ *           type: string
+ *           enum: [private, organization, public]
+ *         description: Visibility of every imported snippet. SnipSafe exports otherwise keep theirs; everything else is private.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *         application/octet-stream:
+ *           schema:
+ *             type: string
+ *             format: binary
+ *         text/markdown:
+ *           schema:
+ *             type: string
+ *     responses:
+ *       200:
+ *         description: Outcome of each imported item
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ImportResult'
+ *       400:
+ *         description: Unknown format, an upload that cannot be read, or an archive that unpacks to more than 100 MB
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.post('/import', auth, express.raw({ type: () => true, limit: '50mb' }), async (req, res) => {
+  try {
+    const { format, visibility } = req.query;
+    if (visibility !== undefined && !transfer.VISIBILITIES.includes(visibility)) {
+      return res.status(400).json({ error: `Visibility must be one of ${transfer.VISIBILITIES.join(', ')}` });
+    }
+    // JSON bodies arrive parsed already; anything else is a Buffer
+    if (Buffer.isBuffer(req.body) ? req.body.length === 0 : !req.body || typeof req.body !== 'object') {
+      return res.status(400).json({ error: 'Nothing was uploaded' });
+    }
+
+    let items;
+    try {
+      items = transfer.parseImport(req.body, format);
+    } catch (error) {
+      return res.status(400).json({ error: error.message });
+    }
+
+    res.json(await transfer.importItems(items, req.user, { visibility }));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
 /**
  * @swagger
  * /api/snippets/{id}:
@@ -259,6 +543,11 @@ router.get('/my', auth, async (req, res) => {
  *                     type: object
  *                 totalSharedUsers:
  *                   type: integer
+ *                 emailed:
+ *                   type: array
+ *                   description: Addresses an invitation email was queued for (empty while email is disabled)
+ *                   items:
+ *                     type: string
  */
 
 /**
@@ -266,7 +555,10 @@ router.get('/my', auth, async (req, res) => {
  * /api/snippets/{id}/viewers:
  *   get:
  *     summary: Get current viewers
- *     description: Get list of users currently viewing the snippet
+ *     description: >
+ *       Get the list of users currently viewing the snippet. Presence is tracked in memory
+ *       from open `/api/realtime` WebSocket connections; clients that are connected receive
+ *       `presence` messages instead of polling this endpoint.
  *     tags: [Snippets]
  *     security:
  *       - bearerAuth: []
@@ -292,7 +584,7 @@ router.get('/my', auth, async (req, res) => {
  *                     properties:
  *                       user:
  *                         $ref: '#/components/schemas/User'
- *                       lastSeen:
+ *                       joinedAt:
  *                         type: string
  *                         format: date-time
  *                       isOnline:
@@ -304,7 +596,29 @@ router.get('/my', auth, async (req, res) => {
  * /api/snippets/search:
  *   get:
  *     summary: Search snippets
- *     description: Search for snippets with various filters
+ *     description: >
+ *       Full-text search ranked by relevance. Hits in the title weigh most, then
+ *       tags and file names, then the description, then code. Words match whole
+ *       words and identifier parts (`submit` finds `handleSubmit`); `term*`
+ *       matches a prefix and `"quoted words"` an exact phrase. All words must
+ *       match, and a leading `-` excludes a word, phrase or operator.
+ *
+ *       Operators narrow the results: `lang:` (any file), `tag:`, `author:`
+ *       (a username, or `me`), `visibility:` (`private`, `org` or `public`),
+ *       `created:` and `updated:` (`YYYY-MM-DD` with `>`, `>=`, `<`, `<=` or
+ *       a `from..to` range) and `views:` (a number, with the same comparisons).
+ *       Values containing spaces can be quoted, as in `author:"Jane Doe"`.
+ *       Without search words, matching snippets are listed newest first.
+ *
+ *       With `mode=regex`, `q` is a regular expression (optionally written as
+ *       `/pattern/flags` with flags `i`, `m`, `s`, `u`) matched against the code
+ *       of every file. It runs under a time limit; patterns that take too long
+ *       are rejected with 400. With `mode=symbol`, `q` is one or more
+ *       identifiers (`getUser`, or `get*` for a prefix) matched exactly as the
+ *       lexer of each file's language reads them; `scope=code` ignores comments
+ *       and strings. Both modes score by number of hits, scan the 500 most
+ *       recently updated snippets that pass the filters, and ignore operators
+ *       in `q`.
  *     tags: [Snippets]
  *     security:
  *       - bearerAuth: []
@@ -313,12 +627,27 @@ router.get('/my', auth, async (req, res) => {
  *         name: q
  *         schema:
  *           type: string
- *         description: Search query (searches title, description, content)
+ *         description: Search query (searches title, tags, description, file names and contents)
+ *         example: 'lang:python tag:etl created:>2025-01-01 "exact phrase" -deprecated'
+ *       - in: query
+ *         name: mode
+ *         schema:
+ *           type: string
+ *           enum: [text, regex, symbol]
+ *           default: text
+ *         description: How `q` is interpreted
+ *       - in: query
+ *         name: scope
+ *         schema:
+ *           type: string
+ *           enum: [all, code]
+ *           default: all
+ *         description: In symbol mode, `code` skips identifiers in comments and strings
  *       - in: query
  *         name: language
  *         schema:
  *           type: string
- *         description: Filter by programming language
+ *         description: Filter by programming language of any file
  *       - in: query
  *         name: tags
  *         schema:
@@ -350,69 +679,30 @@ router.get('/my', auth, async (req, res) => {
  *                 snippets:
  *                   type: array
  *                   items:
- *                     $ref: '#/components/schemas/Snippet'
+ *                     allOf:
+ *                       - $ref: '#/components/schemas/Snippet'
+ *                       - $ref: '#/components/schemas/SearchHit'
  *                 totalPages:
  *                   type: integer
  *                 currentPage:
  *                   type: integer
  *                 total:
  *                   type: integer
+ *       400:
+ *         description: Malformed search query, invalid or too slow regular expression
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error:
+ *                   type: string
+ *                   example: 'Invalid date "2025-13-01", expected YYYY-MM-DD'
+ *                 position:
+ *                   type: integer
+ *                   description: Offset of the offending token in `q`
  */
 
-// Create snippet
-router.post('/', auth, async (req, res) => {
-  try {
-    const { title, content, language, description, visibility, tags } = req.body;
-    
-    const snippet = new Snippet({
-      title,
-      content,
-      language,
-      description,
-      visibility,
-      tags,
-      author: req.user.userId,
-      organization: req.user.organization
-    });
-
-    await snippet.save();
-    await snippet.populate('author', 'username');
-    
-    res.status(201).json(snippet);
-  } catch (error) {
-    res.status(500).json({ error: error.message });
-  }
-});
-
-// Get user's snippets (must come before /:id route)
-router.get('/my', auth, async (req, res) => {
-  try {
-    const { page = 1, limit = 10 } = req.query;
-    
-    const snippets = await Snippet.find({ 
-      author: req.user.userId,
-      isActive: true 
-    })
-    .populate('author', 'username')
-    .sort({ createdAt: -1 })
-    .limit(limit * 1)
-    .skip((page - 1) * limit);
-
-    const total = await Snippet.countDocuments({ 
-      author: req.user.userId,
-      isActive: true 
-    });
-
-    res.json({
-      snippets,
-      totalPages: Math.ceil(total / limit),
-      currentPage: page
-    });
-  } catch (error) {
-    res.status(500).json({ error: error.message });
-  }
-});
-
 // Get organization snippets (must come before /:id route)
 router.get('/org', auth, async (req, res) => {
   try {
@@ -437,91 +727,31 @@ router.get('/org', auth, async (req, res) => {
 // Search snippets (must come before /:id route)
 router.get('/search', auth, async (req, res) => {
   try {
-    const { q, language, tags, author, page = 1, limit = 20 } = req.query;
-    
-    let query = {
-      organization: req.user.organization,
-      isActive: true
-    };
-
-    // Build search conditions
-    const searchConditions = [];
-
-    // Text search across title, description, and content
-    if (q && q.trim()) {
-      const searchRegex = new RegExp(q.trim(), 'i');
-      searchConditions.push({
-        $or: [
-          { title: searchRegex },
-          { description: searchRegex },
-          { content: searchRegex }
-        ]
-      });
-    }
-
-    // Filter by language
-    if (language && language !== 'all') {
-      searchConditions.push({ language: language });
-    }
-
-    // Filter by tags
-    if (tags && tags.trim()) {
-      const tagList = tags.split(',').map(tag => tag.trim()).filter(tag => tag);
-      if (tagList.length > 0) {
-        searchConditions.push({ tags: { $in: tagList } });
-      }
-    }
-
-    // Filter by author
-    if (author && author.trim()) {
-      const User = require('../models/User');
-      const authorUser = await User.findOne({ 
-        username: new RegExp(author.trim(), 'i'),
-        organization: req.user.organization 
-      });
-      if (authorUser) {
-        searchConditions.push({ author: authorUser._id });
-      } else {
-        // No user found, return empty results
-        return res.json({ snippets: [], total: 0 });
-      }
-    }
-
-    // Apply search conditions
-    if (searchConditions.length > 0) {
-      query.$and = searchConditions;
-    }
-
-    // Visibility permissions
-    query.$or = [
-      { visibility: 'public' },
-      { visibility: 'organization' },
-      { visibility: 'private', author: req.user.userId }
-    ];
-
-    const snippets = await Snippet.find(query)
-      .populate('author', 'username')
-      .sort({ createdAt: -1 })
-      .limit(limit * 1)
-      .skip((page - 1) * limit);
-
-    const total = await Snippet.countDocuments(query);
+    const { page = 1, limit = 20 } = req.query;
+    const { results, total } = await search.runSearch(req.query, req.user, {
+      page: Number(page),
+      limit: Number(limit)
+    });
 
     res.json({
-      snippets,
+      snippets: results,
       totalPages: Math.ceil(total / limit),
       currentPage: page,
       total
     });
   } catch (error) {
+    if (error instanceof search.QueryParseError) {
+      return res.status(400).json({ error: error.message, position: error.position });
+    }
     console.error('Search error:', error);
     res.status(500).json({ error: error.message });
   }
 });
 
-// Get popular languages and tags (must come before /:id route)
+// Get popular languages, tags and authors (must come before /:id route)
 router.get('/stats', auth, async (req, res) => {
   try {
+    const User = require('../models/User');
     const matchQuery = { 
       organization: req.user.organization, 
       isActive: true,
@@ -532,7 +762,7 @@ router.get('/stats', auth, async (req, res) => {
       ]
     };
 
-    const [languages, tags] = await Promise.all([
+    const [languages, tags, authors] = await Promise.all([
       Snippet.aggregate([
         { $match: matchQuery },
         { $group: { _id: '$language', count: { $sum: 1 } } },
@@ -545,54 +775,384 @@ router.get('/stats', auth, async (req, res) => {
         { $group: { _id: '$tags', count: { $sum: 1 } } },
         { $sort: { count: -1 } },
         { $limit: 25 }
+      ]),
+      Snippet.aggregate([
+        { $match: matchQuery },
+        { $group: { _id: '$author', count: { $sum: 1 } } },
+        { $sort: { count: -1 } },
+        { $limit: 15 },
+        { $lookup: { from: User.collection.name, localField: '_id', foreignField: '_id', as: 'user' } },
+        { $unwind: '$user' },
+        { $project: { _id: '$user.username', count: 1 } }
       ])
     ]);
 
-    res.json({ languages, tags });
+    res.json({ languages, tags, authors });
   } catch (error) {
     console.error('Stats error:', error);
     res.status(500).json({ error: error.message });
   }
 });
 
-// Get snippet by share ID (must come before /:id route)
-router.get('/share/:shareId', optionalAuth, async (req, res) => {
-  try {
-    const snippet = await Snippet.findOne({ 
-      shareId: req.params.shareId,
-      isActive: true 
-    }).populate('author', 'username');
-
-    if (!snippet) {
-      return res.status(404).json({ error: 'Snippet not found' });
-    }
-
-    // Updated access permissions for share links
-    if (snippet.visibility === 'private') {
-      // Private snippets are accessible to anyone in the same organization via share link
-      if (!req.user || snippet.organization !== req.user.organization) {
-        return res.status(403).json({ error: 'Access denied. This snippet is only accessible to members of the same organization.' });
-      }
-    } else if (snippet.visibility === 'organization') {
-      if (!req.user || snippet.organization !== req.user.organization) {
-        return res.status(403).json({ error: 'Access denied. This snippet is only accessible to members of the same organization.' });
-      }
-    }
-    // Public snippets are accessible to anyone
-
-    // Increment view count
-    snippet.views += 1;
-    await snippet.save();
-
-    res.json(snippet);
-  } catch (error) {
-    res.status(500).json({ error: error.message });
-  }
-});
-
-// Share snippet with specific users
-router.post('/:id/share', auth, async (req, res) => {
-  try {
+/**
+ * @swagger
+ * /api/snippets/starred:
+ *   get:
+ *     summary: Get starred snippets
+ *     description: Snippets the authenticated user starred and can still see, most recently starred first
+ *     tags: [Snippets]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *     responses:
+ *       200:
+ *         description: Starred snippets
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 snippets:
+ *                   type: array
+ *                   items:
+ *                     allOf:
+ *                       - $ref: '#/components/schemas/Snippet'
+ *                       - type: object
+ *                         properties:
+ *                           starredAt:
+ *                             type: string
+ *                             format: date-time
+ *                 totalPages:
+ *                   type: integer
+ *                 currentPage:
+ *                   type: integer
+ *                 total:
+ *                   type: integer
+ */
+router.get('/starred', auth, async (req, res) => {
+  try {
+    const { page = 1, limit = 20 } = req.query;
+
+    const stars = await Star.find({ user: req.user.userId }).sort({ createdAt: -1 });
+    const snippets = await Snippet.find({
+      _id: { $in: stars.map(star => star.snippet) },
+      isActive: true
+    }).populate('author', 'username');
+
+    // Stars outlive access: skip snippets that were deleted or made private
+    const visible = new Map(
+      snippets.filter(snippet => snippet.canView(req.user)).map(snippet => [snippet._id.toString(), snippet])
+    );
+    const starred = stars
+      .filter(star => visible.has(star.snippet.toString()))
+      .map(star => ({ ...visible.get(star.snippet.toString()).toObject(), starredAt: star.createdAt }));
+
+    const start = (page - 1) * limit;
+    res.json({
+      snippets: starred.slice(start, start + Number(limit)),
+      totalPages: Math.ceil(starred.length / limit),
+      currentPage: page,
+      total: starred.length
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/snippets/starred/ids:
+ *   get:
+ *     summary: Get ids of starred snippets
+ *     description: Every snippet id the authenticated user starred, for marking stars in lists
+ *     tags: [Snippets]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Starred snippet ids
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 snippetIds:
+ *                   type: array
+ *                   items:
+ *                     type: string
+ */
+router.get('/starred/ids', auth, async (req, res) => {
+  try {
+    const snippetIds = await Star.find({ user: req.user.userId }).distinct('snippet');
+    res.json({ snippetIds });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/snippets/most-starred:
+ *   get:
+ *     summary: Get the most starred snippets in the organization
+ *     description: Snippets with at least one star that the authenticated user can see, by star count
+ *     tags: [Snippets]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *     responses:
+ *       200:
+ *         description: Most starred snippets
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 snippets:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Snippet'
+ *                 totalPages:
+ *                   type: integer
+ *                 currentPage:
+ *                   type: integer
+ *                 total:
+ *                   type: integer
+ */
+router.get('/most-starred', auth, async (req, res) => {
+  try {
+    const { page = 1, limit = 20 } = req.query;
+    const query = {
+      organization: req.user.organization,
+      isActive: true,
+      starCount: { $gt: 0 },
+      $or: [
+        { visibility: 'public' },
+        { visibility: 'organization' },
+        { visibility: 'private', author: req.user.userId }
+      ]
+    };
+
+    const [snippets, total] = await Promise.all([
+      Snippet.find(query)
+        .populate('author', 'username')
+        .sort({ starCount: -1, updatedAt: -1 })
+        .limit(limit * 1)
+        .skip((page - 1) * limit),
+      Snippet.countDocuments(query)
+    ]);
+
+    res.json({
+      snippets,
+      totalPages: Math.ceil(total / limit),
+      currentPage: page,
+      total
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Errors for share links that no longer work, told apart by `code`
+const SHARE_LINK_ERRORS = {
+  revoked: 'This share link has been revoked',
+  expired: 'This share link has expired',
+  view_limit_reached: 'This share link has reached its view limit'
+};
+
+// Embeds are loaded on every view of the page they sit in and cannot ask for
+// a password, so share links that have either are not embeddable
+const isEmbeddable = (shareLink) => shareLink.maxViews === null && !shareLink.passwordHash;
+
+// Load the snippet of a share link and check access, or send the error
+// response. `shareId` is either the snippet's permanent shareId or the token
+// of one of its ShareLinks. Share links open private and organization
+// snippets to anyone in the same organization, and public snippets to anyone;
+// ShareLinks may also need a password, sent in `X-Share-Password`. With
+// `embed`, only links an embed can use are accepted. Counts as a view.
+// Resolves with { snippet, shareLink }, or null once an error was sent.
+const findSharedSnippet = async (req, res, { embed = false } = {}) => {
+  let shareLink = null;
+  let snippet = await Snippet.findOne({ 
+    shareId: req.params.shareId,
+    isActive: true 
+  }).populate('author', 'username');
+
+  if (!snippet) {
+    shareLink = await ShareLink.findOne({ token: req.params.shareId }).select('+passwordHash');
+    if (shareLink) {
+      const reason = shareLink.unusableReason();
+      if (reason) {
+        res.status(410).json({ error: SHARE_LINK_ERRORS[reason], code: reason });
+        return null;
+      }
+      snippet = await Snippet.findOne({ _id: shareLink.snippet, isActive: true }).populate('author', 'username');
+    }
+  }
+
+  if (!snippet) {
+    res.status(404).json({ error: 'Snippet not found' });
+    return null;
+  }
+
+  if (snippet.visibility !== 'public' && (!req.user || snippet.organization !== req.user.organization)) {
+    res.status(403).json({ error: 'Access denied. This snippet is only accessible to members of the same organization.' });
+    return null;
+  }
+
+  if (shareLink && embed && !isEmbeddable(shareLink)) {
+    res.status(403).json({
+      error: 'Share links with a view limit or password cannot be embedded. Embed the snippet\'s permanent share link instead.',
+      code: 'not_embeddable'
+    });
+    return null;
+  }
+
+  if (shareLink) {
+    const password = req.get('X-Share-Password');
+    if (!(await shareLink.checkPassword(password))) {
+      res.status(401).json(password
+        ? { error: 'Incorrect password', code: 'invalid_password' }
+        : { error: 'This share link needs a password', code: 'password_required' });
+      return null;
+    }
+    if (!(await shareLink.recordView())) {
+      res.status(410).json({ error: SHARE_LINK_ERRORS.view_limit_reached, code: 'view_limit_reached' });
+      return null;
+    }
+  }
+
+  // Increment view count
+  snippet.views += 1;
+  await snippet.save();
+
+  return { snippet, shareLink };
+};
+
+/**
+ * @swagger
+ * /api/snippets/share/{shareId}:
+ *   get:
+ *     summary: Get a snippet through a share link
+ *     description: >
+ *       `shareId` is the snippet's permanent shareId or the token of one of its
+ *       share links. Private and organization snippets are open to members of
+ *       the snippet's organization, public snippets to anyone. Share links that
+ *       need a password take it in `X-Share-Password`. Snippets opened through a
+ *       share link leave out the permanent shareId.
+ *     tags: [Snippets]
+ *     parameters:
+ *       - in: path
+ *         name: shareId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: embed
+ *         schema:
+ *           type: boolean
+ *         description: Set by the embed page; refuses share links with a view limit or password
+ *       - in: header
+ *         name: X-Share-Password
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: The snippet
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Snippet'
+ *       401:
+ *         description: "`code` is `password_required` or `invalid_password`"
+ *       403:
+ *         description: "Not in the snippet's organization, or `code` is `not_embeddable` for a share link an embed cannot use"
+ *       404:
+ *         description: No snippet or share link with this id
+ *       410:
+ *         description: "The share link no longer works; `code` is `revoked`, `expired` or `view_limit_reached`"
+ */
+// Get snippet by share ID (must come before /:id route)
+router.get('/share/:shareId', optionalAuth, async (req, res) => {
+  try {
+    const shared = await findSharedSnippet(req, res, { embed: req.query.embed === 'true' });
+    if (!shared) return;
+
+    const body = shared.snippet.toJSON();
+    // A share link must not lead to the permanent link, which outlives it
+    if (shared.shareLink) delete body.shareId;
+    res.json(body);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/snippets/share/{shareId}/raw:
+ *   get:
+ *     summary: Get the raw content of a shared snippet
+ *     description: >
+ *       Same access rules as `/api/snippets/share/{shareId}`. Sends the first file, named
+ *       after the snippet title in `Content-Disposition`, or the file named in `file`.
+ *     tags: [Snippets]
+ *     parameters:
+ *       - in: path
+ *         name: shareId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: file
+ *         schema:
+ *           type: string
+ *         description: Filename within the snippet
+ *     responses:
+ *       200:
+ *         description: File content
+ *         content:
+ *           text/plain:
+ *             schema:
+ *               type: string
+ *       403:
+ *         description: Not in the snippet's organization
+ *       404:
+ *         description: Snippet or file not found
+ */
+router.get('/share/:shareId/raw', optionalAuth, async (req, res) => {
+  try {
+    const shared = await findSharedSnippet(req, res);
+    if (!shared) return;
+
+    sendRaw(req, res, shared.snippet);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Share snippet with specific users
+router.post('/:id/share', auth, async (req, res) => {
+  try {
     const { emails, usernames, permissions = 'view' } = req.body;
     
     const snippet = await Snippet.findOne({
@@ -605,74 +1165,26 @@ router.post('/:id/share', auth, async (req, res) => {
       return res.status(404).json({ error: 'Snippet not found or access denied' });
     }
 
-    const User = require('../models/User');
-    const sharedUsers = [];
-    const notFoundUsers = [];
-
-    // Process emails
-    if (emails && emails.length > 0) {
-      for (const email of emails) {
-        const user = await User.findOne({ email: email.trim(), isActive: true });
-        
-        // Check if already shared with this user
-        const alreadyShared = snippet.sharedWith.some(
-          share => (share.user && share.user.toString() === user?._id.toString()) || 
-                   share.email === email.trim()
-        );
-
-        if (!alreadyShared) {
-          snippet.sharedWith.push({
-            user: user?._id,
-            email: email.trim(),
-            permissions,
-            sharedBy: req.user.userId
-          });
-          sharedUsers.push({ email: email.trim(), found: !!user });
-        }
-        
-        if (!user) {
-          notFoundUsers.push({ type: 'email', value: email.trim() });
-        }
-      }
-    }
+    const { sharedUsers, notFoundUsers, userIds } = await addShareEntries(snippet, { emails, usernames, permissions }, req.user);
 
-    // Process usernames
-    if (usernames && usernames.length > 0) {
-      for (const username of usernames) {
-        const user = await User.findOne({ 
-          username: username.trim(), 
-          organization: req.user.organization,
-          isActive: true 
-        });
-        
-        if (user) {
-          // Check if already shared
-          const alreadyShared = snippet.sharedWith.some(
-            share => share.user && share.user.toString() === user._id.toString()
-          );
-
-          if (!alreadyShared) {
-            snippet.sharedWith.push({
-              user: user._id,
-              email: user.email,
-              permissions,
-              sharedBy: req.user.userId
-            });
-            sharedUsers.push({ username: username.trim(), email: user.email, found: true });
-          }
-        } else {
-          notFoundUsers.push({ type: 'username', value: username.trim() });
+    await snippet.save();
+    await Notification.notify('share', userIds, req.user.userId, { snippet: snippet._id });
+    const emailed = await email.sendShareInvitations(snippet, 'snippet', sharedUsers, req.user.userId);
+    if (sharedUsers.length > 0) {
+      await webhooks.emit('snippet.shared', snippet, req.user.userId, {
+        share: {
+          permissions,
+          users: sharedUsers.map(shared => ({ username: shared.username || null, email: shared.email }))
         }
-      }
+      });
     }
 
-    await snippet.save();
-
     res.json({
       message: 'Snippet shared successfully',
       sharedWith: sharedUsers,
       notFound: notFoundUsers,
-      totalSharedUsers: snippet.sharedWith.length
+      totalSharedUsers: snippet.sharedWith.length,
+      emailed
     });
   } catch (error) {
     res.status(500).json({ error: error.message });
@@ -684,7 +1196,10 @@ router.post('/:id/share', auth, async (req, res) => {
  * /api/snippets/{id}/sharing:
  *   get:
  *     summary: Get snippet sharing details
- *     description: Get details of users with whom the snippet is shared
+ *     description: >
+ *       Get the sharing list of a snippet (owner only). Entries for registered users are
+ *       returned in `sharedWith`; invitations sent to emails that have no account yet are
+ *       returned in `pendingInvites`.
  *     tags: [Snippets]
  *     security:
  *       - bearerAuth: []
@@ -721,31 +1236,17 @@ router.post('/:id/share', auth, async (req, res) => {
  *                 sharedWith:
  *                   type: array
  *                   items:
- *                     type: object
- *                     properties:
- *                       id:
- *                         type: string
- *                       user:
- *                         type: object
- *                         properties:
- *                           id:
- *                             type: string
- *                           username:
- *                             type: string
- *                       email:
- *                         type: string
- *                       permissions:
- *                         type: string
- *                       sharedAt:
- *                         type: string
- *                         format: date-time
- *                       sharedBy:
- *                         type: object
- *                         properties:
- *                           id:
- *                             type: string
- *                           username:
- *                             type: string
+ *                     $ref: '#/components/schemas/ShareEntry'
+ *                 pendingInvites:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/ShareEntry'
+ *       404:
+ *         description: Snippet not found or access denied
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
  */
 
 /**
@@ -784,20 +1285,126 @@ router.post('/:id/share', auth, async (req, res) => {
 
 /**
  * @swagger
- * /api/snippets/shared-with-me:
- *   get:
- *     summary: Get snippets shared with current user
- *     description: Retrieve all snippets that are shared with the authenticated user
+ * /api/snippets/{id}/share/{shareEntryId}:
+ *   patch:
+ *     summary: Change a share entry's permission
+ *     description: Switch a user or pending invite between view and edit access (owner only)
  *     tags: [Snippets]
  *     security:
  *       - bearerAuth: []
  *     parameters:
- *       - in: query
- *         name: page
+ *       - in: path
+ *         name: id
+ *         required: true
  *         schema:
- *           type: integer
- *           default: 1
- *         description: Page number
+ *           type: string
+ *         description: Snippet ID
+ *       - in: path
+ *         name: shareEntryId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Share entry ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - permissions
+ *             properties:
+ *               permissions:
+ *                 type: string
+ *                 enum: [view, edit]
+ *     responses:
+ *       200:
+ *         description: Share entry updated
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ShareEntry'
+ *       400:
+ *         description: Invalid permission
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Snippet or share entry not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+
+/**
+ * @swagger
+ * /api/snippets/{id}/share/revoke:
+ *   post:
+ *     summary: Revoke several share entries
+ *     description: Remove multiple users or pending invites from the sharing list at once (owner only)
+ *     tags: [Snippets]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Snippet ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - shareEntryIds
+ *             properties:
+ *               shareEntryIds:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *     responses:
+ *       200:
+ *         description: Entries revoked
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                 revoked:
+ *                   type: array
+ *                   items:
+ *                     type: string
+ *                 notFound:
+ *                   type: array
+ *                   items:
+ *                     type: string
+ *                 totalSharedUsers:
+ *                   type: integer
+ */
+
+/**
+ * @swagger
+ * /api/snippets/shared-with-me:
+ *   get:
+ *     summary: Get snippets shared with current user
+ *     description: Retrieve all snippets that are shared with the authenticated user
+ *     tags: [Snippets]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *         description: Page number
  *       - in: query
  *         name: limit
  *         schema:
@@ -822,214 +1429,481 @@ router.post('/:id/share', auth, async (req, res) => {
  *                   type: integer
  */
 
-// Remove user from snippet sharing
-router.delete('/:id/share/:shareEntryId', auth, async (req, res) => {
+// Get sharing details (owner only)
+router.get('/:id/sharing', auth, async (req, res) => {
   try {
     const snippet = await Snippet.findOne({
       _id: req.params.id,
       author: req.user.userId,
       isActive: true
-    });
+    })
+    .populate('author', 'username')
+    .populate('sharedWith.user', 'username email')
+    .populate('sharedWith.sharedBy', 'username');
 
     if (!snippet) {
       return res.status(404).json({ error: 'Snippet not found or access denied' });
     }
 
-    snippet.sharedWith = snippet.sharedWith.filter(
-      share => share._id.toString() !== req.params.shareEntryId
-    );
-
-    await snippet.save();
+    const entries = [...snippet.sharedWith].sort((a, b) => b.sharedAt - a.sharedAt);
 
-    res.json({ message: 'User removed from sharing list' });
+    res.json({
+      id: snippet._id,
+      title: snippet.title,
+      author: {
+        id: snippet.author._id,
+        username: snippet.author.username
+      },
+      visibility: snippet.visibility,
+      shareId: snippet.shareId,
+      sharedWith: entries.filter(share => share.user).map(formatShareEntry),
+      pendingInvites: entries.filter(share => !share.user).map(formatShareEntry)
+    });
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
 });
 
-// Get snippets shared with current user
-router.get('/shared-with-me', auth, async (req, res) => {
+// Revoke several share entries at once (must come before /:id/share/:shareEntryId routes)
+router.post('/:id/share/revoke', auth, async (req, res) => {
   try {
-    const { page = 1, limit = 10 } = req.query;
-    
-    const snippets = await Snippet.find({
-      'sharedWith.user': req.user.userId,
-      isActive: true
-    })
-    .populate('author', 'username')
-    .populate('sharedWith.sharedBy', 'username')
-    .sort({ 'sharedWith.sharedAt': -1 })
-    .limit(limit * 1)
-    .skip((page - 1) * limit);
+    const { shareEntryIds } = req.body;
 
-    // Add sharing info to each snippet
-    const snippetsWithSharingInfo = snippets.map(snippet => {
-      const sharingInfo = snippet.sharedWith.find(
-        share => share.user && share.user.toString() === req.user.userId
-      );
-      
-      return {
-        ...snippet.toObject(),
-        sharingInfo: {
-          permissions: sharingInfo?.permissions,
-          sharedAt: sharingInfo?.sharedAt,
-          sharedBy: sharingInfo?.sharedBy
-        }
-      };
+    if (!Array.isArray(shareEntryIds) || shareEntryIds.length === 0) {
+      return res.status(400).json({ error: 'shareEntryIds must be a non-empty array' });
+    }
+
+    const snippet = await Snippet.findOne({
+      _id: req.params.id,
+      author: req.user.userId,
+      isActive: true
     });
 
+    if (!snippet) {
+      return res.status(404).json({ error: 'Snippet not found or access denied' });
+    }
+
+    const requested = new Set(shareEntryIds.map(String));
+    const revoked = snippet.sharedWith
+      .filter(share => requested.has(share._id.toString()))
+      .map(share => share._id.toString());
+    const notFound = [...requested].filter(entryId => !revoked.includes(entryId));
+
+    snippet.sharedWith = snippet.sharedWith.filter(
+      share => !requested.has(share._id.toString())
+    );
+    await snippet.save();
+    collab.revalidateEditors(snippet);
+
     res.json({
-      snippets: snippetsWithSharingInfo,
-      totalPages: Math.ceil(snippets.length / limit),
-      currentPage: page
+      message: `Revoked ${revoked.length} share ${revoked.length === 1 ? 'entry' : 'entries'}`,
+      revoked,
+      notFound,
+      totalSharedUsers: snippet.sharedWith.length
     });
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
 });
 
-// Join snippet viewing (track current viewer)
-router.post('/:id/join-view', auth, async (req, res) => {
+// Change the permission of a share entry
+router.patch('/:id/share/:shareEntryId', auth, async (req, res) => {
   try {
-    const { socketId } = req.body;
-    
+    const { permissions } = req.body;
+
+    if (!['view', 'edit'].includes(permissions)) {
+      return res.status(400).json({ error: 'permissions must be "view" or "edit"' });
+    }
+
     const snippet = await Snippet.findOne({
       _id: req.params.id,
+      author: req.user.userId,
       isActive: true
     });
 
     if (!snippet) {
-      return res.status(404).json({ error: 'Snippet not found' });
+      return res.status(404).json({ error: 'Snippet not found or access denied' });
     }
 
-    // Check access permissions (same as regular snippet access)
-    const isAuthor = snippet.author.toString() === req.user.userId;
-    const isSharedUser = snippet.sharedWith.some(
-      share => share.user && share.user.toString() === req.user.userId
-    );
-    const hasOrgAccess = snippet.visibility === 'organization' && 
-                        snippet.organization === req.user.organization;
-    const isPublic = snippet.visibility === 'public';
-
-    if (!isAuthor && !isSharedUser && !hasOrgAccess && !isPublic) {
-      return res.status(403).json({ error: 'Access denied' });
+    const share = snippet.sharedWith.id(req.params.shareEntryId);
+    if (!share) {
+      return res.status(404).json({ error: 'Share entry not found' });
     }
 
-    // Remove existing viewer entry for this user
-    snippet.currentViewers = snippet.currentViewers.filter(
-      viewer => viewer.user.toString() !== req.user.userId
-    );
-
-    // Add current viewer
-    snippet.currentViewers.push({
-      user: req.user.userId,
-      lastSeen: new Date(),
-      socketId
-    });
-
-    // Clean up old viewers
-    await snippet.cleanupViewers();
-
-    // Populate viewer info
-    await snippet.populate('currentViewers.user', 'username email');
+    share.permissions = permissions;
+    await snippet.save();
+    collab.revalidateEditors(snippet);
+    await snippet.populate('sharedWith.user', 'username email');
+    await snippet.populate('sharedWith.sharedBy', 'username');
 
-    res.json({
-      message: 'Joined snippet viewing',
-      currentViewers: snippet.currentViewers.map(viewer => ({
-        user: viewer.user,
-        lastSeen: viewer.lastSeen,
-        isOnline: true
-      }))
-    });
+    res.json(formatShareEntry(snippet.sharedWith.id(req.params.shareEntryId)));
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
 });
 
-// Leave snippet viewing (remove current viewer)
-router.post('/:id/leave-view', auth, async (req, res) => {
+// Remove user from snippet sharing
+router.delete('/:id/share/:shareEntryId', auth, async (req, res) => {
   try {
     const snippet = await Snippet.findOne({
       _id: req.params.id,
+      author: req.user.userId,
       isActive: true
     });
 
     if (!snippet) {
-      return res.status(404).json({ error: 'Snippet not found' });
+      return res.status(404).json({ error: 'Snippet not found or access denied' });
     }
 
-    // Remove viewer
-    snippet.currentViewers = snippet.currentViewers.filter(
-      viewer => viewer.user.toString() !== req.user.userId
+    snippet.sharedWith = snippet.sharedWith.filter(
+      share => share._id.toString() !== req.params.shareEntryId
     );
 
     await snippet.save();
-    res.json({ message: 'Left snippet viewing' });
+    collab.revalidateEditors(snippet);
+
+    res.json({ message: 'User removed from sharing list' });
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
 });
 
-// Get current viewers for a snippet
-router.get('/:id/viewers', auth, async (req, res) => {
+/**
+ * @swagger
+ * /api/snippets/{id}/share-links:
+ *   get:
+ *     summary: List a snippet's share links
+ *     description: Share links made in addition to the permanent shareId, newest first, including revoked ones (owner only)
+ *     tags: [Snippets]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Share links
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 links:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/ShareLink'
+ *       404:
+ *         description: Snippet not found or not yours
+ *   post:
+ *     summary: Create a share link
+ *     description: >
+ *       Create a link to the snippet at `/share/{token}`. It follows the same
+ *       access rules as the permanent share link and can also expire, stop
+ *       working after a number of views and ask for a password (owner only).
+ *     tags: [Snippets]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               label:
+ *                 type: string
+ *                 example: Design review
+ *               expiresAt:
+ *                 type: string
+ *                 format: date-time
+ *               maxViews:
+ *                 type: integer
+ *                 minimum: 1
+ *                 example: 10
+ *               password:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: The new share link
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ShareLink'
+ *       400:
+ *         description: Invalid expiry, view limit or password, or too many links
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Snippet not found or not yours
+ */
+router.get('/:id/share-links', auth, async (req, res) => {
   try {
     const snippet = await Snippet.findOne({
       _id: req.params.id,
+      author: req.user.userId,
       isActive: true
-    }).populate('currentViewers.user', 'username email');
+    });
 
     if (!snippet) {
-      return res.status(404).json({ error: 'Snippet not found' });
+      return res.status(404).json({ error: 'Snippet not found or access denied' });
     }
 
-    // Clean up old viewers first
-    await snippet.cleanupViewers();
-    await snippet.populate('currentViewers.user', 'username email');
+    const links = await ShareLink.find({ snippet: snippet._id })
+      .select('+passwordHash')
+      .sort({ createdAt: -1 });
 
-    res.json({
-      currentViewers: snippet.currentViewers.map(viewer => ({
-        user: viewer.user,
-        lastSeen: viewer.lastSeen,
-        isOnline: true
-      }))
-    });
+    res.json({ links: links.map(link => link.toOwnerJSON()) });
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
 });
 
-// Update the existing Get snippet by ID route to include viewers
-router.get('/:id', auth, async (req, res) => {
+router.post('/:id/share-links', auth, async (req, res) => {
   try {
+    const { label, expiresAt, maxViews, password } = req.body;
+
+    const expiry = expiresAt ? new Date(expiresAt) : null;
+    if (expiry && (Number.isNaN(expiry.getTime()) || expiry <= new Date())) {
+      return res.status(400).json({ error: 'expiresAt must be a date in the future' });
+    }
+    if (maxViews !== undefined && maxViews !== null && (!Number.isInteger(maxViews) || maxViews < 1)) {
+      return res.status(400).json({ error: 'maxViews must be a whole number of at least 1' });
+    }
+    if (password !== undefined && password !== null && password !== '' &&
+        (typeof password !== 'string' || password.length < 4 || password.length > 200)) {
+      return res.status(400).json({ error: 'Passwords must be 4 to 200 characters' });
+    }
+
     const snippet = await Snippet.findOne({
       _id: req.params.id,
+      author: req.user.userId,
       isActive: true
-    })
-    .populate('author', 'username')
-    .populate('currentViewers.user', 'username email');
+    });
 
     if (!snippet) {
-      return res.status(404).json({ error: 'Snippet not found' });
+      return res.status(404).json({ error: 'Snippet not found or access denied' });
     }
 
-    // Check access permissions (updated to include shared users)
-    const isAuthor = snippet.author._id.toString() === req.user.userId;
-    const isSharedUser = snippet.sharedWith.some(
-      share => share.user && share.user._id.toString() === req.user.userId
-    );
-    const hasOrgAccess = snippet.visibility === 'organization' && 
-                        snippet.organization === req.user.organization;
-    const isPublic = snippet.visibility === 'public';
+    const count = await ShareLink.countDocuments({ snippet: snippet._id, revokedAt: null });
+    if (count >= ShareLink.MAX_LINKS_PER_SNIPPET) {
+      return res.status(400).json({ error: `A snippet can have at most ${ShareLink.MAX_LINKS_PER_SNIPPET} share links; revoke some first` });
+    }
 
-    if (!isAuthor && !isSharedUser && !hasOrgAccess && !isPublic) {
-      if (snippet.visibility === 'private') {
-        return res.status(403).json({ error: 'Access denied' });
-      }
+    const link = await ShareLink.issue(snippet._id, req.user.userId, {
+      label,
+      expiresAt: expiry,
+      maxViews,
+      password
+    });
+
+    res.status(201).json(link.toOwnerJSON());
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ error: error.message });
+    }
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/snippets/{id}/share-links/{linkId}:
+ *   delete:
+ *     summary: Revoke a share link
+ *     description: >
+ *       The link stops working at once; visitors are told it was revoked. It
+ *       stays in the list of share links (owner only).
+ *     tags: [Snippets]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: linkId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: The revoked share link
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ShareLink'
+ *       404:
+ *         description: Snippet or share link not found
+ */
+router.delete('/:id/share-links/:linkId', auth, async (req, res) => {
+  try {
+    const snippet = await Snippet.findOne({
+      _id: req.params.id,
+      author: req.user.userId,
+      isActive: true
+    });
+
+    if (!snippet) {
+      return res.status(404).json({ error: 'Snippet not found or access denied' });
+    }
+
+    const link = mongoose.isValidObjectId(req.params.linkId)
+      ? await ShareLink.findOne({ _id: req.params.linkId, snippet: snippet._id }).select('+passwordHash')
+      : null;
+    if (!link) {
+      return res.status(404).json({ error: 'Share link not found' });
+    }
+
+    if (!link.revokedAt) {
+      link.revokedAt = new Date();
+      await link.save();
+    }
+
+    res.json(link.toOwnerJSON());
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/snippets/{id}/share-id/rotate:
+ *   post:
+ *     summary: Replace the permanent share link
+ *     description: >
+ *       Give the snippet a new shareId. The old `/share/{shareId}` link and
+ *       embeds using it stop working; share links made with
+ *       `POST /api/snippets/{id}/share-links` are not affected (owner only).
+ *     tags: [Snippets]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: The new shareId
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 shareId:
+ *                   type: string
+ *       404:
+ *         description: Snippet not found or not yours
+ */
+router.post('/:id/share-id/rotate', auth, async (req, res) => {
+  try {
+    const snippet = await Snippet.findOne({
+      _id: req.params.id,
+      author: req.user.userId,
+      isActive: true
+    });
+
+    if (!snippet) {
+      return res.status(404).json({ error: 'Snippet not found or access denied' });
     }
 
-    // Clean up old viewers
-    await snippet.cleanupViewers();
+    snippet.shareId = uuidv4();
+    await snippet.save();
+
+    res.json({ shareId: snippet.shareId });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Get snippets shared with current user
+router.get('/shared-with-me', auth, async (req, res) => {
+  try {
+    const { page = 1, limit = 10 } = req.query;
     
+    const snippets = await Snippet.find({
+      'sharedWith.user': req.user.userId,
+      isActive: true
+    })
+    .populate('author', 'username')
+    .populate('sharedWith.sharedBy', 'username')
+    .sort({ 'sharedWith.sharedAt': -1 })
+    .limit(limit * 1)
+    .skip((page - 1) * limit);
+
+    // Add sharing info to each snippet
+    const snippetsWithSharingInfo = snippets.map(snippet => {
+      const sharingInfo = snippet.sharedWith.find(
+        share => share.user && share.user.toString() === req.user.userId
+      );
+      
+      return {
+        ...snippet.toObject(),
+        sharingInfo: {
+          permissions: sharingInfo?.permissions,
+          sharedAt: sharingInfo?.sharedAt,
+          sharedBy: sharingInfo?.sharedBy
+        }
+      };
+    });
+
+    res.json({
+      snippets: snippetsWithSharingInfo,
+      totalPages: Math.ceil(snippets.length / limit),
+      currentPage: page
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Get current viewers for a snippet (live updates arrive over /api/realtime)
+router.get('/:id/viewers', auth, async (req, res) => {
+  try {
+    const snippet = await findViewableSnippet(req, res);
+    if (!snippet) return;
+
+    res.json({ currentViewers: presence.getViewers(snippet._id) });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Get snippet by ID, including who is viewing it right now
+router.get('/:id', auth, async (req, res) => {
+  try {
+    const snippet = await Snippet.findOne({
+      _id: req.params.id,
+      isActive: true
+    })
+    .populate('author', 'username')
+    .populate('lastEditedBy', 'username');
+
+    if (!snippet) {
+      return res.status(404).json({ error: 'Snippet not found' });
+    }
+
+    // Check access permissions (updated to include shared users)
+    if (!snippet.canView(req.user)) {
+      return res.status(403).json({ error: 'Access denied' });
+    }
+    const isSharedUser = snippet.sharedWith.some(
+      share => share.user && share.user._id.toString() === req.user.userId
+    );
+
     // Add sharing info if user is in shared list
     let sharingInfo = null;
     if (isSharedUser) {
@@ -1045,33 +1919,200 @@ router.get('/:id', auth, async (req, res) => {
     res.json({
       ...snippet.toObject(),
       sharingInfo,
-      currentViewers: snippet.currentViewers.map(viewer => ({
-        user: viewer.user,
-        lastSeen: viewer.lastSeen,
-        isOnline: true
-      }))
+      permissions: {
+        isOwner: snippet.isOwner(req.user),
+        canEdit: snippet.canEdit(req.user)
+      },
+      starred: await Star.isStarred(req.user, snippet._id),
+      forkedFrom: await describeOrigin(snippet, req.user),
+      currentViewers: presence.getViewers(snippet._id)
     });
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
 });
 
-// Update snippet
+/**
+ * @swagger
+ * /api/snippets/{id}:
+ *   put:
+ *     summary: Update snippet
+ *     description: >
+ *       Update a snippet. The owner can change title, files, description, visibility
+ *       and tags. Users the snippet is shared with using `edit` permission can change
+ *       title, files, description and tags, but not the language of existing files.
+ *       `files` replaces the whole file list: files are matched by `_id`, keep their
+ *       content when it is omitted, and files left out are removed. `content` and
+ *       `language` update the first file of the snippet.
+ *     tags: [Snippets]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Snippet ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               title:
+ *                 type: string
+ *               content:
+ *                 type: string
+ *               language:
+ *                 type: string
+ *               files:
+ *                 type: array
+ *                 items:
+ *                   $ref: '#/components/schemas/SnippetFile'
+ *               description:
+ *                 type: string
+ *               visibility:
+ *                 type: string
+ *                 enum: [private, organization, public]
+ *               tags:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *     responses:
+ *       200:
+ *         description: Snippet updated
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Snippet'
+ *       400:
+ *         description: Invalid file list
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Not allowed to edit the snippet or the given fields
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Snippet not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       409:
+ *         description: A file is open in a live editing session and the request carries different content for it
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+
+// Update snippet (owner or collaborator with edit permission)
 router.put('/:id', auth, async (req, res) => {
   try {
+    // Pick up edits from a live editing session that are not saved yet
+    await collab.flush(req.params.id);
+
     const snippet = await Snippet.findOne({
       _id: req.params.id,
-      author: req.user.userId,
       isActive: true
     });
 
-    if (!snippet) {
+    if (!snippet || !snippet.canView(req.user)) {
       return res.status(404).json({ error: 'Snippet not found' });
     }
 
-    Object.assign(snippet, req.body);
+    if (!snippet.canEdit(req.user)) {
+      return res.status(403).json({ error: 'You do not have permission to edit this snippet' });
+    }
+
+    const isOwner = snippet.isOwner(req.user);
+    const allowedFields = isOwner ? OWNER_EDITABLE_FIELDS : EDITOR_EDITABLE_FIELDS;
+
+    if (!isOwner) {
+      // Collaborators may send the full form back; only reject actual changes
+      const restricted = OWNER_EDITABLE_FIELDS.filter(field =>
+        !allowedFields.includes(field) &&
+        req.body[field] !== undefined &&
+        req.body[field] !== snippet[field]
+      );
+      if (req.body.sharedWith !== undefined) restricted.push('sharedWith');
+
+      if (restricted.length > 0) {
+        return res.status(403).json({
+          error: `Only the owner can change: ${restricted.join(', ')}`
+        });
+      }
+    }
+
+    let files;
+    if (req.body.files !== undefined) {
+      if (!isOwner) {
+        // Collaborators can add files but not change the language of existing ones
+        const relabeled = Array.isArray(req.body.files) && req.body.files.some(file => {
+          const current = file && file._id && snippet.files.id(file._id);
+          return current && file.language !== undefined && file.language !== current.language;
+        });
+        if (relabeled) {
+          return res.status(403).json({ error: 'Only the owner can change: language' });
+        }
+      }
+
+      const result = buildFiles(req.body.files, snippet.files, { canChangeLanguage: isOwner });
+      if (result.error) {
+        return res.status(400).json({ error: result.error });
+      }
+      files = result.files;
+    }
+
+    // Content of a file open in the live editor is saved by the editing
+    // session; a stale copy must not silently overwrite other people's edits
+    const contentUpdates = files
+      ? req.body.files.filter(file => file._id && file.content !== undefined)
+        .map(file => ({ fileId: file._id, content: file.content }))
+      : req.body.content !== undefined
+        ? [{ fileId: snippet.files[0]._id, content: req.body.content }]
+        : [];
+    const conflict = contentUpdates.some(({ fileId, content }) => {
+      const liveContent = collab.getLiveContent(snippet._id, fileId);
+      return liveContent !== null && content !== liveContent;
+    });
+    if (conflict) {
+      return res.status(409).json({
+        error: 'This snippet is being edited live. Content changes must be made in the editor session.'
+      });
+    }
+
+    // Make sure the pre-edit state survives for snippets without history
+    await SnippetRevision.ensureBaseline(snippet);
+    const previousFiles = SnippetRevision.filesOf(snippet);
+
+    for (const field of allowedFields) {
+      // `files` supersedes the single-file `content` and `language` fields
+      if (files && ['files', 'content', 'language'].includes(field)) continue;
+      if (req.body[field] !== undefined) {
+        snippet[field] = req.body[field];
+      }
+    }
+    if (files) snippet.files = files;
+    snippet.lastEditedBy = req.user.userId;
+    snippet.lastEditedAt = new Date();
+
     await snippet.save();
+    await SnippetRevision.record(snippet, req.user.userId);
+    await Comment.remap(snippet._id, previousFiles, SnippetRevision.filesOf(snippet));
+    await Notification.notify('edit', [snippet.author], req.user.userId, { snippet: snippet._id });
+    await webhooks.emit('snippet.updated', snippet, req.user.userId);
+    // Close live sessions of files that were removed
+    collab.revalidateEditors(snippet);
     await snippet.populate('author', 'username');
+    await snippet.populate('lastEditedBy', 'username');
 
     res.json(snippet);
   } catch (error) {
@@ -1079,6 +2120,711 @@ router.put('/:id', auth, async (req, res) => {
   }
 });
 
+/**
+ * @swagger
+ * /api/snippets/{id}/revisions:
+ *   get:
+ *     summary: List snippet revisions
+ *     description: List the revision history of a snippet, newest first. Revision content is omitted; fetch a single revision to get it.
+ *     tags: [Snippets]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Snippet ID
+ *     responses:
+ *       200:
+ *         description: Revision history
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 revisions:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/SnippetRevision'
+ *       403:
+ *         description: Access denied
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Snippet not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+
+/**
+ * @swagger
+ * /api/snippets/{id}/revisions/diff:
+ *   get:
+ *     summary: Diff two revisions
+ *     description: Line-based diff of each file between two revisions of a snippet
+ *     tags: [Snippets]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Snippet ID
+ *       - in: query
+ *         name: from
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Base revision number
+ *       - in: query
+ *         name: to
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Target revision number
+ *     responses:
+ *       200:
+ *         description: Diff between the two revisions
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/RevisionDiff'
+ *       400:
+ *         description: Invalid revision numbers
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Snippet or revision not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+
+/**
+ * @swagger
+ * /api/snippets/{id}/revisions/{number}:
+ *   get:
+ *     summary: Get a revision
+ *     description: Retrieve a single revision of a snippet including its content
+ *     tags: [Snippets]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Snippet ID
+ *       - in: path
+ *         name: number
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Revision number
+ *     responses:
+ *       200:
+ *         description: Revision details
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/SnippetRevision'
+ *       404:
+ *         description: Snippet or revision not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+
+/**
+ * @swagger
+ * /api/snippets/{id}/revisions/{number}/restore:
+ *   post:
+ *     summary: Restore a revision
+ *     description: Restore the snippet to the state of an older revision. The restore itself is recorded as a new revision.
+ *     tags: [Snippets]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Snippet ID
+ *       - in: path
+ *         name: number
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Revision number to restore
+ *     responses:
+ *       200:
+ *         description: Snippet restored
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Snippet'
+ *       404:
+ *         description: Snippet or revision not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+
+// Load a snippet the current user is allowed to view, or send the error response
+const findViewableSnippet = async (req, res) => {
+  const snippet = await Snippet.findOne({
+    _id: req.params.id,
+    isActive: true
+  });
+
+  if (!snippet) {
+    res.status(404).json({ error: 'Snippet not found' });
+    return null;
+  }
+
+  if (!snippet.canView(req.user)) {
+    res.status(403).json({ error: 'Access denied' });
+    return null;
+  }
+
+  return snippet;
+};
+
+/**
+ * @swagger
+ * /api/snippets/{id}/raw:
+ *   get:
+ *     summary: Get the raw content of a snippet
+ *     description: >
+ *       Same access rules as `/api/snippets/{id}`. Sends the first file, named after the
+ *       snippet title in `Content-Disposition`, or the file named in `file`.
+ *     tags: [Snippets]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: file
+ *         schema:
+ *           type: string
+ *         description: Filename within the snippet
+ *     responses:
+ *       200:
+ *         description: File content
+ *         content:
+ *           text/plain:
+ *             schema:
+ *               type: string
+ *       403:
+ *         description: Access denied
+ *       404:
+ *         description: Snippet or file not found
+ */
+router.get('/:id/raw', auth, async (req, res) => {
+  try {
+    const snippet = await findViewableSnippet(req, res);
+    if (!snippet) return;
+
+    sendRaw(req, res, snippet);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// List revisions of a snippet
+router.get('/:id/revisions', auth, async (req, res) => {
+  try {
+    const snippet = await findViewableSnippet(req, res);
+    if (!snippet) return;
+
+    const revisions = await SnippetRevision.find({ snippet: snippet._id })
+      .select('-content -files.content')
+      .populate('author', 'username')
+      .sort({ number: -1 });
+
+    res.json({ revisions });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Diff two revisions (must come before /:id/revisions/:number route)
+router.get('/:id/revisions/diff', auth, async (req, res) => {
+  try {
+    const from = parseInt(req.query.from, 10);
+    const to = parseInt(req.query.to, 10);
+
+    if (Number.isNaN(from) || Number.isNaN(to)) {
+      return res.status(400).json({ error: 'Both "from" and "to" revision numbers are required' });
+    }
+
+    const snippet = await findViewableSnippet(req, res);
+    if (!snippet) return;
+
+    const [fromRevision, toRevision] = await Promise.all([
+      SnippetRevision.findOne({ snippet: snippet._id, number: from }).populate('author', 'username'),
+      SnippetRevision.findOne({ snippet: snippet._id, number: to }).populate('author', 'username')
+    ]);
+
+    if (!fromRevision || !toRevision) {
+      return res.status(404).json({ error: 'Revision not found' });
+    }
+
+    const { stats, files } = diffFiles(
+      SnippetRevision.filesOf(fromRevision),
+      SnippetRevision.filesOf(toRevision)
+    );
+    // Metadata fields that differ between the two revisions
+    const changes = fieldChanges(fromRevision, toRevision);
+
+    const summarize = (revision) => ({
+      number: revision.number,
+      author: revision.author,
+      createdAt: revision.createdAt
+    });
+
+    res.json({
+      from: summarize(fromRevision),
+      to: summarize(toRevision),
+      changes,
+      stats,
+      files
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Get a single revision
+router.get('/:id/revisions/:number', auth, async (req, res) => {
+  try {
+    const snippet = await findViewableSnippet(req, res);
+    if (!snippet) return;
+
+    const revision = await SnippetRevision.findOne({
+      snippet: snippet._id,
+      number: parseInt(req.params.number, 10)
+    }).populate('author', 'username');
+
+    if (!revision) {
+      return res.status(404).json({ error: 'Revision not found' });
+    }
+
+    res.json(revision);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Restore an older revision (owner or collaborator with edit permission)
+router.post('/:id/revisions/:number/restore', auth, async (req, res) => {
+  try {
+    await collab.flush(req.params.id);
+
+    const snippet = await findViewableSnippet(req, res);
+    if (!snippet) return;
+
+    if (!snippet.canEdit(req.user)) {
+      return res.status(403).json({ error: 'You do not have permission to edit this snippet' });
+    }
+
+    await SnippetRevision.ensureBaseline(snippet);
+
+    const revision = await SnippetRevision.findOne({
+      snippet: snippet._id,
+      number: parseInt(req.params.number, 10)
+    });
+
+    if (!revision) {
+      return res.status(404).json({ error: 'Revision not found' });
+    }
+
+    // Collaborators can only restore the fields they are allowed to edit
+    const restorable = snippet.isOwner(req.user)
+      ? SnippetRevision.TRACKED_FIELDS
+      : EDITOR_EDITABLE_FIELDS;
+
+    for (const field of restorable) {
+      if (['files', 'content', 'language'].includes(field)) continue;
+      snippet[field] = revision[field];
+    }
+    const previousFiles = SnippetRevision.filesOf(snippet);
+    // Files keep their ids, so a restored file that was deleted since comes back as itself
+    snippet.files = SnippetRevision.filesOf(revision).map(file => {
+      const current = snippet.files.id(file.fileId);
+      return {
+        _id: file.fileId,
+        filename: file.filename,
+        language: current && !snippet.isOwner(req.user) ? current.language : file.language,
+        content: file.content
+      };
+    });
+    snippet.lastEditedBy = req.user.userId;
+    snippet.lastEditedAt = new Date();
+
+    await snippet.save();
+    await SnippetRevision.record(snippet, req.user.userId, { restoredFrom: revision.number });
+    await Comment.remap(snippet._id, previousFiles, SnippetRevision.filesOf(snippet));
+    await Notification.notify('edit', [snippet.author], req.user.userId, { snippet: snippet._id });
+    await webhooks.emit('snippet.updated', snippet, req.user.userId);
+    collab.replaceContent(snippet, req.user.userId);
+    await snippet.populate('author', 'username');
+    await snippet.populate('lastEditedBy', 'username');
+
+    res.json(snippet);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Where a fork came from, as far as `user` may know: the original's title and
+// author, or only that it is no longer available to them
+const describeOrigin = async (snippet, user) => {
+  if (!snippet.forkedFrom) return null;
+
+  const original = await Snippet.findOne({ _id: snippet.forkedFrom, isActive: true })
+    .populate('author', 'username');
+  if (!original || !original.canView(user)) {
+    return { available: false };
+  }
+  return {
+    available: true,
+    _id: original._id,
+    title: original.title,
+    author: original.author
+  };
+};
+
+/**
+ * @swagger
+ * /api/snippets/{id}/fork:
+ *   post:
+ *     summary: Fork a snippet
+ *     description: >
+ *       Copies a snippet the user can view into their own account, with `forkedFrom`
+ *       pointing at the original. The fork keeps the title, description, tags and files
+ *       (with their IDs, so later diffs pair files up) but not the sharing list, and
+ *       starts with the original's visibility unless another is given.
+ *     tags: [Snippets]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               title:
+ *                 type: string
+ *               visibility:
+ *                 type: string
+ *                 enum: [private, organization, public]
+ *     responses:
+ *       201:
+ *         description: The fork
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Snippet'
+ *       400:
+ *         description: Invalid title or visibility
+ *       403:
+ *         description: Access denied
+ *       404:
+ *         description: Snippet not found
+ */
+router.post('/:id/fork', auth, async (req, res) => {
+  try {
+    const original = await findViewableSnippet(req, res);
+    if (!original) return;
+
+    const { title = original.title, visibility = original.visibility } = req.body;
+    if (!VISIBILITIES.includes(visibility)) {
+      return res.status(400).json({ error: `visibility must be one of: ${VISIBILITIES.join(', ')}` });
+    }
+
+    const fork = new Snippet({
+      title,
+      description: original.description,
+      tags: original.tags,
+      visibility,
+      files: original.files.map(file => ({
+        _id: file._id,
+        filename: file.filename,
+        language: file.language,
+        content: file.content
+      })),
+      forkedFrom: original._id,
+      author: req.user.userId,
+      organization: req.user.organization
+    });
+
+    try {
+      await fork.save();
+    } catch (error) {
+      if (error.name === 'ValidationError') {
+        return res.status(400).json({ error: error.message });
+      }
+      throw error;
+    }
+    await SnippetRevision.record(fork, req.user.userId);
+    await Snippet.updateOne({ _id: original._id }, { $inc: { forkCount: 1 } }, { timestamps: false });
+    await Notification.notify('fork', [original.author], req.user.userId, { snippet: fork._id });
+    await webhooks.emit('snippet.created', fork, req.user.userId);
+    await fork.populate('author', 'username');
+
+    res.status(201).json(fork);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/snippets/{id}/forks:
+ *   get:
+ *     summary: List the forks of a snippet
+ *     description: Direct forks the user can view, newest first; the others are only counted in `hiddenCount`
+ *     tags: [Snippets]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *     responses:
+ *       200:
+ *         description: Forks of the snippet
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 forks:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Snippet'
+ *                 hiddenCount:
+ *                   type: integer
+ *                 totalPages:
+ *                   type: integer
+ *                 currentPage:
+ *                   type: integer
+ *                 total:
+ *                   type: integer
+ *       403:
+ *         description: Access denied
+ *       404:
+ *         description: Snippet not found
+ */
+router.get('/:id/forks', auth, async (req, res) => {
+  try {
+    const { page = 1, limit = 20 } = req.query;
+    const snippet = await findViewableSnippet(req, res);
+    if (!snippet) return;
+
+    const forks = await Snippet.find({ forkedFrom: snippet._id, isActive: true })
+      .populate('author', 'username')
+      .sort({ createdAt: -1 });
+    const visible = forks.filter(fork => fork.canView(req.user));
+
+    const start = (page - 1) * limit;
+    res.json({
+      forks: visible.slice(start, start + Number(limit)),
+      hiddenCount: forks.length - visible.length,
+      totalPages: Math.ceil(visible.length / limit),
+      currentPage: page,
+      total: visible.length
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/snippets/{id}/forks/{forkId}/diff:
+ *   get:
+ *     summary: Diff a fork against the original
+ *     description: >
+ *       Line diff of every file from the snippet as it is now to the fork as it is now,
+ *       in the same shape as the revision diff. Files are paired up by ID.
+ *     tags: [Snippets]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The original snippet
+ *       - in: path
+ *         name: forkId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Differences between the snippet and the fork
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ForkDiff'
+ *       403:
+ *         description: Access denied
+ *       404:
+ *         description: Snippet not found, or the fork is not a fork of it
+ */
+router.get('/:id/forks/:forkId/diff', auth, async (req, res) => {
+  try {
+    const original = await findViewableSnippet(req, res);
+    if (!original) return;
+
+    const fork = mongoose.isValidObjectId(req.params.forkId) && await Snippet.findOne({
+      _id: req.params.forkId,
+      forkedFrom: original._id,
+      isActive: true
+    });
+    if (!fork || !fork.canView(req.user)) {
+      return res.status(404).json({ error: 'Fork not found' });
+    }
+
+    await original.populate('author', 'username');
+    await fork.populate('author', 'username');
+    const { stats, files } = diffFiles(SnippetRevision.filesOf(original), SnippetRevision.filesOf(fork));
+
+    const summarize = (snippet) => ({
+      _id: snippet._id,
+      title: snippet.title,
+      author: snippet.author,
+      updatedAt: snippet.updatedAt
+    });
+
+    res.json({
+      from: summarize(original),
+      to: summarize(fork),
+      changes: fieldChanges(original, fork),
+      stats,
+      files
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/snippets/{id}/star:
+ *   post:
+ *     summary: Star a snippet
+ *     description: Starring an already starred snippet changes nothing
+ *     tags: [Snippets]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Snippet starred
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/StarState'
+ *       403:
+ *         description: Access denied
+ *       404:
+ *         description: Snippet not found
+ *   delete:
+ *     summary: Unstar a snippet
+ *     tags: [Snippets]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Star removed
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/StarState'
+ *       404:
+ *         description: Snippet not found
+ */
+router.post('/:id/star', auth, async (req, res) => {
+  try {
+    const snippet = await findViewableSnippet(req, res);
+    if (!snippet) return;
+
+    const starCount = await Star.star(req.user, snippet);
+    res.json({ starred: true, starCount });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Unstarring needs no view access, so stars on snippets that became private
+// can still be cleared
+router.delete('/:id/star', auth, async (req, res) => {
+  try {
+    const snippet = await Snippet.findById(req.params.id);
+    if (!snippet) {
+      return res.status(404).json({ error: 'Snippet not found' });
+    }
+
+    const starCount = await Star.unstar(req.user, snippet);
+    res.json({ starred: false, starCount });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
 /**
  * @swagger
  * /api/snippets/{id}:
@@ -1120,6 +2866,9 @@ router.delete('/:id', auth, async (req, res) => {
 
     snippet.isActive = false;
     await snippet.save();
+    collab.closeSnippet(snippet._id);
+    await Collection.updateMany({ snippets: snippet._id }, { $pull: { snippets: snippet._id } });
+    await webhooks.emit('snippet.deleted', snippet, req.user.userId);
 
     res.json({ message: 'Snippet deleted' });
   } catch (error) {
@@ -0,0 +1,213 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const ApiToken = require('../models/ApiToken');
+const AuditLog = require('../models/AuditLog');
+const auth = require('../middleware/auth');
+const requireLogin = require('../middleware/requireLogin');
+
+const router = express.Router();
+
+const DAY = 24 * 60 * 60 * 1000;
+const MAX_EXPIRY_DAYS = 3650;
+
+/**
+ * @swagger
+ * tags:
+ *   - name: API Tokens
+ *     description: >
+ *       Personal access tokens for scripts and CI. Send them like a login token, as
+ *       `Authorization: Bearer ssp_...`. Tokens can only be managed when signed in normally.
+ */
+
+const summarize = (apiToken) => ({
+  _id: apiToken._id,
+  name: apiToken.name,
+  prefix: apiToken.prefix,
+  scopes: apiToken.scopes,
+  expiresAt: apiToken.expiresAt,
+  lastUsedAt: apiToken.lastUsedAt,
+  expired: !!apiToken.expiresAt && apiToken.expiresAt <= new Date(),
+  createdAt: apiToken.createdAt
+});
+
+/**
+ * @swagger
+ * /api/tokens:
+ *   get:
+ *     summary: List your API tokens
+ *     description: Tokens that were not revoked, newest first. The tokens themselves are never returned again.
+ *     tags: [API Tokens]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: API tokens
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 tokens:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/ApiToken'
+ *                 scopes:
+ *                   type: array
+ *                   description: Every scope a token can have
+ *                   items:
+ *                     type: string
+ *       403:
+ *         description: Called with an API token
+ *   post:
+ *     summary: Create an API token
+ *     description: The response is the only time the token is shown
+ *     tags: [API Tokens]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [name, scopes]
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 example: CI deploy
+ *               scopes:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                   enum: [snippets:read, snippets:write, share, admin]
+ *               expiresInDays:
+ *                 type: integer
+ *                 description: Leave out for a token that does not expire
+ *                 example: 90
+ *     responses:
+ *       201:
+ *         description: Token created
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/ApiToken'
+ *                 - type: object
+ *                   properties:
+ *                     token:
+ *                       type: string
+ *                       example: ssp_Xb3k...
+ *       400:
+ *         description: Missing name, unknown scope or invalid expiry
+ *       403:
+ *         description: Called with an API token, or the admin scope without the admin role
+ */
+router.get('/', auth, requireLogin, async (req, res) => {
+  try {
+    const tokens = await ApiToken.find({ user: req.user.userId, revokedAt: null }).sort({ createdAt: -1 });
+    res.json({ tokens: tokens.map(summarize), scopes: ApiToken.SCOPES });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+router.post('/', auth, requireLogin, async (req, res) => {
+  try {
+    const { name, scopes, expiresInDays } = req.body;
+    if (!name || typeof name !== 'string' || !name.trim()) {
+      return res.status(400).json({ error: 'name is required' });
+    }
+    if (!Array.isArray(scopes) || scopes.length === 0) {
+      return res.status(400).json({ error: 'Choose at least one scope' });
+    }
+    const unknown = scopes.find(scope => !ApiToken.SCOPES.includes(scope));
+    if (unknown) {
+      return res.status(400).json({ error: `Unknown scope: ${unknown}` });
+    }
+    if (scopes.includes('admin') && req.user.role !== 'admin') {
+      return res.status(403).json({ error: 'Only admins can create tokens with the admin scope' });
+    }
+
+    let expiresAt = null;
+    if (expiresInDays !== undefined && expiresInDays !== null) {
+      const days = Number(expiresInDays);
+      if (!Number.isInteger(days) || days < 1 || days > MAX_EXPIRY_DAYS) {
+        return res.status(400).json({ error: `expiresInDays must be a whole number from 1 to ${MAX_EXPIRY_DAYS}` });
+      }
+      expiresAt = new Date(Date.now() + days * DAY);
+    }
+
+    const count = await ApiToken.countDocuments({ user: req.user.userId, revokedAt: null });
+    if (count >= ApiToken.MAX_TOKENS_PER_USER) {
+      return res.status(400).json({ error: `You can have at most ${ApiToken.MAX_TOKENS_PER_USER} API tokens` });
+    }
+
+    const { apiToken, token } = await ApiToken.issue(req.user.userId, {
+      name,
+      scopes: [...new Set(scopes)],
+      expiresAt
+    });
+    await AuditLog.record({
+      action: 'token.created',
+      actor: req.user.userId,
+      organization: req.user.organization,
+      target: { kind: 'ApiToken', id: apiToken._id },
+      details: { name: apiToken.name, scopes: apiToken.scopes, expiresAt }
+    });
+
+    res.status(201).json({ ...summarize(apiToken), token });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ error: error.message });
+    }
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/tokens/{id}:
+ *   delete:
+ *     summary: Revoke an API token
+ *     description: Requests made with the token are rejected from now on
+ *     tags: [API Tokens]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Token revoked
+ *       404:
+ *         description: Token not found
+ */
+router.delete('/:id', auth, requireLogin, async (req, res) => {
+  try {
+    const apiToken = mongoose.isValidObjectId(req.params.id) && await ApiToken.findOneAndUpdate(
+      { _id: req.params.id, user: req.user.userId, revokedAt: null },
+      { $set: { revokedAt: new Date() } },
+      { new: true }
+    );
+    if (!apiToken) {
+      return res.status(404).json({ error: 'API token not found' });
+    }
+
+    await AuditLog.record({
+      action: 'token.revoked',
+      actor: req.user.userId,
+      organization: req.user.organization,
+      target: { kind: 'ApiToken', id: apiToken._id },
+      details: { name: apiToken.name }
+    });
+
+    res.json({ message: 'API token revoked' });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,448 @@
+const express = require('express');
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const Snippet = require('../models/Snippet');
+const SnippetRevision = require('../models/SnippetRevision');
+const Star = require('../models/Star');
+const AppConfig = require('../models/AppConfig');
+const { defaultFilename, languageFromFilename, languageFromContent } = require('../utils/languages');
+const webhooks = require('../webhooks');
+const search = require('../search');
+const auth = require('../middleware/auth');
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * tags:
+ *   - name: Editor API (v1)
+ *     description: >
+ *       Versioned endpoints for editor plugins. Responses under `/api/v1` only change in
+ *       backwards compatible ways. Lists and snippets carry an `ETag`; send it back as
+ *       `If-None-Match` to get `304 Not Modified` when nothing changed. Plugins sign in
+ *       with the device login under `/api/v1/auth/device` and use the API token it returns.
+ */
+
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 100;
+
+const LIST_SCOPES = {
+  mine: (user) => ({ author: user.userId }),
+  org: (user) => ({ organization: user.organization, visibility: { $in: ['organization', 'public'] } }),
+  shared: (user) => ({ 'sharedWith.user': user.userId })
+};
+
+// Send `body` with a strong ETag, or 304 when the client already has it.
+// If-None-Match is compared by hand because `req.fresh` ignores it when the
+// request says `Cache-Control: no-cache`, which fetch() adds to every
+// conditional request.
+const sendCached = (req, res, body, type = 'json') => {
+  const payload = type === 'json' ? JSON.stringify(body) : body;
+  const etag = `"${crypto.createHash('sha1').update(payload).digest('base64url')}"`;
+  res.set('ETag', etag);
+  res.set('Cache-Control', 'private, no-cache');
+
+  const known = (req.get('If-None-Match') || '').split(',').map(tag => tag.trim().replace(/^W\//, ''));
+  if (known.includes(etag) || known.includes('*')) {
+    return res.status(304).end();
+  }
+  res.type(type).send(payload);
+};
+
+const snippetUrl = (snippet, appUrl) => new URL(`/snippet/${snippet._id}`, appUrl).toString();
+
+// The compact v1 shape of a snippet; file contents only when asked for
+const compact = (snippet, appUrl, { withContent = false } = {}) => ({
+  id: snippet._id.toString(),
+  title: snippet.title,
+  description: snippet.description || '',
+  visibility: snippet.visibility,
+  tags: snippet.tags || [],
+  author: snippet.author?.username || null,
+  files: snippet.files.map(file => ({
+    id: file._id.toString(),
+    filename: file.filename,
+    language: file.language,
+    size: (file.content || '').length,
+    ...(withContent ? { content: file.content || '' } : {})
+  })),
+  shareId: snippet.shareId,
+  url: snippetUrl(snippet, appUrl),
+  createdAt: snippet.createdAt,
+  updatedAt: snippet.updatedAt
+});
+
+const paging = (query) => ({
+  page: Math.max(parseInt(query.page, 10) || 1, 1),
+  limit: Math.min(Math.max(parseInt(query.limit, 10) || DEFAULT_LIMIT, 1), MAX_LIMIT)
+});
+
+// Starred snippets the user can still view, most recently starred first
+const listStarred = async (user, { page, limit }) => {
+  const stars = await Star.find({ user: user.userId }).sort({ createdAt: -1 });
+  const snippets = await Snippet.find({
+    _id: { $in: stars.map(star => star.snippet) },
+    isActive: true
+  }).populate('author', 'username');
+
+  const visible = new Map(
+    snippets.filter(snippet => snippet.canView(user)).map(snippet => [snippet._id.toString(), snippet])
+  );
+  const starred = stars
+    .map(star => visible.get(star.snippet.toString()))
+    .filter(Boolean);
+
+  return { results: starred.slice((page - 1) * limit, page * limit), total: starred.length };
+};
+
+const listScope = async (scope, user, { page, limit }) => {
+  const query = { ...LIST_SCOPES[scope](user), isActive: true };
+  const [results, total] = await Promise.all([
+    Snippet.find(query)
+      .populate('author', 'username')
+      .sort({ updatedAt: -1 })
+      .limit(limit)
+      .skip((page - 1) * limit),
+    Snippet.countDocuments(query)
+  ]);
+  return { results, total };
+};
+
+// Load a snippet the current user is allowed to view, or send the error response
+const findViewableSnippet = async (req, res) => {
+  const snippet = mongoose.isValidObjectId(req.params.id) && await Snippet.findOne({
+    _id: req.params.id,
+    isActive: true
+  }).populate('author', 'username');
+
+  if (!snippet) {
+    res.status(404).json({ error: 'Snippet not found' });
+    return null;
+  }
+  if (!snippet.canView(req.user)) {
+    res.status(403).json({ error: 'Access denied' });
+    return null;
+  }
+  return snippet;
+};
+
+/**
+ * @swagger
+ * /api/v1/snippets:
+ *   get:
+ *     summary: List snippets for an editor
+ *     description: >
+ *       Compact snippets without file contents, most recently updated first. With `q`,
+ *       every snippet you can see is searched (same syntax as `/api/snippets/search`)
+ *       and `scope` is ignored.
+ *     tags: [Editor API (v1)]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: scope
+ *         schema:
+ *           type: string
+ *           enum: [mine, org, shared, starred]
+ *           default: mine
+ *       - in: query
+ *         name: q
+ *         schema:
+ *           type: string
+ *         description: Search query
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 50
+ *           maximum: 100
+ *       - in: header
+ *         name: If-None-Match
+ *         schema:
+ *           type: string
+ *         description: ETag of an earlier response
+ *     responses:
+ *       200:
+ *         description: Snippets
+ *         headers:
+ *           ETag:
+ *             schema:
+ *               type: string
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 snippets:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/V1Snippet'
+ *                 totalPages:
+ *                   type: integer
+ *                 currentPage:
+ *                   type: integer
+ *                 total:
+ *                   type: integer
+ *       304:
+ *         description: Not modified since the response with the given ETag
+ *       400:
+ *         description: Unknown scope or invalid search query
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *   post:
+ *     summary: Create a snippet from an editor selection
+ *     description: >
+ *       Creates a single-file snippet. The filename defaults to the name of `source.path`,
+ *       the language is inferred from the filename and then from the code, and the title
+ *       defaults to the filename with the selected line range.
+ *     tags: [Editor API (v1)]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [content]
+ *             properties:
+ *               content:
+ *                 type: string
+ *                 example: "def slugify(text):\n    return re.sub(r'\\W+', '-', text).lower()\n"
+ *               filename:
+ *                 type: string
+ *                 example: text.py
+ *               language:
+ *                 type: string
+ *               title:
+ *                 type: string
+ *               description:
+ *                 type: string
+ *               visibility:
+ *                 type: string
+ *                 enum: [private, organization, public]
+ *               tags:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *               source:
+ *                 type: object
+ *                 description: Where the selection came from
+ *                 properties:
+ *                   path:
+ *                     type: string
+ *                     example: src/utils/text.py
+ *                   startLine:
+ *                     type: integer
+ *                     example: 12
+ *                   endLine:
+ *                     type: integer
+ *                     example: 14
+ *     responses:
+ *       201:
+ *         description: Snippet created
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/V1Snippet'
+ *       400:
+ *         description: Missing content or invalid fields
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.get('/snippets', auth, async (req, res) => {
+  try {
+    const { scope = 'mine', q } = req.query;
+    if (scope !== 'starred' && !LIST_SCOPES[scope]) {
+      return res.status(400).json({ error: 'scope must be one of mine, org, shared, starred' });
+    }
+
+    const { page, limit } = paging(req.query);
+    let listing;
+    if (q) {
+      listing = await search.runSearch({ q }, req.user, { page, limit });
+    } else if (scope === 'starred') {
+      listing = await listStarred(req.user, { page, limit });
+    } else {
+      listing = await listScope(scope, req.user, { page, limit });
+    }
+
+    const { email: { appUrl } } = await AppConfig.getConfig();
+    sendCached(req, res, {
+      snippets: listing.results.map(snippet => compact(snippet, appUrl)),
+      totalPages: Math.ceil(listing.total / limit),
+      currentPage: page,
+      total: listing.total
+    });
+  } catch (error) {
+    if (error instanceof search.QueryParseError) {
+      return res.status(400).json({ error: error.message, position: error.position });
+    }
+    res.status(500).json({ error: error.message });
+  }
+});
+
+router.post('/snippets', auth, async (req, res) => {
+  try {
+    const { content, language, title, description, visibility, tags, source = {} } = req.body;
+    if (typeof content !== 'string' || !content.trim()) {
+      return res.status(400).json({ error: 'content is required' });
+    }
+
+    // Plugins send local paths, which may use either separator
+    const name = String(req.body.filename || source.path || '').split(/[\\/]/).pop().trim();
+    const detected = language || languageFromFilename(name) || languageFromContent(content);
+    const filename = name || defaultFilename(detected);
+
+    const { startLine, endLine } = source;
+    const lines = Number.isInteger(startLine) && Number.isInteger(endLine)
+      ? (startLine === endLine ? ` (line ${startLine})` : ` (lines ${startLine}-${endLine})`)
+      : '';
+
+    const snippet = new Snippet({
+      title: (typeof title === 'string' && title.trim()) || `${filename}${lines}`,
+      files: [{ filename, language: detected, content }],
+      description,
+      visibility,
+      tags,
+      author: req.user.userId,
+      organization: req.user.organization
+    });
+
+    await snippet.save();
+    await SnippetRevision.record(snippet, req.user.userId);
+    await webhooks.emit('snippet.created', snippet, req.user.userId);
+    await snippet.populate('author', 'username');
+
+    const { email: { appUrl } } = await AppConfig.getConfig();
+    res.status(201).json(compact(snippet, appUrl));
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ error: error.message });
+    }
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/v1/snippets/{id}:
+ *   get:
+ *     summary: Get a snippet with its file contents
+ *     description: Unlike `/api/snippets/{id}`, this does not count as a view.
+ *     tags: [Editor API (v1)]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: header
+ *         name: If-None-Match
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: The snippet
+ *         headers:
+ *           ETag:
+ *             schema:
+ *               type: string
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/V1Snippet'
+ *       304:
+ *         description: Not modified
+ *       403:
+ *         description: Access denied
+ *       404:
+ *         description: Snippet not found
+ */
+router.get('/snippets/:id', auth, async (req, res) => {
+  try {
+    const snippet = await findViewableSnippet(req, res);
+    if (!snippet) return;
+
+    let permission = 'view';
+    if (snippet.isOwner(req.user)) {
+      permission = 'owner';
+    } else if (snippet.canEdit(req.user)) {
+      permission = 'edit';
+    }
+
+    const { email: { appUrl } } = await AppConfig.getConfig();
+    sendCached(req, res, { ...compact(snippet, appUrl, { withContent: true }), permission });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/v1/snippets/{id}/raw:
+ *   get:
+ *     summary: Get the raw content of a snippet file
+ *     description: >
+ *       The first file, or the one named in `file`. Its name and language are sent in the
+ *       `X-SnipSafe-Filename` (URI-encoded) and `X-SnipSafe-Language` headers.
+ *     tags: [Editor API (v1)]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: file
+ *         schema:
+ *           type: string
+ *         description: Filename within the snippet
+ *     responses:
+ *       200:
+ *         description: File content
+ *         content:
+ *           text/plain:
+ *             schema:
+ *               type: string
+ *       304:
+ *         description: Not modified
+ *       403:
+ *         description: Access denied
+ *       404:
+ *         description: Snippet or file not found
+ */
+router.get('/snippets/:id/raw', auth, async (req, res) => {
+  try {
+    const snippet = await findViewableSnippet(req, res);
+    if (!snippet) return;
+
+    const file = req.query.file
+      ? snippet.files.find(candidate => candidate.filename === req.query.file)
+      : snippet.files[0];
+    if (!file) {
+      return res.status(404).json({ error: 'File not found' });
+    }
+
+    res.set('X-SnipSafe-Filename', encodeURIComponent(file.filename));
+    res.set('X-SnipSafe-Language', file.language);
+    sendCached(req, res, file.content || '', 'text/plain; charset=utf-8');
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+module.exports = router;
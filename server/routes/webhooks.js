@@ -0,0 +1,470 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const Webhook = require('../models/Webhook');
+const WebhookDelivery = require('../models/WebhookDelivery');
+const webhooks = require('../webhooks');
+const auth = require('../middleware/auth');
+const requireAdmin = require('../middleware/requireAdmin');
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * tags:
+ *   - name: Webhooks
+ *     description: >
+ *       Endpoints that receive signed JSON payloads for the snippet events of the admin's
+ *       organization (requires admin role)
+ */
+
+const DELIVERY_STATUSES = ['pending', 'sending', 'succeeded', 'failed'];
+
+// Webhooks without their secret, with the outcome of their latest delivery
+const summarize = (webhook, lastDelivery) => ({
+  _id: webhook._id,
+  url: webhook.url,
+  description: webhook.description,
+  events: webhook.events,
+  active: webhook.active,
+  createdAt: webhook.createdAt,
+  updatedAt: webhook.updatedAt,
+  lastDelivery: lastDelivery
+    ? {
+      status: lastDelivery.status,
+      responseStatus: lastDelivery.responseStatus,
+      createdAt: lastDelivery.createdAt
+    }
+    : null
+});
+
+// The webhook in the path, if it belongs to the admin's organization
+const findWebhook = async (req, res, { withSecret = false } = {}) => {
+  const query = mongoose.isValidObjectId(req.params.id) && Webhook.findOne({
+    _id: req.params.id,
+    organization: req.user.organization
+  });
+  const webhook = query && await (withSecret ? query.select('+secret') : query);
+  if (!webhook) {
+    res.status(404).json({ error: 'Webhook not found' });
+    return null;
+  }
+  return webhook;
+};
+
+// Apply the editable fields of a request body
+const applyFields = (webhook, body) => {
+  for (const field of ['url', 'description', 'events']) {
+    if (body[field] !== undefined) webhook[field] = body[field];
+  }
+  if (typeof body.active === 'boolean') webhook.active = body.active;
+};
+
+/**
+ * @swagger
+ * /api/admin/webhooks:
+ *   get:
+ *     summary: List webhooks
+ *     description: The webhooks of the admin's organization with the outcome of their latest delivery
+ *     tags: [Webhooks]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Webhooks, newest first
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 webhooks:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Webhook'
+ *                 events:
+ *                   type: array
+ *                   description: Every event a webhook can subscribe to
+ *                   items:
+ *                     type: string
+ *       403:
+ *         description: Access denied - Admin role required
+ *   post:
+ *     summary: Register a webhook
+ *     description: The response is the only time the signing secret is returned, apart from rotating it
+ *     tags: [Webhooks]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [url, events]
+ *             properties:
+ *               url:
+ *                 type: string
+ *                 example: https://chat.company.com/hooks/snipsafe
+ *               description:
+ *                 type: string
+ *               events:
+ *                 description: Snippet events to receive. Private snippets send none.
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                   enum: [snippet.created, snippet.updated, snippet.deleted, snippet.shared, snippet.commented]
+ *               active:
+ *                 type: boolean
+ *                 default: true
+ *     responses:
+ *       201:
+ *         description: Webhook registered
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/Webhook'
+ *                 - type: object
+ *                   properties:
+ *                     secret:
+ *                       type: string
+ *                       example: whsec_3f0c...
+ *       400:
+ *         description: Invalid URL or events
+ */
+router.get('/', auth, requireAdmin, async (req, res) => {
+  try {
+    const list = await Webhook.find({ organization: req.user.organization }).sort({ createdAt: -1 });
+    const lastDeliveries = await Promise.all(list.map(webhook => (
+      WebhookDelivery.findOne({ webhook: webhook._id }).sort({ createdAt: -1 }).select('status responseStatus createdAt')
+    )));
+
+    res.json({
+      webhooks: list.map((webhook, index) => summarize(webhook, lastDeliveries[index])),
+      events: Webhook.EVENTS
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+router.post('/', auth, requireAdmin, async (req, res) => {
+  try {
+    const webhook = new Webhook({
+      organization: req.user.organization,
+      createdBy: req.user.userId
+    });
+    applyFields(webhook, req.body);
+    await webhook.save();
+
+    res.status(201).json({ ...summarize(webhook, null), secret: webhook.secret });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ error: error.message });
+    }
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/admin/webhooks/{id}:
+ *   put:
+ *     summary: Update a webhook
+ *     description: Change its URL, description or events, or turn it on and off. Fields left out are kept.
+ *     tags: [Webhooks]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               url:
+ *                 type: string
+ *               description:
+ *                 type: string
+ *               events:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *               active:
+ *                 type: boolean
+ *     responses:
+ *       200:
+ *         description: Webhook updated
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Webhook'
+ *       400:
+ *         description: Invalid URL or events
+ *       404:
+ *         description: Webhook not found
+ *   delete:
+ *     summary: Delete a webhook
+ *     description: Deletes the webhook and its delivery log
+ *     tags: [Webhooks]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Webhook deleted
+ *       404:
+ *         description: Webhook not found
+ */
+router.put('/:id', auth, requireAdmin, async (req, res) => {
+  try {
+    const webhook = await findWebhook(req, res);
+    if (!webhook) return;
+
+    applyFields(webhook, req.body);
+    await webhook.save();
+
+    const lastDelivery = await WebhookDelivery.findOne({ webhook: webhook._id }).sort({ createdAt: -1 });
+    res.json(summarize(webhook, lastDelivery));
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ error: error.message });
+    }
+    res.status(500).json({ error: error.message });
+  }
+});
+
+router.delete('/:id', auth, requireAdmin, async (req, res) => {
+  try {
+    const webhook = await findWebhook(req, res);
+    if (!webhook) return;
+
+    await webhook.deleteOne();
+    await WebhookDelivery.deleteMany({ webhook: webhook._id });
+
+    res.json({ message: 'Webhook deleted' });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/admin/webhooks/{id}/secret:
+ *   post:
+ *     summary: Rotate the signing secret
+ *     description: Replaces the secret; deliveries from now on are signed with the new one
+ *     tags: [Webhooks]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: The new secret
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 secret:
+ *                   type: string
+ *       404:
+ *         description: Webhook not found
+ */
+router.post('/:id/secret', auth, requireAdmin, async (req, res) => {
+  try {
+    const webhook = await findWebhook(req, res);
+    if (!webhook) return;
+
+    await webhook.rotateSecret();
+    res.json({ secret: webhook.secret });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/admin/webhooks/{id}/test:
+ *   post:
+ *     summary: Send a test event
+ *     description: >
+ *       Sends a `webhook.test` event right away, even to a disabled webhook, and responds with
+ *       the delivery. Test events appear in the delivery log but are not retried.
+ *     tags: [Webhooks]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: The delivery, `succeeded` or `failed`
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/WebhookDelivery'
+ *       404:
+ *         description: Webhook not found
+ */
+router.post('/:id/test', auth, requireAdmin, async (req, res) => {
+  try {
+    const webhook = await findWebhook(req, res, { withSecret: true });
+    if (!webhook) return;
+
+    res.json(await webhooks.sendTest(webhook, req.user.userId));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/admin/webhooks/{id}/deliveries:
+ *   get:
+ *     summary: Get the delivery log
+ *     description: Deliveries of a webhook, newest first, with the response code of their last attempt. Kept for 30 days.
+ *     tags: [Webhooks]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [pending, sending, succeeded, failed]
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *           maximum: 100
+ *     responses:
+ *       200:
+ *         description: Paginated deliveries
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 deliveries:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/WebhookDelivery'
+ *                 totalPages:
+ *                   type: integer
+ *                 currentPage:
+ *                   type: integer
+ *                 total:
+ *                   type: integer
+ *       404:
+ *         description: Webhook not found
+ */
+router.get('/:id/deliveries', auth, requireAdmin, async (req, res) => {
+  try {
+    const webhook = await findWebhook(req, res);
+    if (!webhook) return;
+
+    const page = Math.max(1, parseInt(req.query.page) || 1);
+    const limit = Math.min(100, Math.max(1, parseInt(req.query.limit) || 20));
+
+    const filter = { webhook: webhook._id };
+    if (DELIVERY_STATUSES.includes(req.query.status)) filter.status = req.query.status;
+
+    const [deliveries, total] = await Promise.all([
+      WebhookDelivery.find(filter)
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      WebhookDelivery.countDocuments(filter)
+    ]);
+
+    res.json({
+      deliveries,
+      totalPages: Math.ceil(total / limit),
+      currentPage: page,
+      total
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/admin/webhooks/{id}/deliveries/{deliveryId}/redeliver:
+ *   post:
+ *     summary: Redeliver an event
+ *     description: Queues the payload of an earlier delivery again as a new delivery
+ *     tags: [Webhooks]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: deliveryId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       201:
+ *         description: The new delivery
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/WebhookDelivery'
+ *       404:
+ *         description: Webhook or delivery not found
+ */
+router.post('/:id/deliveries/:deliveryId/redeliver', auth, requireAdmin, async (req, res) => {
+  try {
+    const webhook = await findWebhook(req, res);
+    if (!webhook) return;
+
+    const delivery = mongoose.isValidObjectId(req.params.deliveryId) && await WebhookDelivery.findOne({
+      _id: req.params.deliveryId,
+      webhook: webhook._id
+    });
+    if (!delivery) {
+      return res.status(404).json({ error: 'Delivery not found' });
+    }
+
+    res.status(201).json(await webhooks.redeliver(delivery));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,44 @@
+const { indexTerms } = require('./tokenizer');
+
+// Relative weight of a hit in each part of a snippet
+const FIELD_BOOSTS = {
+  title: 5,
+  tags: 3,
+  filename: 3,
+  description: 2,
+  content: 1
+};
+
+// The searchable texts of a snippet, one entry per field value
+const searchableFields = (snippet) => {
+  const fields = [{ field: 'title', text: snippet.title || '' }];
+
+  (snippet.tags || []).forEach(tag => fields.push({ field: 'tags', text: tag }));
+
+  if (snippet.description) {
+    fields.push({ field: 'description', text: snippet.description });
+  }
+
+  const files = snippet.files && snippet.files.length > 0
+    ? snippet.files
+    : [{ _id: snippet._id, filename: '', content: snippet.content || '' }];
+  files.forEach(file => {
+    if (file.filename) fields.push({ field: 'filename', file, text: file.filename });
+    fields.push({ field: 'content', file, text: file.content || '' });
+  });
+
+  return fields.map(entry => ({ ...entry, boost: FIELD_BOOSTS[entry.field] }));
+};
+
+// Terms stored on the snippet for the inverted index
+const searchTermsFor = (snippet) => {
+  const terms = new Set();
+  searchableFields(snippet).forEach(({ text }) => indexTerms(text, terms));
+  return [...terms].sort();
+};
+
+module.exports = {
+  FIELD_BOOSTS,
+  searchableFields,
+  searchTermsFor
+};
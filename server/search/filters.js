@@ -0,0 +1,99 @@
+const User = require('../models/User');
+const { escapeRegExp } = require('../utils/regex');
+
+// Turns the filters of a parsed query into Mongo conditions. Values only ever
+// end up as literals or escaped, anchored regexes.
+
+const exactly = (value) => new RegExp(`^${escapeRegExp(value)}$`, 'i');
+
+const negate = (condition, negated) => (negated ? { $nor: [condition] } : condition);
+
+// Ids of the organization's users named `username`; `me` is the searcher
+const authorIds = async (username, user) => {
+  if (username.toLowerCase() === 'me') return [user.userId];
+  const users = await User.find({
+    organization: user.organization,
+    username: exactly(username)
+  }).select('_id');
+  return users.map(found => found._id);
+};
+
+// Conditions that must all hold, or null when a filter can never match (an
+// author that does not exist)
+const filterConditions = async (filters, user) => {
+  const conditions = [];
+
+  for (const filter of filters) {
+    switch (filter.field) {
+      case 'language':
+        conditions.push(negate({
+          $or: [{ language: filter.value }, { 'files.language': filter.value }]
+        }, filter.negated));
+        break;
+      case 'tag':
+        conditions.push(negate({ tags: exactly(filter.value) }, filter.negated));
+        break;
+      case 'author': {
+        const ids = await authorIds(filter.value, user);
+        if (ids.length === 0 && !filter.negated) return null;
+        conditions.push({ author: { [filter.negated ? '$nin' : '$in']: ids } });
+        break;
+      }
+      case 'visibility':
+        conditions.push(negate({ visibility: filter.value }, filter.negated));
+        break;
+      default:
+        conditions.push(negate({ [filter.field]: filter.range }, filter.negated));
+    }
+  }
+
+  return conditions;
+};
+
+// Conditions for the language, tags and author query parameters, or null
+// when the author does not exist
+const paramConditions = async ({ language, tags, author }, user) => {
+  const conditions = [];
+
+  // Filter by language of any file
+  if (language && language !== 'all') {
+    conditions.push({
+      $or: [{ language: language }, { 'files.language': language }]
+    });
+  }
+
+  // Filter by tags
+  if (tags && tags.trim()) {
+    const tagList = tags.split(',').map(tag => tag.trim()).filter(tag => tag);
+    if (tagList.length > 0) {
+      conditions.push({ tags: { $in: tagList } });
+    }
+  }
+
+  // Filter by author
+  if (author && author.trim()) {
+    const authorUser = await User.findOne({
+      username: new RegExp(escapeRegExp(author.trim()), 'i'),
+      organization: user.organization
+    });
+    if (!authorUser) return null;
+    conditions.push({ author: authorUser._id });
+  }
+
+  return conditions;
+};
+
+// Snippets someone other than `user` created or edited after `since`. Views
+// also touch `updatedAt`, so edits are told by `lastEditedAt`.
+const changedSinceCondition = (since, user) => ({
+  $or: [
+    { createdAt: { $gt: since }, author: { $ne: user.userId } },
+    { lastEditedAt: { $gt: since }, lastEditedBy: { $ne: user.userId } }
+  ]
+});
+
+module.exports = {
+  filterConditions,
+  paramConditions,
+  changedSinceCondition
+};
@@ -0,0 +1,243 @@
+const Snippet = require('../models/Snippet');
+const { escapeRegExp } = require('../utils/regex');
+const { tokenize } = require('./tokenizer');
+const { searchableFields, searchTermsFor } = require('./fields');
+const { MAX_LINE_MATCHES, fetchCandidates, excerpt, lineMatches, rankResults } = require('./results');
+const { OPERATOR_NAMES, QueryParseError, parseQuery } = require('./query');
+const { filterConditions, paramConditions, changedSinceCondition } = require('./filters');
+const { parseRegex, regexSearch } = require('./regex');
+const { parseSymbols, symbolSearch } = require('./symbols');
+
+// Ranked full-text search over snippets. Every snippet stores the terms it can
+// be found by (`searchTerms`, a multikey index); the index narrows a query
+// down to candidates, which are then scored and highlighted here.
+
+// `text` is the ranked full-text search below; `regex` and `symbol` search code
+const SEARCH_MODES = ['text', 'regex', 'symbol'];
+
+// Term frequency saturation, as in BM25
+const TF_SATURATION = 1.2;
+
+const clauseCondition = (clause) => {
+  if (clause.type === 'prefix') {
+    return { searchTerms: { $regex: `^${escapeRegExp(clause.term)}` } };
+  }
+  if (clause.type === 'phrase') {
+    return { searchTerms: { $all: clause.terms } };
+  }
+  return { searchTerms: clause.term };
+};
+
+// Excluded words and prefixes are left out by the index; excluded phrases can
+// only be told apart from their words occurring separately when scoring
+const exclusionCondition = (clause) => {
+  if (clause.type === 'prefix') {
+    return { searchTerms: { $not: new RegExp(`^${escapeRegExp(clause.term)}`) } };
+  }
+  if (clause.type === 'term') {
+    return { searchTerms: { $ne: clause.term } };
+  }
+  return null;
+};
+
+// Range of the word, or of the identifier part, a term or prefix clause matches
+const matchWord = (word, clause) => {
+  const test = clause.type === 'prefix'
+    ? (term) => term.startsWith(clause.term)
+    : (term) => term === clause.term;
+
+  if (test(word.term)) return { start: word.start, end: word.end };
+  const part = word.parts.find(candidate => test(candidate.term));
+  return part ? { start: part.start, end: part.end } : null;
+};
+
+// Every hit of every clause in a text: [{ clause, start, end }]
+const findHits = (words, clauses) => {
+  const hits = [];
+  clauses.forEach((clause, index) => {
+    if (clause.type === 'phrase') {
+      const length = clause.terms.length;
+      for (let i = 0; i + length <= words.length; i++) {
+        const isMatch = clause.terms.every((term, k) => matchWord(words[i + k], { type: 'term', term }));
+        if (isMatch) hits.push({ clause: index, start: words[i].start, end: words[i + length - 1].end });
+      }
+      return;
+    }
+
+    words.forEach(word => {
+      const range = matchWord(word, clause);
+      if (range) hits.push({ clause: index, ...range });
+    });
+  });
+  return hits;
+};
+
+// Relevance of one snippet plus the highlighted places it matched. Returns
+// null when a clause has no hit at all (e.g. a phrase whose words only occur
+// apart from each other) or an excluded phrase occurs.
+const scoreSnippet = (snippet, clauses, idf, excludedPhrases = []) => {
+  const matched = clauses.map(() => false);
+  const matches = [];
+  let score = 0;
+  let contentLines = 0;
+
+  for (const entry of searchableFields(snippet)) {
+    const words = tokenize(entry.text);
+    if (findHits(words, excludedPhrases).length > 0) return null;
+
+    const hits = findHits(words, clauses);
+    if (hits.length === 0) continue;
+
+    const counts = clauses.map(() => 0);
+    hits.forEach(hit => { counts[hit.clause]++; });
+    counts.forEach((count, index) => {
+      if (count === 0) return;
+      matched[index] = true;
+      score += entry.boost * idf[index] * count / (count + TF_SATURATION);
+    });
+
+    const file = entry.file && { fileId: entry.file._id, filename: entry.file.filename };
+    if (entry.field === 'content') {
+      lineMatches(entry.text, hits)
+        .slice(0, Math.max(0, MAX_LINE_MATCHES - contentLines))
+        .forEach(line => {
+          contentLines++;
+          matches.push({ field: 'content', ...file, ...line });
+        });
+    } else {
+      matches.push({
+        field: entry.field,
+        ...file,
+        ...excerpt(entry.text, hits.map(hit => [hit.start, hit.end]))
+      });
+    }
+  }
+
+  if (!matched.every(Boolean)) return null;
+  return { score, matches };
+};
+
+// Ranked search among the snippets matching `baseQuery` and none of the
+// `excluded` clauses. Returns the page of results (snippet fields plus `score`
+// and `matches`) and the total count. Without clauses every match scores 0 and
+// the most recently updated come first.
+const searchSnippets = async (baseQuery, clauses, { excluded = [], page = 1, limit = 20 } = {}) => {
+  const conditions = clauses.map(clauseCondition);
+  const exclusions = excluded.map(exclusionCondition).filter(Boolean);
+  const excludedPhrases = excluded.filter(clause => clause.type === 'phrase');
+  const scope = exclusions.length > 0 ? { $and: [baseQuery, ...exclusions] } : baseQuery;
+
+  const [total, ...documentFrequencies] = await Promise.all([
+    Snippet.countDocuments(scope),
+    ...conditions.map(condition => Snippet.countDocuments({ $and: [scope, condition] }))
+  ]);
+  const idf = documentFrequencies.map(df => Math.log(1 + (total - df + 0.5) / (df + 0.5)));
+
+  const candidates = await fetchCandidates({ $and: [scope, ...conditions] });
+  return rankResults(
+    candidates.map(snippet => ({ snippet, result: scoreSnippet(snippet, clauses, idf, excludedPhrases) })),
+    { page, limit }
+  );
+};
+
+// Checks and parses search parameters as /api/snippets/search takes them:
+// `q`, `mode`, `scope` and the language, tags and author filters. Throws a
+// QueryParseError for malformed queries.
+const parseSearch = (params) => {
+  const { q, mode = 'text', scope = 'all' } = params;
+
+  if (!SEARCH_MODES.includes(mode)) {
+    throw new QueryParseError(`Unknown search mode "${mode}", expected ${SEARCH_MODES.join(', ')}`);
+  }
+  if (!['all', 'code'].includes(scope)) {
+    throw new QueryParseError(`Unknown scope "${scope}", expected all or code`);
+  }
+
+  // Text queries may contain operators; regex and symbol queries are only the
+  // pattern or identifiers, narrowed by the filter parameters
+  return {
+    ...parseQuery(mode === 'text' ? q : ''),
+    regex: mode === 'regex' ? parseRegex(q) : null,
+    symbols: mode === 'symbol' ? parseSymbols(q) : [],
+    codeOnly: scope === 'code'
+  };
+};
+
+// Runs a search (see parseSearch) among the snippets `user` may see; with
+// `since`, only among those others created or edited after it. `timeout`
+// shortens the time a regular expression search may take, in milliseconds.
+const runSearch = async (params, user, { since, page = 1, limit = 20, timeout } = {}) => {
+  const { clauses, excluded, filters, regex, symbols, codeOnly } = parseSearch(params);
+
+  const [parameterFilters, operatorFilters] = await Promise.all([
+    paramConditions(params, user),
+    filterConditions(filters, user)
+  ]);
+  if (!parameterFilters || !operatorFilters) return { results: [], total: 0 };
+
+  const conditions = [...parameterFilters, ...operatorFilters];
+  if (since) conditions.push(changedSinceCondition(since, user));
+
+  const query = {
+    organization: user.organization,
+    isActive: true,
+    // Visibility permissions
+    $or: [
+      { visibility: 'public' },
+      { visibility: 'organization' },
+      { visibility: 'private', author: user.userId }
+    ]
+  };
+  if (conditions.length > 0) query.$and = conditions;
+
+  const paging = { page, limit };
+  if (regex) {
+    return regexSearch(query, regex, { ...paging, timeout });
+  }
+  if (symbols.length > 0) {
+    return symbolSearch(query, symbols, { codeOnly, ...paging });
+  }
+  if (clauses.length > 0 || excluded.length > 0) {
+    return searchSnippets(query, clauses, { excluded, ...paging });
+  }
+
+  // Nothing to rank by: newest first
+  const [results, total] = await Promise.all([
+    Snippet.find(query)
+      .populate('author', 'username')
+      .sort({ createdAt: -1 })
+      .limit(limit)
+      .skip((page - 1) * limit),
+    Snippet.countDocuments(query)
+  ]);
+  return { results, total };
+};
+
+// Index snippets saved before search terms were stored
+const reindexMissing = async () => {
+  let count = 0;
+  for await (const snippet of Snippet.find({ searchTerms: { $exists: false } }).cursor()) {
+    await Snippet.collection.updateOne(
+      { _id: snippet._id },
+      { $set: { searchTerms: searchTermsFor(snippet) } }
+    );
+    count++;
+  }
+  return count;
+};
+
+module.exports = {
+  SEARCH_MODES,
+  OPERATOR_NAMES,
+  QueryParseError,
+  parseQuery,
+  filterConditions,
+  searchSnippets,
+  parseRegex,
+  regexSearch,
+  parseSymbols,
+  symbolSearch,
+  parseSearch,
+  runSearch,
+  reindexMissing
+};
@@ -0,0 +1,136 @@
+const { escapeRegExp } = require('../utils/regex');
+
+// A small lexer that tells identifiers in code apart from words in comments
+// and strings. It only knows how each language delimits comments and string
+// literals, which is all symbol search needs; anything else is code.
+
+const line = (open) => ({ open, close: '\n', kind: 'comment' });
+const block = (open, close) => ({ open, close, kind: 'comment', multiline: true });
+const string = (open, close = open, multiline = false, escapes = true) => ({
+  open, close, kind: 'string', multiline, escapes
+});
+
+const C_COMMENTS = [line('//'), block('/*', '*/')];
+const QUOTES = [string('"'), string("'")];
+
+const SYNTAX = {
+  javascript: { regions: [...C_COMMENTS, ...QUOTES, string('`', '`', true)], dollarIdentifiers: true },
+  java: { regions: [...C_COMMENTS, string('"""', '"""', true), ...QUOTES] },
+  c: { regions: [...C_COMMENTS, ...QUOTES] },
+  csharp: { regions: [...C_COMMENTS, string('@"', '"', true, false), ...QUOTES] },
+  go: { regions: [...C_COMMENTS, ...QUOTES, string('`', '`', true, false)] },
+  // Single quotes are lifetimes (`'a`) as often as characters
+  rust: { regions: [...C_COMMENTS, string('"', '"', true)] },
+  swift: { regions: [...C_COMMENTS, string('"""', '"""', true), string('"')] },
+  php: { regions: [...C_COMMENTS, line('#'), ...QUOTES] },
+  python: {
+    regions: [line('#'), string('"""', '"""', true), string("'''", "'''", true), ...QUOTES]
+  },
+  ruby: { regions: [line('#'), block('=begin', '=end'), ...QUOTES] },
+  bash: { regions: [line('#'), string('"', '"', true), string("'", "'", true, false)] },
+  powershell: { regions: [block('<#', '#>'), line('#'), string('"', '"', true), string("'", "'", true, false)] },
+  yaml: { regions: [line('#'), ...QUOTES] },
+  sql: { regions: [line('--'), block('/*', '*/'), string("'", "'", true)] },
+  css: { regions: [block('/*', '*/'), ...QUOTES] },
+  scss: { regions: [...C_COMMENTS, ...QUOTES] },
+  markup: { regions: [block('<!--', '-->'), ...QUOTES] },
+  json: { regions: [string('"')] },
+  plaintext: { regions: [] }
+};
+
+const ALIASES = {
+  typescript: 'javascript',
+  jsx: 'javascript',
+  tsx: 'javascript',
+  cpp: 'c',
+  kotlin: 'java',
+  shell: 'bash',
+  docker: 'bash',
+  html: 'markup',
+  xml: 'markup',
+  markdown: 'plaintext'
+};
+
+const IDENTIFIER = '[\\p{L}_][\\p{L}\\p{N}_]*';
+const DOLLAR_IDENTIFIER = '[\\p{L}_$][\\p{L}\\p{N}_$]*';
+// Consumed so `0x1F` and `1e10` are not read as identifiers
+const NUMBER = '\\p{N}[\\p{L}\\p{N}_]*';
+
+// Per language: a scanner matching region openers, numbers and identifiers
+const compiled = new Map();
+const compile = (language) => {
+  const name = SYNTAX[language] ? language : (ALIASES[language] || 'plaintext');
+  if (compiled.has(name)) return compiled.get(name);
+
+  const syntax = SYNTAX[name];
+  const identifier = syntax.dollarIdentifiers ? DOLLAR_IDENTIFIER : IDENTIFIER;
+  const openers = syntax.regions
+    .map(region => region.open)
+    .sort((a, b) => b.length - a.length)
+    .map(escapeRegExp);
+
+  const result = {
+    regions: new Map(syntax.regions.map(region => [region.open, region])),
+    scanner: new RegExp(`(${[...openers, '(?!)'].join('|')})|${NUMBER}|(${identifier})`, 'gu'),
+    identifier: new RegExp(identifier, 'gu')
+  };
+  compiled.set(name, result);
+  return result;
+};
+
+// Offset just past the end of a comment or string starting at `from`
+const regionEnd = (text, from, region) => {
+  if (!region.multiline && region.close === '\n') {
+    const end = text.indexOf('\n', from);
+    return end === -1 ? text.length : end;
+  }
+  if (!region.escapes) {
+    const end = text.indexOf(region.close, from);
+    return end === -1 ? text.length : end + region.close.length;
+  }
+
+  for (let i = from; i < text.length; i++) {
+    if (text[i] === '\\') {
+      i++;
+    } else if (!region.multiline && text[i] === '\n') {
+      return i;
+    } else if (text.startsWith(region.close, i)) {
+      return i + region.close.length;
+    }
+  }
+  return text.length;
+};
+
+// Identifiers of a source text: [{ name, start, end, kind }] where kind is
+// 'code', 'comment' or 'string'
+const lex = (text, language) => {
+  const { regions, scanner, identifier } = compile(language);
+  const tokens = [];
+  if (!text) return tokens;
+
+  const scan = new RegExp(scanner);
+  const words = new RegExp(identifier);
+  let match;
+  while ((match = scan.exec(text)) !== null) {
+    const [lexeme, opener, name] = match;
+    if (name) {
+      tokens.push({ name, start: match.index, end: match.index + name.length, kind: 'code' });
+      continue;
+    }
+    if (!opener) continue;
+
+    const region = regions.get(opener);
+    const end = regionEnd(text, scan.lastIndex, region);
+    words.lastIndex = match.index + lexeme.length;
+    let word;
+    while ((word = words.exec(text)) !== null && word.index + word[0].length <= end) {
+      tokens.push({ name: word[0], start: word.index, end: word.index + word[0].length, kind: region.kind });
+    }
+    scan.lastIndex = end;
+  }
+  return tokens;
+};
+
+module.exports = {
+  lex
+};
@@ -0,0 +1,164 @@
+const { queryTerms } = require('./tokenizer');
+
+// Parses a search box query. Free text becomes clauses that must all match:
+//   handler          -> { type: 'term', term }
+//   hand*            -> { type: 'prefix', term }
+//   "use strict"     -> { type: 'phrase', terms }
+// Unquoted text that tokenizes into several words (`user.save`) is treated as
+// a phrase. A leading `-` moves a clause to `excluded` instead.
+//
+// `name:value` pairs become filters (see OPERATORS), e.g.
+//   lang:python tag:etl author:alice visibility:org created:>2025-01-01
+//   views:10..100 updated:<=2025-06-30 -tag:deprecated author:"Jane Doe"
+//
+// Malformed queries throw a QueryParseError pointing at the offending token.
+
+const DAY = 24 * 60 * 60 * 1000;
+
+const VISIBILITIES = {
+  private: 'private',
+  org: 'organization',
+  organization: 'organization',
+  public: 'public'
+};
+
+class QueryParseError extends Error {
+  constructor(message, position) {
+    super(message);
+    this.name = 'QueryParseError';
+    this.position = position;
+  }
+}
+
+// YYYY-MM-DD as the [start, end) milliseconds of that UTC day
+const parseDay = (text, fail) => {
+  const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(text);
+  const start = match && Date.UTC(Number(match[1]), Number(match[2]) - 1, Number(match[3]));
+  if (!match || new Date(start).toISOString().slice(0, 10) !== text) {
+    fail(`Invalid date "${text}", expected YYYY-MM-DD`);
+  }
+  return { start, end: start + DAY };
+};
+
+const parseCount = (text, fail) => {
+  if (!/^\d+$/.test(text)) fail(`Invalid number "${text}"`);
+  return { start: Number(text), end: Number(text) + 1 };
+};
+
+// `>x`, `>=x`, `<x`, `<=x`, `x` or `x..y` over values parsed into half-open
+// [start, end) intervals, as a Mongo range on integers or dates
+const parseRange = (value, parse, fail, wrap) => {
+  const range = {};
+  const between = value.split('..');
+
+  if (between.length === 2) {
+    range.$gte = parse(between[0], fail).start;
+    range.$lt = parse(between[1], fail).end;
+    if (range.$gte >= range.$lt) fail(`Empty range "${value}"`);
+  } else {
+    const [, comparator, operand] = /^(>=|<=|>|<|=)?(.*)$/.exec(value);
+    const { start, end } = parse(operand, fail);
+    switch (comparator) {
+      case '>': range.$gte = end; break;
+      case '>=': range.$gte = start; break;
+      case '<': range.$lt = start; break;
+      case '<=': range.$lt = end; break;
+      default: range.$gte = start; range.$lt = end;
+    }
+  }
+
+  Object.keys(range).forEach(key => { range[key] = wrap(range[key]); });
+  return range;
+};
+
+// Operator names (and aliases) to the filter they produce
+const OPERATORS = {
+  lang: (value) => ({ field: 'language', value: value.toLowerCase() }),
+  tag: (value) => ({ field: 'tag', value }),
+  author: (value) => ({ field: 'author', value }),
+  visibility: (value, fail) => {
+    const visibility = VISIBILITIES[value.toLowerCase()];
+    if (!visibility) fail(`Unknown visibility "${value}", expected private, org or public`);
+    return { field: 'visibility', value: visibility };
+  },
+  created: (value, fail) => ({
+    field: 'createdAt',
+    range: parseRange(value, parseDay, fail, (ms) => new Date(ms))
+  }),
+  updated: (value, fail) => ({
+    field: 'updatedAt',
+    range: parseRange(value, parseDay, fail, (ms) => new Date(ms))
+  }),
+  views: (value, fail) => ({
+    field: 'views',
+    range: parseRange(value, parseCount, fail, (count) => count)
+  })
+};
+OPERATORS.language = OPERATORS.lang;
+OPERATORS.tags = OPERATORS.tag;
+OPERATORS.user = OPERATORS.author;
+OPERATORS.is = OPERATORS.visibility;
+
+const OPERATOR_NAMES = ['lang', 'tag', 'author', 'visibility', 'created', 'updated', 'views'];
+
+const TOKEN = /(-)?(?:([a-z]+):(?:"([^"]*)("?)|(\S*))|"([^"]*)("?)|(\S+))/gi;
+
+const parseQuery = (input) => {
+  const clauses = [];
+  const excluded = [];
+  const filters = [];
+  if (typeof input !== 'string') return { clauses, excluded, filters };
+
+  for (const match of input.matchAll(TOKEN)) {
+    const [token, minus, name, quotedValue, valueEnd, bareValue, phrase, phraseEnd, word] = match;
+    const negated = Boolean(minus);
+    const fail = (message) => { throw new QueryParseError(message, match.index); };
+
+    let text = phrase !== undefined ? phrase : word;
+    let quoted = phrase !== undefined;
+
+    if (name !== undefined) {
+      const value = quotedValue !== undefined ? quotedValue : bareValue;
+      const operator = OPERATORS[name.toLowerCase()];
+
+      if (quotedValue !== undefined && !valueEnd) fail(`Missing closing quote after ${name}:`);
+
+      if (operator) {
+        if (!value.trim()) fail(`Missing value for ${name}:`);
+        filters.push({ ...operator(value.trim(), fail), negated });
+        continue;
+      }
+
+      // `TODO:` and `std::vector` are code, not operators
+      if (quotedValue !== undefined || (value && !value.startsWith(':'))) {
+        fail(`Unknown operator "${name}:". Use ${OPERATOR_NAMES.map(known => `${known}:`).join(', ')} or put the text in quotes`);
+      }
+      text = token.slice(minus ? 1 : 0);
+      quoted = false;
+    }
+
+    if (phrase !== undefined && !phraseEnd) fail('Missing closing quote');
+
+    const isPrefix = !quoted && text.endsWith('*');
+    const terms = queryTerms(isPrefix ? text.replace(/\*+$/, '') : text);
+    if (terms.length === 0) continue;
+
+    let clause;
+    if (terms.length > 1) {
+      clause = { type: 'phrase', terms };
+    } else if (isPrefix) {
+      clause = { type: 'prefix', term: terms[0] };
+    } else {
+      clause = { type: 'term', term: terms[0] };
+    }
+    (negated ? excluded : clauses).push(clause);
+  }
+
+  return { clauses, excluded, filters };
+};
+
+module.exports = {
+  OPERATOR_NAMES,
+  QueryParseError,
+  parseQuery
+};
@@ -0,0 +1,86 @@
+const vm = require('vm');
+const { QueryParseError } = require('./query');
+const { fetchCandidates, scoreCode, rankResults } = require('./results');
+
+// Regular expression search over the code of snippets. Patterns come from
+// users, so they run inside a vm context with a time limit: a pattern that
+// backtracks catastrophically is stopped instead of blocking the server.
+
+const MAX_PATTERN_LENGTH = 500;
+const ALLOWED_FLAGS = /^[imsu]*$/;
+// Milliseconds one file, and a whole search, may take
+const FILE_TIMEOUT = 100;
+const SEARCH_TIMEOUT = 2000;
+const MAX_HITS_PER_FILE = 100;
+
+const SCRIPT = new vm.Script(`
+  hits = (() => {
+    const found = [];
+    let match;
+    regex.lastIndex = 0;
+    while (found.length < limit && (match = regex.exec(text)) !== null) {
+      found.push({ start: match.index, end: match.index + match[0].length });
+      if (match[0].length === 0) regex.lastIndex++;
+    }
+    return found;
+  })();
+`);
+
+// `pattern` or `/pattern/flags` as a global RegExp; throws a QueryParseError
+// when it is not valid
+const parseRegex = (input) => {
+  if (typeof input !== 'string' || !input) return null;
+  if (input.length > MAX_PATTERN_LENGTH) {
+    throw new QueryParseError(`Regular expressions are limited to ${MAX_PATTERN_LENGTH} characters`, MAX_PATTERN_LENGTH);
+  }
+
+  const literal = /^\/(.+)\/([a-z]*)$/s.exec(input);
+  const [source, flags] = literal ? [literal[1], literal[2]] : [input, ''];
+  if (!ALLOWED_FLAGS.test(flags)) {
+    throw new QueryParseError(`Unsupported regular expression flags "${flags}", use i, m, s or u`, input.lastIndexOf('/') + 1);
+  }
+
+  try {
+    return new RegExp(source, `${flags}g`);
+  } catch (error) {
+    throw new QueryParseError(error.message, 0);
+  }
+};
+
+// Runs the regex over one text at a time within the time limits
+const createMatcher = (regex, searchTimeout = SEARCH_TIMEOUT) => {
+  const context = vm.createContext({ regex, text: '', limit: MAX_HITS_PER_FILE, hits: [] });
+  const deadline = Date.now() + Math.min(searchTimeout, SEARCH_TIMEOUT);
+  const tooSlow = () => new QueryParseError('The regular expression took too long to run. Make it more specific or narrow the search with filters', 0);
+
+  return (text) => {
+    const timeout = Math.min(FILE_TIMEOUT, deadline - Date.now());
+    if (timeout <= 0) throw tooSlow();
+
+    context.text = text;
+    try {
+      SCRIPT.runInContext(context, { timeout });
+    } catch (error) {
+      if (error.code === 'ERR_SCRIPT_EXECUTION_TIMEOUT') throw tooSlow();
+      throw error;
+    }
+    return context.hits;
+  };
+};
+
+// Snippets whose code matches `regex`, the ones with most matches first.
+// Only the most recently updated candidates are scanned, within `timeout`
+// milliseconds if that is shorter than the usual limit.
+const regexSearch = async (baseQuery, regex, { timeout, ...options }) => {
+  const candidates = await fetchCandidates(baseQuery);
+  const match = createMatcher(regex, timeout);
+  return rankResults(
+    candidates.map(snippet => ({ snippet, result: scoreCode(snippet, match) })),
+    options
+  );
+};
+
+module.exports = {
+  parseRegex,
+  regexSearch
+};
@@ -0,0 +1,134 @@
+const Snippet = require('../models/Snippet');
+const { searchableFields } = require('./fields');
+
+// Candidate fetching, highlighting and paging shared by the search modes
+
+// Upper bound on snippets scored per query; the most recently updated win
+const MAX_CANDIDATES = 500;
+// Content lines returned per snippet
+const MAX_LINE_MATCHES = 5;
+const EXCERPT_LENGTH = 200;
+
+const fetchCandidates = (query) => Snippet.find(query)
+  .populate('author', 'username')
+  .sort({ updatedAt: -1 })
+  .limit(MAX_CANDIDATES);
+
+// Sorted, non-overlapping [start, end] pairs
+const mergeRanges = (ranges) => {
+  const sorted = [...ranges].sort((a, b) => a[0] - b[0]);
+  const merged = [];
+  sorted.forEach(range => {
+    const last = merged[merged.length - 1];
+    if (last && range[0] <= last[1]) {
+      last[1] = Math.max(last[1], range[1]);
+    } else {
+      merged.push([...range]);
+    }
+  });
+  return merged;
+};
+
+// Cut long text down to a window around the first highlight
+const excerpt = (text, ranges) => {
+  const highlights = mergeRanges(ranges);
+  if (text.length <= EXCERPT_LENGTH) return { text, highlights };
+
+  const from = Math.max(0, Math.min(highlights[0][0] - 40, text.length - EXCERPT_LENGTH));
+  const to = from + EXCERPT_LENGTH;
+  return {
+    text: text.slice(from, to),
+    highlights: highlights
+      .filter(([start]) => start < to)
+      .map(([start, end]) => [start - from, Math.min(end, to) - from])
+  };
+};
+
+// Hits in file content, grouped into numbered lines
+const lineMatches = (text, hits) => {
+  const lineStarts = [0];
+  for (let i = 0; i < text.length; i++) {
+    if (text[i] === '\n') lineStarts.push(i + 1);
+  }
+
+  const lineOf = (offset) => {
+    let low = 0;
+    let high = lineStarts.length - 1;
+    while (low < high) {
+      const mid = Math.ceil((low + high) / 2);
+      if (lineStarts[mid] <= offset) low = mid; else high = mid - 1;
+    }
+    return low;
+  };
+
+  const lines = new Map();
+  hits.forEach(hit => {
+    const index = lineOf(hit.start);
+    const start = lineStarts[index];
+    const end = index + 1 < lineStarts.length ? lineStarts[index + 1] - 1 : text.length;
+    if (!lines.has(index)) lines.set(index, { start, end, ranges: [] });
+    lines.get(index).ranges.push([hit.start - start, Math.min(hit.end, end) - start]);
+  });
+
+  return [...lines.entries()]
+    .sort(([a], [b]) => a - b)
+    .map(([index, { start, end, ranges }]) => ({
+      line: index + 1,
+      ...excerpt(text.slice(start, end), ranges)
+    }));
+};
+
+// Scores a snippet by the hits `find(text, language)` reports in the code of
+// its files: one point per hit, with the matching lines. Hits may carry the
+// index of the `clause` they belong to; null unless all `clauseCount` clauses
+// were hit somewhere.
+const scoreCode = (snippet, find, clauseCount = 1) => {
+  const matched = new Set();
+  const matches = [];
+  let score = 0;
+
+  searchableFields(snippet)
+    .filter(entry => entry.field === 'content')
+    .forEach(entry => {
+      const hits = find(entry.text, entry.file.language || snippet.language);
+      if (hits.length === 0) return;
+
+      hits.forEach(hit => matched.add(hit.clause || 0));
+      score += hits.length;
+      lineMatches(entry.text, hits)
+        .slice(0, Math.max(0, MAX_LINE_MATCHES - matches.length))
+        .forEach(line => {
+          matches.push({ field: 'content', fileId: entry.file._id, filename: entry.file.filename, ...line });
+        });
+    });
+
+  if (matched.size < clauseCount) return null;
+  return { score, matches };
+};
+
+// Best scores first, ties broken by recency; returns one page of results
+// (snippet fields plus `score` and `matches`) and the total count
+const rankResults = (scored, { page = 1, limit = 20 } = {}) => {
+  const ranked = scored
+    .filter(({ result }) => result)
+    .sort((a, b) => b.result.score - a.result.score || b.snippet.updatedAt - a.snippet.updatedAt);
+
+  const start = (page - 1) * limit;
+  return {
+    total: ranked.length,
+    results: ranked.slice(start, start + limit).map(({ snippet, result }) => ({
+      ...snippet.toObject(),
+      score: Math.round(result.score * 1000) / 1000,
+      matches: result.matches
+    }))
+  };
+};
+
+module.exports = {
+  MAX_LINE_MATCHES,
+  fetchCandidates,
+  excerpt,
+  lineMatches,
+  scoreCode,
+  rankResults
+};
@@ -0,0 +1,67 @@
+const { escapeRegExp } = require('../utils/regex');
+const { lex } = require('./lexer');
+const { queryTerms } = require('./tokenizer');
+const { QueryParseError } = require('./query');
+const { fetchCandidates, scoreCode, rankResults } = require('./results');
+
+// Symbol search: identifiers as the lexer of each file's language reads them.
+// `getUser` finds the identifier `getUser` but not `getUsers`, `getuser` or
+// the words "get user"; `get*` finds every identifier starting with `get`.
+
+const IDENTIFIER = /^[\p{L}_$][\p{L}\p{N}_$]*$/u;
+
+// Space separated identifiers, each optionally ending in `*`, that must all
+// occur: [{ name, isPrefix }]
+const parseSymbols = (input) => {
+  const symbols = [];
+  if (typeof input !== 'string') return symbols;
+
+  for (const match of input.matchAll(/\S+/g)) {
+    const isPrefix = match[0].endsWith('*');
+    const name = isPrefix ? match[0].slice(0, -1) : match[0];
+    if (!IDENTIFIER.test(name)) {
+      throw new QueryParseError(`"${match[0]}" is not an identifier`, match.index);
+    }
+    symbols.push({ name, isPrefix });
+  }
+  return symbols;
+};
+
+// Narrows candidates with the full-text index, which holds every identifier
+// lowercased (without `$`)
+const symbolCondition = (symbol) => {
+  const terms = queryTerms(symbol.name);
+  if (terms.length !== 1 || terms[0] !== symbol.name.toLowerCase()) return null;
+  return symbol.isPrefix
+    ? { searchTerms: { $regex: `^${escapeRegExp(terms[0])}` } }
+    : { searchTerms: terms[0] };
+};
+
+const symbolHits = (symbols, codeOnly) => (text, language) => {
+  const hits = [];
+  lex(text, language).forEach(token => {
+    if (codeOnly && token.kind !== 'code') return;
+    symbols.forEach((symbol, clause) => {
+      const isMatch = symbol.isPrefix ? token.name.startsWith(symbol.name) : token.name === symbol.name;
+      if (isMatch) hits.push({ clause, start: token.start, end: token.end });
+    });
+  });
+  return hits;
+};
+
+// Snippets using every symbol, the ones using them most first. With
+// `codeOnly`, identifiers in comments and strings do not count.
+const symbolSearch = async (baseQuery, symbols, { codeOnly = false, ...options } = {}) => {
+  const conditions = symbols.map(symbolCondition).filter(Boolean);
+  const candidates = await fetchCandidates({ $and: [baseQuery, ...conditions] });
+  const find = symbolHits(symbols, codeOnly);
+  return rankResults(
+    candidates.map(snippet => ({ snippet, result: scoreCode(snippet, find, symbols.length) })),
+    options
+  );
+};
+
+module.exports = {
+  parseSymbols,
+  symbolSearch
+};
@@ -0,0 +1,60 @@
+// Splits text into searchable words. Identifiers are also broken into their
+// parts so `handleSubmit` is found by "handle" and "submit" as well as by
+// "handlesubmit", and `user_id` by "user" and "id".
+
+const WORD = /[\p{L}\p{N}_]+/gu;
+const PART = /\p{Lu}+(?!\p{Ll})|\p{Lu}?\p{Ll}+|\p{N}+|\p{L}+/gu;
+
+const MIN_TERM_LENGTH = 2;
+// Longer runs are minified code or encoded data, not something people search for
+const MAX_TERM_LENGTH = 64;
+
+const isIndexable = (term) => term.length >= MIN_TERM_LENGTH && term.length <= MAX_TERM_LENGTH;
+
+// Words of a text with their offsets: [{ term, start, end, parts }]
+const tokenize = (text) => {
+  const words = [];
+  if (!text) return words;
+
+  for (const match of text.matchAll(WORD)) {
+    const word = match[0];
+    const start = match.index;
+    const parts = [];
+    for (const part of word.matchAll(PART)) {
+      parts.push({
+        term: part[0].toLowerCase(),
+        start: start + part.index,
+        end: start + part.index + part[0].length
+      });
+    }
+
+    words.push({
+      term: word.toLowerCase(),
+      start,
+      end: start + word.length,
+      parts: parts.length > 1 ? parts : []
+    });
+  }
+  return words;
+};
+
+// Lowercased terms of a piece of query text, in order
+const queryTerms = (text) => tokenize(text).map(word => word.term).filter(isIndexable);
+
+// Everything a text can be found by
+const indexTerms = (text, terms = new Set()) => {
+  for (const word of tokenize(text)) {
+    if (isIndexable(word.term)) terms.add(word.term);
+    word.parts.forEach(part => {
+      if (isIndexable(part.term)) terms.add(part.term);
+    });
+  }
+  return terms;
+};
+
+module.exports = {
+  MIN_TERM_LENGTH,
+  tokenize,
+  queryTerms,
+  indexTerms
+};
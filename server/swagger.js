@@ -26,7 +26,8 @@ const swaggerDefinition = {
       bearerAuth: {
         type: 'http',
         scheme: 'bearer',
-        bearerFormat: 'JWT'
+        bearerFormat: 'JWT',
+        description: 'A login token, or a personal API token (`ssp_...`) with the scope the endpoint needs'
       }
     },
     schemas: {
@@ -43,6 +44,15 @@ const swaggerDefinition = {
           createdAt: { type: 'string', format: 'date-time' }
         }
       },
+      SnippetFile: {
+        type: 'object',
+        properties: {
+          _id: { type: 'string', example: '507f1f77bcf86cd799439012' },
+          filename: { type: 'string', example: 'MyComponent.jsx' },
+          language: { type: 'string', example: 'jsx' },
+          content: { type: 'string', example: 'const MyComponent = () => null;' }
+        }
+      },
       Snippet: {
         type: 'object',
         properties: {
@@ -50,6 +60,11 @@ const swaggerDefinition = {
           title: { type: 'string', example: 'React Component Example' },
           content: { type: 'string', example: 'import React from \'react\';\n\nconst MyComponent = () => {\n  return <div>Hello World</div>;\n};\n\nexport default MyComponent;' },
           language: { type: 'string', example: 'jsx' },
+          files: {
+            type: 'array',
+            description: 'Ordered files of the snippet; content and language mirror the first one',
+            items: { $ref: '#/components/schemas/SnippetFile' }
+          },
           description: { type: 'string', example: 'A simple React component' },
           tags: { type: 'array', items: { type: 'string' }, example: ['react', 'component', 'javascript'] },
           visibility: { type: 'string', enum: ['private', 'organization', 'public'], example: 'organization' },
@@ -57,6 +72,15 @@ const swaggerDefinition = {
           organization: { type: 'string', example: 'My Company' },
           shareId: { type: 'string', example: 'a1b2c3d4-e5f6-7890-abcd-ef1234567890' },
           views: { type: 'integer', example: 42 },
+          starCount: { type: 'integer', example: 5 },
+          forkedFrom: {
+            type: 'string',
+            nullable: true,
+            description: 'ID of the snippet this one was forked from. GET /api/snippets/{id} expands it to { available, _id, title, author }, with only available: false when the original cannot be viewed.'
+          },
+          forkCount: { type: 'integer', example: 2 },
+          lastEditedBy: { $ref: '#/components/schemas/User' },
+          lastEditedAt: { type: 'string', format: 'date-time' },
           isActive: { type: 'boolean', example: true },
           sharedWith: {
             type: 'array',
@@ -73,11 +97,12 @@ const swaggerDefinition = {
           },
           currentViewers: {
             type: 'array',
+            description: 'Users viewing the snippet right now (in-memory presence)',
             items: {
               type: 'object',
               properties: {
                 user: { $ref: '#/components/schemas/User' },
-                lastSeen: { type: 'string', format: 'date-time' },
+                joinedAt: { type: 'string', format: 'date-time' },
                 isOnline: { type: 'boolean', example: true }
               }
             }
@@ -86,6 +111,618 @@ const swaggerDefinition = {
           updatedAt: { type: 'string', format: 'date-time' }
         }
       },
+      StarState: {
+        type: 'object',
+        properties: {
+          starred: { type: 'boolean', example: true },
+          starCount: { type: 'integer', example: 5 }
+        }
+      },
+      SearchHit: {
+        type: 'object',
+        description: 'Relevance details added to snippets returned by a text search',
+        properties: {
+          score: { type: 'number', example: 7.352 },
+          matches: {
+            type: 'array',
+            description: 'Places the query matched, with highlight ranges as [start, end] offsets into text',
+            items: {
+              type: 'object',
+              properties: {
+                field: { type: 'string', enum: ['title', 'tags', 'description', 'filename', 'content'] },
+                fileId: { type: 'string', example: '507f1f77bcf86cd799439012' },
+                filename: { type: 'string', example: 'useAuth.js' },
+                line: { type: 'integer', description: 'Line number, for content matches', example: 12 },
+                text: { type: 'string', example: '  const handleSubmit = async (e) => {' },
+                highlights: {
+                  type: 'array',
+                  items: { type: 'array', items: { type: 'integer' } },
+                  example: [[8, 14]]
+                }
+              }
+            }
+          }
+        }
+      },
+      SearchQuery: {
+        type: 'object',
+        description: 'Parameters of /api/snippets/search',
+        properties: {
+          q: { type: 'string', example: 'lang:python tag:etl -deprecated' },
+          mode: { type: 'string', enum: ['text', 'regex', 'symbol'], example: 'text' },
+          scope: { type: 'string', enum: ['all', 'code'], example: 'all' },
+          language: { type: 'string', example: 'python' },
+          tags: { type: 'string', example: 'etl,pandas' },
+          author: { type: 'string', example: 'alice' }
+        }
+      },
+      SavedSearch: {
+        type: 'object',
+        properties: {
+          _id: { type: 'string', example: '507f1f77bcf86cd799439011' },
+          name: { type: 'string', example: 'Python ETL' },
+          query: { $ref: '#/components/schemas/SearchQuery' },
+          pinned: { type: 'boolean', example: true },
+          lastSeenAt: { type: 'string', format: 'date-time' },
+          newCount: {
+            type: 'integer',
+            nullable: true,
+            description: 'Matching snippets others created or edited since lastSeenAt, as of countedAt. Null when the search could not be counted, or has not been yet.',
+            example: 3
+          },
+          countError: {
+            type: 'string',
+            nullable: true,
+            description: 'Why the search could not be counted, such as a regular expression too slow to count',
+            example: null
+          },
+          countedAt: { type: 'string', format: 'date-time', nullable: true },
+          createdAt: { type: 'string', format: 'date-time' },
+          updatedAt: { type: 'string', format: 'date-time' }
+        }
+      },
+      Collection: {
+        type: 'object',
+        properties: {
+          _id: { type: 'string', example: '507f1f77bcf86cd799439011' },
+          name: { type: 'string', example: 'Deployment scripts' },
+          description: { type: 'string', example: 'Everything we run on release day' },
+          parent: { type: 'string', nullable: true, description: 'Enclosing collection, null at the top level' },
+          owner: { $ref: '#/components/schemas/User' },
+          organization: { type: 'string', example: 'My Company' },
+          visibility: { type: 'string', enum: ['private', 'organization', 'public'], example: 'organization' },
+          shareId: { type: 'string', example: 'a1b2c3d4-e5f6-7890-abcd-ef1234567890' },
+          snippetCount: { type: 'integer', example: 12 },
+          createdAt: { type: 'string', format: 'date-time' },
+          updatedAt: { type: 'string', format: 'date-time' }
+        }
+      },
+      CollectionDetail: {
+        allOf: [
+          { $ref: '#/components/schemas/Collection' },
+          {
+            type: 'object',
+            properties: {
+              snippets: {
+                type: 'array',
+                description: 'Snippets the user may see, in collection order',
+                items: { $ref: '#/components/schemas/Snippet' }
+              },
+              hiddenCount: { type: 'integer', description: 'Snippets in the collection the user may not see', example: 0 },
+              children: { type: 'array', items: { $ref: '#/components/schemas/Collection' } },
+              path: {
+                type: 'array',
+                description: 'Ancestors from the top level down',
+                items: {
+                  type: 'object',
+                  properties: {
+                    _id: { type: 'string' },
+                    name: { type: 'string' }
+                  }
+                }
+              },
+              permissions: {
+                type: 'object',
+                properties: {
+                  isOwner: { type: 'boolean' },
+                  canEdit: { type: 'boolean' }
+                }
+              }
+            }
+          }
+        ]
+      },
+      CollectionSnippets: {
+        type: 'object',
+        properties: {
+          snippetIds: { type: 'array', items: { type: 'string' }, description: 'Snippets of the collection in order' }
+        }
+      },
+      SnippetRevision: {
+        type: 'object',
+        properties: {
+          _id: { type: 'string', example: '507f1f77bcf86cd799439011' },
+          snippet: { type: 'string', example: '507f1f77bcf86cd799439011' },
+          number: { type: 'integer', example: 3 },
+          title: { type: 'string', example: 'React Component Example' },
+          content: { type: 'string', example: 'const MyComponent = () => null;' },
+          language: { type: 'string', example: 'jsx' },
+          description: { type: 'string', example: 'A simple React component' },
+          tags: { type: 'array', items: { type: 'string' }, example: ['react'] },
+          files: {
+            type: 'array',
+            items: {
+              type: 'object',
+              properties: {
+                fileId: { type: 'string', example: '507f1f77bcf86cd799439012' },
+                filename: { type: 'string', example: 'MyComponent.jsx' },
+                language: { type: 'string', example: 'jsx' },
+                content: { type: 'string', example: 'const MyComponent = () => null;' }
+              }
+            }
+          },
+          author: { $ref: '#/components/schemas/User' },
+          restoredFrom: { type: 'integer', example: 1 },
+          createdAt: { type: 'string', format: 'date-time' }
+        }
+      },
+      RevisionDiff: {
+        type: 'object',
+        properties: {
+          from: { type: 'object', properties: { number: { type: 'integer' }, createdAt: { type: 'string', format: 'date-time' } } },
+          to: { type: 'object', properties: { number: { type: 'integer' }, createdAt: { type: 'string', format: 'date-time' } } },
+          changes: {
+            type: 'object',
+            description: 'Metadata fields that differ, keyed by field name',
+            example: { title: { from: 'Old title', to: 'New title' } }
+          },
+          stats: {
+            type: 'object',
+            description: 'Lines added and removed across all files',
+            properties: {
+              added: { type: 'integer', example: 4 },
+              removed: { type: 'integer', example: 2 }
+            }
+          },
+          files: {
+            type: 'array',
+            items: {
+              type: 'object',
+              properties: {
+                fileId: { type: 'string', example: '507f1f77bcf86cd799439012' },
+                status: { type: 'string', enum: ['added', 'removed', 'modified', 'renamed', 'unchanged'] },
+                from: {
+                  type: 'object',
+                  nullable: true,
+                  properties: { filename: { type: 'string' }, language: { type: 'string' } }
+                },
+                to: {
+                  type: 'object',
+                  nullable: true,
+                  properties: { filename: { type: 'string' }, language: { type: 'string' } }
+                },
+                stats: {
+                  type: 'object',
+                  properties: {
+                    added: { type: 'integer', example: 4 },
+                    removed: { type: 'integer', example: 2 }
+                  }
+                },
+                lines: {
+                  type: 'array',
+                  items: {
+                    type: 'object',
+                    properties: {
+                      type: { type: 'string', enum: ['equal', 'insert', 'delete'] },
+                      oldNumber: { type: 'integer', nullable: true },
+                      newNumber: { type: 'integer', nullable: true },
+                      text: { type: 'string' }
+                    }
+                  }
+                }
+              }
+            }
+          }
+        }
+      },
+      ForkDiff: {
+        description: 'A revision diff between two snippets instead of two revisions',
+        allOf: [
+          { $ref: '#/components/schemas/RevisionDiff' },
+          {
+            type: 'object',
+            properties: {
+              from: {
+                type: 'object',
+                description: 'The original snippet',
+                properties: {
+                  _id: { type: 'string' },
+                  title: { type: 'string' },
+                  author: { $ref: '#/components/schemas/User' },
+                  updatedAt: { type: 'string', format: 'date-time' }
+                }
+              },
+              to: {
+                type: 'object',
+                description: 'The fork',
+                properties: {
+                  _id: { type: 'string' },
+                  title: { type: 'string' },
+                  author: { $ref: '#/components/schemas/User' },
+                  updatedAt: { type: 'string', format: 'date-time' }
+                }
+              }
+            }
+          }
+        ]
+      },
+      Comment: {
+        type: 'object',
+        properties: {
+          _id: { type: 'string', example: '507f1f77bcf86cd799439011' },
+          author: {
+            nullable: true,
+            description: 'Null for deleted comments',
+            allOf: [{ $ref: '#/components/schemas/User' }]
+          },
+          body: { type: 'string', description: 'Markdown; empty for deleted comments', example: 'Should this retry on `ECONNRESET` too?' },
+          deleted: { type: 'boolean', description: 'A deleted first comment that is kept for its replies' },
+          isAuthor: { type: 'boolean', description: 'Whether the current user wrote the comment' },
+          editedAt: { type: 'string', format: 'date-time', nullable: true },
+          createdAt: { type: 'string', format: 'date-time' }
+        }
+      },
+      CommentThread: {
+        description: 'The first comment of a thread with the thread\'s anchor, state and replies',
+        allOf: [
+          { $ref: '#/components/schemas/Comment' },
+          {
+            type: 'object',
+            properties: {
+              fileId: { type: 'string', nullable: true, description: 'File the thread is anchored to; null for comments on the whole snippet' },
+              startLine: { type: 'integer', example: 12 },
+              endLine: { type: 'integer', example: 14 },
+              excerpt: { type: 'string', description: 'The anchored lines when the thread was started' },
+              outdated: { type: 'boolean', description: 'The anchored lines have changed since' },
+              resolved: { type: 'boolean' },
+              resolvedBy: { $ref: '#/components/schemas/User' },
+              resolvedAt: { type: 'string', format: 'date-time' },
+              canResolve: { type: 'boolean', description: 'Whether the current user may resolve or reopen the thread' },
+              replies: {
+                type: 'array',
+                items: { $ref: '#/components/schemas/Comment' }
+              }
+            }
+          }
+        ]
+      },
+      Notification: {
+        type: 'object',
+        properties: {
+          _id: { type: 'string', example: '507f1f77bcf86cd799439011' },
+          type: { type: 'string', enum: ['share', 'comment', 'reply', 'fork', 'edit'], example: 'comment' },
+          read: { type: 'boolean' },
+          createdAt: { type: 'string', format: 'date-time' },
+          actor: { $ref: '#/components/schemas/User' },
+          snippet: {
+            type: 'object',
+            nullable: true,
+            description: 'The snippet it is about (the fork for fork notifications); null if deleted',
+            properties: {
+              _id: { type: 'string' },
+              title: { type: 'string' }
+            }
+          },
+          collection: {
+            type: 'object',
+            nullable: true,
+            description: 'The shared collection, for collection shares',
+            properties: {
+              _id: { type: 'string' },
+              name: { type: 'string' }
+            }
+          },
+          comment: {
+            type: 'object',
+            nullable: true,
+            description: 'The comment, for comment and reply notifications',
+            properties: {
+              _id: { type: 'string' },
+              preview: { type: 'string', description: 'The first 140 characters of its markdown' }
+            }
+          }
+        }
+      },
+      NotificationPreferences: {
+        type: 'object',
+        description: 'Whether the user gets each type of notification',
+        properties: {
+          share: { type: 'boolean', example: true },
+          comment: { type: 'boolean', example: true },
+          reply: { type: 'boolean', example: true },
+          fork: { type: 'boolean', example: true },
+          edit: { type: 'boolean', example: false }
+        }
+      },
+      EmailPreferences: {
+        type: 'object',
+        properties: {
+          shares: { type: 'boolean', description: 'Email when something is shared with the user', example: true },
+          digest: {
+            type: 'string',
+            enum: ['off', 'daily', 'weekly'],
+            description: 'How often unread notifications are summarized by email',
+            example: 'daily'
+          }
+        }
+      },
+      ShareEntry: {
+        type: 'object',
+        properties: {
+          id: { type: 'string', example: '507f1f77bcf86cd799439011' },
+          user: {
+            type: 'object',
+            nullable: true,
+            description: 'Null for pending invites to emails without an account',
+            properties: {
+              id: { type: 'string' },
+              username: { type: 'string', example: 'jane_smith' },
+              email: { type: 'string', example: 'jane@company.com' }
+            }
+          },
+          email: { type: 'string', example: 'jane@company.com' },
+          permissions: { type: 'string', enum: ['view', 'edit'], example: 'view' },
+          sharedAt: { type: 'string', format: 'date-time' },
+          sharedBy: {
+            type: 'object',
+            properties: {
+              id: { type: 'string' },
+              username: { type: 'string', example: 'john_doe' }
+            }
+          }
+        }
+      },
+      AuditLogEntry: {
+        type: 'object',
+        properties: {
+          _id: { type: 'string', example: '507f1f77bcf86cd799439011' },
+          action: { type: 'string', example: 'share.claimed' },
+          actor: { $ref: '#/components/schemas/User' },
+          organization: { type: 'string', example: 'My Company' },
+          target: {
+            type: 'object',
+            properties: {
+              kind: { type: 'string', example: 'User' },
+              id: { type: 'string', example: '507f1f77bcf86cd799439011' }
+            }
+          },
+          details: { type: 'object', description: 'Action-specific payload' },
+          createdAt: { type: 'string', format: 'date-time' }
+        }
+      },
+      EmailSettings: {
+        type: 'object',
+        description: 'Outgoing email configuration. The SMTP password is write-only.',
+        properties: {
+          enabled: { type: 'boolean', example: true },
+          transport: {
+            type: 'string',
+            enum: ['smtp', 'file', 'console'],
+            description: '`file` writes .eml files to `outboxDir`, `console` prints emails to the server log',
+            example: 'smtp'
+          },
+          from: { type: 'string', example: 'SnipSafe <no-reply@company.com>' },
+          appUrl: { type: 'string', description: 'Base URL of the web app used for links', example: 'https://snippets.company.com' },
+          smtp: {
+            type: 'object',
+            properties: {
+              host: { type: 'string', example: 'smtp.company.com' },
+              port: { type: 'integer', example: 587 },
+              secure: { type: 'boolean', example: false },
+              user: { type: 'string', example: 'snipsafe' },
+              password: { type: 'string', writeOnly: true },
+              passwordSet: { type: 'boolean', readOnly: true }
+            }
+          },
+          outboxDir: { type: 'string', example: 'mail-outbox' },
+          inviteReminderDays: {
+            type: 'integer',
+            description: 'Days after which a pending invite is repeated once; 0 turns reminders off',
+            example: 3
+          }
+        }
+      },
+      EmailJob: {
+        type: 'object',
+        properties: {
+          _id: { type: 'string', example: '507f1f77bcf86cd799439011' },
+          kind: { type: 'string', enum: ['share_invite', 'invite_reminder', 'digest', 'test'] },
+          to: { type: 'string', format: 'email' },
+          subject: { type: 'string' },
+          status: { type: 'string', enum: ['pending', 'sending', 'sent', 'failed'] },
+          attempts: { type: 'integer', example: 1 },
+          nextAttemptAt: { type: 'string', format: 'date-time' },
+          lastError: { type: 'string' },
+          sentAt: { type: 'string', format: 'date-time' },
+          createdAt: { type: 'string', format: 'date-time' }
+        }
+      },
+      Webhook: {
+        type: 'object',
+        properties: {
+          _id: { type: 'string', example: '507f1f77bcf86cd799439011' },
+          url: { type: 'string', example: 'https://chat.company.com/hooks/snipsafe' },
+          description: { type: 'string', example: 'Team chat bot' },
+          events: {
+            type: 'array',
+            items: {
+              type: 'string',
+              enum: ['snippet.created', 'snippet.updated', 'snippet.deleted', 'snippet.shared', 'snippet.commented']
+            }
+          },
+          active: { type: 'boolean', example: true },
+          lastDelivery: {
+            type: 'object',
+            nullable: true,
+            properties: {
+              status: { type: 'string', enum: ['pending', 'sending', 'succeeded', 'failed'] },
+              responseStatus: { type: 'integer', example: 200 },
+              createdAt: { type: 'string', format: 'date-time' }
+            }
+          },
+          createdAt: { type: 'string', format: 'date-time' },
+          updatedAt: { type: 'string', format: 'date-time' }
+        }
+      },
+      WebhookDelivery: {
+        type: 'object',
+        properties: {
+          _id: { type: 'string', description: 'Sent as the X-SnipSafe-Delivery header' },
+          webhook: { type: 'string' },
+          event: { type: 'string', example: 'snippet.created' },
+          payload: { type: 'object', description: 'The JSON body that was sent' },
+          status: { type: 'string', enum: ['pending', 'sending', 'succeeded', 'failed'] },
+          attempts: { type: 'integer', example: 1 },
+          nextAttemptAt: { type: 'string', format: 'date-time' },
+          responseStatus: { type: 'integer', description: 'HTTP status of the last attempt', example: 200 },
+          responseBody: { type: 'string', description: 'The first 1000 characters of the last response' },
+          error: { type: 'string', description: 'Why the last attempt got no response', example: 'connect ECONNREFUSED' },
+          duration: { type: 'integer', description: 'Milliseconds the last attempt took' },
+          deliveredAt: { type: 'string', format: 'date-time' },
+          createdAt: { type: 'string', format: 'date-time' }
+        }
+      },
+      ApiToken: {
+        type: 'object',
+        properties: {
+          _id: { type: 'string', example: '507f1f77bcf86cd799439011' },
+          name: { type: 'string', example: 'CI deploy' },
+          prefix: { type: 'string', description: 'The start of the token', example: 'ssp_Xb3kQ9' },
+          scopes: {
+            type: 'array',
+            items: { type: 'string', enum: ['snippets:read', 'snippets:write', 'share', 'admin'] }
+          },
+          expiresAt: { type: 'string', format: 'date-time', nullable: true },
+          lastUsedAt: { type: 'string', format: 'date-time', nullable: true },
+          expired: { type: 'boolean' },
+          createdAt: { type: 'string', format: 'date-time' }
+        }
+      },
+      V1SnippetFile: {
+        type: 'object',
+        properties: {
+          id: { type: 'string', example: '507f1f77bcf86cd799439012' },
+          filename: { type: 'string', example: 'deploy.sh' },
+          language: { type: 'string', example: 'bash' },
+          size: { type: 'integer', description: 'Length of the content in characters', example: 512 },
+          content: { type: 'string', description: 'Only when fetching a single snippet' }
+        }
+      },
+      V1Snippet: {
+        type: 'object',
+        description: 'Compact snippet for editor plugins',
+        properties: {
+          id: { type: 'string', example: '507f1f77bcf86cd799439011' },
+          title: { type: 'string', example: 'Deploy helpers' },
+          description: { type: 'string' },
+          visibility: { type: 'string', enum: ['private', 'organization', 'public'] },
+          tags: { type: 'array', items: { type: 'string' }, example: ['ops'] },
+          author: { type: 'string', description: 'Username of the author', example: 'john_doe' },
+          files: { type: 'array', items: { $ref: '#/components/schemas/V1SnippetFile' } },
+          shareId: { type: 'string', example: '3b0f7a1e-6f0e-4c4a-9a57-0d2a2c3b1f10' },
+          url: { type: 'string', example: 'https://snipsafe.example.com/snippet/507f1f77bcf86cd799439011' },
+          permission: {
+            type: 'string',
+            enum: ['owner', 'edit', 'view'],
+            description: 'What you may do with the snippet; only when fetching a single snippet'
+          },
+          createdAt: { type: 'string', format: 'date-time' },
+          updatedAt: { type: 'string', format: 'date-time' }
+        }
+      },
+      DeviceAuthorization: {
+        type: 'object',
+        properties: {
+          deviceCode: { type: 'string', description: 'Secret the plugin polls with; never show it to the user' },
+          userCode: { type: 'string', example: 'BDKM-QRTZ' },
+          verificationUri: { type: 'string', example: 'https://snipsafe.example.com/device' },
+          verificationUriComplete: { type: 'string', example: 'https://snipsafe.example.com/device?code=BDKM-QRTZ' },
+          expiresIn: { type: 'integer', description: 'Seconds until the codes expire', example: 600 },
+          interval: { type: 'integer', description: 'Seconds to wait between polls', example: 5 }
+        }
+      },
+      ShareLink: {
+        type: 'object',
+        properties: {
+          _id: { type: 'string' },
+          token: { type: 'string', description: 'Opens the snippet at /share/{token}', example: 'q9Jc2xV0bq6mD1rT7yLwZ4nE' },
+          label: { type: 'string', example: 'Design review' },
+          expiresAt: { type: 'string', format: 'date-time', nullable: true },
+          maxViews: { type: 'integer', nullable: true, example: 10 },
+          views: { type: 'integer', example: 3 },
+          hasPassword: { type: 'boolean' },
+          lastViewedAt: { type: 'string', format: 'date-time', nullable: true },
+          revokedAt: { type: 'string', format: 'date-time', nullable: true },
+          status: { type: 'string', enum: ['active', 'revoked', 'expired', 'view_limit_reached'] },
+          createdAt: { type: 'string', format: 'date-time' }
+        }
+      },
+      SnippetExport: {
+        type: 'object',
+        properties: {
+          format: { type: 'string', example: 'snipsafe' },
+          version: { type: 'integer', example: 1 },
+          exportedAt: { type: 'string', format: 'date-time' },
+          snippets: {
+            type: 'array',
+            items: {
+              type: 'object',
+              properties: {
+                id: { type: 'string' },
+                title: { type: 'string' },
+                description: { type: 'string' },
+                visibility: { type: 'string', enum: ['private', 'organization', 'public'] },
+                tags: { type: 'array', items: { type: 'string' } },
+                author: { type: 'string', description: 'Username of the author' },
+                createdAt: { type: 'string', format: 'date-time' },
+                updatedAt: { type: 'string', format: 'date-time' },
+                files: {
+                  type: 'array',
+                  items: {
+                    type: 'object',
+                    properties: {
+                      filename: { type: 'string', example: 'app.js' },
+                      language: { type: 'string', example: 'javascript' },
+                      content: { type: 'string' },
+                      path: { type: 'string', description: 'In archives, where the content is stored instead', example: 'snippets/react-hooks/app.js' }
+                    }
+                  }
+                }
+              }
+            }
+          }
+        }
+      },
+      ImportResult: {
+        type: 'object',
+        properties: {
+          imported: { type: 'integer', example: 12 },
+          failed: { type: 'integer', example: 1 },
+          results: {
+            type: 'array',
+            items: {
+              type: 'object',
+              properties: {
+                source: { type: 'string', description: 'Where the item came from, such as a gist id or `notes.md#Heading`' },
+                status: { type: 'string', enum: ['created', 'failed'] },
+                snippetId: { type: 'string' },
+                title: { type: 'string' },
+                error: { type: 'string' }
+              }
+            }
+          }
+        }
+      },
       Error: {
         type: 'object',
         properties: {
@@ -0,0 +1,330 @@
+const path = require('path');
+const { readTar } = require('../utils/tar');
+const { readZip } = require('../utils/zip');
+const {
+  LANGUAGE_EXTENSIONS,
+  defaultFilename,
+  languageFromFilename,
+  languageFromContent
+} = require('../utils/languages');
+
+// Parsers for the formats snippets can be imported from. Each turns an
+// upload into items of the form
+//   { source, title, description, visibility, tags, files: [{ filename, language, content }] }
+// or { source, error } for an entry that cannot be imported. Problems with the
+// upload as a whole are thrown.
+
+const FORMAT = 'snipsafe';
+const MAX_DESCRIPTION = 1000;
+// Most an uploaded archive may unpack to. Uploads are decompressed in memory
+// and on the main thread, so a few megabytes of gzipped zeros must not turn
+// into gigabytes.
+const MAX_ARCHIVE_SIZE = 100 * 1024 * 1024;
+
+// Language names used by Markdown fences and GitHub that are not our ids
+const LANGUAGE_ALIASES = {
+  'c++': 'cpp',
+  'c#': 'csharp',
+  cs: 'csharp',
+  golang: 'go',
+  js: 'javascript',
+  node: 'javascript',
+  ts: 'typescript',
+  py: 'python',
+  python3: 'python',
+  rb: 'ruby',
+  sh: 'bash',
+  zsh: 'bash',
+  console: 'bash',
+  'shell-session': 'bash',
+  pwsh: 'powershell',
+  ps1: 'powershell',
+  yml: 'yaml',
+  md: 'markdown',
+  dockerfile: 'docker',
+  text: 'plaintext',
+  txt: 'plaintext',
+  'plain text': 'plaintext'
+};
+
+// Our id for a language name such as `C++`, `golang` or `py`; null when unknown
+const languageFromName = (name) => {
+  const key = String(name || '').trim().toLowerCase();
+  if (!key) return null;
+  if (LANGUAGE_EXTENSIONS[key]) return key;
+  return LANGUAGE_ALIASES[key] || languageFromFilename(`file.${key}`);
+};
+
+const isArchive = (buffer) => Buffer.isBuffer(buffer) && buffer.length >= 4 && (
+  (buffer[0] === 0x1f && buffer[1] === 0x8b) ||
+  buffer.readUInt32LE(0) === 0x04034b50 ||
+  buffer.toString('latin1', 257, 262) === 'ustar'
+);
+
+// The text files of an uploaded archive as [{ name, content }]. Version
+// control and macOS metadata are left out, as are binary files.
+const readArchive = (buffer) => {
+  const read = buffer.readUInt32LE(0) === 0x04034b50 ? readZip : readTar;
+  const entries = read(buffer, { maxSize: MAX_ARCHIVE_SIZE });
+  return entries
+    .filter(entry => !/(^|\/)(\.git|__MACOSX)\//.test(entry.name) && !entry.content.includes(0))
+    .map(entry => ({ name: entry.name.replace(/^\.\//, ''), content: entry.content.toString('utf8') }));
+};
+
+const parseJson = (input) => {
+  if (!Buffer.isBuffer(input)) return input;
+  try {
+    return JSON.parse(input.toString('utf8'));
+  } catch (error) {
+    throw new Error('The upload is not valid JSON or a supported archive');
+  }
+};
+
+const describe = (text) => {
+  const description = String(text || '').trim();
+  return description.length > MAX_DESCRIPTION
+    ? `${description.slice(0, MAX_DESCRIPTION - 1)}…`
+    : description;
+};
+
+// Filenames must be unique within a snippet; later duplicates get a number
+// before the extension
+const dedupeFilenames = (files) => {
+  const taken = new Set();
+  return files.map(file => {
+    const { name, ext } = path.parse(file.filename);
+    let filename = file.filename;
+    for (let n = 2; taken.has(filename); n++) {
+      filename = `${name}-${n}${ext}`;
+    }
+    taken.add(filename);
+    return { ...file, filename };
+  });
+};
+
+// --- SnipSafe exports -------------------------------------------------------
+
+const parseSnipsafe = (input) => {
+  let document;
+  let archiveFiles = null;
+  let root = '';
+
+  if (isArchive(input)) {
+    const entries = readArchive(input);
+    const manifest = entries.find(entry => path.posix.basename(entry.name) === 'snippets.json');
+    if (!manifest) throw new Error('The archive has no snippets.json');
+    root = path.posix.dirname(manifest.name);
+    archiveFiles = new Map(entries.map(entry => [entry.name, entry.content]));
+    document = parseJson(Buffer.from(manifest.content, 'utf8'));
+  } else {
+    document = parseJson(input);
+  }
+
+  if (!document || document.format !== FORMAT || !Array.isArray(document.snippets)) {
+    throw new Error('Not a SnipSafe export');
+  }
+
+  return document.snippets.map((snippet, index) => {
+    const source = snippet.title || `snippets[${index}]`;
+    const files = [];
+    for (const file of Array.isArray(snippet.files) ? snippet.files : []) {
+      let content = file.content;
+      if (typeof content !== 'string' && archiveFiles && file.path) {
+        content = archiveFiles.get(path.posix.join(root, file.path));
+      }
+      if (typeof content !== 'string') {
+        return { source, error: `File "${file.filename || file.path}" has no content` };
+      }
+      files.push({
+        filename: file.filename || path.posix.basename(file.path || ''),
+        language: file.language || languageFromFilename(file.filename) || languageFromContent(content),
+        content
+      });
+    }
+
+    return {
+      source,
+      title: snippet.title,
+      description: snippet.description,
+      visibility: snippet.visibility,
+      tags: Array.isArray(snippet.tags) ? snippet.tags : [],
+      files
+    };
+  });
+};
+
+// --- GitHub gists -----------------------------------------------------------
+
+const gistFile = (filename, content, language) => ({
+  filename,
+  language: languageFromFilename(filename) || languageFromName(language) || languageFromContent(content),
+  content
+});
+
+// A gist as returned by the GitHub API (`GET /gists/:id`), whose `files` map
+// filenames to { content, language, truncated }
+const gistFromApi = (gist, index) => {
+  const names = Object.keys(gist.files || {});
+  const source = gist.id || gist.html_url || `gists[${index}]`;
+  if (names.length === 0) {
+    return { source, error: 'Gist has no files' };
+  }
+
+  const files = [];
+  for (const name of names) {
+    const file = gist.files[name] || {};
+    if (typeof file.content !== 'string' || file.truncated) {
+      return {
+        source,
+        error: `File "${name}" has no content; export each gist with GET /gists/:id, which includes it`
+      };
+    }
+    files.push(gistFile(file.filename || name, file.content, file.language));
+  }
+
+  return gistItem(source, gist.description, files);
+};
+
+// Gists have a description rather than a title, so it becomes the title when
+// there is one and the first filename otherwise
+const gistItem = (source, description, files) => {
+  const text = String(description || '').trim();
+  return {
+    source,
+    title: text ? text.slice(0, 200) : files[0].filename,
+    description: text.length > 200 ? describe(text) : undefined,
+    tags: ['gist'],
+    files
+  };
+};
+
+// Cloned or downloaded gists, one top-level folder per gist. Files at the top
+// level are taken to be a single gist.
+const gistsFromArchive = (buffer) => {
+  const groups = new Map();
+  for (const entry of readArchive(buffer)) {
+    const parts = entry.name.split('/');
+    const folder = parts.length > 1 ? parts[0] : '';
+    if (!groups.has(folder)) groups.set(folder, []);
+    groups.get(folder).push(gistFile(parts[parts.length - 1], entry.content));
+  }
+
+  return [...groups].map(([folder, files]) => gistItem(folder || 'gist', null, dedupeFilenames(files)));
+};
+
+const parseGist = (input) => {
+  if (isArchive(input)) return gistsFromArchive(input);
+
+  const document = parseJson(input);
+  const gists = Array.isArray(document) ? document : [document];
+  if (!gists.every(gist => gist && typeof gist === 'object' && gist.files && typeof gist.files === 'object')) {
+    throw new Error('Expected a gist or an array of gists from the GitHub API');
+  }
+  return gists.map(gistFromApi);
+};
+
+// --- Markdown ---------------------------------------------------------------
+
+const HEADING = /^ {0,3}(#{1,6})\s+(.*?)(?:\s+#+)?\s*$/;
+const FENCE = /^ {0,3}(`{3,}|~{3,})\s*(.*)$/;
+
+// The language and optional filename of a fence info string such as
+// `js title="app.js"` or `python:setup.py`
+const parseFenceInfo = (info) => {
+  const [word = '', ...rest] = info.trim().split(/\s+/);
+  const [name, inlineFilename] = word.split(':');
+  const attribute = /(?:title|filename|file)=["']?([^"'\s]+)/.exec(rest.join(' '));
+  return {
+    language: languageFromName(name),
+    filename: inlineFilename || (attribute && attribute[1]) || null
+  };
+};
+
+// One snippet per heading section with fenced code blocks. The heading is the
+// title, the prose of the section the description and each block a file.
+const parseMarkdownDocument = (text, source) => {
+  const sections = [];
+  let section = { title: null, prose: [], blocks: [] };
+  let fence = null;
+
+  const lines = text.replace(/\r\n?/g, '\n').split('\n');
+  for (const line of lines) {
+    if (fence) {
+      const closing = FENCE.exec(line);
+      if (closing && closing[1][0] === fence.marker[0] && closing[1].length >= fence.marker.length && !closing[2].trim()) {
+        section.blocks.push({ ...fence.info, content: fence.lines.join('\n') });
+        fence = null;
+      } else {
+        fence.lines.push(line);
+      }
+      continue;
+    }
+
+    const opening = FENCE.exec(line);
+    if (opening && !(opening[1][0] === '`' && opening[2].includes('`'))) {
+      fence = { marker: opening[1], info: parseFenceInfo(opening[2]), lines: [] };
+      continue;
+    }
+
+    const heading = HEADING.exec(line);
+    if (heading) {
+      sections.push(section);
+      section = { title: heading[2], prose: [], blocks: [] };
+      continue;
+    }
+
+    section.prose.push(line);
+  }
+  // An unclosed fence runs to the end of the document
+  if (fence) section.blocks.push({ ...fence.info, content: fence.lines.join('\n') });
+  sections.push(section);
+
+  const documentTitle = path.posix.basename(source).replace(/\.(md|markdown)$/i, '');
+  return sections
+    .filter(candidate => candidate.blocks.length > 0)
+    .map(candidate => {
+      const files = candidate.blocks.map((block, index) => {
+        const language = block.language || languageFromFilename(block.filename) || languageFromContent(block.content);
+        return {
+          filename: block.filename ? path.posix.basename(block.filename) : defaultFilename(language, index),
+          language,
+          content: block.content
+        };
+      });
+      const title = candidate.title || documentTitle;
+      return {
+        source: candidate.title ? `${source}#${candidate.title}` : source,
+        title,
+        description: describe(candidate.prose.join('\n').replace(/\n{3,}/g, '\n\n')),
+        tags: [],
+        files: dedupeFilenames(files)
+      };
+    });
+};
+
+const parseMarkdown = (input) => {
+  if (isArchive(input)) {
+    return readArchive(input)
+      .filter(entry => /\.(md|markdown)$/i.test(entry.name))
+      .flatMap(entry => parseMarkdownDocument(entry.content, entry.name));
+  }
+
+  const text = Buffer.isBuffer(input) ? input.toString('utf8') : input;
+  if (typeof text !== 'string') {
+    throw new Error('Expected Markdown text or an archive of Markdown files');
+  }
+  return parseMarkdownDocument(text, 'notes.md');
+};
+
+const PARSERS = {
+  snipsafe: parseSnipsafe,
+  gist: parseGist,
+  markdown: parseMarkdown
+};
+
+module.exports = {
+  FORMAT,
+  PARSERS,
+  languageFromName,
+  parseMarkdownDocument
+};
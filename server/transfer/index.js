@@ -0,0 +1,131 @@
+const Snippet = require('../models/Snippet');
+const SnippetRevision = require('../models/SnippetRevision');
+const webhooks = require('../webhooks');
+const { createTarGz } = require('../utils/tar');
+const { slugify, uniqueName } = require('../utils/download');
+const { FORMAT, PARSERS } = require('./formats');
+
+// Moving snippets in and out of SnipSafe. Exports are a JSON document, or a
+// gzipped tarball holding that document with the files alongside it; imports
+// read those as well as GitHub gists and Markdown notes, creating one snippet
+// per item and reporting how each one went.
+
+const VERSION = 1;
+const MAX_IMPORT_ITEMS = 1000;
+const ARCHIVE_ROOT = 'snipsafe-export';
+
+const VISIBILITIES = ['private', 'organization', 'public'];
+
+const exportDocument = (snippets) => ({
+  format: FORMAT,
+  version: VERSION,
+  exportedAt: new Date().toISOString(),
+  snippets: snippets.map(snippet => ({
+    id: snippet._id.toString(),
+    title: snippet.title,
+    description: snippet.description || '',
+    visibility: snippet.visibility,
+    tags: snippet.tags,
+    author: snippet.author && snippet.author.username,
+    createdAt: snippet.createdAt,
+    updatedAt: snippet.updatedAt,
+    files: snippet.files.map(file => ({
+      filename: file.filename,
+      language: file.language,
+      content: file.content
+    }))
+  }))
+});
+
+// The tarball keeps snippets.json readable by moving file contents out into
+// `snippets/<title>/<filename>`, referenced from each file's `path`
+const exportArchive = (document) => {
+  const taken = new Set();
+  const entries = [];
+  const snippets = document.snippets.map(snippet => {
+    const folder = `snippets/${uniqueName(slugify(snippet.title) || 'snippet', taken)}`;
+    return {
+      ...snippet,
+      files: snippet.files.map(({ content, ...file }) => {
+        const filePath = `${folder}/${file.filename}`;
+        entries.push({ name: `${ARCHIVE_ROOT}/${filePath}`, content, date: snippet.updatedAt });
+        return { ...file, path: filePath };
+      })
+    };
+  });
+
+  return createTarGz([
+    { name: `${ARCHIVE_ROOT}/snippets.json`, content: JSON.stringify({ ...document, snippets }, null, 2) },
+    ...entries
+  ]);
+};
+
+// Parse an upload (a Buffer, or a JSON body already parsed) into items.
+// Throws when the upload as a whole cannot be read.
+const parseImport = (input, format) => {
+  const parse = PARSERS[format];
+  if (!parse) {
+    throw new Error(`Unknown import format "${format}"; expected one of ${Object.keys(PARSERS).join(', ')}`);
+  }
+
+  const items = parse(input);
+  if (items.length === 0) {
+    throw new Error('Found nothing to import');
+  }
+  if (items.length > MAX_IMPORT_ITEMS) {
+    throw new Error(`An import can hold at most ${MAX_IMPORT_ITEMS} snippets`);
+  }
+  return items;
+};
+
+const createSnippet = async (item, user, visibility) => {
+  if (!item.files || item.files.length === 0) {
+    throw new Error('No files to import');
+  }
+
+  const snippet = new Snippet({
+    title: String(item.title || 'Untitled').trim().slice(0, 200) || 'Untitled',
+    files: item.files,
+    description: item.description || undefined,
+    visibility: visibility || (VISIBILITIES.includes(item.visibility) ? item.visibility : 'private'),
+    tags: (item.tags || []).filter(tag => typeof tag === 'string'),
+    author: user.userId,
+    organization: user.organization
+  });
+
+  await snippet.save();
+  await SnippetRevision.record(snippet, user.userId);
+  await webhooks.emit('snippet.created', snippet, user.userId);
+  return snippet;
+};
+
+// Create a snippet for every item, one at a time so a failure only affects
+// its own item. `visibility` overrides the visibility of every item.
+const importItems = async (items, user, { visibility } = {}) => {
+  const results = [];
+  for (const item of items) {
+    if (item.error) {
+      results.push({ source: item.source, status: 'failed', title: item.title, error: item.error });
+      continue;
+    }
+
+    try {
+      const snippet = await createSnippet(item, user, visibility);
+      results.push({ source: item.source, status: 'created', snippetId: snippet._id, title: snippet.title });
+    } catch (error) {
+      results.push({ source: item.source, status: 'failed', title: item.title, error: error.message });
+    }
+  }
+
+  const imported = results.filter(result => result.status === 'created').length;
+  return { imported, failed: results.length - imported, results };
+};
+
+module.exports = {
+  FORMATS: Object.keys(PARSERS),
+  VISIBILITIES,
+  exportDocument,
+  exportArchive,
+  parseImport,
+  importItems
+};
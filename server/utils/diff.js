@@ -0,0 +1,218 @@
+// Line-based diff (Myers' O(ND) algorithm) used for snippet revision history.
+
+// Beyond this many edits the remaining region is reported as a plain
+// replace instead of searching for a minimal script.
+const MAX_EDIT_DISTANCE = 2000;
+
+const splitLines = (text) => {
+  if (!text) return [];
+  return text.replace(/\r\n/g, '\n').split('\n');
+};
+
+// Returns the shortest edit script between two line arrays as a list of
+// { type: 'equal' | 'delete' | 'insert', oldIndex, newIndex } operations.
+const myers = (a, b) => {
+  const n = a.length;
+  const m = b.length;
+  const max = n + m;
+  const offset = max + 1;
+  const v = new Int32Array(2 * max + 3);
+  const trace = [];
+
+  let found = false;
+  let d = 0;
+  for (; d <= Math.min(max, MAX_EDIT_DISTANCE); d++) {
+    trace.push(v.slice(offset - d - 1, offset + d + 2));
+    for (let k = -d; k <= d; k += 2) {
+      let x;
+      if (k === -d || (k !== d && v[offset + k - 1] < v[offset + k + 1])) {
+        x = v[offset + k + 1];
+      } else {
+        x = v[offset + k - 1] + 1;
+      }
+      let y = x - k;
+      while (x < n && y < m && a[x] === b[y]) {
+        x++;
+        y++;
+      }
+      v[offset + k] = x;
+      if (x >= n && y >= m) {
+        found = true;
+        break;
+      }
+    }
+    if (found) break;
+  }
+
+  if (!found) {
+    return null;
+  }
+
+  // Walk the trace backwards to recover the edit script
+  const ops = [];
+  let x = n;
+  let y = m;
+  for (; d >= 0; d--) {
+    const snapshot = trace[d];
+    const at = (k) => snapshot[k + d + 1];
+    const k = x - y;
+    let prevK;
+    if (k === -d || (k !== d && at(k - 1) < at(k + 1))) {
+      prevK = k + 1;
+    } else {
+      prevK = k - 1;
+    }
+    const prevX = d === 0 ? 0 : at(prevK);
+    const prevY = prevX - prevK;
+
+    while (x > prevX && y > prevY) {
+      x--;
+      y--;
+      ops.push({ type: 'equal', oldIndex: x, newIndex: y });
+    }
+    if (d > 0) {
+      if (x === prevX) {
+        y--;
+        ops.push({ type: 'insert', oldIndex: x, newIndex: y });
+      } else {
+        x--;
+        ops.push({ type: 'delete', oldIndex: x, newIndex: y });
+      }
+    }
+  }
+
+  return ops.reverse();
+};
+
+/**
+ * Diff two texts line by line.
+ *
+ * Each entry in `lines` carries 1-based `oldNumber`/`newNumber` line numbers
+ * (null on the side where the line does not exist) so the client can render
+ * either a unified or a side-by-side view from the same data.
+ */
+const diffLines = (oldText, newText) => {
+  const a = splitLines(oldText);
+  const b = splitLines(newText);
+
+  // Trim the common prefix and suffix before running the expensive part
+  let start = 0;
+  while (start < a.length && start < b.length && a[start] === b[start]) {
+    start++;
+  }
+  let endA = a.length;
+  let endB = b.length;
+  while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+    endA--;
+    endB--;
+  }
+
+  const middleA = a.slice(start, endA);
+  const middleB = b.slice(start, endB);
+  let ops = myers(middleA, middleB);
+
+  if (!ops) {
+    ops = [
+      ...middleA.map((_, i) => ({ type: 'delete', oldIndex: i, newIndex: 0 })),
+      ...middleB.map((_, i) => ({ type: 'insert', oldIndex: middleA.length, newIndex: i }))
+    ];
+  }
+
+  const lines = [];
+  for (let i = 0; i < start; i++) {
+    lines.push({ type: 'equal', oldNumber: i + 1, newNumber: i + 1, text: a[i] });
+  }
+  for (const op of ops) {
+    if (op.type === 'equal') {
+      lines.push({
+        type: 'equal',
+        oldNumber: start + op.oldIndex + 1,
+        newNumber: start + op.newIndex + 1,
+        text: middleA[op.oldIndex]
+      });
+    } else if (op.type === 'delete') {
+      lines.push({ type: 'delete', oldNumber: start + op.oldIndex + 1, newNumber: null, text: middleA[op.oldIndex] });
+    } else {
+      lines.push({ type: 'insert', oldNumber: null, newNumber: start + op.newIndex + 1, text: middleB[op.newIndex] });
+    }
+  }
+  for (let i = 0; i < a.length - endA; i++) {
+    lines.push({
+      type: 'equal',
+      oldNumber: endA + i + 1,
+      newNumber: endB + i + 1,
+      text: a[endA + i]
+    });
+  }
+
+  const stats = {
+    added: lines.filter(line => line.type === 'insert').length,
+    removed: lines.filter(line => line.type === 'delete').length
+  };
+
+  return { lines, stats };
+};
+
+// Where each line of `oldText` ended up in `newText`: entry i holds the
+// 1-based new line number of old line i + 1, or null if it was removed or
+// changed.
+const mapLines = (oldText, newText) => {
+  const map = [];
+  for (const line of diffLines(oldText, newText).lines) {
+    if (line.type === 'equal') map[line.oldNumber - 1] = line.newNumber;
+    else if (line.type === 'delete') map[line.oldNumber - 1] = null;
+  }
+  return map;
+};
+
+// Diff two versions of a snippet's files ({ fileId, filename, language,
+// content }). Files are paired up by id, so renamed files stay one entry.
+const diffFiles = (fromFiles, toFiles) => {
+  const pairs = toFiles.map(file => ({
+    before: fromFiles.find(candidate => candidate.fileId.toString() === file.fileId.toString()),
+    after: file
+  }));
+  fromFiles
+    .filter(file => !toFiles.some(candidate => candidate.fileId.toString() === file.fileId.toString()))
+    .forEach(file => pairs.push({ before: file, after: null }));
+
+  const stats = { added: 0, removed: 0 };
+  const files = pairs.map(({ before, after }) => {
+    const diff = diffLines(before ? before.content : '', after ? after.content : '');
+    stats.added += diff.stats.added;
+    stats.removed += diff.stats.removed;
+
+    let status = 'unchanged';
+    if (!before) status = 'added';
+    else if (!after) status = 'removed';
+    else if (diff.stats.added > 0 || diff.stats.removed > 0 || before.language !== after.language) status = 'modified';
+    else if (before.filename !== after.filename) status = 'renamed';
+
+    const describe = (file) => file && { filename: file.filename, language: file.language };
+    return {
+      fileId: (after || before).fileId,
+      status,
+      from: describe(before),
+      to: describe(after),
+      stats: diff.stats,
+      lines: diff.lines
+    };
+  });
+
+  return { stats, files };
+};
+
+// The metadata fields that differ between two versions, as { field: { from, to } }
+const fieldChanges = (from, to, fields = ['title', 'description', 'tags']) => {
+  const changes = {};
+  for (const field of fields) {
+    const before = from[field];
+    const after = to[field];
+    if (JSON.stringify(before ?? null) !== JSON.stringify(after ?? null)) {
+      changes[field] = { from: before, to: after };
+    }
+  }
+  return changes;
+};
+
+module.exports = { diffLines, splitLines, mapLines, diffFiles, fieldChanges };
@@ -0,0 +1,80 @@
+const { createZip } = require('./zip');
+const { extensionFor, defaultFilename } = require('./languages');
+
+// Helpers for serving snippets as files: raw text and ZIP archives
+
+// Lowercase words joined by dashes, keeping letters of any script
+const slugify = (text, maxLength = 80) => String(text || '')
+  .normalize('NFKC')
+  .toLowerCase()
+  .replace(/[^\p{L}\p{N}]+/gu, '-')
+  .slice(0, maxLength)
+  .replace(/^-+|-+$/g, '');
+
+// A filename for a snippet file named after the snippet, such as
+// `react-component-example.jsx` for a jsx snippet of that title
+const filenameFromTitle = (title, language) => {
+  const slug = slugify(title);
+  return slug ? `${slug}.${extensionFor(language)}` : defaultFilename(language);
+};
+
+// Content-Disposition with an ASCII fallback and the UTF-8 name (RFC 6266)
+const contentDisposition = (filename, type = 'attachment') => {
+  const fallback = filename.replace(/[^\x20-\x7e]|["\\]/g, '_');
+  const encoded = encodeURIComponent(filename).replace(/['()*]/g, c => `%${c.charCodeAt(0).toString(16).toUpperCase()}`);
+  return `${type}; filename="${fallback}"; filename*=UTF-8''${encoded}`;
+};
+
+// `name`, or `name-2`, `name-3`... when it is already in `taken`
+const uniqueName = (name, taken) => {
+  let candidate = name;
+  for (let n = 2; taken.has(candidate); n++) {
+    candidate = `${name}-${n}`;
+  }
+  taken.add(candidate);
+  return candidate;
+};
+
+// ZIP entries for snippets, one folder per snippet named after its title.
+// `taken` holds the names already used in the same folder.
+const snippetEntries = (snippets, { prefix = '', taken = new Set() } = {}) =>
+  snippets.flatMap(snippet => {
+    const folder = uniqueName(slugify(snippet.title) || 'snippet', taken);
+    return snippet.files.map(file => ({
+      name: `${prefix}${folder}/${file.filename}`,
+      content: file.content,
+      date: snippet.updatedAt
+    }));
+  });
+
+// Send one file of a snippet as text: the file named in `?file`, or else the
+// first file under a name derived from the snippet's title
+const sendRaw = (req, res, snippet) => {
+  const file = req.query.file
+    ? snippet.files.find(candidate => candidate.filename === req.query.file)
+    : snippet.files[0];
+  if (!file) {
+    return res.status(404).json({ error: 'File not found' });
+  }
+
+  const filename = req.query.file ? file.filename : filenameFromTitle(snippet.title, file.language);
+  res.set('Content-Type', 'text/plain; charset=utf-8');
+  res.set('Content-Disposition', contentDisposition(filename, 'inline'));
+  res.send(file.content || '');
+};
+
+const sendZip = (res, filename, entries) => {
+  res.set('Content-Type', 'application/zip');
+  res.set('Content-Disposition', contentDisposition(filename));
+  res.send(createZip(entries));
+};
+
+module.exports = {
+  slugify,
+  filenameFromTitle,
+  contentDisposition,
+  uniqueName,
+  snippetEntries,
+  sendRaw,
+  sendZip
+};
@@ -0,0 +1,109 @@
+// Language ids understood by the editor and syntax highlighter, with the
+// file extension used when a file needs a default name.
+const LANGUAGE_EXTENSIONS = {
+  javascript: 'js',
+  typescript: 'ts',
+  jsx: 'jsx',
+  tsx: 'tsx',
+  python: 'py',
+  java: 'java',
+  c: 'c',
+  cpp: 'cpp',
+  csharp: 'cs',
+  php: 'php',
+  ruby: 'rb',
+  go: 'go',
+  rust: 'rs',
+  swift: 'swift',
+  kotlin: 'kt',
+  html: 'html',
+  css: 'css',
+  scss: 'scss',
+  json: 'json',
+  xml: 'xml',
+  yaml: 'yml',
+  sql: 'sql',
+  bash: 'sh',
+  shell: 'sh',
+  powershell: 'ps1',
+  docker: 'dockerfile',
+  markdown: 'md',
+  plaintext: 'txt'
+};
+
+// Files recognised by name rather than extension
+const SPECIAL_FILENAMES = {
+  dockerfile: 'docker',
+  makefile: 'plaintext',
+  '.bashrc': 'bash',
+  '.zshrc': 'bash'
+};
+
+const EXTRA_EXTENSIONS = {
+  mjs: 'javascript',
+  cjs: 'javascript',
+  yaml: 'yaml',
+  htm: 'html',
+  h: 'c',
+  hpp: 'cpp',
+  cc: 'cpp',
+  zsh: 'bash',
+  markdown: 'markdown',
+  text: 'plaintext'
+};
+
+const extensionFor = (language) => LANGUAGE_EXTENSIONS[language] || 'txt';
+
+const defaultFilename = (language, index = 0) => {
+  const extension = extensionFor(language);
+  if (language === 'docker') return index === 0 ? 'Dockerfile' : `Dockerfile.${index + 1}`;
+  return index === 0 ? `snippet.${extension}` : `snippet-${index + 1}.${extension}`;
+};
+
+// Best guess at a file's language from its name; null when unknown
+const languageFromFilename = (filename) => {
+  if (!filename) return null;
+  const name = filename.toLowerCase();
+
+  if (SPECIAL_FILENAMES[name]) return SPECIAL_FILENAMES[name];
+  if (name.startsWith('dockerfile') || name.endsWith('.dockerfile')) return 'docker';
+  if (name === 'docker-compose.yml' || name === 'docker-compose.yaml') return 'yaml';
+
+  const extension = name.includes('.') ? name.split('.').pop() : null;
+  if (!extension) return null;
+  if (EXTRA_EXTENSIONS[extension]) return EXTRA_EXTENSIONS[extension];
+
+  const match = Object.entries(LANGUAGE_EXTENSIONS).find(([, ext]) => ext === extension);
+  return match ? match[0] : null;
+};
+
+// Content patterns for code without a filename, tried in order. The same
+// heuristics the create page uses for pasted code.
+const CONTENT_PATTERNS = [
+  ['bash', /^#!\/bin\/(ba)?sh/],
+  ['jsx', /import React|export default|className=|<\/\w+>/],
+  ['javascript', /function\s+\w+|const\s+\w+\s*=|console\.log/],
+  ['python', /def \w+|import \w+|print\(|class \w+/],
+  ['java', /public class|import java|public static void main/],
+  ['css', /\.\w+\s*{|#\w+\s*{|@media/],
+  ['html', /<html|<head|<body|<!DOCTYPE/],
+  ['json', /^\s*[{[]/],
+  ['sql', /SELECT|FROM|WHERE|INSERT|UPDATE|DELETE|CREATE TABLE/i],
+  ['typescript', /interface \w+|type \w+|: string|: number/],
+  ['php', /<\?php|function \w+|class \w+|echo /],
+  ['bash', /echo |grep |awk /]
+];
+
+// Best guess at the language of a piece of code; plaintext when unknown
+const languageFromContent = (content) => {
+  const match = CONTENT_PATTERNS.find(([, pattern]) => pattern.test(content));
+  return match ? match[0] : 'plaintext';
+};
+
+module.exports = {
+  LANGUAGE_EXTENSIONS,
+  extensionFor,
+  defaultFilename,
+  languageFromFilename,
+  languageFromContent
+};
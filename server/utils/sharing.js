@@ -0,0 +1,99 @@
+const User = require('../models/User');
+
+// Add share entries for the given emails and usernames to a document with a
+// `sharedWith` list (a snippet or a collection). Emails without an account
+// become pending invites; usernames must belong to the sharer's organization.
+// `userIds` lists the users with an account who were newly added. The caller
+// saves the document.
+const addShareEntries = async (doc, { emails, usernames, permissions = 'view' }, sharer) => {
+  const sharedUsers = [];
+  const notFoundUsers = [];
+  const userIds = [];
+
+  // Process emails
+  if (emails && emails.length > 0) {
+    for (const rawEmail of emails) {
+      // Stored lowercased so pending invites can be matched on signup
+      const email = rawEmail.trim().toLowerCase();
+      const user = await User.findOne({ email, isActive: true });
+
+      // Check if already shared with this user
+      const alreadyShared = doc.sharedWith.some(
+        share => (share.user && share.user.toString() === user?._id.toString()) ||
+                 share.email?.toLowerCase() === email
+      );
+
+      if (!alreadyShared) {
+        doc.sharedWith.push({
+          user: user?._id,
+          email,
+          permissions,
+          sharedBy: sharer.userId
+        });
+        sharedUsers.push({ email, found: !!user });
+        if (user) userIds.push(user._id);
+      }
+
+      if (!user) {
+        notFoundUsers.push({ type: 'email', value: email });
+        // A deactivated account with this email has to claim it once back
+        if (!alreadyShared) await User.reopenPendingShares([email]);
+      }
+    }
+  }
+
+  // Process usernames
+  if (usernames && usernames.length > 0) {
+    for (const username of usernames) {
+      const user = await User.findOne({
+        username: username.trim(),
+        organization: sharer.organization,
+        isActive: true
+      });
+
+      if (user) {
+        // Check if already shared
+        const alreadyShared = doc.sharedWith.some(
+          share => share.user && share.user.toString() === user._id.toString()
+        );
+
+        if (!alreadyShared) {
+          doc.sharedWith.push({
+            user: user._id,
+            email: user.email,
+            permissions,
+            sharedBy: sharer.userId
+          });
+          sharedUsers.push({ username: username.trim(), email: user.email, found: true });
+          userIds.push(user._id);
+        }
+      } else {
+        notFoundUsers.push({ type: 'username', value: username.trim() });
+      }
+    }
+  }
+
+  return { sharedUsers, notFoundUsers, userIds };
+};
+
+// Shape a sharedWith entry for the sharing management API
+const formatShareEntry = (share) => ({
+  id: share._id,
+  user: share.user ? {
+    id: share.user._id,
+    username: share.user.username,
+    email: share.user.email
+  } : null,
+  email: share.email,
+  permissions: share.permissions,
+  sharedAt: share.sharedAt,
+  sharedBy: share.sharedBy ? {
+    id: share.sharedBy._id,
+    username: share.sharedBy.username
+  } : null
+});
+
+module.exports = {
+  addShareEntries,
+  formatShareEntry
+};
@@ -0,0 +1,122 @@
+const zlib = require('zlib');
+const { constants: { MAX_LENGTH } } = require('buffer');
+const { ArchiveTooLargeError } = require('./zip');
+
+// A small ustar writer and reader for exports and imports, always gzipped on
+// the way out. Long names are written and read as pax headers.
+
+const BLOCK = 512;
+
+const octal = (value, length) => `${value.toString(8).padStart(length - 1, '0')}\0`;
+
+const header = (name, size, { type = '0', date = new Date() } = {}) => {
+  const block = Buffer.alloc(BLOCK);
+  block.write(name.slice(0, 100), 0, 'utf8');
+  block.write(octal(0o644, 8), 100);
+  block.write(octal(0, 8), 108);
+  block.write(octal(0, 8), 116);
+  block.write(octal(size, 12), 124);
+  block.write(octal(Math.floor(date.getTime() / 1000), 12), 136);
+  block.write(' '.repeat(8), 148);
+  block.write(type, 156);
+  block.write('ustar\x0000', 257);
+
+  let checksum = 0;
+  for (const byte of block) checksum += byte;
+  block.write(`${checksum.toString(8).padStart(6, '0')}\0 `, 148);
+  return block;
+};
+
+const padding = (size) => Buffer.alloc((BLOCK - (size % BLOCK)) % BLOCK);
+
+// A pax record is `<length> <key>=<value>\n`, where the length counts itself
+const paxRecord = (key, value) => {
+  const body = ` ${key}=${value}\n`;
+  let length = Buffer.byteLength(body);
+  length += String(length + String(length).length).length;
+  return `${length}${body}`;
+};
+
+// Build a .tar.gz from [{ name, content, date }]; `content` is a string or Buffer
+const createTarGz = (entries) => {
+  const blocks = [];
+  for (const entry of entries) {
+    const data = Buffer.isBuffer(entry.content) ? entry.content : Buffer.from(entry.content || '', 'utf8');
+    const date = entry.date ? new Date(entry.date) : new Date();
+
+    if (Buffer.byteLength(entry.name) > 100) {
+      const pax = Buffer.from(paxRecord('path', entry.name), 'utf8');
+      blocks.push(header('PaxHeader', pax.length, { type: 'x', date }), pax, padding(pax.length));
+    }
+    blocks.push(header(entry.name, data.length, { date }), data, padding(data.length));
+  }
+  blocks.push(Buffer.alloc(BLOCK * 2));
+  return zlib.gzipSync(Buffer.concat(blocks));
+};
+
+const readString = (block, start, length) => {
+  const end = block.indexOf(0, start);
+  return block.toString('utf8', start, end === -1 || end > start + length ? start + length : end);
+};
+
+const parsePax = (data) => {
+  const values = {};
+  for (const line of data.toString('utf8').split('\n')) {
+    const match = /^\d+ ([^=]+)=(.*)$/.exec(line);
+    if (match) values[match[1]] = match[2];
+  }
+  return values;
+};
+
+// Gunzip, refusing to unpack more than `maxSize` bytes so a small gzip bomb
+// cannot fill the memory
+const gunzip = (buffer, maxSize) => {
+  try {
+    return zlib.gunzipSync(buffer, { maxOutputLength: maxSize });
+  } catch (error) {
+    if (error.code === 'ERR_BUFFER_TOO_LARGE') throw new ArchiveTooLargeError(maxSize);
+    throw error;
+  }
+};
+
+// The regular files of a tar archive, gzipped or not, as [{ name, content }]
+// with Buffer contents. Throws an ArchiveTooLargeError when the archive
+// unpacks to more than `maxSize` bytes.
+const readTar = (buffer, { maxSize = MAX_LENGTH } = {}) => {
+  if (buffer.length > maxSize) throw new ArchiveTooLargeError(maxSize);
+  const tar = buffer[0] === 0x1f && buffer[1] === 0x8b ? gunzip(buffer, maxSize) : buffer;
+  const files = [];
+  let longName = null;
+  let position = 0;
+
+  while (position + BLOCK <= tar.length) {
+    const block = tar.subarray(position, position + BLOCK);
+    if (block.every(byte => byte === 0)) break;
+
+    const size = parseInt(readString(block, 124, 12).trim() || '0', 8);
+    const type = String.fromCharCode(block[156] || 0x30);
+    const prefix = readString(block, 345, 155);
+    const name = prefix ? `${prefix}/${readString(block, 0, 100)}` : readString(block, 0, 100);
+    const data = tar.subarray(position + BLOCK, position + BLOCK + size);
+    position += BLOCK + Math.ceil(size / BLOCK) * BLOCK;
+
+    if (type === 'x') {
+      longName = parsePax(data).path || null;
+    } else if (type === 'L') {
+      longName = readString(data, 0, data.length);
+    } else if (type === '0' || type === '\0') {
+      files.push({ name: longName || name, content: Buffer.from(data) });
+      longName = null;
+    } else {
+      // Folders, links and global pax headers carry no file content
+      longName = null;
+    }
+  }
+
+  return files;
+};
+
+module.exports = {
+  createTarGz,
+  readTar
+};
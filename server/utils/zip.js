@@ -0,0 +1,167 @@
+const zlib = require('zlib');
+const { constants: { MAX_LENGTH } } = require('buffer');
+
+// A small ZIP writer and reader for downloads and imports. Entries are
+// deflated and named in UTF-8; there is no ZIP64 support, which is far beyond
+// what snippets can reach.
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) {
+    c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  }
+  return c >>> 0;
+});
+
+const crc32 = (buffer) => {
+  let crc = 0xffffffff;
+  for (const byte of buffer) {
+    crc = CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+};
+
+// MS-DOS date and time, which cannot go before 1980
+const dosDateTime = (date) => {
+  const value = date.getFullYear() < 1980 ? new Date(1980, 0, 1) : date;
+  return {
+    time: (value.getHours() << 11) | (value.getMinutes() << 5) | Math.floor(value.getSeconds() / 2),
+    date: ((value.getFullYear() - 1980) << 9) | ((value.getMonth() + 1) << 5) | value.getDate()
+  };
+};
+
+const UTF8_NAMES = 0x0800;
+const DEFLATE = 8;
+const VERSION = 20;
+
+// Build a ZIP archive from [{ name, content, date }]; `name` may contain
+// slashes for folders and `content` is a string or Buffer
+const createZip = (entries) => {
+  const records = [];
+  const directory = [];
+  let offset = 0;
+
+  for (const entry of entries) {
+    const name = Buffer.from(entry.name, 'utf8');
+    const data = Buffer.isBuffer(entry.content) ? entry.content : Buffer.from(entry.content || '', 'utf8');
+    const compressed = zlib.deflateRawSync(data);
+    const checksum = crc32(data);
+    const { time, date } = dosDateTime(entry.date ? new Date(entry.date) : new Date());
+
+    const local = Buffer.alloc(30);
+    local.writeUInt32LE(0x04034b50, 0);
+    local.writeUInt16LE(VERSION, 4);
+    local.writeUInt16LE(UTF8_NAMES, 6);
+    local.writeUInt16LE(DEFLATE, 8);
+    local.writeUInt16LE(time, 10);
+    local.writeUInt16LE(date, 12);
+    local.writeUInt32LE(checksum, 14);
+    local.writeUInt32LE(compressed.length, 18);
+    local.writeUInt32LE(data.length, 22);
+    local.writeUInt16LE(name.length, 26);
+    records.push(local, name, compressed);
+
+    const central = Buffer.alloc(46);
+    central.writeUInt32LE(0x02014b50, 0);
+    central.writeUInt16LE(VERSION, 4);
+    central.writeUInt16LE(VERSION, 6);
+    central.writeUInt16LE(UTF8_NAMES, 8);
+    central.writeUInt16LE(DEFLATE, 10);
+    central.writeUInt16LE(time, 12);
+    central.writeUInt16LE(date, 14);
+    central.writeUInt32LE(checksum, 16);
+    central.writeUInt32LE(compressed.length, 20);
+    central.writeUInt32LE(data.length, 24);
+    central.writeUInt16LE(name.length, 28);
+    central.writeUInt32LE(offset, 42);
+    directory.push(central, name);
+
+    offset += local.length + name.length + compressed.length;
+  }
+
+  const directorySize = directory.reduce((size, buffer) => size + buffer.length, 0);
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(0x06054b50, 0);
+  end.writeUInt16LE(entries.length, 8);
+  end.writeUInt16LE(entries.length, 10);
+  end.writeUInt32LE(directorySize, 12);
+  end.writeUInt32LE(offset, 16);
+
+  return Buffer.concat([...records, ...directory, end]);
+};
+
+// Thrown by readZip and readTar when an archive unpacks to more than the
+// caller allows
+class ArchiveTooLargeError extends Error {
+  constructor(maxSize) {
+    super(`The archive is too large: it unpacks to more than ${Math.floor(maxSize / (1024 * 1024))} MB`);
+    this.name = 'ArchiveTooLargeError';
+    this.maxSize = maxSize;
+  }
+}
+
+// Inflate a deflated entry, unpacking at most `remaining` of the `maxSize`
+// bytes an archive may hold
+const inflate = (data, remaining, maxSize) => {
+  if (remaining < 1) throw new ArchiveTooLargeError(maxSize);
+  try {
+    return zlib.inflateRawSync(data, { maxOutputLength: remaining });
+  } catch (error) {
+    if (error.code === 'ERR_BUFFER_TOO_LARGE') throw new ArchiveTooLargeError(maxSize);
+    throw error;
+  }
+};
+
+// The files of a ZIP archive as [{ name, content }] with Buffer contents.
+// Folders are skipped; throws on archives that are not stored or deflated,
+// and an ArchiveTooLargeError once the files add up to more than `maxSize`
+// bytes.
+const readZip = (buffer, { maxSize = MAX_LENGTH } = {}) => {
+  // The end of central directory record sits before an optional comment
+  let end = buffer.length - 22;
+  while (end >= 0 && buffer.readUInt32LE(end) !== 0x06054b50) end--;
+  if (end < 0) throw new Error('Not a ZIP archive');
+
+  const count = buffer.readUInt16LE(end + 10);
+  let position = buffer.readUInt32LE(end + 16);
+  const files = [];
+  let total = 0;
+
+  for (let i = 0; i < count; i++) {
+    if (buffer.readUInt32LE(position) !== 0x02014b50) throw new Error('Corrupt ZIP archive');
+    const method = buffer.readUInt16LE(position + 10);
+    const compressedSize = buffer.readUInt32LE(position + 20);
+    const nameLength = buffer.readUInt16LE(position + 28);
+    const extraLength = buffer.readUInt16LE(position + 30);
+    const commentLength = buffer.readUInt16LE(position + 32);
+    const offset = buffer.readUInt32LE(position + 42);
+    const name = buffer.toString('utf8', position + 46, position + 46 + nameLength);
+    position += 46 + nameLength + extraLength + commentLength;
+
+    if (name.endsWith('/')) continue;
+
+    const dataStart = offset + 30 + buffer.readUInt16LE(offset + 26) + buffer.readUInt16LE(offset + 28);
+    const data = buffer.subarray(dataStart, dataStart + compressedSize);
+    let content;
+    if (method === 0) {
+      content = data;
+    } else if (method === DEFLATE) {
+      content = inflate(data, maxSize - total, maxSize);
+    } else {
+      throw new Error(`Unsupported compression in ZIP entry ${name}`);
+    }
+
+    total += content.length;
+    if (total > maxSize) throw new ArchiveTooLargeError(maxSize);
+    files.push({ name, content });
+  }
+
+  return files;
+};
+
+module.exports = {
+  ArchiveTooLargeError,
+  crc32,
+  createZip,
+  readZip
+};
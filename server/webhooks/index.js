@@ -0,0 +1,209 @@
+const crypto = require('crypto');
+const AppConfig = require('../models/AppConfig');
+const User = require('../models/User');
+const Webhook = require('../models/Webhook');
+const WebhookDelivery = require('../models/WebhookDelivery');
+
+// Outgoing webhooks. Snippet events are turned into one WebhookDelivery per
+// subscribed endpoint of the snippet's organization; a worker POSTs them and
+// retries failures with backoff.
+
+const WORKER_INTERVAL = 15 * 1000;
+const REQUEST_TIMEOUT = 10 * 1000;
+const TEST_EVENT = 'webhook.test';
+
+// `X-SnipSafe-Signature` is `sha256=` followed by the hex HMAC-SHA256 of
+// `<X-SnipSafe-Timestamp>.<raw body>`, keyed with the webhook secret
+const sign = (secret, timestamp, body) =>
+  `sha256=${crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex')}`;
+
+// Enough bytes for the stored MAX_RESPONSE_BODY characters, however they encode
+const MAX_RESPONSE_BYTES = WebhookDelivery.MAX_RESPONSE_BODY * 4;
+
+// The start of a response body. Endpoints are configured by admins and may
+// answer with anything, so only what gets stored is read; the rest of the
+// body is cancelled.
+const readBodyStart = async (response) => {
+  if (!response.body) return '';
+  const reader = response.body.getReader();
+  const chunks = [];
+  let size = 0;
+  try {
+    while (size < MAX_RESPONSE_BYTES) {
+      const { done, value } = await reader.read();
+      if (done) break;
+      chunks.push(value);
+      size += value.length;
+    }
+  } finally {
+    reader.cancel().catch(() => {});
+  }
+  return new TextDecoder().decode(Buffer.concat(chunks).subarray(0, MAX_RESPONSE_BYTES));
+};
+
+// POST a delivery to its webhook; resolves with the outcome, never rejects
+const send = async (webhook, delivery) => {
+  const body = JSON.stringify(delivery.payload);
+  const timestamp = Math.floor(Date.now() / 1000);
+  const started = Date.now();
+
+  try {
+    const response = await fetch(webhook.url, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'User-Agent': 'SnipSafe-Webhooks/1.0',
+        'X-SnipSafe-Event': delivery.event,
+        'X-SnipSafe-Delivery': delivery._id.toString(),
+        'X-SnipSafe-Timestamp': String(timestamp),
+        'X-SnipSafe-Signature': sign(webhook.secret, timestamp, body)
+      },
+      body,
+      redirect: 'manual',
+      signal: AbortSignal.timeout(REQUEST_TIMEOUT)
+    });
+    return {
+      responseStatus: response.status,
+      responseBody: await readBodyStart(response),
+      duration: Date.now() - started
+    };
+  } catch (error) {
+    return {
+      error: error.name === 'TimeoutError' ? `No response within ${REQUEST_TIMEOUT / 1000} seconds` : error.message,
+      duration: Date.now() - started
+    };
+  }
+};
+
+const attempt = async (delivery) => {
+  const webhook = await Webhook.findById(delivery.webhook).select('+secret');
+  if (!webhook || !webhook.active) {
+    return delivery.recordAttempt({ error: 'Webhook is disabled' }, { retry: false });
+  }
+  return delivery.recordAttempt(await send(webhook, delivery));
+};
+
+let processing = false;
+
+// Send every delivery that is due; returns the number that succeeded
+const processQueue = async () => {
+  if (processing) return 0;
+  processing = true;
+  try {
+    let succeeded = 0;
+    let delivery;
+    while ((delivery = await WebhookDelivery.claimNext())) {
+      await attempt(delivery);
+      if (delivery.status === 'succeeded') succeeded++;
+    }
+    return succeeded;
+  } finally {
+    processing = false;
+  }
+};
+
+// Send soon after something was queued instead of waiting for the worker
+const kick = () => {
+  setImmediate(() => processQueue().catch(error => console.error('❌ Webhook queue error:', error.message)));
+};
+
+const idOf = (ref) => (ref?._id || ref)?.toString() || null;
+
+const buildPayload = async (event, snippet, actorId, data) => {
+  const [config, actor] = await Promise.all([
+    AppConfig.getConfig(),
+    actorId ? User.findById(actorId).select('username') : null
+  ]);
+
+  return {
+    event,
+    createdAt: new Date().toISOString(),
+    organization: snippet.organization,
+    actor: actor ? { id: actor._id.toString(), username: actor.username } : null,
+    snippet: {
+      id: snippet._id.toString(),
+      title: snippet.title,
+      description: snippet.description || '',
+      visibility: snippet.visibility,
+      tags: snippet.tags || [],
+      author: idOf(snippet.author),
+      forkedFrom: idOf(snippet.forkedFrom),
+      url: new URL(`/snippet/${snippet._id}`, config.email.appUrl).toString()
+    },
+    ...data
+  };
+};
+
+// Queue `event` for every active webhook of the snippet's organization that
+// subscribes to it. `data` is merged into the payload. Private snippets never
+// leave SnipSafe this way, nor end up in a delivery log admins can read, so
+// their events are dropped. Never throws, so a failing webhook setup can't
+// break the request that triggered it.
+const emit = async (event, snippet, actorId, data = {}) => {
+  if (snippet.visibility === 'private') return;
+  try {
+    const webhooks = await Webhook.find({
+      organization: snippet.organization,
+      active: true,
+      events: event
+    }).select('_id');
+    if (webhooks.length === 0) return;
+
+    const payload = await buildPayload(event, snippet, actorId, data);
+    await WebhookDelivery.insertMany(webhooks.map(webhook => ({ webhook: webhook._id, event, payload })));
+    kick();
+  } catch (error) {
+    console.error(`❌ Failed to queue ${event} webhooks:`, error.message);
+  }
+};
+
+// Send a test event to `webhook` (loaded with its secret) right away. It is
+// logged like any delivery but not retried.
+const sendTest = async (webhook, actorId) => {
+  const actor = await User.findById(actorId).select('username');
+  const delivery = await WebhookDelivery.create({
+    webhook: webhook._id,
+    event: TEST_EVENT,
+    payload: {
+      event: TEST_EVENT,
+      createdAt: new Date().toISOString(),
+      organization: webhook.organization,
+      actor: actor ? { id: actor._id.toString(), username: actor.username } : null,
+      webhook: { id: webhook._id.toString(), events: webhook.events }
+    },
+    status: 'sending',
+    attempts: 1,
+    lockedAt: new Date()
+  });
+  return delivery.recordAttempt(await send(webhook, delivery), { retry: false });
+};
+
+// Queue the payload of an earlier delivery again as a new delivery
+const redeliver = async (delivery) => {
+  const copy = await WebhookDelivery.create({
+    webhook: delivery.webhook,
+    event: delivery.event,
+    payload: delivery.payload
+  });
+  kick();
+  return copy;
+};
+
+// Start the delivery worker. Called once the database connection is up.
+const start = () => {
+  setInterval(
+    () => processQueue().catch(error => console.error('❌ Webhook queue error:', error.message)),
+    WORKER_INTERVAL
+  ).unref();
+  kick();
+};
+
+module.exports = {
+  TEST_EVENT,
+  sign,
+  emit,
+  sendTest,
+  redeliver,
+  processQueue,
+  start
+};